@@ -0,0 +1,59 @@
+// Billable time. Each entry is rounded on its own, and only for billing;
+// durations stay exact for payroll
+
+// Each rounding mode as a JS and a SQL function, so reports summed in SQL bill
+// the same seconds as invoices built here
+const ROUNDING_FUNCTIONS = {
+  nearest: { round: Math.round, sql: 'ROUND' },
+  up: { round: Math.ceil, sql: 'CEIL' },
+  down: { round: Math.floor, sql: 'FLOOR' }
+};
+
+// A client with its own rounding mode replaces the company rule as a whole
+const resolveRoundingRule = (settings, client) => (
+  client && client.rounding_mode
+    ? {
+      mode: client.rounding_mode,
+      incrementMinutes: Number(client.rounding_increment_minutes) || 15,
+      minimumMinutes: Number(client.minimum_billable_minutes || 0)
+    }
+    : {
+      mode: settings.roundingMode,
+      incrementMinutes: settings.roundingIncrementMinutes,
+      minimumMinutes: settings.minimumBillableMinutes
+    }
+);
+
+// Seconds billed for one entry: rounded to the increment, then raised to the minimum
+const getBillableSeconds = (duration, rule) => {
+  const seconds = Number(duration) || 0;
+  if (seconds <= 0) {
+    return 0;
+  }
+
+  const increment = rule.incrementMinutes * 60;
+  const rounding = ROUNDING_FUNCTIONS[rule.mode];
+  const rounded = rounding && increment > 0 ? rounding.round(seconds / increment) * increment : seconds;
+  return Math.max(rounded, rule.minimumMinutes * 60);
+};
+
+// getBillableSeconds over SQL expressions for the duration and the rule's columns
+const getBillableSecondsSql = ({ duration, mode, incrementMinutes, minimumMinutes }) => {
+  const increment = `(COALESCE(${incrementMinutes}, 15) * 60)`;
+  const roundings = Object.entries(ROUNDING_FUNCTIONS)
+    .map(([name, { sql }]) => `WHEN '${name}' THEN ${sql}(${duration} / ${increment}) * ${increment}`)
+    .join('\n      ');
+  return `CASE WHEN ${duration} > 0 THEN GREATEST(
+    CASE COALESCE(${mode}, 'none')
+      ${roundings}
+      ELSE ${duration} END,
+    COALESCE(${minimumMinutes}, 0) * 60)
+  ELSE 0 END`;
+};
+
+module.exports = {
+  ROUNDING_FUNCTIONS,
+  resolveRoundingRule,
+  getBillableSeconds,
+  getBillableSecondsSql
+};
@@ -0,0 +1,52 @@
+import { ROUNDING_FUNCTIONS, getBillableSeconds, getBillableSecondsSql, resolveRoundingRule } from './billingRounding'
+import { ROUNDING_MODE_LABELS, getBillableSeconds as previewBillableSeconds } from '../src/utils/billingRounding'
+import { RoundingRule } from '../src/types'
+
+describe('billingRounding', () => {
+  // Invoices, reports and the browser all bill these
+  const cases: [number, RoundingRule, number][] = [
+    [8 * 60, { mode: 'nearest', incrementMinutes: 6, minimumMinutes: 0 }, 6 * 60],
+    [9 * 60, { mode: 'nearest', incrementMinutes: 6, minimumMinutes: 0 }, 12 * 60],
+    [2 * 60, { mode: 'nearest', incrementMinutes: 6, minimumMinutes: 0 }, 0],
+    [61, { mode: 'up', incrementMinutes: 15, minimumMinutes: 0 }, 15 * 60],
+    [30 * 60, { mode: 'up', incrementMinutes: 15, minimumMinutes: 0 }, 30 * 60],
+    [29 * 60, { mode: 'down', incrementMinutes: 15, minimumMinutes: 0 }, 15 * 60],
+    [5 * 60, { mode: 'down', incrementMinutes: 15, minimumMinutes: 30 }, 30 * 60],
+    [50 * 60, { mode: 'down', incrementMinutes: 15, minimumMinutes: 30 }, 45 * 60],
+    [1234, { mode: 'none', incrementMinutes: 15, minimumMinutes: 0 }, 1234],
+    [0, { mode: 'up', incrementMinutes: 15, minimumMinutes: 30 }, 0]
+  ]
+
+  it.each(cases)('should bill %i seconds under %j the same on both sides', (duration, rule, expected) => {
+    expect(getBillableSeconds(duration, rule)).toBe(expected)
+    expect(previewBillableSeconds(duration, rule)).toBe(expected)
+  })
+
+  it('should know every rounding mode the settings offer', () => {
+    expect(['none', ...Object.keys(ROUNDING_FUNCTIONS)].sort()).toEqual(Object.keys(ROUNDING_MODE_LABELS).sort())
+  })
+
+  it('should round each mode in SQL with the function of the same rounding', () => {
+    const sql = getBillableSecondsSql({ duration: 'd', mode: 'm', incrementMinutes: 'i', minimumMinutes: 'n' })
+
+    expect(sql).toContain("WHEN 'nearest' THEN ROUND(d / (COALESCE(i, 15) * 60)) * (COALESCE(i, 15) * 60)")
+    expect(sql).toContain("WHEN 'up' THEN CEIL(d / (COALESCE(i, 15) * 60)) * (COALESCE(i, 15) * 60)")
+    expect(sql).toContain("WHEN 'down' THEN FLOOR(d / (COALESCE(i, 15) * 60)) * (COALESCE(i, 15) * 60)")
+    expect(sql).toContain("ELSE d END,\n    COALESCE(n, 0) * 60)")
+    expect(sql.startsWith('CASE WHEN d > 0 THEN GREATEST(')).toBe(true)
+  })
+
+  describe('resolveRoundingRule', () => {
+    const settings = { roundingMode: 'up', roundingIncrementMinutes: 15, minimumBillableMinutes: 0 }
+
+    it('should use the company rule for clients without their own', () => {
+      expect(resolveRoundingRule(settings, { rounding_mode: null })).toEqual({ mode: 'up', incrementMinutes: 15, minimumMinutes: 0 })
+      expect(resolveRoundingRule(settings, null)).toEqual({ mode: 'up', incrementMinutes: 15, minimumMinutes: 0 })
+    })
+
+    it('should let a client rule replace the company rule', () => {
+      const client = { rounding_mode: 'nearest', rounding_increment_minutes: 6, minimum_billable_minutes: null }
+      expect(resolveRoundingRule(settings, client)).toEqual({ mode: 'nearest', incrementMinutes: 6, minimumMinutes: 0 })
+    })
+  })
+})
@@ -11,6 +11,9 @@ const { v4: uuidv4 } = require('uuid');
 const mysql = require('mysql2/promise');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { resolveRoundingRule, getBillableSeconds, getBillableSecondsSql } = require('./billingRounding');
+const { roundAmount, getCurrencyDecimals, calculateInvoiceTotals } = require('./invoiceTotals');
+const { getDueOccurrenceDate, insertTaskOccurrence } = require('./taskRecurrence');
 require('dotenv').config();
 
 const app = express();
@@ -115,7 +118,12 @@ const timeEntrySchema = Joi.object({
   endTime: Joi.date().optional(),
   duration: Joi.number().min(0).default(0),
   isBillable: Joi.boolean().default(false),
-  tags: Joi.array().items(Joi.string()).default([])
+  tags: Joi.array().items(Joi.string()).default([]),
+  taskId: Joi.string().allow(null).optional(),
+  overlapResolution: Joi.string().valid('allow', 'trim').optional(),
+  // Offline clients pick the entry ID themselves and send one operation ID per action
+  id: Joi.string().guid().optional(),
+  operationId: Joi.string().guid().optional()
 });
 
 const timeEntryUpdateSchema = Joi.object({
@@ -128,7 +136,47 @@ const timeEntryUpdateSchema = Joi.object({
   endTime: Joi.date().optional(),
   duration: Joi.number().min(0).optional(),
   isBillable: Joi.boolean().optional(),
-  tags: Joi.array().items(Joi.string()).optional()
+  tags: Joi.array().items(Joi.string()).optional(),
+  overlapResolution: Joi.string().valid('allow', 'trim').optional(),
+  operationId: Joi.string().guid().optional(),
+  baseUpdatedAt: Joi.date().optional() // updatedAt of the copy the client edited
+});
+
+const timeEntryStopSchema = Joi.object({
+  endTime: Joi.date().optional(), // When the user stopped, for stops queued offline
+  operationId: Joi.string().guid().optional()
+});
+
+const idleTimeSchema = Joi.object({
+  idleStart: Joi.date().required(),
+  idleEnd: Joi.date().greater(Joi.ref('idleStart')).required(),
+  action: Joi.string().valid('discard', 'reassign').required(),
+  projectId: Joi.string().when('action', { is: 'reassign', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const timesheetDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/);
+
+const timesheetWeekSchema = Joi.object({
+  weekStart: timesheetDate.required(),
+  cells: Joi.array().items(Joi.object({
+    date: timesheetDate.required(),
+    projectId: Joi.string().allow(null).required(),
+    taskId: Joi.string().allow(null).optional(),
+    hours: Joi.number().min(0).max(24).required()
+  })).min(1).max(500).required()
+});
+
+const timesheetSubmitSchema = Joi.object({
+  weekStart: timesheetDate.required()
+});
+
+const timesheetReviewSchema = Joi.object({
+  action: Joi.string().valid('approve', 'reject').required(),
+  comment: Joi.string().max(2000).when('action', {
+    is: 'reject',
+    then: Joi.required(),
+    otherwise: Joi.allow('', null).optional()
+  })
 });
 
 const projectSchema = Joi.object({
@@ -140,9 +188,21 @@ const projectSchema = Joi.object({
   startDate: Joi.date().optional(),
   endDate: Joi.date().optional(),
   budget: Joi.number().min(0).optional(),
+  budgetAlertThresholds: Joi.array().items(Joi.number().integer().min(1).max(1000)).max(10).optional(),
+  hourlyRate: Joi.number().min(0).allow(null).optional(),
   clientId: Joi.string().optional()
 });
 
+const projectUserRatesSchema = Joi.object({
+  rates: Joi.array().items(Joi.object({
+    userId: Joi.string().required(),
+    hourlyRate: Joi.number().min(0).required()
+  })).unique('userId').required()
+});
+
+// How billable time is rounded per entry: not at all, to the nearest increment, or always up or down
+const ROUNDING_MODES = ['none', 'nearest', 'up', 'down'];
+
 const clientSchema = Joi.object({
   name: Joi.string().required(),
   email: Joi.string().allow('', null).email().optional(),
@@ -156,7 +216,20 @@ const clientSchema = Joi.object({
   phone: Joi.string().allow('', null).optional(),
   company: Joi.string().allow('', null).optional(),
   address: Joi.string().allow('', null).optional(),
-  currency: Joi.string().allow('', null).optional()
+  currency: Joi.string().allow('', null).optional(),
+  // null falls back to the company's rounding rule
+  roundingMode: Joi.string().valid(...ROUNDING_MODES).allow(null).optional(),
+  roundingIncrementMinutes: Joi.number().integer().min(1).max(480).allow(null).optional(),
+  minimumBillableMinutes: Joi.number().integer().min(0).max(480).allow(null).optional()
+});
+
+const taskRecurrenceSchema = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly', 'after_completion').required(),
+  interval: Joi.number().integer().min(1).max(365).default(1),
+  weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1)
+    .when('frequency', { is: 'weekly', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  monthDay: Joi.number().integer().min(1).max(31)
+    .when('frequency', { is: 'monthly', then: Joi.optional(), otherwise: Joi.forbidden() })
 });
 
 const taskSchema = Joi.object({
@@ -166,11 +239,99 @@ const taskSchema = Joi.object({
   status: Joi.string().required(),
   priority: Joi.string().required(),
   assigneeId: Joi.string().optional(),
+  startDate: Joi.date().optional(),
   dueDate: Joi.date().optional(),
   estimatedHours: Joi.number().min(0).optional(),
   tags: Joi.array().items(Joi.string()).default([]),
   parentTaskId: Joi.string().optional(),
-  teamId: Joi.string().optional()
+  teamId: Joi.string().optional(),
+  recurrence: taskRecurrenceSchema.allow(null).optional()
+});
+
+// Updates send only what changed; dates can be cleared with null
+const taskUpdateSchema = taskSchema.fork(['title', 'projectId', 'status', 'priority'], schema => schema.optional()).keys({
+  startDate: Joi.date().allow(null).optional(),
+  dueDate: Joi.date().allow(null).optional(),
+  tags: Joi.array().items(Joi.string()).optional()
+});
+
+const taskDependencySchema = Joi.object({
+  taskId: Joi.string().required(),
+  dependsOnTaskId: Joi.string().required()
+});
+
+const invoiceSchema = Joi.object({
+  clientId: Joi.string().required(),
+  issueDate: Joi.date().default(() => new Date()),
+  dueDate: Joi.date().optional(),
+  periodStart: Joi.date().optional(),
+  periodEnd: Joi.date().optional(),
+  timeEntryIds: Joi.array().items(Joi.string()).min(1).required(),
+  notes: Joi.string().allow('', null).optional(),
+  status: Joi.string().valid('draft', 'sent').default('draft'),
+  taxRateIds: Joi.array().items(Joi.string()).optional(),
+  discountType: Joi.string().valid('percentage', 'fixed').allow(null).optional(),
+  discountValue: Joi.number().min(0).default(0)
+});
+
+// Line amounts and taxes the invoice form shows before the invoice is saved
+const invoiceTotalsSchema = Joi.object({
+  lineAmounts: Joi.array().items(Joi.number()).required(),
+  discountType: Joi.string().valid('percentage', 'fixed').allow(null).optional(),
+  discountValue: Joi.number().min(0).default(0),
+  taxRates: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    name: Joi.string().required(),
+    rate: Joi.number().min(0).max(100).required()
+  })).default([]),
+  currency: Joi.string().default('USD')
+});
+
+const invoiceUpdateSchema = Joi.object({
+  issueDate: Joi.date().optional(),
+  dueDate: Joi.date().allow(null).optional(),
+  notes: Joi.string().allow('', null).optional(),
+  status: Joi.string().valid('draft', 'sent', 'cancelled').optional()
+});
+
+const invoicePaymentSchema = Joi.object({
+  paymentDate: Joi.date().default(() => new Date()),
+  amount: Joi.number().positive().required(),
+  method: Joi.string().valid('bank_transfer', 'cash', 'check', 'credit_card', 'paypal', 'other').default('bank_transfer'),
+  reference: Joi.string().max(255).allow('', null).optional(),
+  notes: Joi.string().allow('', null).optional()
+});
+
+// ReportFilters from the client; id lists arrive comma separated in the query string
+const reportFiltersSchema = Joi.object({
+  startDate: Joi.date().required(),
+  endDate: Joi.date().required(),
+  projectIds: Joi.string().allow('').optional(),
+  clientIds: Joi.string().allow('').optional(),
+  billableOnly: Joi.boolean().optional(),
+  nonBillableOnly: Joi.boolean().optional(),
+  approvedOnly: Joi.boolean().optional(),
+  userId: Joi.string().optional()
+});
+
+const taxRateSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  rate: Joi.number().min(0).max(100).required()
+});
+
+const invoiceSettingsSchema = Joi.object({
+  prefix: Joi.string().max(20).allow('').optional(),
+  padding: Joi.number().integer().min(1).max(10).optional(),
+  resetYearly: Joi.boolean().optional()
+});
+
+const timeSettingsSchema = Joi.object({
+  overlapPolicy: Joi.string().valid('reject', 'warn', 'trim').optional(),
+  autoStopPolicy: Joi.string().valid('off', 'max_duration', 'midnight').optional(),
+  autoStopMaxHours: Joi.number().min(1).max(72).optional(),
+  roundingMode: Joi.string().valid(...ROUNDING_MODES).optional(),
+  roundingIncrementMinutes: Joi.number().integer().min(1).max(480).optional(),
+  minimumBillableMinutes: Joi.number().integer().min(0).max(480).optional()
 });
 
 // Utility functions
@@ -202,8 +363,233 @@ const isAdminRole = (role) => {
   return ['admin', 'super_admin', 'hr', 'root'].includes(role);
 };
 
+// Mirrors canViewHourlyRates in src/utils/permissions.ts; cost rates and
+// profitability are hidden from every other role
+const canViewRates = (role) => {
+  return ['hr', 'super_admin', 'root'].includes(role);
+};
+
+// Invoiced time entries stay read-only until a super_admin unlocks them
+const canUnlockTimeEntries = (role) => {
+  return ['super_admin', 'root'].includes(role);
+};
+
+// Custom task statuses and priorities apply to everyone in the company
+const canManageTaskWorkflows = (role) => {
+  return ['admin', 'super_admin', 'root'].includes(role);
+};
+
+const TIME_ENTRY_LOCKED_ERROR = 'Time entry is locked because it has been invoiced';
+
+const TIMESHEET_FROZEN_ERROR = 'This time is in a timesheet that has been submitted or approved';
+
+// Time in a submitted or approved timesheet can't change until a reviewer rejects
+// it. Pass every moment the change touches (current and new start times)
+const isTimesheetFrozen = async (connection, userId, ...times) => {
+  for (const time of times.filter(Boolean)) {
+    const [rows] = await connection.execute(
+      `SELECT id FROM timesheet_periods
+       WHERE user_id = ? AND status IN ('submitted', 'approved') AND starts_at <= ? AND ends_at > ?
+       LIMIT 1`,
+      [userId, new Date(time), new Date(time)]
+    );
+    if (rows.length > 0) return true;
+  }
+  return false;
+};
+
+const TIME_ENTRY_SYNC_CONFLICT = 'TIME_ENTRY_SYNC_CONFLICT';
+
+// Timer actions carry an operation ID so clients can retry them after a lost
+// connection. Returns the entry an already-applied operation touched, or null
+const getAppliedSyncOperation = async (connection, operationId, userId) => {
+  if (!operationId) return null;
+  const [rows] = await connection.execute(
+    `SELECT te.* FROM time_entry_sync_operations op
+     JOIN time_entries te ON te.id = op.time_entry_id
+     WHERE op.id = ? AND op.user_id = ?`,
+    [operationId, userId]
+  );
+  return rows[0] || null;
+};
+
+const recordSyncOperation = async (connection, operationId, userId, timeEntryId, action) => {
+  if (!operationId) return;
+  await connection.execute(
+    'INSERT IGNORE INTO time_entry_sync_operations (id, user_id, time_entry_id, action) VALUES (?, ?, ?, ?)',
+    [operationId, userId, timeEntryId, action]
+  );
+};
+
+const mapTimeEntryRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  companyId: row.company_id,
+  projectId: row.project_id,
+  projectName: row.project_name,
+  clientId: row.client_id,
+  clientName: row.client_name,
+  description: row.description,
+  startTime: row.start_time,
+  endTime: row.end_time,
+  duration: row.duration,
+  isRunning: row.is_running === 1,
+  isBillable: row.is_billable === 1,
+  isLocked: row.is_locked === 1,
+  invoiceId: row.invoice_id || null,
+  approvedAt: row.approved_at || null,
+  hourlyRate: toRate(row.hourly_rate),
+  rateSource: row.rate_source || null,
+  tags: row.tags ? JSON.parse(row.tags) : [],
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Sent when a queued change no longer fits the entry because it was changed
+// elsewhere in the meantime. The client shows the current entry instead
+const sendSyncConflict = (res, row, error) => {
+  return res.status(409).json({ error, code: TIME_ENTRY_SYNC_CONFLICT, entry: mapTimeEntryRow(row) });
+};
+
+// Browsers connected to /api/realtime/events. Events only carry ids; clients
+// refetch through the regular endpoints so access rules stay in one place
+const realtimeClients = new Set();
+
+const publishRealtimeEvent = (companyId, event, canReceive = () => true) => {
+  const message = `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+  for (const client of realtimeClients) {
+    if (client.user.role !== 'root' && client.user.companyId !== (companyId || null)) {
+      continue;
+    }
+    if (canReceive(client.user)) {
+      client.res.write(message);
+    }
+  }
+};
+
+// Time entries go to their owner and to admins, who can see everyone's entries
+const publishTimeEntryChange = (action, { id, userId, companyId, projectId = null }) => {
+  publishRealtimeEvent(
+    companyId,
+    { type: 'time_entry', action, id, userId, projectId },
+    user => user.uid === userId || isAdminRole(user.role)
+  );
+};
+
+const publishTaskChange = (action, { id, companyId, projectId = null }) => {
+  publishRealtimeEvent(companyId, { type: 'task', action, id, projectId });
+};
+
+const publishUserChange = (action, { id, companyId }) => {
+  publishRealtimeEvent(companyId, { type: 'user', action, id });
+};
+
+const getLinkedTaskIds = async (connection, timeEntryId) => {
+  const [rows] = await connection.execute(
+    'SELECT task_id FROM task_time_entries WHERE time_entry_id = ?',
+    [timeEntryId]
+  );
+  return rows.map(row => row.task_id);
+};
+
+// tasks.actual_hours is the total of the stopped entries linked to the task.
+// Call after any change to a linked entry; for deletes, read the task ids first
+// since the links go with the entry
+const recalculateTaskActualHours = async (connection, taskIds) => {
+  const ids = [...new Set(taskIds.filter(Boolean))];
+  if (ids.length === 0) return;
+
+  const placeholders = ids.map(() => '?').join(', ');
+  await connection.execute(
+    `UPDATE tasks t
+     SET actual_hours = (
+       SELECT ROUND(COALESCE(SUM(te.duration), 0) / 3600, 2)
+       FROM task_time_entries tte
+       JOIN time_entries te ON te.id = tte.time_entry_id
+       WHERE tte.task_id = t.id AND te.is_running = 0
+     )
+     WHERE t.id IN (${placeholders})`,
+    ids
+  );
+
+  const [rows] = await connection.execute(
+    `SELECT id, company_id, project_id FROM tasks WHERE id IN (${placeholders})`,
+    ids
+  );
+  for (const row of rows) {
+    publishTaskChange('updated', { id: row.id, companyId: row.company_id, projectId: row.project_id });
+  }
+};
+
 // Routes
 
+// EventSource cannot send headers, so the stream is opened with a ticket in the
+// query string instead of the JWT, which would end up in the access log. A ticket
+// works once, within REALTIME_TICKET_TTL_MS, and the stream closes when the JWT
+// it was issued for expires
+const REALTIME_TICKET_TTL_MS = 30 * 1000;
+const realtimeTickets = new Map();
+
+app.post('/api/realtime/tickets', authenticateToken, (req, res) => {
+  const now = Date.now();
+  for (const [id, ticket] of realtimeTickets) {
+    if (ticket.expiresAt <= now) realtimeTickets.delete(id);
+  }
+
+  const token = req.headers['authorization'].split(' ')[1];
+  const { exp } = jwt.decode(token) || {};
+  const ticket = uuidv4();
+  realtimeTickets.set(ticket, {
+    user: req.user,
+    expiresAt: now + REALTIME_TICKET_TTL_MS,
+    tokenExpiresAt: exp ? exp * 1000 : null
+  });
+  res.status(201).json({ success: true, data: { ticket } });
+});
+
+const authenticateRealtimeTicket = (req, res, next) => {
+  const ticket = typeof req.query.ticket === 'string' ? realtimeTickets.get(req.query.ticket) : null;
+  if (ticket) {
+    realtimeTickets.delete(req.query.ticket);
+  }
+  if (!ticket || ticket.expiresAt <= Date.now()) {
+    return res.status(401).json({ error: 'Invalid or expired stream ticket' });
+  }
+  req.user = ticket.user;
+  req.tokenExpiresAt = ticket.tokenExpiresAt;
+  next();
+};
+
+// Server-sent events for time entry, task and user changes in the caller's company
+app.get('/api/realtime/events', authenticateRealtimeTicket, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const client = { user: req.user, res };
+  realtimeClients.add(client);
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  // The client asks for a new ticket, which needs a valid JWT
+  const expiry = req.tokenExpiresAt
+    ? setTimeout(() => res.end(), Math.max(0, req.tokenExpiresAt - Date.now()))
+    : null;
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    realtimeClients.delete(client);
+  });
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -258,6 +644,8 @@ app.get('/api/users/:id', authenticateToken, async (req, res) => {
           avatar: user.avatar || null,
           timezone: user.timezone,
           hourlyRate: user.hourly_rate,
+          ...(canViewRates(requesterRole) ? { costRate: toRate(user.cost_rate) } : {}),
+          idleTimeoutMinutes: user.idle_timeout_minutes ?? 0,
           isActive: user.is_active === 1,
           createdAt: user.created_at,
           updatedAt: user.updated_at
@@ -283,6 +671,10 @@ app.put('/api/projects/:id', authenticateToken, async (req, res) => {
 
     const companyId = req.user.companyId;
 
+    if (value.hourlyRate !== undefined && !isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Only admins can change project rates' });
+    }
+
     const connection = await pool.getConnection();
     try {
       const [existingRows] = await connection.execute('SELECT * FROM projects WHERE id = ?', [id]);
@@ -307,7 +699,8 @@ app.put('/api/projects/:id', authenticateToken, async (req, res) => {
       const query = `
         UPDATE projects
         SET name = ?, description = ?, color = ?, status = ?, priority = ?,
-            start_date = ?, end_date = ?, budget = ?, client_id = ?, client_name = ?, updated_at = ?
+            start_date = ?, end_date = ?, budget = ?, budget_alert_thresholds = ?, hourly_rate = ?,
+            client_id = ?, client_name = ?, updated_at = ?
         WHERE id = ?
       `;
 
@@ -320,12 +713,19 @@ app.put('/api/projects/:id', authenticateToken, async (req, res) => {
         value.startDate || null,
         value.endDate || null,
         value.budget || null,
+        value.budgetAlertThresholds
+          ? [...new Set(value.budgetAlertThresholds)].sort((a, b) => a - b).join(',')
+          : existing.budget_alert_thresholds,
+        value.hourlyRate !== undefined ? value.hourlyRate : existing.hourly_rate,
         value.clientId || null,
         clientName,
         new Date(),
         id
       ]);
 
+      // A lower budget or new thresholds may already be crossed
+      await checkProjectBudgetAlerts(id);
+
       res.json({
         success: true,
         message: 'Project updated successfully'
@@ -476,6 +876,25 @@ app.put('/api/users/:id', authenticateToken, async (req, res) => {
       fields.push('hourly_rate = ?');
       values.push(updates.hourlyRate);
     }
+    if (updates.costRate !== undefined) {
+      if (!canViewRates(requesterRole)) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+      const costRate = updates.costRate === null || updates.costRate === '' ? null : Number(updates.costRate);
+      if (costRate !== null && (isNaN(costRate) || costRate < 0)) {
+        return res.status(400).json({ success: false, error: 'Cost rate must be zero or more' });
+      }
+      fields.push('cost_rate = ?');
+      values.push(costRate);
+    }
+    if (updates.idleTimeoutMinutes !== undefined) {
+      const idleTimeout = Number(updates.idleTimeoutMinutes);
+      if (!Number.isInteger(idleTimeout) || idleTimeout < 0 || idleTimeout > 480) {
+        return res.status(400).json({ success: false, error: 'Idle timeout must be between 0 and 480 minutes' });
+      }
+      fields.push('idle_timeout_minutes = ?');
+      values.push(idleTimeout);
+    }
 
     fields.push('updated_at = ?');
     values.push(new Date());
@@ -503,6 +922,7 @@ app.put('/api/users/:id', authenticateToken, async (req, res) => {
 
       const query = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
       await connection.execute(query, [...values, user.id]);
+      publishUserChange('updated', { id: user.id, companyId: user.company_id });
 
       res.json({ success: true, message: 'User updated successfully' });
     } finally {
@@ -651,6 +1071,11 @@ app.get('/api/admin/time-entries', authenticateToken, async (req, res) => {
         duration: row.duration,
         isRunning: row.is_running === 1,
         isBillable: row.is_billable === 1,
+        isLocked: row.is_locked === 1,
+        invoiceId: row.invoice_id || null,
+        approvedAt: row.approved_at || null,
+        hourlyRate: toRate(row.hourly_rate),
+        rateSource: row.rate_source || null,
         tags: row.tags ? JSON.parse(row.tags) : [],
         createdAt: row.created_at,
         updatedAt: row.updated_at
@@ -705,6 +1130,11 @@ app.get('/api/admin/time-entries/running', authenticateToken, async (req, res) =
         duration: row.duration,
         isRunning: row.is_running === 1,
         isBillable: row.is_billable === 1,
+        isLocked: row.is_locked === 1,
+        invoiceId: row.invoice_id || null,
+        approvedAt: row.approved_at || null,
+        hourlyRate: toRate(row.hourly_rate),
+        rateSource: row.rate_source || null,
         tags: row.tags ? JSON.parse(row.tags) : [],
         createdAt: row.created_at,
         updatedAt: row.updated_at
@@ -731,19 +1161,38 @@ app.delete('/api/admin/time-entries/:id', authenticateToken, async (req, res) =>
 
     const connection = await pool.getConnection();
     try {
-      let query = 'DELETE FROM time_entries WHERE id = ?';
+      let where = ' WHERE id = ?';
       const params = [id];
 
       if (req.user.role !== 'root' && companyId) {
-        query += ' AND company_id = ?';
+        where += ' AND company_id = ?';
         params.push(companyId);
       }
 
-      const [result] = await connection.execute(query, params);
-
-      if (!result.affectedRows) {
+      const [existingRows] = await connection.execute(
+        `SELECT is_locked, project_id, user_id, company_id, start_time FROM time_entries${where}`,
+        params
+      );
+      if (!existingRows.length) {
         return res.status(404).json({ success: false, error: 'Time entry not found' });
       }
+      if (existingRows[0].is_locked) {
+        return res.status(409).json({ success: false, error: TIME_ENTRY_LOCKED_ERROR });
+      }
+      if (await isTimesheetFrozen(connection, existingRows[0].user_id, existingRows[0].start_time)) {
+        return res.status(409).json({ success: false, error: TIMESHEET_FROZEN_ERROR });
+      }
+
+      const taskIds = await getLinkedTaskIds(connection, id);
+      await connection.execute(`DELETE FROM time_entries${where}`, params);
+      await recalculateTaskActualHours(connection, taskIds);
+      await checkProjectBudgetAlerts(existingRows[0].project_id);
+      publishTimeEntryChange('deleted', {
+        id,
+        userId: existingRows[0].user_id,
+        companyId: existingRows[0].company_id,
+        projectId: existingRows[0].project_id
+      });
 
       res.json({ success: true, message: 'Time entry deleted successfully' });
     } finally {
@@ -781,14 +1230,16 @@ app.post('/api/admin/time-entries/:id/stop', authenticateToken, async (req, res)
       const row = rows[0];
       const endTime = new Date();
       const duration = calculateDuration(row.start_time, endTime);
+      const { rate, source } = await getEntryRateSnapshot(connection, row);
 
       const updateQuery = `
         UPDATE time_entries
-        SET end_time = ?, duration = ?, is_running = 0, updated_at = ?
+        SET end_time = ?, duration = ?, is_running = 0, hourly_rate = ?, rate_source = ?, updated_at = ?
         WHERE id = ?
       `;
 
-      await connection.execute(updateQuery, [endTime, duration, endTime, id]);
+      await connection.execute(updateQuery, [endTime, duration, rate, source, endTime, id]);
+      await recalculateTaskActualHours(connection, await getLinkedTaskIds(connection, id));
 
       const timeEntry = {
         id: row.id,
@@ -804,11 +1255,19 @@ app.post('/api/admin/time-entries/:id/stop', authenticateToken, async (req, res)
         duration,
         isRunning: false,
         isBillable: row.is_billable === 1,
+        isLocked: row.is_locked === 1,
+        invoiceId: row.invoice_id || null,
+        approvedAt: row.approved_at || null,
+        hourlyRate: rate,
+        rateSource: source,
         tags: [],
         createdAt: row.created_at,
         updatedAt: endTime
       };
 
+      await checkProjectBudgetAlerts(row.project_id);
+      publishTimeEntryChange('updated', timeEntry);
+
       res.json({ success: true, message: 'Time entry stopped successfully', data: timeEntry });
     } finally {
       connection.release();
@@ -879,20 +1338,90 @@ app.put('/api/admin/time-entries/:id', authenticateToken, async (req, res) => {
     const connection = await pool.getConnection();
     try {
       let where = ' WHERE id = ?';
-      const params = [...values, id];
+      const whereParams = [id];
       if (req.user.role !== 'root' && companyId) {
         where += ' AND company_id = ?';
-        params.push(companyId);
+        whereParams.push(companyId);
+      }
+
+      const [existingRows] = await connection.execute(
+        `SELECT is_locked, project_id, client_id, user_id, company_id, rate_source, start_time, end_time
+         FROM time_entries${where}`,
+        whereParams
+      );
+      if (!existingRows.length) {
+        return res.status(404).json({ success: false, error: 'Time entry not found' });
+      }
+      if (existingRows[0].is_locked) {
+        return res.status(409).json({ success: false, error: TIME_ENTRY_LOCKED_ERROR });
+      }
+      if (await isTimesheetFrozen(connection, existingRows[0].user_id, existingRows[0].start_time, updates.startTime)) {
+        return res.status(409).json({ success: false, error: TIMESHEET_FROZEN_ERROR });
+      }
+
+      // Overlaps are checked against the entry owner's other entries
+      let trimmed = false;
+      if (updates.startTime !== undefined || updates.endTime !== undefined) {
+        const endTime = updates.endTime !== undefined ? updates.endTime : existingRows[0].end_time;
+        const range = await checkTimeEntryOverlap(connection, {
+          userId: existingRows[0].user_id,
+          companyId: existingRows[0].company_id,
+          startTime: new Date(updates.startTime !== undefined ? updates.startTime : existingRows[0].start_time),
+          endTime: endTime ? new Date(endTime) : null,
+          excludeId: id,
+          resolution: updates.overlapResolution
+        });
+        if (range.conflict) {
+          return res.status(409).json(range.conflict);
+        }
+        if (range.trimmed) {
+          trimmed = true;
+          const setField = (column, fieldValue) => {
+            const index = fields.indexOf(`${column} = ?`);
+            if (index === -1) {
+              fields.push(`${column} = ?`);
+              values.push(fieldValue);
+            } else {
+              values[index] = fieldValue;
+            }
+          };
+          setField('start_time', range.startTime);
+          if (range.endTime) {
+            setField('end_time', range.endTime);
+            setField('duration', calculateDuration(range.startTime, range.endTime));
+          }
+        }
+      }
+
+      // Re-price only when the entry moves to another project or client
+      const projectId = updates.projectId !== undefined ? updates.projectId || null : existingRows[0].project_id;
+      const clientId = updates.clientId !== undefined ? updates.clientId || null : existingRows[0].client_id;
+      if (!existingRows[0].rate_source || projectId !== existingRows[0].project_id || clientId !== existingRows[0].client_id) {
+        const { rate, source } = await resolveHourlyRate(connection, {
+          projectId,
+          userId: existingRows[0].user_id,
+          clientId
+        });
+        fields.push('hourly_rate = ?', 'rate_source = ?');
+        values.push(rate, source);
       }
 
       const query = `UPDATE time_entries SET ${fields.join(', ')}${where}`;
-      const [result] = await connection.execute(query, params);
+      await connection.execute(query, [...values, ...whereParams]);
+      await recalculateTaskActualHours(connection, await getLinkedTaskIds(connection, id));
 
-      if (!result.affectedRows) {
-        return res.status(404).json({ success: false, error: 'Time entry not found' });
+      await checkProjectBudgetAlerts(existingRows[0].project_id);
+      if (updates.projectId && updates.projectId !== existingRows[0].project_id) {
+        await checkProjectBudgetAlerts(updates.projectId);
       }
+      publishTimeEntryChange('updated', {
+        id,
+        userId: existingRows[0].user_id,
+        companyId: existingRows[0].company_id,
+        projectId
+      });
 
-      res.json({ success: true, message: 'Time entry updated successfully' });
+      res.json({ success: true, trimmed, message: 'Time entry updated successfully' });
     } finally {
       connection.release();
     }
@@ -952,7 +1481,7 @@ app.post('/api/auth/signup', async (req, res) => {
         hashedPassword,
         role,
         'America/New_York', // Default timezone
-        25, // Default hourly rate
+        null, // No personal rate, so project and client rates apply
         now,
         now
       ]);
@@ -1115,6 +1644,11 @@ app.get('/api/time-entries', authenticateToken, async (req, res) => {
         duration: row.duration,
         isRunning: row.is_running === 1,
         isBillable: row.is_billable === 1,
+        isLocked: row.is_locked === 1,
+        invoiceId: row.invoice_id || null,
+        approvedAt: row.approved_at || null,
+        hourlyRate: toRate(row.hourly_rate),
+        rateSource: row.rate_source || null,
         tags: [],
         createdAt: row.created_at,
         updatedAt: row.updated_at
@@ -1134,6 +1668,340 @@ app.get('/api/time-entries', authenticateToken, async (req, res) => {
   }
 });
 
+// Time tracking settings and overlap detection
+const mapTimeSettingsRow = (row) => ({
+  overlapPolicy: row ? row.overlap_policy : 'warn',
+  autoStopPolicy: row ? row.auto_stop_policy : 'off',
+  autoStopMaxHours: row ? Number(row.auto_stop_max_hours) : 10,
+  roundingMode: row && row.rounding_mode ? row.rounding_mode : 'none',
+  roundingIncrementMinutes: row ? Number(row.rounding_increment_minutes) || 15 : 15,
+  minimumBillableMinutes: row ? Number(row.minimum_billable_minutes || 0) : 0
+});
+
+const getCompanyTimeSettings = async (connection, companyId) => {
+  if (!companyId) {
+    return mapTimeSettingsRow(null);
+  }
+  const [rows] = await connection.execute(
+    'SELECT * FROM company_time_settings WHERE company_id = ?',
+    [companyId]
+  );
+  return mapTimeSettingsRow(rows[0]);
+};
+
+// The user's other entries sharing time with the range. Running entries, and a
+// range without an end, are open-ended
+const findOverlappingEntries = async (connection, { userId, startTime, endTime, excludeId }) => {
+  const [rows] = await connection.execute(
+    `SELECT id, description, project_name, start_time, end_time, is_running
+     FROM time_entries
+     WHERE user_id = ? AND id <> ?
+       AND (? IS NULL OR start_time < ?)
+       AND (end_time IS NULL OR end_time > ?)
+     ORDER BY start_time ASC`,
+    [userId, excludeId || '', endTime || null, endTime || null, startTime]
+  );
+  return rows;
+};
+
+// Shrinks the range to the free time left around the conflicts. Returns null
+// when a conflict sits inside the range or covers all of it
+const trimToFreeTime = (startTime, endTime, conflicts) => {
+  const bounds = conflicts.map(row => ({
+    start: new Date(row.start_time).getTime(),
+    end: row.end_time ? new Date(row.end_time).getTime() : Infinity
+  }));
+  let start = new Date(startTime).getTime();
+  let end = endTime ? new Date(endTime).getTime() : Infinity;
+
+  for (const conflict of bounds) {
+    if (conflict.start <= start) {
+      start = Math.max(start, conflict.end);
+    }
+  }
+  // A running entry keeps running, so only its start can move
+  if (endTime) {
+    for (const conflict of bounds) {
+      if (conflict.end >= end) {
+        end = Math.min(end, conflict.start);
+      }
+    }
+  }
+
+  if (!Number.isFinite(start) || start >= end) {
+    return null;
+  }
+  if (bounds.some(conflict => conflict.start < end && conflict.end > start)) {
+    return null;
+  }
+  return { startTime: new Date(start), endTime: endTime ? new Date(end) : null };
+};
+
+// Applies the company's overlap policy to a new or edited range. reject always
+// refuses, warn saves once the user confirms with overlapResolution 'allow',
+// and trim saves the trimmed range. Any user may ask for a trim explicitly.
+// Returns { startTime, endTime, trimmed } to save, or { conflict } for a 409
+const checkTimeEntryOverlap = async (connection, { userId, companyId, startTime, endTime, excludeId, resolution }) => {
+  const conflicts = await findOverlappingEntries(connection, { userId, startTime, endTime, excludeId });
+  if (!conflicts.length) {
+    return { startTime, endTime, trimmed: false };
+  }
+
+  const { overlapPolicy } = await getCompanyTimeSettings(connection, companyId);
+  const suggestion = trimToFreeTime(startTime, endTime, conflicts);
+
+  if (overlapPolicy === 'warn' && resolution === 'allow') {
+    return { startTime, endTime, trimmed: false };
+  }
+  if (suggestion && (overlapPolicy === 'trim' || resolution === 'trim')) {
+    return { ...suggestion, trimmed: true };
+  }
+
+  return {
+    conflict: {
+      error: 'This time overlaps with other time entries',
+      code: 'TIME_ENTRY_OVERLAP',
+      policy: overlapPolicy,
+      conflicts: conflicts.map(row => ({
+        id: row.id,
+        description: row.description,
+        projectName: row.project_name,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        isRunning: row.is_running === 1
+      })),
+      suggestion
+    }
+  };
+};
+
+app.get('/api/time-settings', authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.user.role === 'root' ? (req.query.companyId || req.user.companyId) : req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const settings = await getCompanyTimeSettings(connection, companyId);
+      res.json({ success: true, data: settings });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching time settings:', error);
+    res.status(500).json({ error: 'Failed to fetch time settings' });
+  }
+});
+
+app.put('/api/time-settings', authenticateToken, async (req, res) => {
+  try {
+    if (!['super_admin', 'root'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { error, value } = timeSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const companyId = req.user.role === 'root' ? (req.query.companyId || req.user.companyId) : req.user.companyId;
+    if (!companyId) {
+      return res.status(400).json({ error: 'Company ID is required' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.execute('INSERT IGNORE INTO company_time_settings (company_id) VALUES (?)', [companyId]);
+
+      const fields = [];
+      const values = [];
+      if (value.overlapPolicy !== undefined) {
+        fields.push('overlap_policy = ?');
+        values.push(value.overlapPolicy);
+      }
+      if (value.autoStopPolicy !== undefined) {
+        fields.push('auto_stop_policy = ?');
+        values.push(value.autoStopPolicy);
+      }
+      if (value.autoStopMaxHours !== undefined) {
+        fields.push('auto_stop_max_hours = ?');
+        values.push(value.autoStopMaxHours);
+      }
+      if (value.roundingMode !== undefined) {
+        fields.push('rounding_mode = ?');
+        values.push(value.roundingMode);
+      }
+      if (value.roundingIncrementMinutes !== undefined) {
+        fields.push('rounding_increment_minutes = ?');
+        values.push(value.roundingIncrementMinutes);
+      }
+      if (value.minimumBillableMinutes !== undefined) {
+        fields.push('minimum_billable_minutes = ?');
+        values.push(value.minimumBillableMinutes);
+      }
+
+      if (fields.length > 0) {
+        await connection.execute(
+          `UPDATE company_time_settings SET ${fields.join(', ')} WHERE company_id = ?`,
+          [...values, companyId]
+        );
+      }
+
+      res.json({ success: true, message: 'Time settings updated successfully' });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error updating time settings:', error);
+    res.status(500).json({ error: 'Failed to update time settings' });
+  }
+});
+
+// Auto-stop for timers left running. A scheduled job stops them once they pass the
+// company's maximum duration or the user's local midnight
+const AUTO_STOPPED_TAG = 'auto-stopped';
+const AUTO_STOP_INTERVAL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minutes ahead of UTC for a user's timezone: either a fixed offset label from the
+// profile settings ("GMT+5:30 (India)") or an IANA name such as America/New_York
+const getTimezoneOffsetMinutes = (timezone, date) => {
+  const fixed = /^(?:GMT|UTC)\s*([+-])(\d{1,2})(?::(\d{2}))?/.exec(timezone || '');
+  if (fixed) {
+    const minutes = Number(fixed[2]) * 60 + Number(fixed[3] || 0);
+    return fixed[1] === '-' ? -minutes : minutes;
+  }
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    const localAsUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+    return Math.round((localAsUtc - date.getTime()) / 60000);
+  } catch (error) {
+    // Unknown timezone names are treated as UTC
+    return 0;
+  }
+};
+
+const getNextLocalMidnight = (date, timezone) => {
+  const offsetMs = getTimezoneOffsetMinutes(timezone, date) * 60000;
+  const localMidnight = (Math.floor((date.getTime() + offsetMs) / DAY_MS) + 1) * DAY_MS;
+  // Take the offset again at midnight itself in case a daylight saving change falls in between
+  const estimate = new Date(localMidnight - offsetMs);
+  return new Date(localMidnight - getTimezoneOffsetMinutes(timezone, estimate) * 60000);
+};
+
+const getAutoStopTime = (row) => {
+  const startTime = new Date(row.start_time);
+  if (row.auto_stop_policy === 'max_duration') {
+    return new Date(startTime.getTime() + Number(row.auto_stop_max_hours) * 60 * 60 * 1000);
+  }
+  if (row.auto_stop_policy === 'midnight') {
+    return getNextLocalMidnight(startTime, row.user_timezone);
+  }
+  return null;
+};
+
+// Active leaders of the teams the user is a member of, with the team each leads.
+// Team roles in team_members decide who leads, for notifications and reviews alike
+const getMemberTeamLeaders = async (connection, userId) => {
+  const [rows] = await connection.execute(
+    `SELECT DISTINCT leader.user_id, leader.team_id FROM team_members member
+     JOIN team_members leader ON leader.team_id = member.team_id AND leader.team_role = 'leader' AND leader.is_active = 1
+     WHERE member.user_id = ? AND member.is_active = 1 AND leader.user_id <> ?`,
+    [userId, userId]
+  );
+  return rows;
+};
+
+const autoStopTimeEntry = async (connection, row, stopTime) => {
+  const { rate, source } = await getEntryRateSnapshot(connection, row);
+  const tags = row.tags ? JSON.parse(row.tags) : [];
+  if (!tags.includes(AUTO_STOPPED_TAG)) {
+    tags.push(AUTO_STOPPED_TAG);
+  }
+
+  const [result] = await connection.execute(
+    `UPDATE time_entries
+     SET end_time = ?, duration = ?, is_running = 0, tags = ?, hourly_rate = ?, rate_source = ?, updated_at = ?
+     WHERE id = ? AND is_running = 1`,
+    [stopTime, calculateDuration(row.start_time, stopTime), JSON.stringify(tags), rate, source, new Date(), row.id]
+  );
+  // The user stopped it themselves since the entry was read
+  if (result.affectedRows === 0) return;
+  await recalculateTaskActualHours(connection, await getLinkedTaskIds(connection, row.id));
+
+  const reason = row.auto_stop_policy === 'midnight'
+    ? 'at midnight'
+    : `after ${Number(row.auto_stop_max_hours)} hours`;
+  const project = row.project_name ? ` on ${row.project_name}` : '';
+  const notification = {
+    companyId: row.company_id,
+    type: 'warning',
+    actionUrl: '/tracker',
+    contextType: 'time_entry',
+    contextId: row.id
+  };
+
+  await createNotifications(connection, [row.user_id], {
+    ...notification,
+    title: 'Your timer was stopped automatically',
+    message: `Your timer${project} was still running ${reason} and has been stopped. Adjust the entry if you kept working.`
+  });
+  const leaderIds = [...new Set((await getMemberTeamLeaders(connection, row.user_id)).map(leader => leader.user_id))];
+  if (leaderIds.length > 0) {
+    await createNotifications(connection, leaderIds, {
+      ...notification,
+      actionUrl: '/admin',
+      title: `${row.user_name}'s timer was stopped automatically`,
+      message: `The timer${project} was still running ${reason} and has been stopped.`
+    });
+  }
+
+  publishTimeEntryChange('updated', {
+    id: row.id,
+    userId: row.user_id,
+    companyId: row.company_id,
+    projectId: row.project_id
+  });
+  await checkProjectBudgetAlerts(row.project_id);
+};
+
+const runAutoStopJob = async () => {
+  try {
+    const connection = await pool.getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT te.*, u.name AS user_name, u.timezone AS user_timezone,
+                s.auto_stop_policy, s.auto_stop_max_hours
+         FROM time_entries te
+         JOIN company_time_settings s ON s.company_id = te.company_id
+         JOIN users u ON u.id = te.user_id
+         WHERE te.is_running = 1 AND s.auto_stop_policy <> 'off'`
+      );
+
+      const now = new Date();
+      for (const row of rows) {
+        const stopTime = getAutoStopTime(row);
+        if (stopTime && stopTime <= now) {
+          await autoStopTimeEntry(connection, row, stopTime);
+        }
+      }
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error auto-stopping time entries:', error);
+  }
+};
+
 app.post('/api/time-entries', authenticateToken, async (req, res) => {
   try {
     const { error, value } = timeEntrySchema.validate(req.body);
@@ -1144,10 +2012,58 @@ app.post('/api/time-entries', authenticateToken, async (req, res) => {
     const userId = req.user.uid;
     const companyId = req.user.companyId;
     const now = new Date();
-    const entryId = uuidv4();
-    
-    // Get project name if projectId provided
-    let projectName = null;
+    const entryId = value.id || uuidv4();
+
+    // A retried create gets back the entry its first attempt made
+    if (value.operationId || value.id) {
+      const connection = await pool.getConnection();
+      try {
+        const applied = await getAppliedSyncOperation(connection, value.operationId, userId);
+        if (applied) {
+          return res.json({
+            success: true,
+            data: mapTimeEntryRow(applied),
+            replayed: true,
+            message: 'Time entry already created'
+          });
+        }
+        if (value.id) {
+          const [existingRows] = await connection.execute('SELECT id FROM time_entries WHERE id = ?', [value.id]);
+          if (existingRows.length > 0) {
+            return res.status(409).json({ error: 'A time entry with this ID already exists' });
+          }
+        }
+      } finally {
+        connection.release();
+      }
+    }
+
+    // Timers started from a task are linked to it and go on the task's project
+    if (value.taskId) {
+      const connection = await pool.getConnection();
+      try {
+        const [taskRows] = await connection.execute(
+          'SELECT id, project_id, company_id FROM tasks WHERE id = ?',
+          [value.taskId]
+        );
+        if (taskRows.length === 0) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+        const task = taskRows[0];
+        if (req.user.role !== 'root' && task.company_id !== companyId) {
+          return res.status(403).json({ error: 'Access denied to this task' });
+        }
+        if (value.projectId && task.project_id && value.projectId !== task.project_id) {
+          return res.status(400).json({ error: 'The task belongs to a different project' });
+        }
+        value.projectId = value.projectId || task.project_id || undefined;
+      } finally {
+        connection.release();
+      }
+    }
+    
+    // Get project name if projectId provided
+    let projectName = null;
     let clientId = null;
     let clientName = null;
     if (value.projectId) {
@@ -1189,11 +2105,37 @@ app.post('/api/time-entries', authenticateToken, async (req, res) => {
     // Insert time entry into database
     const connection = await pool.getConnection();
     try {
+      const { rate, source } = await resolveHourlyRate(connection, {
+        projectId: value.projectId,
+        userId,
+        clientId
+      });
+      const costRate = await getUserCostRate(connection, userId);
+
+      if (await isTimesheetFrozen(connection, userId, value.startTime)) {
+        return res.status(409).json({ error: TIMESHEET_FROZEN_ERROR });
+      }
+
+      const range = await checkTimeEntryOverlap(connection, {
+        userId,
+        companyId,
+        startTime: value.startTime,
+        endTime: value.endTime || null,
+        resolution: value.overlapResolution
+      });
+      if (range.conflict) {
+        return res.status(409).json(range.conflict);
+      }
+      const duration = range.trimmed && range.endTime
+        ? calculateDuration(range.startTime, range.endTime)
+        : value.duration ?? 0;
+
       const query = `
         INSERT INTO time_entries (
           id, user_id, company_id, project_id, project_name, client_id, client_name,
-          description, start_time, end_time, duration, is_running, is_billable, tags, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          description, start_time, end_time, duration, is_running, is_billable, tags,
+          hourly_rate, rate_source, cost_rate, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       const result = await connection.execute(query, [
@@ -1205,15 +2147,27 @@ app.post('/api/time-entries', authenticateToken, async (req, res) => {
         clientId || null,
         clientName || null,
         value.description ?? null,
-        value.startTime,
-        value.endTime || null,
-        value.duration ?? 0,
-        !value.endTime ? 1 : 0, // is_running
+        range.startTime,
+        range.endTime || null,
+        duration,
+        !range.endTime ? 1 : 0, // is_running
         value.isBillable ? 1 : 0, // is_billable
         JSON.stringify(value.tags || []),
+        rate,
+        source,
+        costRate,
         now,
         now
       ]);
+
+      if (value.taskId) {
+        await connection.execute(
+          'INSERT INTO task_time_entries (task_id, time_entry_id) VALUES (?, ?)',
+          [value.taskId, entryId]
+        );
+        await recalculateTaskActualHours(connection, [value.taskId]);
+      }
+      await recordSyncOperation(connection, value.operationId, userId, entryId, 'create');
       
       // Get the created time entry
       const [rows] = await connection.execute(
@@ -1235,14 +2189,23 @@ app.post('/api/time-entries', authenticateToken, async (req, res) => {
         duration: rows[0].duration,
         isRunning: rows[0].is_running === 1,
         isBillable: rows[0].is_billable === 1,
+        hourlyRate: toRate(rows[0].hourly_rate),
+        rateSource: rows[0].rate_source || null,
+        taskId: value.taskId || null,
         tags: rows[0].tags ? JSON.parse(rows[0].tags) : [],
         createdAt: rows[0].created_at,
         updatedAt: rows[0].updated_at
       };
+
+      if (!timeEntry.isRunning) {
+        await checkProjectBudgetAlerts(timeEntry.projectId);
+      }
+      publishTimeEntryChange('created', timeEntry);
       
       res.status(201).json({
         success: true,
         data: timeEntry,
+        trimmed: range.trimmed,
         message: 'Time entry created successfully'
       });
     } finally {
@@ -1286,6 +2249,32 @@ app.put('/api/time-entries/:id', authenticateToken, async (req, res) => {
       if (req.user.role !== 'root' && existingEntry.company_id !== companyId) {
         return res.status(403).json({ error: 'Access denied' });
       }
+
+      if (await getAppliedSyncOperation(connection, value.operationId, userId)) {
+        return res.json({
+          success: true,
+          trimmed: false,
+          replayed: true,
+          data: {
+            startTime: existingEntry.start_time,
+            endTime: existingEntry.end_time,
+            duration: existingEntry.duration,
+            updatedAt: existingEntry.updated_at
+          },
+          message: 'Time entry already updated'
+        });
+      }
+      // Don't let an edit queued offline overwrite a newer change made elsewhere
+      if (value.baseUpdatedAt && new Date(existingEntry.updated_at) > value.baseUpdatedAt) {
+        return sendSyncConflict(res, existingEntry, 'This time entry was changed on another device');
+      }
+
+      if (existingEntry.is_locked) {
+        return res.status(409).json({ error: TIME_ENTRY_LOCKED_ERROR });
+      }
+      if (await isTimesheetFrozen(connection, userId, existingEntry.start_time, value.startTime)) {
+        return res.status(409).json({ error: TIMESHEET_FROZEN_ERROR });
+      }
       
       // Get project name if projectId changed
       let projectId = existingEntry.project_id;
@@ -1309,6 +2298,7 @@ app.put('/api/time-entries/:id', authenticateToken, async (req, res) => {
         
         if (projectRows.length > 0) {
           const project = projectRows[0];
+          projectId = project.id;
           projectName = project.name;
           clientId = project.client_id;
           
@@ -1336,18 +2326,40 @@ app.put('/api/time-entries/:id', authenticateToken, async (req, res) => {
         ? value.description
         : existingEntry.description;
 
-      const startTime = Object.prototype.hasOwnProperty.call(value, 'startTime')
+      let startTime = Object.prototype.hasOwnProperty.call(value, 'startTime')
         ? value.startTime
         : existingEntry.start_time;
 
-      const endTime = Object.prototype.hasOwnProperty.call(value, 'endTime')
+      let endTime = Object.prototype.hasOwnProperty.call(value, 'endTime')
         ? value.endTime
         : existingEntry.end_time;
 
-      const duration = Object.prototype.hasOwnProperty.call(value, 'duration')
+      let duration = Object.prototype.hasOwnProperty.call(value, 'duration')
         ? value.duration
         : existingEntry.duration;
 
+      // Only a change to the time range is checked, so older overlaps never block other edits
+      let trimmed = false;
+      if (Object.prototype.hasOwnProperty.call(value, 'startTime') || Object.prototype.hasOwnProperty.call(value, 'endTime')) {
+        const range = await checkTimeEntryOverlap(connection, {
+          userId: existingEntry.user_id,
+          companyId: existingEntry.company_id,
+          startTime,
+          endTime: endTime || null,
+          excludeId: id,
+          resolution: value.overlapResolution
+        });
+        if (range.conflict) {
+          return res.status(409).json(range.conflict);
+        }
+        if (range.trimmed) {
+          ({ startTime, endTime, trimmed } = range);
+          if (endTime) {
+            duration = calculateDuration(startTime, endTime);
+          }
+        }
+      }
+
       const isBillable = Object.prototype.hasOwnProperty.call(value, 'isBillable')
         ? (value.isBillable ? 1 : 0)
         : existingEntry.is_billable;
@@ -1357,13 +2369,24 @@ app.put('/api/time-entries/:id', authenticateToken, async (req, res) => {
       const tags = Object.prototype.hasOwnProperty.call(value, 'tags')
         ? JSON.stringify(value.tags || [])
         : existingEntry.tags;
+
+      // Keep the original rate snapshot unless the entry moves to another project or client
+      let rate = existingEntry.hourly_rate;
+      let rateSource = existingEntry.rate_source;
+      if (!rateSource || projectId !== existingEntry.project_id || clientId !== existingEntry.client_id) {
+        ({ rate, source: rateSource } = await resolveHourlyRate(connection, {
+          projectId,
+          userId: existingEntry.user_id,
+          clientId
+        }));
+      }
       
       // Update entry
       const query = `
         UPDATE time_entries 
         SET project_id = ?, project_name = ?, client_id = ?, client_name = ?, 
             description = ?, start_time = ?, end_time = ?, duration = ?, 
-            is_running = ?, is_billable = ?, tags = ?, updated_at = ?
+            is_running = ?, is_billable = ?, tags = ?, hourly_rate = ?, rate_source = ?, updated_at = ?
         WHERE id = ?
       `;
 
@@ -1379,14 +2402,31 @@ app.put('/api/time-entries/:id', authenticateToken, async (req, res) => {
         isRunning, // is_running
         isBillable, // is_billable
         tags,
+        rate,
+        rateSource,
         new Date(),
         id
       ].map(p => (p === undefined ? null : p));
 
       await connection.execute(query, params);
+      await recordSyncOperation(connection, value.operationId, userId, id, 'update');
+      await recalculateTaskActualHours(connection, await getLinkedTaskIds(connection, id));
+      const [[{ updated_at: updatedAt }]] = await connection.execute(
+        'SELECT updated_at FROM time_entries WHERE id = ?',
+        [id]
+      );
+      await checkProjectBudgetAlerts(projectId);
+      publishTimeEntryChange('updated', {
+        id,
+        userId: existingEntry.user_id,
+        companyId: existingEntry.company_id,
+        projectId
+      });
       
       res.json({
         success: true,
+        trimmed,
+        data: { startTime, endTime: endTime || null, duration, updatedAt },
         message: 'Time entry updated successfully'
       });
     } finally {
@@ -1401,6 +2441,11 @@ app.put('/api/time-entries/:id', authenticateToken, async (req, res) => {
 // Stop a running time entry
 app.post('/api/time-entries/:id/stop', authenticateToken, async (req, res) => {
   try {
+    const { error, value } = timeEntryStopSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
     const { id } = req.params;
     const userId = req.user.uid;
     const companyId = req.user.companyId;
@@ -1425,16 +2470,51 @@ app.post('/api/time-entries/:id/stop', authenticateToken, async (req, res) => {
         return res.status(403).json({ error: 'Access denied' });
       }
 
+      const applied = await getAppliedSyncOperation(connection, value.operationId, userId);
+      if (applied) {
+        return res.json({
+          success: true,
+          data: mapTimeEntryRow(applied),
+          replayed: true,
+          message: 'Time entry already stopped'
+        });
+      }
+      if (!existingEntry.is_running) {
+        // Only a replayed stop needs telling that its end time was not used
+        if (value.operationId) {
+          return sendSyncConflict(res, existingEntry, 'This timer was already stopped elsewhere');
+        }
+        return res.json({
+          success: true,
+          data: mapTimeEntryRow(existingEntry),
+          message: 'Time entry already stopped'
+        });
+      }
+
+      // A stop queued offline keeps the time the user pressed stop, within the entry
       const startTime = new Date(existingEntry.start_time);
-      const endTime = new Date();
+      const now = new Date();
+      const endTime = value.endTime
+        ? new Date(Math.min(Math.max(value.endTime.getTime(), startTime.getTime()), now.getTime()))
+        : now;
       const duration = Math.max(0, Math.floor((endTime.getTime() - startTime.getTime()) / 1000));
+      const { rate, source } = await getEntryRateSnapshot(connection, existingEntry);
 
-      await connection.execute(
-        `UPDATE time_entries
-         SET end_time = ?, duration = ?, is_running = 0, updated_at = ?
-         WHERE id = ?`,
-        [endTime, duration, new Date(), id]
-      );
+      await connection.beginTransaction();
+      try {
+        await connection.execute(
+          `UPDATE time_entries
+           SET end_time = ?, duration = ?, is_running = 0, hourly_rate = ?, rate_source = ?, updated_at = ?
+           WHERE id = ?`,
+          [endTime, duration, rate, source, new Date(), id]
+        );
+        await recordSyncOperation(connection, value.operationId, userId, id, 'stop');
+        await recalculateTaskActualHours(connection, await getLinkedTaskIds(connection, id));
+        await connection.commit();
+      } catch (stopError) {
+        await connection.rollback();
+        throw stopError;
+      }
 
       const [rows] = await connection.execute(
         'SELECT * FROM time_entries WHERE id = ?',
@@ -1442,7 +2522,193 @@ app.post('/api/time-entries/:id/stop', authenticateToken, async (req, res) => {
       );
 
       const row = rows[0];
-      const updated = {
+      const updated = mapTimeEntryRow(row);
+
+      await checkProjectBudgetAlerts(row.project_id);
+      publishTimeEntryChange('updated', updated);
+
+      res.json({
+        success: true,
+        data: updated,
+        message: 'Time entry stopped successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error stopping time entry:', error);
+    res.status(500).json({ error: 'Failed to stop time entry' });
+  }
+});
+
+// Resolve idle time on a running timer. The idle span is cut out of the entry
+// ('discard') or logged against another project ('reassign'), and the timer
+// carries on from when the user came back
+app.post('/api/time-entries/:id/idle', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = idleTimeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.uid;
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const [existingRows] = await connection.execute(
+        'SELECT * FROM time_entries WHERE id = ?',
+        [id]
+      );
+
+      if (existingRows.length === 0) {
+        return res.status(404).json({ error: 'Time entry not found' });
+      }
+
+      const existingEntry = existingRows[0];
+      if (existingEntry.user_id !== userId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (req.user.role !== 'root' && existingEntry.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (existingEntry.is_running !== 1) {
+        return res.status(409).json({ error: 'The timer has already been stopped' });
+      }
+
+      const now = new Date();
+      const entryStart = new Date(existingEntry.start_time);
+      const idleStart = value.idleStart > entryStart ? value.idleStart : entryStart;
+      const idleEnd = value.idleEnd < now ? value.idleEnd : now;
+      if (idleEnd <= idleStart) {
+        return res.status(400).json({ error: 'Idle time must fall within the running timer' });
+      }
+
+      let project = null;
+      let clientName = null;
+      if (value.action === 'reassign') {
+        const [projectRows] = await connection.execute('SELECT * FROM projects WHERE id = ?', [value.projectId]);
+        if (projectRows.length === 0) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+        project = projectRows[0];
+        if (req.user.role !== 'root' && project.company_id !== companyId) {
+          return res.status(403).json({ error: 'Access denied to this project' });
+        }
+        if (project.client_id) {
+          const [clientRows] = await connection.execute('SELECT name FROM clients WHERE id = ?', [project.client_id]);
+          clientName = clientRows.length > 0 ? clientRows[0].name : null;
+        }
+      }
+
+      const { rate, source } = await getEntryRateSnapshot(connection, existingEntry);
+      // Time tracked before going idle stays on the entry, which is stopped there
+      // and continued as a new running entry; otherwise the entry just starts later
+      const keepsStart = idleStart > entryStart;
+      const runningId = keepsStart ? uuidv4() : id;
+      const idleEntryId = project ? uuidv4() : null;
+
+      await connection.beginTransaction();
+      try {
+        if (keepsStart) {
+          await connection.execute(
+            `UPDATE time_entries
+             SET end_time = ?, duration = ?, is_running = 0, hourly_rate = ?, rate_source = ?, updated_at = ?
+             WHERE id = ?`,
+            [idleStart, calculateDuration(entryStart, idleStart), rate, source, now, id]
+          );
+          await connection.execute(
+            `INSERT INTO time_entries (
+              id, user_id, company_id, project_id, project_name, client_id, client_name,
+              description, start_time, end_time, duration, is_running, is_billable, tags,
+              hourly_rate, rate_source, cost_rate, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, 0, 1, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              runningId,
+              existingEntry.user_id,
+              existingEntry.company_id,
+              existingEntry.project_id,
+              existingEntry.project_name,
+              existingEntry.client_id,
+              existingEntry.client_name,
+              existingEntry.description,
+              idleEnd,
+              existingEntry.is_billable,
+              existingEntry.tags,
+              rate,
+              source,
+              existingEntry.cost_rate,
+              now,
+              now
+            ]
+          );
+          // The continued timer is still working on the same tasks
+          await connection.execute(
+            `INSERT INTO task_time_entries (task_id, time_entry_id)
+             SELECT task_id, ? FROM task_time_entries WHERE time_entry_id = ?`,
+            [runningId, id]
+          );
+        } else {
+          await connection.execute(
+            'UPDATE time_entries SET start_time = ?, updated_at = ? WHERE id = ?',
+            [idleEnd, now, id]
+          );
+        }
+
+        if (project) {
+          const projectRate = await resolveHourlyRate(connection, {
+            projectId: project.id,
+            userId,
+            clientId: project.client_id
+          });
+          await connection.execute(
+            `INSERT INTO time_entries (
+              id, user_id, company_id, project_id, project_name, client_id, client_name,
+              description, start_time, end_time, duration, is_running, is_billable, tags,
+              hourly_rate, rate_source, cost_rate, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              idleEntryId,
+              existingEntry.user_id,
+              existingEntry.company_id,
+              project.id,
+              project.name,
+              project.client_id || null,
+              clientName,
+              existingEntry.description,
+              idleStart,
+              idleEnd,
+              calculateDuration(idleStart, idleEnd),
+              existingEntry.is_billable,
+              existingEntry.tags,
+              projectRate.rate,
+              projectRate.source,
+              existingEntry.cost_rate,
+              now,
+              now
+            ]
+          );
+        }
+
+        await connection.commit();
+      } catch (splitError) {
+        await connection.rollback();
+        throw splitError;
+      }
+      if (keepsStart) {
+        await recalculateTaskActualHours(connection, await getLinkedTaskIds(connection, id));
+      }
+
+      const [rows] = await connection.execute(
+        'SELECT * FROM time_entries WHERE id = ?',
+        [runningId]
+      );
+
+      const row = rows[0];
+      const running = {
         id: row.id,
         userId: row.user_id,
         companyId: row.company_id,
@@ -1456,22 +2722,42 @@ app.post('/api/time-entries/:id/stop', authenticateToken, async (req, res) => {
         duration: row.duration,
         isRunning: row.is_running === 1,
         isBillable: row.is_billable === 1,
+        hourlyRate: toRate(row.hourly_rate),
+        rateSource: row.rate_source || null,
         tags: row.tags ? JSON.parse(row.tags) : [],
         createdAt: row.created_at,
         updatedAt: row.updated_at
       };
 
+      const entryRef = {
+        id,
+        userId: existingEntry.user_id,
+        companyId: existingEntry.company_id,
+        projectId: existingEntry.project_id
+      };
+      publishTimeEntryChange('updated', entryRef);
+      if (keepsStart) {
+        await checkProjectBudgetAlerts(existingEntry.project_id);
+        publishTimeEntryChange('created', running);
+      }
+      if (project) {
+        await checkProjectBudgetAlerts(project.id);
+        publishTimeEntryChange('created', { ...entryRef, id: idleEntryId, projectId: project.id });
+      }
+
       res.json({
         success: true,
-        data: updated,
-        message: 'Time entry stopped successfully'
+        data: running,
+        stoppedEntryId: keepsStart ? id : null,
+        idleEntryId,
+        message: project ? `Idle time moved to ${project.name}` : 'Idle time discarded'
       });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error stopping time entry:', error);
-    res.status(500).json({ error: 'Failed to stop time entry' });
+    console.error('Error resolving idle time:', error);
+    res.status(500).json({ error: 'Failed to resolve idle time' });
   }
 });
 
@@ -1502,8 +2788,24 @@ app.delete('/api/time-entries/:id', authenticateToken, async (req, res) => {
       if (req.user.role !== 'root' && existingEntry.company_id !== companyId) {
         return res.status(403).json({ error: 'Access denied' });
       }
+
+      if (existingEntry.is_locked) {
+        return res.status(409).json({ error: TIME_ENTRY_LOCKED_ERROR });
+      }
+      if (await isTimesheetFrozen(connection, userId, existingEntry.start_time)) {
+        return res.status(409).json({ error: TIMESHEET_FROZEN_ERROR });
+      }
       
+      const taskIds = await getLinkedTaskIds(connection, id);
       await connection.execute('DELETE FROM time_entries WHERE id = ?', [id]);
+      await recalculateTaskActualHours(connection, taskIds);
+      await checkProjectBudgetAlerts(existingEntry.project_id);
+      publishTimeEntryChange('deleted', {
+        id,
+        userId: existingEntry.user_id,
+        companyId: existingEntry.company_id,
+        projectId: existingEntry.project_id
+      });
       
       res.json({
         success: true,
@@ -1518,588 +2820,4450 @@ app.delete('/api/time-entries/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Get time entries for a specific user
-app.get('/api/time-entries/user/:userId', authenticateToken, async (req, res) => {
+// Unlock an invoiced time entry so it can be edited again (super_admin only)
+app.post('/api/time-entries/:id/unlock', authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    // Check if user has access to this data
-    if (req.user.uid !== userId && req.user.role !== 'root' && req.user.companyId) {
-      // For non-root users, verify they belong to the same company
-      const connection = await pool.getConnection();
-      try {
-        const [rows] = await connection.execute(
-          'SELECT company_id FROM users WHERE id = ?', 
-          [userId]
-        );
-        
-        if (rows.length === 0 || rows[0].company_id !== req.user.companyId) {
-          return res.status(403).json({ error: 'Access denied' });
-        }
-      } finally {
-        connection.release();
-      }
+    if (!canUnlockTimeEntries(req.user.role)) {
+      return res.status(403).json({ error: 'Only super admins can unlock invoiced time entries' });
     }
-    
+
+    const { id } = req.params;
+    const companyId = req.user.companyId;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
     const connection = await pool.getConnection();
     try {
-      const query = `
-        SELECT * FROM time_entries 
-        WHERE user_id = ?
-        ORDER BY start_time DESC
-      `;
-      
-      const [rows] = await connection.execute(query, [userId]);
-      
-      const timeEntries = rows.map(row => ({
-        id: row.id,
-        userId: row.user_id,
-        companyId: row.company_id,
-        projectId: row.project_id,
-        projectName: row.project_name,
-        clientId: row.client_id,
-        clientName: row.client_name,
-        description: row.description,
-        startTime: row.start_time,
-        endTime: row.end_time,
-        duration: row.duration,
-        isRunning: row.is_running === 1,
-        isBillable: row.is_billable === 1,
-        tags: row.tags ? JSON.parse(row.tags) : [],
-        createdAt: row.created_at,
-        updatedAt: row.updated_at
-      }));
-      
-      res.json({ 
-        success: true, 
-        data: timeEntries,
-        count: timeEntries.length
+      const [existingRows] = await connection.execute(
+        'SELECT * FROM time_entries WHERE id = ?',
+        [id]
+      );
+
+      if (existingRows.length === 0) {
+        return res.status(404).json({ error: 'Time entry not found' });
+      }
+
+      const existingEntry = existingRows[0];
+      if (req.user.role !== 'root' && existingEntry.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!existingEntry.is_locked) {
+        return res.json({ success: true, message: 'Time entry is not locked' });
+      }
+
+      // The unlock and its audit record are written together
+      const now = new Date();
+      await connection.beginTransaction();
+      try {
+        await connection.execute(
+          'UPDATE time_entries SET is_locked = 0, locked_at = NULL, updated_at = ? WHERE id = ?',
+          [now, id]
+        );
+
+        // The invoice link is kept so the entry cannot be billed twice
+        await connection.execute(
+          `INSERT INTO system_logs (
+            timestamp, level, message, user_id, user_name, action, details, ip_address, user_agent
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            now,
+            'warning',
+            `Invoiced time entry ${id} unlocked by ${req.user.name || req.user.email}`,
+            req.user.uid,
+            req.user.name || req.user.email || null,
+            'TIME_ENTRY_UNLOCKED',
+            JSON.stringify({
+              timeEntryId: id,
+              invoiceId: existingEntry.invoice_id || null,
+              entryUserId: existingEntry.user_id,
+              companyId: existingEntry.company_id || null,
+              reason: reason || null
+            }),
+            req.ip || null,
+            req.get('user-agent') || null
+          ]
+        );
+        await connection.commit();
+      } catch (unlockError) {
+        await connection.rollback();
+        throw unlockError;
+      }
+
+      publishTimeEntryChange('updated', {
+        id,
+        userId: existingEntry.user_id,
+        companyId: existingEntry.company_id,
+        projectId: existingEntry.project_id
       });
-      
+
+      res.json({ success: true, message: 'Time entry unlocked successfully' });
     } finally {
       connection.release();
     }
-    
   } catch (error) {
-    console.error('Get time entries by user error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to get time entries' 
-    });
+    console.error('Error unlocking time entry:', error);
+    res.status(500).json({ error: 'Failed to unlock time entry' });
   }
 });
 
-// Get currently running time entry for a user
-app.get('/api/time-entries/user/:userId/running', authenticateToken, async (req, res) => {
-  try {
-    const { userId } = req.params;
-    
-    // Check if user has access to this data
-    if (req.user.uid !== userId && req.user.role !== 'root' && req.user.companyId) {
-      // For non-root users, verify they belong to the same company
-      const connection = await pool.getConnection();
-      try {
-        const [rows] = await connection.execute(
-          'SELECT company_id FROM users WHERE id = ?', 
-          [userId]
+// Weekly timesheets. Days are the user's local calendar days, and each cell is the
+// total of the user's entries for a project (and task) that start on that day
+const TIMESHEET_DAY_START_HOUR = 9;
+
+const addDaysToDate = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+const toLocalDate = (date, timezone) => {
+  const time = new Date(date).getTime();
+  return new Date(time + getTimezoneOffsetMinutes(timezone, new Date(time)) * 60000).toISOString().split('T')[0];
+};
+
+const getLocalDayBounds = (date, timezone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const localMidnight = Date.UTC(year, month - 1, day);
+  const toUtc = (localTime) => new Date(localTime - getTimezoneOffsetMinutes(timezone, new Date(localTime)) * 60000);
+  return { start: toUtc(localMidnight), end: toUtc(localMidnight + DAY_MS) };
+};
+
+// Start of the first gap of at least `seconds` in [from, to) between busy ranges
+// sorted by start, or null when the time does not fit
+const findFreeSlot = (busy, from, to, seconds) => {
+  let candidate = from;
+  for (const range of busy) {
+    if (range.end <= candidate) continue;
+    if (candidate + seconds * 1000 <= range.start) break;
+    candidate = Math.max(candidate, range.end);
+  }
+  return candidate + seconds * 1000 <= to ? candidate : null;
+};
+
+const TIMESHEET_ENTRY_SELECT = `
+  SELECT te.*, tte.task_id, t.title AS task_title
+  FROM time_entries te
+  LEFT JOIN task_time_entries tte ON tte.id = (
+    SELECT MIN(id) FROM task_time_entries WHERE time_entry_id = te.id
+  )
+  LEFT JOIN tasks t ON t.id = tte.task_id`;
+
+const getUserTimezone = async (connection, userId) => {
+  const [rows] = await connection.execute('SELECT timezone FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 ? rows[0].timezone : null;
+};
+
+const buildTimesheetWeek = async (connection, userId, timezone, weekStart) => {
+  const days = Array.from({ length: 7 }, (_, index) => addDaysToDate(weekStart, index));
+  const start = getLocalDayBounds(days[0], timezone).start;
+  const end = getLocalDayBounds(days[6], timezone).end;
+
+  const [entryRows] = await connection.execute(
+    `${TIMESHEET_ENTRY_SELECT}
+     WHERE te.user_id = ? AND te.start_time >= ? AND te.start_time < ?
+     ORDER BY te.start_time ASC`,
+    [userId, start, end]
+  );
+
+  const now = new Date();
+  const rows = new Map();
+  const dailyTotals = Object.fromEntries(days.map(day => [day, 0]));
+
+  for (const entry of entryRows) {
+    const date = toLocalDate(entry.start_time, timezone);
+    const key = `${entry.project_id || ''}:${entry.task_id || ''}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        projectId: entry.project_id || null,
+        projectName: entry.project_name || null,
+        taskId: entry.task_id || null,
+        taskTitle: entry.task_title || null,
+        cells: {}
+      });
+    }
+
+    const cell = rows.get(key).cells[date] || { seconds: 0, entries: 0, isLocked: false, isRunning: false };
+    const seconds = entry.is_running ? calculateDuration(entry.start_time, now) : entry.duration;
+    cell.seconds += Math.max(0, seconds);
+    cell.entries += 1;
+    cell.isLocked = cell.isLocked || entry.is_locked === 1;
+    cell.isRunning = cell.isRunning || entry.is_running === 1;
+    rows.get(key).cells[date] = cell;
+    dailyTotals[date] = (dailyTotals[date] || 0) + Math.max(0, seconds);
+  }
+
+  const [periodRows] = await connection.execute(
+    `${TIMESHEET_PERIOD_SELECT} WHERE tp.user_id = ? AND tp.period_start = ?`,
+    [userId, weekStart]
+  );
+
+  return {
+    weekStart,
+    days,
+    timezone,
+    period: periodRows.length > 0 ? mapTimesheetPeriodRow(periodRows[0]) : null,
+    rows: [...rows.values()].sort((a, b) =>
+      (a.projectName || '').localeCompare(b.projectName || '') || (a.taskTitle || '').localeCompare(b.taskTitle || '')
+    ),
+    dailyTotals,
+    totalSeconds: Object.values(dailyTotals).reduce((sum, seconds) => sum + seconds, 0)
+  };
+};
+
+// Moves a cell to its new total. Time is added by extending the cell's latest entry
+// or, when that would run into other time, as a new entry in the first free slot of
+// the day; time is removed from the latest entries first. Returns an error message
+// when the change cannot be made
+const applyTimesheetCell = async (connection, { userId, companyId, timezone, cell, project, changes }) => {
+  const { start: dayStart, end: dayEnd } = getLocalDayBounds(cell.date, timezone);
+
+  const [dayRows] = await connection.execute(
+    `${TIMESHEET_ENTRY_SELECT}
+     WHERE te.user_id = ? AND te.start_time < ? AND (te.end_time IS NULL OR te.end_time > ?)
+     ORDER BY te.start_time ASC`,
+    [userId, dayEnd, dayStart]
+  );
+
+  const cellEntries = dayRows.filter(row =>
+    new Date(row.start_time) >= dayStart &&
+    (row.project_id || null) === (cell.projectId || null) &&
+    (row.task_id || null) === (cell.taskId || null)
+  );
+  const label = project ? project.name : 'No project';
+
+  if (await isTimesheetFrozen(connection, userId, dayStart)) {
+    return TIMESHEET_FROZEN_ERROR;
+  }
+  if (cellEntries.some(row => row.is_running)) {
+    return `Stop the running timer on ${label} before changing ${cell.date}`;
+  }
+
+  const current = cellEntries.reduce((sum, row) => sum + row.duration, 0);
+  const delta = Math.round(cell.hours * 3600) - current;
+  if (delta === 0) return null;
+
+  const now = new Date();
+
+  if (delta < 0) {
+    let remaining = -delta;
+    for (const row of [...cellEntries].reverse()) {
+      if (remaining === 0) break;
+      if (row.is_locked) {
+        return TIME_ENTRY_LOCKED_ERROR;
+      }
+      if (row.duration <= remaining) {
+        await connection.execute('DELETE FROM time_entries WHERE id = ?', [row.id]);
+        changes.push({ action: 'deleted', row });
+        remaining -= row.duration;
+      } else {
+        const endTime = new Date(new Date(row.end_time).getTime() - remaining * 1000);
+        await connection.execute(
+          'UPDATE time_entries SET end_time = ?, duration = ?, updated_at = ? WHERE id = ?',
+          [endTime, row.duration - remaining, now, row.id]
         );
-        
-        if (rows.length === 0 || rows[0].company_id !== req.user.companyId) {
-          return res.status(403).json({ error: 'Access denied' });
-        }
-      } finally {
-        connection.release();
+        changes.push({ action: 'updated', row });
+        remaining = 0;
       }
     }
-    
+    return null;
+  }
+
+  const busy = dayRows.map(row => ({
+    id: row.id,
+    start: new Date(row.start_time).getTime(),
+    end: row.end_time ? new Date(row.end_time).getTime() : Infinity
+  }));
+
+  const latest = cellEntries[cellEntries.length - 1];
+  if (latest && !latest.is_locked) {
+    const latestEnd = new Date(latest.end_time).getTime();
+    const extendedEnd = latestEnd + delta * 1000;
+    const blocked = busy.some(range => range.id !== latest.id && range.start < extendedEnd && range.end > latestEnd);
+    if (extendedEnd <= dayEnd.getTime() && !blocked) {
+      await connection.execute(
+        'UPDATE time_entries SET end_time = ?, duration = ?, updated_at = ? WHERE id = ?',
+        [new Date(extendedEnd), latest.duration + delta, now, latest.id]
+      );
+      changes.push({ action: 'updated', row: latest });
+      return null;
+    }
+  }
+
+  // New time goes in the working day when it fits there, otherwise anywhere in the day
+  const workdayStart = dayStart.getTime() + TIMESHEET_DAY_START_HOUR * 60 * 60 * 1000;
+  const slotStart = findFreeSlot(busy, workdayStart, dayEnd.getTime(), delta)
+    ?? findFreeSlot(busy, dayStart.getTime(), dayEnd.getTime(), delta);
+  if (slotStart === null) {
+    return `There is not enough free time on ${cell.date} for ${label}`;
+  }
+
+  const [billableRows] = await connection.execute(
+    `SELECT is_billable FROM time_entries
+     WHERE user_id = ? AND project_id <=> ?
+     ORDER BY start_time DESC LIMIT 1`,
+    [userId, cell.projectId || null]
+  );
+  const { rate, source } = await resolveHourlyRate(connection, {
+    projectId: cell.projectId,
+    userId,
+    clientId: project ? project.client_id : null
+  });
+  const costRate = await getUserCostRate(connection, userId);
+  const entryId = uuidv4();
+
+  await connection.execute(
+    `INSERT INTO time_entries (
+      id, user_id, company_id, project_id, project_name, client_id, client_name,
+      description, start_time, end_time, duration, is_running, is_billable, tags,
+      hourly_rate, rate_source, cost_rate, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entryId,
+      userId,
+      companyId,
+      cell.projectId || null,
+      project ? project.name : null,
+      project ? project.client_id || null : null,
+      project ? project.client_name || null : null,
+      new Date(slotStart),
+      new Date(slotStart + delta * 1000),
+      delta,
+      billableRows.length > 0 ? billableRows[0].is_billable : 0,
+      JSON.stringify([]),
+      rate,
+      source,
+      costRate,
+      now,
+      now
+    ]
+  );
+  if (cell.taskId) {
+    await connection.execute(
+      'INSERT INTO task_time_entries (task_id, time_entry_id) VALUES (?, ?)',
+      [cell.taskId, entryId]
+    );
+  }
+  changes.push({ action: 'created', row: { id: entryId, user_id: userId, company_id: companyId, project_id: cell.projectId || null } });
+  return null;
+};
+
+app.get('/api/timesheets/week', authenticateToken, async (req, res) => {
+  try {
+    const { weekStart } = req.query;
+    if (typeof weekStart !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(weekStart)) {
+      return res.status(400).json({ error: 'weekStart must be a date (YYYY-MM-DD)' });
+    }
+
     const connection = await pool.getConnection();
     try {
-      const query = `
-        SELECT * FROM time_entries 
-        WHERE user_id = ? AND is_running = 1
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      
-      const [rows] = await connection.execute(query, [userId]);
-      if (rows.length === 0) {
-        return res.json({ 
-          success: true, 
-          data: null
-        });
-      }
-      
-      const row = rows[0];
-      const timeEntry = {
-        id: row.id,
-        userId: row.user_id,
-        companyId: row.company_id,
-        projectId: row.project_id,
-        projectName: row.project_name,
-        clientId: row.client_id,
-        clientName: row.client_name,
-        description: row.description,
-        startTime: row.start_time,
-        endTime: row.end_time,
-        duration: row.duration,
-        isRunning: row.is_running === 1,
-        isBillable: row.is_billable === 1,
-        tags: [],
-        createdAt: row.created_at,
-        updatedAt: row.updated_at
-      };
-      
-      res.json({ 
-        success: true, 
-        data: timeEntry
-      });
-      
+      const timezone = await getUserTimezone(connection, req.user.uid);
+      const week = await buildTimesheetWeek(connection, req.user.uid, timezone, weekStart);
+      res.json({ success: true, data: week });
     } finally {
       connection.release();
     }
-    
   } catch (error) {
-    console.error('Get running time entry error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to get running time entry' 
-    });
+    console.error('Error fetching timesheet:', error);
+    res.status(500).json({ error: 'Failed to fetch timesheet' });
   }
 });
 
-// Admin Teams API
-app.get('/api/admin/teams', authenticateToken, async (req, res) => {
+// Batch update of a week: each cell sets the total hours for a project/task on a day
+app.put('/api/timesheets/week', authenticateToken, async (req, res) => {
   try {
+    const { error, value } = timesheetWeekSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const userId = req.user.uid;
     const companyId = req.user.companyId;
+    const days = Array.from({ length: 7 }, (_, index) => addDaysToDate(value.weekStart, index));
+    const outsideWeek = value.cells.find(cell => !days.includes(cell.date));
+    if (outsideWeek) {
+      return res.status(400).json({ error: `${outsideWeek.date} is not in the week of ${value.weekStart}` });
+    }
 
     const connection = await pool.getConnection();
     try {
-      let query = 'SELECT * FROM teams WHERE is_active = 1';
-      const params = [];
+      const projectIds = [...new Set(value.cells.map(cell => cell.projectId).filter(Boolean))];
+      const projects = new Map();
+      if (projectIds.length > 0) {
+        const [projectRows] = await connection.execute(
+          `SELECT p.*, c.name AS client_name FROM projects p
+           LEFT JOIN clients c ON c.id = p.client_id
+           WHERE p.id IN (${projectIds.map(() => '?').join(', ')})`,
+          projectIds
+        );
+        projectRows.forEach(row => projects.set(row.id, row));
+      }
+      for (const projectId of projectIds) {
+        const project = projects.get(projectId);
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+        if (req.user.role !== 'root' && project.company_id !== companyId) {
+          return res.status(403).json({ error: 'Access denied to this project' });
+        }
+      }
 
-      // For non-root users, filter by company
-      if (req.user.role !== 'root' && companyId) {
-        query += ' AND company_id = ?';
-        params.push(companyId);
+      const taskIds = [...new Set(value.cells.map(cell => cell.taskId).filter(Boolean))];
+      if (taskIds.length > 0) {
+        const [taskRows] = await connection.execute(
+          `SELECT id, project_id FROM tasks WHERE id IN (${taskIds.map(() => '?').join(', ')})`,
+          taskIds
+        );
+        const taskProjects = new Map(taskRows.map(row => [row.id, row.project_id]));
+        const mismatched = value.cells.find(cell => cell.taskId && taskProjects.get(cell.taskId) !== cell.projectId);
+        if (mismatched) {
+          return res.status(400).json({ error: 'Each task must belong to the project of its row' });
+        }
       }
 
-      query += ' ORDER BY created_at DESC';
+      const timezone = await getUserTimezone(connection, userId);
+      const changes = [];
 
-      const [rows] = await connection.execute(query, params);
-      const teams = rows.map(row => ({
-        id: row.id,
-        name: row.name,
-        description: row.description,
-        leaderId: row.leader_id,
-        leaderName: row.leader_name,
-        leaderEmail: row.leader_email,
-        color: row.color,
-        companyId: row.company_id,
-        isActive: row.is_active === 1,
-        memberCount: row.member_count,
-        createdBy: row.created_by,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at
-      }));
+      await connection.beginTransaction();
+      try {
+        for (const cell of value.cells) {
+          const cellError = await applyTimesheetCell(connection, {
+            userId,
+            companyId,
+            timezone,
+            cell,
+            project: cell.projectId ? projects.get(cell.projectId) : null,
+            changes
+          });
+          if (cellError) {
+            await connection.rollback();
+            return res.status(409).json({ error: cellError, date: cell.date, projectId: cell.projectId, taskId: cell.taskId || null });
+          }
+        }
+        await connection.commit();
+      } catch (batchError) {
+        await connection.rollback();
+        throw batchError;
+      }
 
-      res.json({
-        success: true,
-        data: teams,
-        count: teams.length
-      });
+      for (const { action, row } of changes) {
+        publishTimeEntryChange(action, {
+          id: row.id,
+          userId: row.user_id,
+          companyId: row.company_id,
+          projectId: row.project_id
+        });
+      }
+      for (const projectId of new Set(changes.map(change => change.row.project_id).filter(Boolean))) {
+        await checkProjectBudgetAlerts(projectId);
+      }
+      await recalculateTaskActualHours(connection, value.cells.map(cell => cell.taskId));
+
+      const week = await buildTimesheetWeek(connection, userId, timezone, value.weekStart);
+      res.json({ success: true, data: week, message: 'Timesheet saved successfully' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching teams:', error);
-    res.status(500).json({ error: 'Failed to fetch teams' });
+    console.error('Error saving timesheet:', error);
+    res.status(500).json({ error: 'Failed to save timesheet' });
   }
 });
 
-// Team Stats API
-app.get('/api/teams/:teamId/stats', authenticateToken, async (req, res) => {
+// Timesheet approval. A user submits a week, then HR, an admin or one of their
+// team leaders approves it (freezing its entries) or rejects it with a comment
+const TIMESHEET_PERIOD_SELECT = `
+  SELECT tp.*, DATE_FORMAT(tp.period_start, '%Y-%m-%d') AS period_start_date,
+    DATE_FORMAT(tp.period_end, '%Y-%m-%d') AS period_end_date, u.name AS user_name, u.email AS user_email
+  FROM timesheet_periods tp
+  JOIN users u ON u.id = tp.user_id`;
+
+const mapTimesheetPeriodRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  userName: row.user_name || null,
+  userEmail: row.user_email || null,
+  companyId: row.company_id,
+  periodStart: row.period_start_date,
+  periodEnd: row.period_end_date,
+  status: row.status,
+  totalSeconds: row.total_seconds || 0,
+  submittedAt: row.submitted_at,
+  reviewedBy: row.reviewed_by || null,
+  reviewedByName: row.reviewed_by_name || null,
+  reviewedAt: row.reviewed_at,
+  reviewComment: row.review_comment || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Members of the teams the user leads
+const TEAM_LED_MEMBERS = `
+  SELECT member.user_id FROM team_members leader
+  JOIN team_members member ON member.team_id = leader.team_id AND member.is_active = 1
+  WHERE leader.user_id = ? AND leader.team_role = 'leader' AND leader.is_active = 1`;
+
+// Nobody reviews their own time
+const canReviewTimesheet = async (connection, user, period) => {
+  if (String(user.uid) === String(period.user_id)) return false;
+  if (user.role === 'root') return true;
+  if (period.company_id !== user.companyId) return false;
+  if (isAdminRole(user.role)) return true;
+
+  const [rows] = await connection.execute(
+    `${TEAM_LED_MEMBERS} AND member.user_id = ? LIMIT 1`,
+    [user.uid, period.user_id]
+  );
+  return rows.length > 0;
+};
+
+app.post('/api/timesheets/periods/submit', authenticateToken, async (req, res) => {
   try {
-    const { teamId } = req.params;
+    const { error, value } = timesheetSubmitSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const userId = req.user.uid;
     const companyId = req.user.companyId;
 
     const connection = await pool.getConnection();
     try {
-      const [teamRows] = await connection.execute('SELECT * FROM teams WHERE id = ?', [teamId]);
-      if (teamRows.length === 0) {
-        return res.status(404).json({ error: 'Team not found' });
-      }
-
-      const team = teamRows[0];
-      if (req.user.role !== 'root' && companyId && team.company_id !== companyId) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+      const timezone = await getUserTimezone(connection, userId);
+      const periodEnd = addDaysToDate(value.weekStart, 6);
+      const startsAt = getLocalDayBounds(value.weekStart, timezone).start;
+      const endsAt = getLocalDayBounds(periodEnd, timezone).end;
 
-      const [memberRows] = await connection.execute(
-        'SELECT COUNT(*) AS totalMembers, SUM(CASE WHEN is_active = 1 THEN 1 ELSE 0 END) AS activeMembers FROM team_members WHERE team_id = ?',
-        [teamId]
+      const [existingRows] = await connection.execute(
+        'SELECT * FROM timesheet_periods WHERE user_id = ? AND period_start = ?',
+        [userId, value.weekStart]
       );
+      const existing = existingRows[0];
+      if (existing && ['submitted', 'approved'].includes(existing.status)) {
+        return res.status(409).json({ error: `This week has already been ${existing.status}` });
+      }
 
-      const [taskRows] = await connection.execute(
-        `SELECT
-           COUNT(*) AS totalTasks,
-           SUM(CASE WHEN is_completed = 1 THEN 1 ELSE 0 END) AS completedTasks,
-           SUM(CASE WHEN is_completed = 0 THEN 1 ELSE 0 END) AS inProgressTasks,
-           SUM(CASE WHEN due_date IS NOT NULL AND due_date < CURDATE() AND is_completed = 0 THEN 1 ELSE 0 END) AS overdueTasks
-         FROM tasks
-         WHERE team_id = ?`,
-        [teamId]
+      const [[usage]] = await connection.execute(
+        `SELECT COALESCE(SUM(duration), 0) AS total_seconds, COALESCE(SUM(is_running), 0) AS running
+         FROM time_entries WHERE user_id = ? AND start_time >= ? AND start_time < ?`,
+        [userId, startsAt, endsAt]
       );
-
-      // Time tracking is computed from the team's members.
-      // This ensures time is reflected even if entries aren't linked to tasks.
-      let timeQuery = `
-        SELECT
-          COALESCE(SUM(te.duration), 0) AS totalTimeLogged,
-          COALESCE(SUM(CASE WHEN te.is_billable = 1 THEN te.duration ELSE 0 END), 0) AS billableTimeLogged,
-          COUNT(te.id) AS totalTimeEntries
-        FROM time_entries te
-        WHERE te.user_id IN (
-          SELECT tm.user_id
-          FROM team_members tm
-          WHERE tm.team_id = ? AND tm.is_active = 1
-        )
-      `;
-
-      const timeParams = [teamId];
-      if (req.user.role !== 'root' && companyId) {
-        timeQuery += ' AND te.company_id = ?';
-        timeParams.push(companyId);
+      if (Number(usage.running) > 0) {
+        return res.status(409).json({ error: 'Stop your running timer before submitting this week' });
       }
 
-      const [timeRows] = await connection.execute(timeQuery, timeParams);
-
-      const totalMembers = Number(memberRows[0]?.totalMembers || 0);
-      const activeMembers = Number(memberRows[0]?.activeMembers || 0);
-      const totalTasks = Number(taskRows[0]?.totalTasks || 0);
-      const completedTasks = Number(taskRows[0]?.completedTasks || 0);
-      const inProgressTasks = Number(taskRows[0]?.inProgressTasks || 0);
-      const overdueTasks = Number(taskRows[0]?.overdueTasks || 0);
-      const totalTimeLogged = Number(timeRows[0]?.totalTimeLogged || 0);
-      const billableTimeLogged = Number(timeRows[0]?.billableTimeLogged || 0);
-      const totalTimeEntries = Number(timeRows[0]?.totalTimeEntries || 0);
+      const now = new Date();
+      const periodId = existing ? existing.id : uuidv4();
+      if (existing) {
+        await connection.execute(
+          `UPDATE timesheet_periods
+           SET status = 'submitted', starts_at = ?, ends_at = ?, total_seconds = ?, submitted_at = ?,
+             reviewed_by = NULL, reviewed_by_name = NULL, reviewed_at = NULL, review_comment = NULL, updated_at = ?
+           WHERE id = ?`,
+          [startsAt, endsAt, Number(usage.total_seconds), now, now, periodId]
+        );
+      } else {
+        await connection.execute(
+          `INSERT INTO timesheet_periods (
+            id, user_id, company_id, period_start, period_end, starts_at, ends_at, status,
+            total_seconds, submitted_at, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, 'submitted', ?, ?, ?, ?)`,
+          [periodId, userId, companyId || null, value.weekStart, periodEnd, startsAt, endsAt, Number(usage.total_seconds), now, now, now]
+        );
+      }
 
-      const stats = {
-        totalMembers,
-        activeMembers,
-        totalTasks,
-        completedTasks,
-        inProgressTasks,
-        overdueTasks,
-        totalTimeLogged,
-        averageTaskCompletion: 0,
-        totalHours: totalTimeLogged / 3600,
-        billableHours: billableTimeLogged / 3600,
-        nonBillableHours: (totalTimeLogged - billableTimeLogged) / 3600,
-        totalTimeEntries,
-        averageHoursPerMember: totalMembers > 0 ? (totalTimeLogged / 3600) / totalMembers : 0,
-        timeByProject: []
+      // Team leaders review their members' weeks; without a team it falls to HR and admins
+      const leaderRows = await getMemberTeamLeaders(connection, userId);
+      const notification = {
+        companyId,
+        type: 'info',
+        title: `${req.user.name || req.user.email} submitted a timesheet`,
+        message: `Week of ${value.weekStart}: ${formatTimeFromSeconds(Number(usage.total_seconds))} tracked`,
+        contextType: 'timesheet_period',
+        contextId: periodId
       };
+      if (leaderRows.length > 0) {
+        for (const leader of leaderRows) {
+          await createNotifications(connection, [leader.user_id], { ...notification, actionUrl: `/teams/${leader.team_id}` });
+        }
+      } else if (companyId) {
+        const [reviewerRows] = await connection.execute(
+          `SELECT id FROM users
+           WHERE company_id = ? AND is_active = 1 AND role IN ('hr', 'admin', 'super_admin') AND id <> ?`,
+          [companyId, userId]
+        );
+        await createNotifications(connection, reviewerRows.map(row => row.id), { ...notification, actionUrl: '/admin' });
+      }
 
-      res.json({ success: true, data: stats });
+      const [rows] = await connection.execute(`${TIMESHEET_PERIOD_SELECT} WHERE tp.id = ?`, [periodId]);
+      res.json({ success: true, data: mapTimesheetPeriodRow(rows[0]), message: 'Timesheet submitted for approval' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching team stats:', error);
-    res.status(500).json({ error: 'Failed to fetch team stats' });
+    console.error('Error submitting timesheet:', error);
+    res.status(500).json({ error: 'Failed to submit timesheet' });
   }
 });
 
-// Admin Users API
-app.get('/api/admin/users', authenticateToken, async (req, res) => {
+// Admins and HR see their company's periods; everyone else sees their own and
+// those of the team members they lead
+app.get('/api/timesheets/periods', authenticateToken, async (req, res) => {
   try {
-    const companyId = req.user.companyId;
+    const { status, teamId, userId } = req.query;
+    if (status && !['draft', 'submitted', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
 
     const connection = await pool.getConnection();
     try {
-      let query = 'SELECT * FROM users WHERE is_active = 1';
+      const conditions = [];
       const params = [];
 
-      // For non-root users, filter by company
-      if (req.user.role !== 'root' && companyId) {
-        query += ' AND company_id = ?';
-        params.push(companyId);
+      if (req.user.role !== 'root') {
+        conditions.push('tp.company_id = ?');
+        params.push(req.user.companyId);
+      }
+      if (!isAdminRole(req.user.role)) {
+        conditions.push(`(tp.user_id = ? OR tp.user_id IN (${TEAM_LED_MEMBERS}))`);
+        params.push(req.user.uid, req.user.uid);
+      }
+      if (status) {
+        conditions.push('tp.status = ?');
+        params.push(status);
+      }
+      if (teamId) {
+        conditions.push('tp.user_id IN (SELECT user_id FROM team_members WHERE team_id = ? AND is_active = 1)');
+        params.push(teamId);
+      }
+      if (userId) {
+        conditions.push('tp.user_id = ?');
+        params.push(userId);
       }
 
-      query += ' ORDER BY created_at DESC';
-
-      const [rows] = await connection.execute(query, params);
-      const users = rows.map(row => ({
-        id: row.id,
-        uid: row.uid,
-        name: row.name,
-        email: row.email,
-        role: row.role,
-        companyId: row.company_id,
-        teamId: row.team_id,
-        teamRole: row.team_role,
-        avatar: row.avatar,
-        timezone: row.timezone,
-        hourlyRate: row.hourly_rate,
-        isActive: row.is_active === 1,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at
-      }));
+      const [rows] = await connection.execute(
+        `${TIMESHEET_PERIOD_SELECT}
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY tp.period_start DESC, u.name ASC`,
+        params
+      );
+      const periods = rows.map(mapTimesheetPeriodRow);
 
-      res.json({
-        success: true,
-        data: users,
-        count: users.length
-      });
+      res.json({ success: true, data: periods, count: periods.length });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ error: 'Failed to fetch users' });
+    console.error('Error fetching timesheet periods:', error);
+    res.status(500).json({ error: 'Failed to fetch timesheet periods' });
   }
 });
 
-// Projects API
-const mapProjectRow = (row) => ({
-  id: row.id,
-  name: row.name,
-  description: row.description,
-  color: row.color,
-  status: row.status,
-  priority: row.priority,
-  startDate: row.start_date,
-  endDate: row.end_date,
-  budget: row.budget,
-  clientId: row.client_id,
-  clientName: row.client_name,
-  isArchived: row.is_archived === 1,
-  createdBy: row.created_by,
-  createdAt: row.created_at,
-  updatedAt: row.updated_at
-});
-
-app.get('/api/projects', authenticateToken, async (req, res) => {
+// A period with the entries it covers, for the owner and their reviewers
+app.get('/api/timesheets/periods/:id', authenticateToken, async (req, res) => {
   try {
-    const companyId = req.user.companyId;
-    const includeArchived = req.query.archived === '1' || req.query.archived === 'true';
-    
     const connection = await pool.getConnection();
     try {
-      let query = 'SELECT * FROM projects WHERE is_archived = ?';
-      const params = [includeArchived ? 1 : 0];
-      
-      // For non-root users, filter by company
-      if (req.user.role !== 'root' && companyId) {
-        query += ' AND company_id = ?';
-        params.push(companyId);
+      const [rows] = await connection.execute(`${TIMESHEET_PERIOD_SELECT} WHERE tp.id = ?`, [req.params.id]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Timesheet not found' });
       }
-      
-      query += ' ORDER BY created_at DESC';
-      
-      const [rows] = await connection.execute(query, params);
-      const projects = rows.map(mapProjectRow);
-      
-      res.json({
-        success: true,
-        data: projects,
-        count: projects.length
-      });
-    } finally {
-      connection.release();
-    }
-  } catch (error) {
-    console.error('Error fetching projects:', error);
-    res.status(500).json({ error: 'Failed to fetch projects' });
-  }
-});
-
-// Clients API
-const mapClientRow = (row) => ({
-  id: row.id,
-  name: row.name,
-  email: row.email,
-  country: row.country,
-  timezone: row.timezone,
-  clientType: row.client_type,
-  hourlyRate: row.hourly_rate,
-  hoursPerWeek: row.hours_per_week,
-  startDate: row.start_date,
-  endDate: row.end_date,
-  phone: row.phone,
-  company: row.company,
-  address: row.address,
-  currency: row.currency,
-  isArchived: row.is_archived === 1,
-  createdBy: row.created_by,
-  companyId: row.company_id,
-  createdAt: row.created_at,
-  updatedAt: row.updated_at
-});
-
-app.get('/api/clients/company/:companyId', authenticateToken, async (req, res) => {
-  try {
-    const { companyId } = req.params;
 
-    // Non-root users can only access their own company
-    if (req.user.role !== 'root' && req.user.companyId && req.user.companyId !== companyId) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+      const period = rows[0];
+      const isOwner = String(period.user_id) === String(req.user.uid);
+      if (!isOwner && !(await canReviewTimesheet(connection, req.user, period))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
 
-    const connection = await pool.getConnection();
-    try {
-      const [rows] = await connection.execute(
-        'SELECT * FROM clients WHERE company_id = ? ORDER BY created_at DESC',
-        [companyId]
+      const [entryRows] = await connection.execute(
+        `SELECT * FROM time_entries
+         WHERE user_id = ? AND start_time >= ? AND start_time < ?
+         ORDER BY start_time ASC`,
+        [period.user_id, period.starts_at, period.ends_at]
       );
+      const entries = entryRows.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        projectId: row.project_id,
+        projectName: row.project_name,
+        clientName: row.client_name,
+        description: row.description,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        duration: row.duration,
+        isRunning: row.is_running === 1,
+        isBillable: row.is_billable === 1,
+        approvedAt: row.approved_at || null,
+        tags: row.tags ? JSON.parse(row.tags) : []
+      }));
 
-      const clients = rows.map(mapClientRow);
-
-      res.json({
-        success: true,
-        data: clients,
-        count: clients.length
-      });
+      res.json({ success: true, data: { ...mapTimesheetPeriodRow(period), entries } });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching clients for company:', error);
-    res.status(500).json({ error: 'Failed to fetch clients' });
+    console.error('Error fetching timesheet period:', error);
+    res.status(500).json({ error: 'Failed to fetch timesheet period' });
   }
 });
 
-app.get('/api/clients', authenticateToken, async (req, res) => {
+// Approving freezes the week's entries; rejecting (also possible after approval)
+// sends the week back to the user with a comment and unfreezes it
+app.post('/api/timesheets/periods/:id/review', authenticateToken, async (req, res) => {
   try {
-    const companyId = req.user.companyId;
+    const { error, value } = timesheetReviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
 
     const connection = await pool.getConnection();
     try {
-      let query = 'SELECT * FROM clients';
-      const params = [];
+      const [periodRows] = await connection.execute('SELECT * FROM timesheet_periods WHERE id = ?', [req.params.id]);
+      if (periodRows.length === 0) {
+        return res.status(404).json({ error: 'Timesheet not found' });
+      }
 
-      // For non-root users, filter by company
-      if (req.user.role !== 'root' && companyId) {
-        query += ' WHERE company_id = ?';
-        params.push(companyId);
+      const period = periodRows[0];
+      if (!(await canReviewTimesheet(connection, req.user, period))) {
+        return res.status(403).json({ error: 'Access denied' });
       }
 
-      query += ' ORDER BY created_at DESC';
+      const allowedFrom = value.action === 'approve' ? ['submitted'] : ['submitted', 'approved'];
+      if (!allowedFrom.includes(period.status)) {
+        return res.status(409).json({ error: `A ${period.status} timesheet cannot be ${value.action === 'approve' ? 'approved' : 'rejected'}` });
+      }
 
-      const [rows] = await connection.execute(query, params);
-      const clients = rows.map(mapClientRow);
+      const now = new Date();
+      const status = value.action === 'approve' ? 'approved' : 'rejected';
+      await connection.beginTransaction();
+      try {
+        await connection.execute(
+          `UPDATE timesheet_periods
+           SET status = ?, reviewed_by = ?, reviewed_by_name = ?, reviewed_at = ?, review_comment = ?, updated_at = ?
+           WHERE id = ?`,
+          [status, req.user.uid, req.user.name || req.user.email || null, now, value.comment || null, now, period.id]
+        );
 
-      res.json({
-        success: true,
-        data: clients,
-        count: clients.length
+        if (status === 'approved') {
+          await connection.execute(
+            `UPDATE time_entries SET approved_at = ?, timesheet_period_id = ?
+             WHERE user_id = ? AND is_running = 0 AND start_time >= ? AND start_time < ?`,
+            [now, period.id, period.user_id, period.starts_at, period.ends_at]
+          );
+        } else {
+          await connection.execute(
+            'UPDATE time_entries SET approved_at = NULL, timesheet_period_id = NULL WHERE timesheet_period_id = ?',
+            [period.id]
+          );
+        }
+
+        await connection.commit();
+      } catch (reviewError) {
+        await connection.rollback();
+        throw reviewError;
+      }
+
+      const [rows] = await connection.execute(`${TIMESHEET_PERIOD_SELECT} WHERE tp.id = ?`, [period.id]);
+      const updated = mapTimesheetPeriodRow(rows[0]);
+
+      await createNotifications(connection, [period.user_id], {
+        companyId: period.company_id,
+        type: status === 'approved' ? 'success' : 'warning',
+        title: `Your timesheet for the week of ${updated.periodStart} was ${status}`,
+        message: value.comment || null,
+        actionUrl: '/tracker',
+        contextType: 'timesheet_period',
+        contextId: period.id
       });
+
+      res.json({ success: true, data: updated, message: `Timesheet ${status}` });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching clients:', error);
-    res.status(500).json({ error: 'Failed to fetch clients' });
+    console.error('Error reviewing timesheet:', error);
+    res.status(500).json({ error: 'Failed to review timesheet' });
   }
 });
 
-app.post('/api/clients', authenticateToken, async (req, res) => {
+// Get time entries for a specific user
+app.get('/api/time-entries/user/:userId', authenticateToken, async (req, res) => {
   try {
-    const { error, value } = clientSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
+    const { userId } = req.params;
+    
+    // Check if user has access to this data
+    if (req.user.uid !== userId && req.user.role !== 'root' && req.user.companyId) {
+      // For non-root users, verify they belong to the same company
+      const connection = await pool.getConnection();
+      try {
+        const [rows] = await connection.execute(
+          'SELECT company_id FROM users WHERE id = ?', 
+          [userId]
+        );
+        
+        if (rows.length === 0 || rows[0].company_id !== req.user.companyId) {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+      } finally {
+        connection.release();
+      }
     }
-
-    const userId = req.user.uid;
-    const companyId = req.user.companyId;
-    const now = new Date();
-    const clientId = uuidv4();
-
+    
     const connection = await pool.getConnection();
     try {
       const query = `
-        INSERT INTO clients (
-          id, name, email, country, timezone, client_type, hourly_rate, hours_per_week,
-          start_date, end_date, phone, company, address, currency, is_archived,
-          created_by, company_id, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        SELECT * FROM time_entries 
+        WHERE user_id = ?
+        ORDER BY start_time DESC
       `;
-
-      await connection.execute(query, [
-        clientId,
-        value.name,
-        value.email || null,
-        value.country || null,
-        value.timezone || null,
-        value.clientType || 'full-time',
-        value.hourlyRate !== undefined ? value.hourlyRate : 25,
-        value.hoursPerWeek !== undefined ? value.hoursPerWeek : null,
-        value.startDate || null,
-        value.endDate || null,
-        value.phone || null,
-        value.company || null,
-        value.address || null,
-        value.currency || null,
-        0,
-        userId,
-        companyId,
-        now,
-        now
-      ]);
-      const [rows] = await connection.execute('SELECT * FROM clients WHERE id = ?', [clientId]);
-      const row = rows[0];
-
-      const client = {
+      
+      const [rows] = await connection.execute(query, [userId]);
+      
+      const timeEntries = rows.map(row => ({
         id: row.id,
-        name: row.name,
-        email: row.email,
-        country: row.country,
-        timezone: row.timezone,
-        clientType: row.client_type,
-        hourlyRate: row.hourly_rate,
-        hoursPerWeek: row.hours_per_week,
-        startDate: row.start_date,
-        endDate: row.end_date,
-        phone: row.phone,
-        company: row.company,
-        address: row.address,
-        currency: row.currency,
-        isArchived: row.is_archived === 1,
-        createdBy: row.created_by,
+        userId: row.user_id,
+        companyId: row.company_id,
+        projectId: row.project_id,
+        projectName: row.project_name,
+        clientId: row.client_id,
+        clientName: row.client_name,
+        description: row.description,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        duration: row.duration,
+        isRunning: row.is_running === 1,
+        isBillable: row.is_billable === 1,
+        isLocked: row.is_locked === 1,
+        invoiceId: row.invoice_id || null,
+        approvedAt: row.approved_at || null,
+        hourlyRate: toRate(row.hourly_rate),
+        rateSource: row.rate_source || null,
+        tags: row.tags ? JSON.parse(row.tags) : [],
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
+      
+      res.json({ 
+        success: true, 
+        data: timeEntries,
+        count: timeEntries.length
+      });
+      
+    } finally {
+      connection.release();
+    }
+    
+  } catch (error) {
+    console.error('Get time entries by user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to get time entries' 
+    });
+  }
+});
+
+// Get currently running time entry for a user
+app.get('/api/time-entries/user/:userId/running', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    // Check if user has access to this data
+    if (req.user.uid !== userId && req.user.role !== 'root' && req.user.companyId) {
+      // For non-root users, verify they belong to the same company
+      const connection = await pool.getConnection();
+      try {
+        const [rows] = await connection.execute(
+          'SELECT company_id FROM users WHERE id = ?', 
+          [userId]
+        );
+        
+        if (rows.length === 0 || rows[0].company_id !== req.user.companyId) {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+      } finally {
+        connection.release();
+      }
+    }
+    
+    const connection = await pool.getConnection();
+    try {
+      const query = `
+        SELECT te.*, (
+          SELECT task_id FROM task_time_entries WHERE time_entry_id = te.id ORDER BY id LIMIT 1
+        ) AS task_id
+        FROM time_entries te
+        WHERE te.user_id = ? AND te.is_running = 1
+        ORDER BY te.created_at DESC
+        LIMIT 1
+      `;
+      
+      const [rows] = await connection.execute(query, [userId]);
+      if (rows.length === 0) {
+        return res.json({ 
+          success: true, 
+          data: null
+        });
+      }
+      
+      const row = rows[0];
+      const timeEntry = {
+        id: row.id,
+        userId: row.user_id,
+        companyId: row.company_id,
+        projectId: row.project_id,
+        projectName: row.project_name,
+        clientId: row.client_id,
+        clientName: row.client_name,
+        description: row.description,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        duration: row.duration,
+        isRunning: row.is_running === 1,
+        isBillable: row.is_billable === 1,
+        isLocked: row.is_locked === 1,
+        invoiceId: row.invoice_id || null,
+        approvedAt: row.approved_at || null,
+        hourlyRate: toRate(row.hourly_rate),
+        rateSource: row.rate_source || null,
+        taskId: row.task_id || null,
+        tags: [],
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      };
+      
+      res.json({ 
+        success: true, 
+        data: timeEntry
+      });
+      
+    } finally {
+      connection.release();
+    }
+    
+  } catch (error) {
+    console.error('Get running time entry error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to get running time entry' 
+    });
+  }
+});
+
+// Admin Teams API
+app.get('/api/admin/teams', authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM teams WHERE is_active = 1';
+      const params = [];
+
+      // For non-root users, filter by company
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND company_id = ?';
+        params.push(companyId);
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const [rows] = await connection.execute(query, params);
+      const teams = rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        leaderId: row.leader_id,
+        leaderName: row.leader_name,
+        leaderEmail: row.leader_email,
+        color: row.color,
         companyId: row.company_id,
+        isActive: row.is_active === 1,
+        memberCount: row.member_count,
+        createdBy: row.created_by,
         createdAt: row.created_at,
         updatedAt: row.updated_at
+      }));
+
+      res.json({
+        success: true,
+        data: teams,
+        count: teams.length
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ error: 'Failed to fetch teams' });
+  }
+});
+
+// Team Stats API
+app.get('/api/teams/:teamId/stats', authenticateToken, async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const [teamRows] = await connection.execute('SELECT * FROM teams WHERE id = ?', [teamId]);
+      if (teamRows.length === 0) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+
+      const team = teamRows[0];
+      if (req.user.role !== 'root' && companyId && team.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const [memberRows] = await connection.execute(
+        'SELECT COUNT(*) AS totalMembers, SUM(CASE WHEN is_active = 1 THEN 1 ELSE 0 END) AS activeMembers FROM team_members WHERE team_id = ?',
+        [teamId]
+      );
+
+      const [taskRows] = await connection.execute(
+        `SELECT
+           COUNT(*) AS totalTasks,
+           SUM(CASE WHEN is_completed = 1 THEN 1 ELSE 0 END) AS completedTasks,
+           SUM(CASE WHEN is_completed = 0 THEN 1 ELSE 0 END) AS inProgressTasks,
+           SUM(CASE WHEN due_date IS NOT NULL AND due_date < CURDATE() AND is_completed = 0 THEN 1 ELSE 0 END) AS overdueTasks
+         FROM tasks
+         WHERE team_id = ?`,
+        [teamId]
+      );
+
+      // Time tracking is computed from the team's members.
+      // This ensures time is reflected even if entries aren't linked to tasks.
+      let timeQuery = `
+        SELECT
+          COALESCE(SUM(te.duration), 0) AS totalTimeLogged,
+          COALESCE(SUM(CASE WHEN te.is_billable = 1 THEN te.duration ELSE 0 END), 0) AS billableTimeLogged,
+          COUNT(te.id) AS totalTimeEntries
+        FROM time_entries te
+        WHERE te.user_id IN (
+          SELECT tm.user_id
+          FROM team_members tm
+          WHERE tm.team_id = ? AND tm.is_active = 1
+        )
+      `;
+
+      const timeParams = [teamId];
+      if (req.user.role !== 'root' && companyId) {
+        timeQuery += ' AND te.company_id = ?';
+        timeParams.push(companyId);
+      }
+
+      const [timeRows] = await connection.execute(timeQuery, timeParams);
+
+      const totalMembers = Number(memberRows[0]?.totalMembers || 0);
+      const activeMembers = Number(memberRows[0]?.activeMembers || 0);
+      const totalTasks = Number(taskRows[0]?.totalTasks || 0);
+      const completedTasks = Number(taskRows[0]?.completedTasks || 0);
+      const inProgressTasks = Number(taskRows[0]?.inProgressTasks || 0);
+      const overdueTasks = Number(taskRows[0]?.overdueTasks || 0);
+      const totalTimeLogged = Number(timeRows[0]?.totalTimeLogged || 0);
+      const billableTimeLogged = Number(timeRows[0]?.billableTimeLogged || 0);
+      const totalTimeEntries = Number(timeRows[0]?.totalTimeEntries || 0);
+
+      const stats = {
+        totalMembers,
+        activeMembers,
+        totalTasks,
+        completedTasks,
+        inProgressTasks,
+        overdueTasks,
+        totalTimeLogged,
+        averageTaskCompletion: 0,
+        totalHours: totalTimeLogged / 3600,
+        billableHours: billableTimeLogged / 3600,
+        nonBillableHours: (totalTimeLogged - billableTimeLogged) / 3600,
+        totalTimeEntries,
+        averageHoursPerMember: totalMembers > 0 ? (totalTimeLogged / 3600) / totalMembers : 0,
+        timeByProject: []
       };
 
-      res.status(201).json({
-        success: true,
-        data: client,
-        message: 'Client created successfully'
-      });
+      res.json({ success: true, data: stats });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching team stats:', error);
+    res.status(500).json({ error: 'Failed to fetch team stats' });
+  }
+});
+
+// Admin Users API
+app.get('/api/admin/users', authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM users WHERE is_active = 1';
+      const params = [];
+
+      // For non-root users, filter by company
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND company_id = ?';
+        params.push(companyId);
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const [rows] = await connection.execute(query, params);
+      const users = rows.map(row => ({
+        id: row.id,
+        uid: row.uid,
+        name: row.name,
+        email: row.email,
+        role: row.role,
+        companyId: row.company_id,
+        teamId: row.team_id,
+        teamRole: row.team_role,
+        avatar: row.avatar,
+        timezone: row.timezone,
+        hourlyRate: row.hourly_rate,
+        ...(canViewRates(req.user.role) ? { costRate: toRate(row.cost_rate) } : {}),
+        isActive: row.is_active === 1,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
+
+      res.json({
+        success: true,
+        data: users,
+        count: users.length
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Projects API
+const mapProjectRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  color: row.color,
+  status: row.status,
+  priority: row.priority,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  budget: row.budget,
+  budgetAlertThresholds: parseBudgetThresholds(row.budget_alert_thresholds),
+  hourlyRate: toRate(row.hourly_rate),
+  clientId: row.client_id,
+  clientName: row.client_name,
+  isArchived: row.is_archived === 1,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const DEFAULT_BUDGET_ALERT_THRESHOLDS = [50, 80, 100];
+
+const parseBudgetThresholds = (value) => {
+  if (value === null || value === undefined) {
+    return DEFAULT_BUDGET_ALERT_THRESHOLDS;
+  }
+  return String(value)
+    .split(',')
+    .map(Number)
+    .filter(threshold => Number.isInteger(threshold) && threshold > 0)
+    .sort((a, b) => a - b);
+};
+
+const toRate = (value) => (value !== null && value !== undefined ? Number(value) : null);
+
+// What an hour of the user's time costs the company, snapshotted like billable rates
+const getUserCostRate = async (connection, userId) => {
+  const [rows] = await connection.execute('SELECT cost_rate FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 ? toRate(rows[0].cost_rate) : null;
+};
+
+// Entries keep the rate captured when they were logged; older ones are priced now
+const getEntryRateSnapshot = async (connection, entry) => {
+  if (entry.rate_source) {
+    return { rate: toRate(entry.hourly_rate), source: entry.rate_source };
+  }
+  return resolveHourlyRate(connection, {
+    projectId: entry.project_id,
+    userId: entry.user_id,
+    clientId: entry.client_id
+  });
+};
+
+// Billable rates from most to least specific: the user's rate on the project, the
+// project rate, the user's own rate, then the client rate
+const resolveHourlyRate = async (connection, { projectId, userId, clientId }) => {
+  if (projectId && userId) {
+    const [userRateRows] = await connection.execute(
+      'SELECT hourly_rate FROM project_user_rates WHERE project_id = ? AND user_id = ?',
+      [projectId, userId]
+    );
+    if (userRateRows.length > 0) {
+      return { rate: toRate(userRateRows[0].hourly_rate), source: 'project_user' };
+    }
+  }
+
+  let rateClientId = clientId || null;
+  if (projectId) {
+    const [projectRows] = await connection.execute('SELECT hourly_rate, client_id FROM projects WHERE id = ?', [projectId]);
+    if (projectRows.length > 0) {
+      if (projectRows[0].hourly_rate !== null) {
+        return { rate: toRate(projectRows[0].hourly_rate), source: 'project' };
+      }
+      rateClientId = rateClientId || projectRows[0].client_id;
+    }
+  }
+
+  if (userId) {
+    const [userRows] = await connection.execute('SELECT hourly_rate FROM users WHERE id = ?', [userId]);
+    if (userRows.length > 0 && userRows[0].hourly_rate !== null) {
+      return { rate: toRate(userRows[0].hourly_rate), source: 'user' };
+    }
+  }
+
+  if (rateClientId) {
+    const [clientRows] = await connection.execute('SELECT hourly_rate FROM clients WHERE id = ?', [rateClientId]);
+    if (clientRows.length > 0 && clientRows[0].hourly_rate !== null) {
+      return { rate: toRate(clientRows[0].hourly_rate), source: 'client' };
+    }
+  }
+
+  return { rate: null, source: null };
+};
+
+// Spend is tracked time priced at each entry's rate snapshot; entries logged before
+// snapshots existed fall back to the current rate hierarchy. Running timers are left
+// out until stopped
+const getProjectBudgetBurn = async (connection, project) => {
+  const [[usage]] = await connection.execute(
+    `SELECT COALESCE(SUM(te.duration), 0) AS seconds,
+       COALESCE(SUM(te.duration * COALESCE(te.hourly_rate, pur.hourly_rate, p.hourly_rate, u.hourly_rate, c.hourly_rate, 0)), 0) / 3600 AS spent
+     FROM time_entries te
+     INNER JOIN projects p ON p.id = te.project_id
+     LEFT JOIN project_user_rates pur ON pur.project_id = te.project_id AND pur.user_id = te.user_id
+     LEFT JOIN users u ON u.id = te.user_id
+     LEFT JOIN clients c ON c.id = p.client_id
+     WHERE te.project_id = ? AND te.is_running = 0`,
+    [project.id]
+  );
+  let currency = 'USD';
+  if (project.client_id) {
+    const [clientRows] = await connection.execute('SELECT currency FROM clients WHERE id = ?', [project.client_id]);
+    if (clientRows.length > 0 && clientRows[0].currency) {
+      currency = clientRows[0].currency;
+    }
+  }
+  const decimals = getCurrencyDecimals(currency);
+  const budget = project.budget !== null && project.budget !== undefined ? Number(project.budget) : null;
+  const spent = roundAmount(Number(usage.spent || 0), decimals);
+
+  return {
+    projectId: project.id,
+    projectName: project.name,
+    budget,
+    spent,
+    remaining: budget !== null ? roundAmount(budget - spent, decimals) : null,
+    percentUsed: budget ? roundAmount((spent / budget) * 100) : null,
+    trackedHours: roundAmount(Number(usage.seconds || 0) / 3600),
+    currency,
+    thresholds: parseBudgetThresholds(project.budget_alert_thresholds)
+  };
+};
+
+// Announces each threshold once; thresholds that are no longer reached (after a
+// budget increase or removed time) are cleared so they can fire again later
+const checkProjectBudgetAlerts = async (projectId) => {
+  if (!projectId) return;
+
+  const connection = await pool.getConnection();
+  try {
+    const [projectRows] = await connection.execute('SELECT * FROM projects WHERE id = ?', [projectId]);
+    if (projectRows.length === 0 || !Number(projectRows[0].budget)) return;
+
+    const project = projectRows[0];
+    const burn = await getProjectBudgetBurn(connection, project);
+
+    await connection.execute(
+      'DELETE FROM project_budget_alerts WHERE project_id = ? AND threshold > ?',
+      [projectId, burn.percentUsed]
+    );
+
+    const [alertRows] = await connection.execute(
+      'SELECT threshold FROM project_budget_alerts WHERE project_id = ?',
+      [projectId]
+    );
+    const announced = new Set(alertRows.map(row => row.threshold));
+    // A concurrent check may record the same threshold first; only the one whose
+    // row went in announces it
+    const crossed = [];
+    for (const threshold of burn.thresholds.filter(value => value <= burn.percentUsed && !announced.has(value))) {
+      const [result] = await connection.execute(
+        'INSERT IGNORE INTO project_budget_alerts (project_id, threshold, percent_used, triggered_at) VALUES (?, ?, ?, ?)',
+        [projectId, threshold, burn.percentUsed, new Date()]
+      );
+      if (result.affectedRows > 0) {
+        crossed.push(threshold);
+      }
+    }
+    if (crossed.length === 0) return;
+
+    // Project admins are the project's creator and the company's admins
+    const [recipientRows] = await connection.execute(
+      `SELECT id FROM users
+       WHERE is_active = 1 AND (id = ? OR (company_id = ? AND role IN ('admin', 'super_admin')))`,
+      [project.created_by, project.company_id]
+    );
+
+    const threshold = Math.max(...crossed);
+    const decimals = getCurrencyDecimals(burn.currency);
+    await createNotifications(connection, recipientRows.map(row => row.id), {
+      companyId: project.company_id,
+      type: threshold >= 100 ? 'error' : threshold >= 80 ? 'warning' : 'info',
+      title: threshold >= 100 ? `${project.name} is over budget` : `${project.name} reached ${threshold}% of its budget`,
+      message: `${burn.spent.toFixed(decimals)} of ${burn.budget.toFixed(decimals)} ${burn.currency} used (${burn.percentUsed}%)`,
+      actionUrl: '/projects',
+      contextType: 'project_budget',
+      contextId: project.id
+    });
+  } catch (error) {
+    // Alerts must never fail the time entry or project change that triggered them
+    console.error('Error checking project budget alerts:', error);
+  } finally {
+    connection.release();
+  }
+};
+
+app.get('/api/projects/budgets', authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM projects WHERE is_archived = 0 AND budget > 0';
+      const params = [];
+
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND company_id = ?';
+        params.push(companyId);
+      }
+
+      const [rows] = await connection.execute(query, params);
+      const budgets = [];
+      for (const row of rows) {
+        budgets.push(await getProjectBudgetBurn(connection, row));
+      }
+
+      res.json({ success: true, data: budgets, count: budgets.length });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching project budgets:', error);
+    res.status(500).json({ error: 'Failed to fetch project budgets' });
+  }
+});
+
+app.get('/api/projects/:id/budget', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const [rows] = await connection.execute('SELECT * FROM projects WHERE id = ?', [id]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (req.user.role !== 'root' && companyId && rows[0].company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      res.json({ success: true, data: await getProjectBudgetBurn(connection, rows[0]) });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching project budget:', error);
+    res.status(500).json({ error: 'Failed to fetch project budget' });
+  }
+});
+
+const mapProjectUserRateRow = (row) => ({
+  projectId: row.project_id,
+  userId: row.user_id,
+  userName: row.user_name || null,
+  hourlyRate: toRate(row.hourly_rate),
+  updatedAt: row.updated_at
+});
+
+// Per-user rates on a project (admins only); they override every other rate
+app.get('/api/projects/:id/rates', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { id } = req.params;
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const [projectRows] = await connection.execute('SELECT company_id FROM projects WHERE id = ?', [id]);
+      if (projectRows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (req.user.role !== 'root' && companyId && projectRows[0].company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const [rows] = await connection.execute(
+        `SELECT pur.*, u.name AS user_name
+         FROM project_user_rates pur
+         INNER JOIN users u ON u.id = pur.user_id
+         WHERE pur.project_id = ?
+         ORDER BY u.name ASC`,
+        [id]
+      );
+
+      const rates = rows.map(mapProjectUserRateRow);
+      res.json({ success: true, data: rates, count: rates.length });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching project rates:', error);
+    res.status(500).json({ error: 'Failed to fetch project rates' });
+  }
+});
+
+// Replaces the project's per-user rates; entries already logged keep their snapshot
+app.put('/api/projects/:id/rates', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { error, value } = projectUserRatesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { id } = req.params;
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const [projectRows] = await connection.execute('SELECT company_id FROM projects WHERE id = ?', [id]);
+      if (projectRows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      const project = projectRows[0];
+      if (req.user.role !== 'root' && companyId && project.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const userIds = value.rates.map(rate => rate.userId);
+      if (userIds.length) {
+        const [userRows] = await connection.execute(
+          `SELECT id, company_id FROM users WHERE id IN (${userIds.map(() => '?').join(', ')})`,
+          userIds
+        );
+        if (userRows.length !== userIds.length || userRows.some(user => user.company_id !== project.company_id)) {
+          return res.status(400).json({ error: 'One or more users are invalid' });
+        }
+      }
+
+      await connection.beginTransaction();
+      try {
+        await connection.execute('DELETE FROM project_user_rates WHERE project_id = ?', [id]);
+        for (const rate of value.rates) {
+          await connection.execute(
+            'INSERT INTO project_user_rates (project_id, user_id, hourly_rate) VALUES (?, ?, ?)',
+            [id, rate.userId, rate.hourlyRate]
+          );
+        }
+        await connection.commit();
+      } catch (saveError) {
+        await connection.rollback();
+        throw saveError;
+      }
+
+      const [rows] = await connection.execute(
+        `SELECT pur.*, u.name AS user_name
+         FROM project_user_rates pur
+         INNER JOIN users u ON u.id = pur.user_id
+         WHERE pur.project_id = ?
+         ORDER BY u.name ASC`,
+        [id]
+      );
+
+      const rates = rows.map(mapProjectUserRateRow);
+      res.json({ success: true, data: rates, count: rates.length, message: 'Project rates updated successfully' });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error updating project rates:', error);
+    res.status(500).json({ error: 'Failed to update project rates' });
+  }
+});
+
+app.get('/api/projects', authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.user.companyId;
+    const includeArchived = req.query.archived === '1' || req.query.archived === 'true';
+    
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM projects WHERE is_archived = ?';
+      const params = [includeArchived ? 1 : 0];
+      
+      // For non-root users, filter by company
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND company_id = ?';
+        params.push(companyId);
+      }
+      
+      query += ' ORDER BY created_at DESC';
+      
+      const [rows] = await connection.execute(query, params);
+      const projects = rows.map(mapProjectRow);
+      
+      res.json({
+        success: true,
+        data: projects,
+        count: projects.length
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+// Clients API
+const mapClientRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  country: row.country,
+  timezone: row.timezone,
+  clientType: row.client_type,
+  hourlyRate: row.hourly_rate,
+  hoursPerWeek: row.hours_per_week,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  phone: row.phone,
+  company: row.company,
+  address: row.address,
+  currency: row.currency,
+  roundingMode: row.rounding_mode || null,
+  roundingIncrementMinutes: row.rounding_increment_minutes,
+  minimumBillableMinutes: row.minimum_billable_minutes,
+  isArchived: row.is_archived === 1,
+  createdBy: row.created_by,
+  companyId: row.company_id,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+app.get('/api/clients/company/:companyId', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    // Non-root users can only access their own company
+    if (req.user.role !== 'root' && req.user.companyId && req.user.companyId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const [rows] = await connection.execute(
+        'SELECT * FROM clients WHERE company_id = ? ORDER BY created_at DESC',
+        [companyId]
+      );
+
+      const clients = rows.map(mapClientRow);
+
+      res.json({
+        success: true,
+        data: clients,
+        count: clients.length
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching clients for company:', error);
+    res.status(500).json({ error: 'Failed to fetch clients' });
+  }
+});
+
+app.get('/api/clients', authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM clients';
+      const params = [];
+
+      // For non-root users, filter by company
+      if (req.user.role !== 'root' && companyId) {
+        query += ' WHERE company_id = ?';
+        params.push(companyId);
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const [rows] = await connection.execute(query, params);
+      const clients = rows.map(mapClientRow);
+
+      res.json({
+        success: true,
+        data: clients,
+        count: clients.length
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching clients:', error);
+    res.status(500).json({ error: 'Failed to fetch clients' });
+  }
+});
+
+app.post('/api/clients', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = clientSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const userId = req.user.uid;
+    const companyId = req.user.companyId;
+    const now = new Date();
+    const clientId = uuidv4();
+
+    const connection = await pool.getConnection();
+    try {
+      const query = `
+        INSERT INTO clients (
+          id, name, email, country, timezone, client_type, hourly_rate, hours_per_week,
+          start_date, end_date, phone, company, address, currency, rounding_mode,
+          rounding_increment_minutes, minimum_billable_minutes, is_archived,
+          created_by, company_id, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      await connection.execute(query, [
+        clientId,
+        value.name,
+        value.email || null,
+        value.country || null,
+        value.timezone || null,
+        value.clientType || 'full-time',
+        value.hourlyRate !== undefined ? value.hourlyRate : 25,
+        value.hoursPerWeek !== undefined ? value.hoursPerWeek : null,
+        value.startDate || null,
+        value.endDate || null,
+        value.phone || null,
+        value.company || null,
+        value.address || null,
+        value.currency || null,
+        value.roundingMode || null,
+        value.roundingIncrementMinutes ?? null,
+        value.minimumBillableMinutes ?? null,
+        0,
+        userId,
+        companyId,
+        now,
+        now
+      ]);
+      const [rows] = await connection.execute('SELECT * FROM clients WHERE id = ?', [clientId]);
+      const row = rows[0];
+
+      const client = {
+        id: row.id,
+        name: row.name,
+        email: row.email,
+        country: row.country,
+        timezone: row.timezone,
+        clientType: row.client_type,
+        hourlyRate: row.hourly_rate,
+        hoursPerWeek: row.hours_per_week,
+        startDate: row.start_date,
+        endDate: row.end_date,
+        phone: row.phone,
+        company: row.company,
+        address: row.address,
+        currency: row.currency,
+        roundingMode: row.rounding_mode || null,
+        roundingIncrementMinutes: row.rounding_increment_minutes,
+        minimumBillableMinutes: row.minimum_billable_minutes,
+        isArchived: row.is_archived === 1,
+        createdBy: row.created_by,
+        companyId: row.company_id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      };
+
+      res.status(201).json({
+        success: true,
+        data: client,
+        message: 'Client created successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating client:', error);
+    res.status(500).json({ error: 'Failed to create client' });
+  }
+});
+
+app.put('/api/clients/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = clientSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const [existingRows] = await connection.execute('SELECT * FROM clients WHERE id = ?', [id]);
+      if (existingRows.length === 0) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+
+      const existing = existingRows[0];
+      if (req.user.role !== 'root' && companyId && existing.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const query = `
+        UPDATE clients
+        SET name = ?, email = ?, country = ?, timezone = ?, client_type = ?, hourly_rate = ?,
+            hours_per_week = ?, start_date = ?, end_date = ?, phone = ?, company = ?, address = ?,
+            currency = ?, rounding_mode = ?, rounding_increment_minutes = ?, minimum_billable_minutes = ?,
+            updated_at = ?
+        WHERE id = ?
+      `;
+
+      await connection.execute(query, [
+        value.name,
+        value.email || null,
+        value.country || null,
+        value.timezone || null,
+        value.clientType || 'full-time',
+        value.hourlyRate !== undefined ? value.hourlyRate : 25,
+        value.hoursPerWeek !== undefined ? value.hoursPerWeek : null,
+        value.startDate || null,
+        value.endDate || null,
+        value.phone || null,
+        value.company || null,
+        value.address || null,
+        value.currency || null,
+        value.roundingMode !== undefined ? value.roundingMode : existing.rounding_mode,
+        value.roundingIncrementMinutes !== undefined ? value.roundingIncrementMinutes : existing.rounding_increment_minutes,
+        value.minimumBillableMinutes !== undefined ? value.minimumBillableMinutes : existing.minimum_billable_minutes,
+        new Date(),
+        id
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Client updated successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error updating client:', error);
+    res.status(500).json({ error: 'Failed to update client' });
+  }
+});
+
+app.post('/api/projects', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = projectSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const userId = req.user.uid;
+    const companyId = req.user.companyId;
+    const now = new Date();
+    const projectId = uuidv4();
+
+    if (value.hourlyRate !== undefined && value.hourlyRate !== null && !isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Only admins can set project rates' });
+    }
+    
+    // Get client name if client exists
+    let clientName = null;
+    if (value.clientId) {
+      const connection = await pool.getConnection();
+      try {
+        const [clientRows] = await connection.execute(
+          'SELECT * FROM clients WHERE id = ?', 
+          [value.clientId]
+        );
+        
+        if (clientRows.length > 0) {
+          clientName = clientRows[0].name;
+        }
+      } finally {
+        connection.release();
+      }
+    }
+    
+    // Insert project into database
+    const connection = await pool.getConnection();
+    try {
+      const query = `
+        INSERT INTO projects (
+          id, name, description, color, status, priority, start_date, end_date, budget, budget_alert_thresholds,
+          hourly_rate, client_id, client_name, is_archived, company_id, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      
+      await connection.execute(query, [
+        projectId,
+        value.name,
+        value.description || null,
+        value.color,
+        value.status,
+        value.priority,
+        value.startDate || null,
+        value.endDate || null,
+        value.budget || null,
+        (value.budgetAlertThresholds
+          ? [...new Set(value.budgetAlertThresholds)].sort((a, b) => a - b)
+          : DEFAULT_BUDGET_ALERT_THRESHOLDS).join(','),
+        value.hourlyRate ?? null,
+        value.clientId || null,
+        clientName || null,
+        0, // is_archived
+        companyId,
+        userId,
+        now,
+        now
+      ]);
+      
+      // Get the created project
+      const [rows] = await connection.execute(
+        'SELECT * FROM projects WHERE id = ?', 
+        [projectId]
+      );
+      
+      const project = {
+        ...mapProjectRow(rows[0])
+      };
+      
+      res.status(201).json({
+        success: true,
+        data: project,
+        message: 'Project created successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating project:', error);
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+// Get projects for company
+app.get('/api/projects/company/:companyId', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const includeArchived = req.query.archived === '1' || req.query.archived === 'true';
+    
+    // Check if user has access to this company
+    // Handle case where companyId might be a Firebase ID (not a valid MySQL ID)
+    if (!companyId || companyId.startsWith('-')) {
+      return res.status(400).json({ error: 'Invalid company ID format' });
+    }
+    
+    if (req.user.role !== 'root' && req.user.companyId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const connection = await pool.getConnection();
+    try {
+      const query = `
+        SELECT * FROM projects 
+        WHERE company_id = ? AND is_archived = ?
+        ORDER BY created_at DESC
+      `;
+      
+      const [rows] = await connection.execute(query, [companyId, includeArchived ? 1 : 0]);
+      const projects = rows.map(mapProjectRow);
+      
+      res.json({
+        success: true,
+        data: projects,
+        count: projects.length
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching projects for company:', error);
+    res.status(500).json({ error: 'Failed to fetch projects for company' });
+  }
+});
+
+
+// Time Summary API
+app.get('/api/time-summary', authenticateToken, async (req, res) => {
+  try {
+    const { period = 'month' } = req.query;
+    const userId = req.user.uid;
+    const companyId = req.user.companyId;
+    
+    const now = new Date();
+    let startDate, endDate;
+    
+    switch (period) {
+      case 'today':
+        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
+        break;
+      case 'week':
+        const startOfWeek = new Date(now);
+        startOfWeek.setDate(now.getDate() - now.getDay());
+        startDate = new Date(startOfWeek.getFullYear(), startOfWeek.getMonth(), startOfWeek.getDate());
+        endDate = new Date(startOfWeek.getFullYear(), startOfWeek.getMonth(), startOfWeek.getDate() + 6, 23, 59, 59);
+        break;
+      case 'month':
+      default:
+        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+        break;
+    }
+    
+    const connection = await pool.getConnection();
+    try {
+      // Fix for date range filtering: set end date to end of day to include all entries for that day
+      const adjustedEndDate = new Date(endDate);
+      adjustedEndDate.setHours(23, 59, 59, 999);
+      
+      let query = 'SELECT * FROM time_entries WHERE user_id = ? AND start_time >= ? AND start_time <= ?';
+      let params = [userId, startDate, adjustedEndDate];
+      
+      // For non-root users, filter by company
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND company_id = ?';
+        params.push(companyId);
+      }
+      
+      const [rows] = await connection.execute(query, params);
+      
+      const entries = rows.map(row => ({
+        duration: row.duration,
+        isBillable: row.is_billable === 1
+      }));
+      
+      const totalDuration = entries.reduce((sum, entry) => sum + entry.duration, 0);
+      const billableDuration = entries
+        .filter(entry => entry.isBillable)
+        .reduce((sum, entry) => sum + entry.duration, 0);
+      
+      const summary = {
+        period,
+        startDate: startDate.toISOString(),
+        endDate: endDate.toISOString(),
+        totalDuration,
+        billableDuration,
+        nonBillableDuration: totalDuration - billableDuration,
+        totalEntries: entries.length,
+        billableEntries: entries.filter(entry => entry.isBillable).length,
+        formattedTotal: formatTimeFromSeconds(totalDuration),
+        formattedBillable: formatTimeFromSeconds(billableDuration),
+        formattedNonBillable: formatTimeFromSeconds(totalDuration - billableDuration)
+      };
+      
+      res.json({
+        success: true,
+        data: summary
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching time summary:', error);
+    res.status(500).json({ error: 'Failed to fetch time summary' });
+  }
+});
+
+// Calendar API
+app.get('/api/calendar', authenticateToken, async (req, res) => {
+  try {
+    const { year, month, projectId, billableOnly } = req.query;
+    const userId = req.user.uid;
+    const companyId = req.user.companyId;
+    
+    const targetYear = parseInt(year) || new Date().getFullYear();
+    const targetMonth = parseInt(month) || new Date().getMonth();
+    
+    const startDate = new Date(targetYear, targetMonth, 1);
+    const endDate = new Date(targetYear, targetMonth + 1, 0, 23, 59, 59);
+    
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM time_entries WHERE user_id = ? AND start_time >= ? AND start_time <= ?';
+      let params = [userId, startDate, endDate];
+      
+      // For non-root users, filter by company
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND company_id = ?';
+        params.push(companyId);
+      }
+      
+      // Apply filters
+      if (projectId) {
+        query += ' AND project_id = ?';
+        params.push(projectId);
+      }
+      
+      if (billableOnly === 'true') {
+        query += ' AND is_billable = 1';
+      }
+      
+      const [rows] = await connection.execute(query, params);
+      
+      const entries = rows.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        companyId: row.company_id,
+        projectId: row.project_id,
+        projectName: row.project_name,
+        clientId: row.client_id,
+        clientName: row.client_name,
+        description: row.description,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        duration: row.duration,
+        isRunning: row.is_running === 1,
+        isBillable: row.is_billable === 1,
+        isLocked: row.is_locked === 1,
+        invoiceId: row.invoice_id || null,
+        approvedAt: row.approved_at || null,
+        hourlyRate: toRate(row.hourly_rate),
+        rateSource: row.rate_source || null,
+        tags: row.tags ? JSON.parse(row.tags) : [],
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
+      
+      // Group entries by date
+      const calendarData = {};
+      entries.forEach(entry => {
+        const date = new Date(entry.startTime).toDateString();
+        if (!calendarData[date]) {
+          calendarData[date] = {
+            date,
+            events: [],
+            totalDuration: 0,
+            billableDuration: 0
+          };
+        }
+        
+        calendarData[date].events.push(entry);
+        calendarData[date].totalDuration += entry.duration;
+        if (entry.isBillable) {
+          calendarData[date].billableDuration += entry.duration;
+        }
+      });
+      
+      res.json({
+        success: true,
+        data: Object.values(calendarData),
+        month: targetMonth,
+        year: targetYear
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching calendar data:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar data' });
+  }
+});
+
+// Test endpoint without authentication
+app.get('/api/test', (req, res) => {
+  res.json({ message: 'Test endpoint working' });
+});
+
+// Task workflows. A company defines its task statuses and priorities, and a
+// project can replace them with its own. Companies that never changed them get
+// the built-in defaults, which keep their fixed ids
+const DEFAULT_TASK_STATUSES = [
+  { id: 'status_0', name: 'To Do', color: '#6B7280', order: 0, isCompleted: false, projectId: null },
+  { id: 'status_1', name: 'In Progress', color: '#3B82F6', order: 1, isCompleted: false, projectId: null },
+  { id: 'status_2', name: 'Review', color: '#F59E0B', order: 2, isCompleted: false, projectId: null },
+  { id: 'status_3', name: 'Done', color: '#10B981', order: 3, isCompleted: true, projectId: null }
+];
+
+const DEFAULT_TASK_PRIORITIES = [
+  { id: 'priority_0', name: 'Low', color: '#6B7280', level: 1, projectId: null },
+  { id: 'priority_1', name: 'Medium', color: '#F59E0B', level: 2, projectId: null },
+  { id: 'priority_2', name: 'High', color: '#EF4444', level: 3, projectId: null },
+  { id: 'priority_3', name: 'Urgent', color: '#DC2626', level: 4, projectId: null }
+];
+
+// fields maps API fields to columns; the first one after name and color orders the list
+const TASK_WORKFLOW_KINDS = {
+  status: {
+    table: 'task_statuses',
+    taskColumn: 'status_id',
+    label: 'status',
+    plural: 'statuses',
+    defaults: DEFAULT_TASK_STATUSES,
+    fields: { name: 'name', color: 'color', order: 'sort_order', isCompleted: 'is_completed' },
+    orderField: 'order',
+    fromRow: (row) => ({
+      id: row.id,
+      name: row.name,
+      color: row.color,
+      order: row.sort_order,
+      isCompleted: row.is_completed === 1,
+      projectId: row.project_id || null
+    })
+  },
+  priority: {
+    table: 'task_priorities',
+    taskColumn: 'priority_id',
+    label: 'priority',
+    plural: 'priorities',
+    defaults: DEFAULT_TASK_PRIORITIES,
+    fields: { name: 'name', color: 'color', level: 'level' },
+    orderField: 'level',
+    fromRow: (row) => ({
+      id: row.id,
+      name: row.name,
+      color: row.color,
+      level: row.level,
+      projectId: row.project_id || null
+    })
+  }
+};
+
+// Rows for several companies at once, so a task list resolves with one query per kind
+const loadTaskWorkflowRows = async (connection, kind, companyIds) => {
+  const { table, fields, orderField } = TASK_WORKFLOW_KINDS[kind];
+  const ids = [...new Set(companyIds.filter(Boolean))];
+  const conditions = ['company_id IS NULL'];
+  if (ids.length > 0) {
+    conditions.push(`company_id IN (${ids.map(() => '?').join(', ')})`);
+  }
+  const [rows] = await connection.execute(
+    `SELECT * FROM ${table} WHERE ${conditions.join(' OR ')} ORDER BY ${fields[orderField]}, created_at`,
+    ids
+  );
+  return rows;
+};
+
+// The project's own list if it has one, else the company's, else the defaults
+const pickTaskWorkflow = (kind, rows, companyId, projectId) => {
+  const { defaults, fromRow } = TASK_WORKFLOW_KINDS[kind];
+  const companyRows = rows.filter(row => (row.company_id || null) === (companyId || null));
+  const projectRows = projectId ? companyRows.filter(row => row.project_id === projectId) : [];
+  const chosen = projectRows.length > 0 ? projectRows : companyRows.filter(row => !row.project_id);
+  return chosen.length > 0 ? chosen.map(fromRow) : defaults;
+};
+
+const getTaskWorkflow = async (connection, kind, companyId, projectId) => {
+  const rows = await loadTaskWorkflowRows(connection, kind, [companyId]);
+  return pickTaskWorkflow(kind, rows, companyId, projectId);
+};
+
+// Maps task rows to their current status and priority, so renames show up
+// everywhere. Ids that are no longer in the workflow fall back to its first value
+const getTaskWorkflowResolver = async (connection, taskRows) => {
+  const companyIds = taskRows.map(row => row.company_id);
+  const rowsByKind = {
+    status: await loadTaskWorkflowRows(connection, 'status', companyIds),
+    priority: await loadTaskWorkflowRows(connection, 'priority', companyIds)
+  };
+  const resolve = (kind, row) => {
+    const workflow = pickTaskWorkflow(kind, rowsByKind[kind], row.company_id, row.project_id);
+    return workflow.find(value => value.id === row[TASK_WORKFLOW_KINDS[kind].taskColumn]) || workflow[0];
+  };
+  return (row) => ({ status: resolve('status', row), priority: resolve('priority', row) });
+};
+
+const toTaskWorkflowColumn = (value) => (typeof value === 'boolean' ? (value ? 1 : 0) : value);
+
+// A company or project that starts changing a list first gets its own copy of
+// the one it inherited, and its tasks move over to the copies. Returns the
+// inherited id to copy id map, empty when the scope already had its own list.
+// Callers run it in the transaction of the change that needed the copy
+const ensureOwnTaskWorkflow = async (connection, kind, companyId, projectId) => {
+  const { table, taskColumn, fields } = TASK_WORKFLOW_KINDS[kind];
+  const [ownRows] = await connection.execute(
+    `SELECT id FROM ${table} WHERE company_id <=> ? AND project_id <=> ? LIMIT 1`,
+    [companyId || null, projectId || null]
+  );
+  if (ownRows.length > 0) {
+    return {};
+  }
+
+  const inherited = await getTaskWorkflow(connection, kind, companyId, null);
+  const columns = Object.values(fields);
+  const idMap = {};
+  for (const value of inherited) {
+    const id = uuidv4();
+    idMap[value.id] = id;
+    await connection.execute(
+      `INSERT INTO ${table} (id, company_id, project_id, ${columns.join(', ')})
+       VALUES (?, ?, ?, ${columns.map(() => '?').join(', ')})`,
+      [id, companyId || null, projectId || null, ...Object.keys(fields).map(field => toTaskWorkflowColumn(value[field]))]
+    );
+  }
+
+  const projectFilter = projectId ? ' AND project_id = ?' : '';
+  for (const [inheritedId, id] of Object.entries(idMap)) {
+    await connection.execute(
+      `UPDATE tasks SET ${taskColumn} = ? WHERE ${taskColumn} = ? AND company_id <=> ?${projectFilter}`,
+      [id, inheritedId, companyId || null, ...(projectId ? [projectId] : [])]
+    );
+  }
+  return idMap;
+};
+
+// Task completion follows the status. Done tasks keep the time they were first completed
+const syncTaskCompletion = async (connection, statusId, isCompleted) => {
+  await connection.execute(
+    `UPDATE tasks
+     SET is_completed = ?, completed_at = CASE WHEN ? THEN COALESCE(completed_at, NOW()) ELSE NULL END
+     WHERE status_id = ? AND is_completed <> ?`,
+    [isCompleted ? 1 : 0, isCompleted ? 1 : 0, statusId, isCompleted ? 1 : 0]
+  );
+};
+
+// Workflows are edited per company, or per project with ?projectId= (body for writes)
+const getTaskWorkflowScope = async (connection, req, projectId) => {
+  if (!projectId) {
+    return { companyId: req.user.companyId || null, projectId: null };
+  }
+  const [rows] = await connection.execute('SELECT company_id FROM projects WHERE id = ?', [projectId]);
+  if (rows.length === 0) {
+    return { status: 404, error: 'Project not found' };
+  }
+  if (req.user.role !== 'root' && rows[0].company_id !== req.user.companyId) {
+    return { status: 403, error: 'Access denied' };
+  }
+  return { companyId: rows[0].company_id || null, projectId };
+};
+
+const taskStatusSchema = Joi.object({
+  name: Joi.string().trim().max(50).required(),
+  color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).required(),
+  order: Joi.number().integer().min(0).optional(),
+  isCompleted: Joi.boolean().optional(),
+  projectId: Joi.string().allow(null, '').optional()
+});
+
+const taskPrioritySchema = Joi.object({
+  name: Joi.string().trim().max(50).required(),
+  color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).required(),
+  level: Joi.number().integer().min(0).optional(),
+  projectId: Joi.string().allow(null, '').optional()
+});
+
+const TASK_WORKFLOW_SCHEMAS = {
+  status: { create: taskStatusSchema, update: taskStatusSchema.fork(['name', 'color'], schema => schema.optional()) },
+  priority: { create: taskPrioritySchema, update: taskPrioritySchema.fork(['name', 'color'], schema => schema.optional()) }
+};
+
+const listTaskWorkflow = (kind) => async (req, res) => {
+  const { plural } = TASK_WORKFLOW_KINDS[kind];
+  try {
+    const connection = await pool.getConnection();
+    try {
+      const scope = await getTaskWorkflowScope(connection, req, req.query.projectId);
+      if (scope.error) {
+        return res.status(scope.status).json({ error: scope.error });
+      }
+      res.json({
+        success: true,
+        data: await getTaskWorkflow(connection, kind, scope.companyId, scope.projectId)
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error(`Error fetching task ${plural}:`, error);
+    res.status(500).json({ error: `Failed to fetch task ${plural}` });
+  }
+};
+
+// Writes answer with the whole list, since copying an inherited list changes ids
+const createTaskWorkflowValue = (kind) => async (req, res) => {
+  const { table, label, fields, orderField } = TASK_WORKFLOW_KINDS[kind];
+  try {
+    if (!canManageTaskWorkflows(req.user.role)) {
+      return res.status(403).json({ error: 'Only administrators can change task workflows' });
+    }
+    const { error, value } = TASK_WORKFLOW_SCHEMAS[kind].create.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const scope = await getTaskWorkflowScope(connection, req, value.projectId);
+      if (scope.error) {
+        return res.status(scope.status).json({ error: scope.error });
+      }
+      await connection.beginTransaction();
+      try {
+        await ensureOwnTaskWorkflow(connection, kind, scope.companyId, scope.projectId);
+
+        // New values go to the end of the list unless placed explicitly
+        if (value[orderField] === undefined) {
+          const [[{ next }]] = await connection.execute(
+            `SELECT COALESCE(MAX(${fields[orderField]}) + 1, 0) AS next FROM ${table} WHERE company_id <=> ? AND project_id <=> ?`,
+            [scope.companyId, scope.projectId]
+          );
+          value[orderField] = Number(next);
+        }
+
+        const columns = Object.values(fields);
+        await connection.execute(
+          `INSERT INTO ${table} (id, company_id, project_id, ${columns.join(', ')})
+           VALUES (?, ?, ?, ${columns.map(() => '?').join(', ')})`,
+          [uuidv4(), scope.companyId, scope.projectId, ...Object.keys(fields).map(field => toTaskWorkflowColumn(value[field] ?? false))]
+        );
+        await connection.commit();
+      } catch (workflowError) {
+        await connection.rollback();
+        throw workflowError;
+      }
+
+      res.status(201).json({
+        success: true,
+        data: await getTaskWorkflow(connection, kind, scope.companyId, scope.projectId),
+        message: `Task ${label} created successfully`
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error(`Error creating task ${label}:`, error);
+    res.status(500).json({ error: `Failed to create task ${label}` });
+  }
+};
+
+const updateTaskWorkflowValue = (kind) => async (req, res) => {
+  const { table, label, fields } = TASK_WORKFLOW_KINDS[kind];
+  try {
+    if (!canManageTaskWorkflows(req.user.role)) {
+      return res.status(403).json({ error: 'Only administrators can change task workflows' });
+    }
+    const { error, value } = TASK_WORKFLOW_SCHEMAS[kind].update.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const scope = await getTaskWorkflowScope(connection, req, value.projectId);
+      if (scope.error) {
+        return res.status(scope.status).json({ error: scope.error });
+      }
+      await connection.beginTransaction();
+      try {
+        const idMap = await ensureOwnTaskWorkflow(connection, kind, scope.companyId, scope.projectId);
+        const id = idMap[req.params.id] || req.params.id;
+
+        const [rows] = await connection.execute(
+          `SELECT id FROM ${table} WHERE id = ? AND company_id <=> ? AND project_id <=> ?`,
+          [id, scope.companyId, scope.projectId]
+        );
+        if (rows.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: `Task ${label} not found` });
+        }
+
+        const updates = [];
+        const values = [];
+        for (const [field, column] of Object.entries(fields)) {
+          if (value[field] !== undefined) {
+            updates.push(`${column} = ?`);
+            values.push(toTaskWorkflowColumn(value[field]));
+          }
+        }
+        if (updates.length > 0) {
+          await connection.execute(`UPDATE ${table} SET ${updates.join(', ')} WHERE id = ?`, [...values, id]);
+        }
+        if (kind === 'status' && value.isCompleted !== undefined) {
+          await syncTaskCompletion(connection, id, value.isCompleted);
+        }
+        await connection.commit();
+      } catch (workflowError) {
+        await connection.rollback();
+        throw workflowError;
+      }
+
+      res.json({
+        success: true,
+        data: await getTaskWorkflow(connection, kind, scope.companyId, scope.projectId),
+        message: `Task ${label} updated successfully`
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error(`Error updating task ${label}:`, error);
+    res.status(500).json({ error: `Failed to update task ${label}` });
+  }
+};
+
+// Tasks still using the value move to ?replacementId=, which is required when there are any
+const deleteTaskWorkflowValue = (kind) => async (req, res) => {
+  const { table, taskColumn, label } = TASK_WORKFLOW_KINDS[kind];
+  try {
+    if (!canManageTaskWorkflows(req.user.role)) {
+      return res.status(403).json({ error: 'Only administrators can change task workflows' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const scope = await getTaskWorkflowScope(connection, req, req.query.projectId);
+      if (scope.error) {
+        return res.status(scope.status).json({ error: scope.error });
+      }
+      await connection.beginTransaction();
+      try {
+        const idMap = await ensureOwnTaskWorkflow(connection, kind, scope.companyId, scope.projectId);
+        const id = idMap[req.params.id] || req.params.id;
+        const replacementId = idMap[req.query.replacementId] || req.query.replacementId;
+
+        const workflow = await getTaskWorkflow(connection, kind, scope.companyId, scope.projectId);
+        if (!workflow.some(item => item.id === id)) {
+          await connection.rollback();
+          return res.status(404).json({ error: `Task ${label} not found` });
+        }
+        if (workflow.length === 1) {
+          await connection.rollback();
+          return res.status(409).json({ error: `A workflow needs at least one ${label}` });
+        }
+
+        const [[{ count }]] = await connection.execute(
+          `SELECT COUNT(*) AS count FROM tasks WHERE ${taskColumn} = ?`,
+          [id]
+        );
+        if (count > 0) {
+          const replacement = workflow.find(item => item.id === replacementId && item.id !== id);
+          if (!replacement) {
+            await connection.rollback();
+            return res.status(409).json({ error: `${count} task(s) still use this ${label}. Choose where to move them first` });
+          }
+          await connection.execute(
+            `UPDATE tasks SET ${taskColumn} = ? WHERE ${taskColumn} = ?`,
+            [replacement.id, id]
+          );
+          if (kind === 'status') {
+            await syncTaskCompletion(connection, replacement.id, replacement.isCompleted);
+          }
+        }
+
+        await connection.execute(`DELETE FROM ${table} WHERE id = ?`, [id]);
+        await connection.commit();
+      } catch (workflowError) {
+        await connection.rollback();
+        throw workflowError;
+      }
+
+      res.json({
+        success: true,
+        data: await getTaskWorkflow(connection, kind, scope.companyId, scope.projectId),
+        message: `Task ${label} deleted successfully`
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error(`Error deleting task ${label}:`, error);
+    res.status(500).json({ error: `Failed to delete task ${label}` });
+  }
+};
+
+// Task Statuses API
+app.get('/api/task-statuses', authenticateToken, listTaskWorkflow('status'));
+app.post('/api/task-statuses', authenticateToken, createTaskWorkflowValue('status'));
+app.put('/api/task-statuses/:id', authenticateToken, updateTaskWorkflowValue('status'));
+app.delete('/api/task-statuses/:id', authenticateToken, deleteTaskWorkflowValue('status'));
+
+// Task Priorities API
+app.get('/api/task-priorities', authenticateToken, listTaskWorkflow('priority'));
+app.post('/api/task-priorities', authenticateToken, createTaskWorkflowValue('priority'));
+app.put('/api/task-priorities/:id', authenticateToken, updateTaskWorkflowValue('priority'));
+app.delete('/api/task-priorities/:id', authenticateToken, deleteTaskWorkflowValue('priority'));
+
+// Project boards. A project can have several saved boards; each column shows one
+// task status and may carry a WIP limit, which the board warns about on drop
+const boardColumnSchema = Joi.object({
+  id: Joi.string().allow('').optional(), // Empty for new columns
+  name: Joi.string().trim().max(100).required(),
+  color: Joi.string().max(20).required(),
+  order: Joi.number().integer().min(0).optional(),
+  taskStatusId: Joi.string().required(),
+  taskLimit: Joi.number().integer().min(1).allow(null).optional(),
+  isCollapsed: Joi.boolean().default(false)
+});
+
+const boardSettingsSchema = Joi.object({
+  showCompletedTasks: Joi.boolean().default(true),
+  showAssignee: Joi.boolean().default(true),
+  showDueDate: Joi.boolean().default(true),
+  showPriority: Joi.boolean().default(true),
+  showTags: Joi.boolean().default(true),
+  showTimeTracking: Joi.boolean().default(true),
+  allowDragDrop: Joi.boolean().default(true),
+  groupBy: Joi.string().valid('assignee', 'priority', 'dueDate', 'tags', 'none').default('none')
+});
+
+const boardSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().allow('', null).optional(),
+  type: Joi.string().valid('kanban', 'list', 'calendar', 'gantt', 'timeline').default('kanban'),
+  columns: Joi.array().items(boardColumnSchema).unique((a, b) => a.taskStatusId === b.taskStatusId).default([]),
+  settings: boardSettingsSchema.default()
+});
+
+const boardUpdateSchema = boardSchema.fork(['name'], schema => schema.optional()).keys({
+  type: Joi.string().valid('kanban', 'list', 'calendar', 'gantt', 'timeline').optional(),
+  columns: Joi.array().items(boardColumnSchema).unique((a, b) => a.taskStatusId === b.taskStatusId).optional(),
+  settings: boardSettingsSchema.optional()
+});
+
+// Columns keep their ids across saves and are numbered in the order given
+const normalizeBoardColumns = (columns) => columns.map((column, index) => ({
+  id: column.id || uuidv4(),
+  name: column.name,
+  color: column.color,
+  order: index,
+  taskStatusId: column.taskStatusId,
+  taskLimit: column.taskLimit || null,
+  isCollapsed: !!column.isCollapsed
+}));
+
+const parseJsonColumn = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const mapBoardRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description || undefined,
+  projectId: row.project_id,
+  type: row.type,
+  columns: parseJsonColumn(row.board_columns, []),
+  settings: boardSettingsSchema.validate(parseJsonColumn(row.settings, {})).value,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Boards belong to the project's company. Anyone there can see them; the
+// creator and admins can change them
+const getAccessibleProject = async (connection, req, projectId) => {
+  const [rows] = await connection.execute('SELECT id, company_id FROM projects WHERE id = ?', [projectId]);
+  if (rows.length === 0) {
+    return { status: 404, error: 'Project not found' };
+  }
+  if (req.user.role !== 'root' && rows[0].company_id !== req.user.companyId) {
+    return { status: 403, error: 'Access denied' };
+  }
+  return { project: rows[0] };
+};
+
+const getEditableBoard = async (connection, req, boardId) => {
+  const [rows] = await connection.execute('SELECT * FROM project_boards WHERE id = ?', [boardId]);
+  if (rows.length === 0) {
+    return { status: 404, error: 'Board not found' };
+  }
+  const board = rows[0];
+  if (req.user.role !== 'root' && board.company_id !== req.user.companyId) {
+    return { status: 403, error: 'Access denied' };
+  }
+  if (board.created_by !== req.user.uid && !isAdminRole(req.user.role)) {
+    return { status: 403, error: 'Only the board creator or an admin can change this board' };
+  }
+  return { board };
+};
+
+app.get('/api/projects/:id/boards', authenticateToken, async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    try {
+      const access = await getAccessibleProject(connection, req, req.params.id);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const [rows] = await connection.execute(
+        'SELECT * FROM project_boards WHERE project_id = ? ORDER BY created_at ASC',
+        [req.params.id]
+      );
+
+      const boards = rows.map(mapBoardRow);
+      res.json({ success: true, data: boards, count: boards.length });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching project boards:', error);
+    res.status(500).json({ error: 'Failed to fetch project boards' });
+  }
+});
+
+app.post('/api/projects/:id/boards', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = boardSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const access = await getAccessibleProject(connection, req, req.params.id);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const id = uuidv4();
+      await connection.execute(
+        `INSERT INTO project_boards (id, company_id, project_id, name, description, type, board_columns, settings, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          access.project.company_id || null,
+          req.params.id,
+          value.name,
+          value.description || null,
+          value.type,
+          JSON.stringify(normalizeBoardColumns(value.columns)),
+          JSON.stringify(value.settings),
+          req.user.uid
+        ]
+      );
+
+      const [rows] = await connection.execute('SELECT * FROM project_boards WHERE id = ?', [id]);
+      res.status(201).json({
+        success: true,
+        data: mapBoardRow(rows[0]),
+        message: 'Board created successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating project board:', error);
+    res.status(500).json({ error: 'Failed to create project board' });
+  }
+});
+
+app.put('/api/boards/:id', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = boardUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      const access = await getEditableBoard(connection, req, req.params.id);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const fields = [];
+      const values = [];
+      if (value.name !== undefined) {
+        fields.push('name = ?');
+        values.push(value.name);
+      }
+      if (value.description !== undefined) {
+        fields.push('description = ?');
+        values.push(value.description || null);
+      }
+      if (value.type !== undefined) {
+        fields.push('type = ?');
+        values.push(value.type);
+      }
+      if (value.columns !== undefined) {
+        fields.push('board_columns = ?');
+        values.push(JSON.stringify(normalizeBoardColumns(value.columns)));
+      }
+      if (value.settings !== undefined) {
+        fields.push('settings = ?');
+        values.push(JSON.stringify(value.settings));
+      }
+
+      if (fields.length > 0) {
+        await connection.execute(`UPDATE project_boards SET ${fields.join(', ')} WHERE id = ?`, [...values, req.params.id]);
+      }
+
+      const [rows] = await connection.execute('SELECT * FROM project_boards WHERE id = ?', [req.params.id]);
+      res.json({
+        success: true,
+        data: mapBoardRow(rows[0]),
+        message: 'Board updated successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error updating project board:', error);
+    res.status(500).json({ error: 'Failed to update project board' });
+  }
+});
+
+app.delete('/api/boards/:id', authenticateToken, async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    try {
+      const access = await getEditableBoard(connection, req, req.params.id);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      await connection.execute('DELETE FROM project_boards WHERE id = ?', [req.params.id]);
+      res.json({ success: true, message: 'Board deleted successfully' });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error deleting project board:', error);
+    res.status(500).json({ error: 'Failed to delete project board' });
+  }
+});
+
+// Logging endpoints
+
+// Create a new log entry
+app.post('/api/logs', authenticateToken, async (req, res) => {
+  try {
+    const { level, message, action, details, userId, userName, ipAddress, userAgent } = req.body;
+    
+    const connection = await pool.getConnection();
+    try {
+      const query = `
+        INSERT INTO system_logs (
+          timestamp, level, message, user_id, user_name, action, details, ip_address, user_agent
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      
+      await connection.execute(query, [
+        new Date(),
+        level,
+        message,
+        userId || null,
+        userName || null,
+        action,
+        details ? JSON.stringify(details) : null,
+        ipAddress || null,
+        userAgent || null
+      ]);
+      
+      res.json({ success: true });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating log entry:', error);
+    res.status(500).json({ error: 'Failed to create log entry' });
+  }
+});
+
+// Get recent logs
+app.get('/api/logs/recent', authenticateToken, async (req, res) => {
+  try {
+    const { limit = 100, startDate, endDate } = req.query;
+    
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM system_logs ORDER BY timestamp DESC LIMIT ?';
+      let params = [parseInt(limit)];
+      
+      if (startDate && endDate) {
+        query = 'SELECT * FROM system_logs WHERE timestamp BETWEEN ? AND ? ORDER BY timestamp DESC LIMIT ?';
+        params = [new Date(startDate), new Date(endDate), parseInt(limit)];
+      }
+      
+      const [rows] = await connection.execute(query, params);
+      
+      res.json({
+        success: true,
+        logs: rows
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching logs:', error);
+    res.status(500).json({ error: 'Failed to fetch logs' });
+  }
+});
+
+// Get logs by level
+app.get('/api/logs/level/:level', authenticateToken, async (req, res) => {
+  try {
+    const { level } = req.params;
+    const { limit = 100 } = req.query;
+    
+    const connection = await pool.getConnection();
+    try {
+      const query = 'SELECT * FROM system_logs WHERE level = ? ORDER BY timestamp DESC LIMIT ?';
+      const [rows] = await connection.execute(query, [level, parseInt(limit)]);
+      
+      res.json({
+        success: true,
+        logs: rows
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching logs by level:', error);
+    res.status(500).json({ error: 'Failed to fetch logs by level' });
+  }
+});
+
+// Get logs by user
+app.get('/api/logs/user/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { limit = 100, startDate, endDate } = req.query;
+    
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM system_logs WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?';
+      let params = [userId, parseInt(limit)];
+      
+      if (startDate && endDate) {
+        query = 'SELECT * FROM system_logs WHERE user_id = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp DESC LIMIT ?';
+        params = [userId, new Date(startDate), new Date(endDate), parseInt(limit)];
+      }
+      
+      const [rows] = await connection.execute(query, params);
+      
+      res.json({
+        success: true,
+        logs: rows
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching logs by user:', error);
+    res.status(500).json({ error: 'Failed to fetch logs by user' });
+  }
+});
+
+// Get logs by action
+app.get('/api/logs/action/:action', authenticateToken, async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { limit = 100, level, startDate, endDate } = req.query;
+    
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM system_logs WHERE action = ? ORDER BY timestamp DESC LIMIT ?';
+      let params = [action, parseInt(limit)];
+      
+      if (level) {
+        query = 'SELECT * FROM system_logs WHERE action = ? AND level = ? ORDER BY timestamp DESC LIMIT ?';
+        params = [action, level, parseInt(limit)];
+      }
+      
+      if (startDate && endDate) {
+        if (level) {
+          query = 'SELECT * FROM system_logs WHERE action = ? AND level = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp DESC LIMIT ?';
+          params = [action, level, new Date(startDate), new Date(endDate), parseInt(limit)];
+        } else {
+          query = 'SELECT * FROM system_logs WHERE action = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp DESC LIMIT ?';
+          params = [action, new Date(startDate), new Date(endDate), parseInt(limit)];
+        }
+      }
+      
+      const [rows] = await connection.execute(query, params);
+      
+      res.json({
+        success: true,
+        logs: rows
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching logs by action:', error);
+    res.status(500).json({ error: 'Failed to fetch logs by action' });
+  }
+});
+
+// Clear all logs
+app.delete('/api/logs/clear', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin' && req.user.role !== 'root') {
+      return res.status(403).json({ error: 'Only administrators can clear logs' });
+    }
+    
+    const connection = await pool.getConnection();
+    try {
+      await connection.execute('DELETE FROM system_logs');
+      
+      res.json({ success: true, message: 'Logs cleared successfully' });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error clearing logs:', error);
+    res.status(500).json({ error: 'Failed to clear logs' });
+  }
+});
+
+// Task DATE columns as 'YYYY-MM-DD'. Request dates arrive as UTC midnight, while
+// mysql2 reads DATE columns as local midnight
+const toSqlDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : null);
+
+const fromSqlDate = (value) => {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const isTaskDateRangeValid = (startDate, dueDate) => !startDate || !dueDate || startDate <= dueDate;
+
+const TASK_DATE_RANGE_ERROR = 'The start date must be on or before the due date';
+
+// Subtasks are one level deep and live in their parent's project. Returns why
+// parentTaskId can't be used for the task, or null when it can
+const getParentTaskError = async (connection, parentTaskId, { taskId, companyId, projectId }) => {
+  if (parentTaskId === taskId) {
+    return 'A task cannot be its own subtask';
+  }
+  const [parentRows] = await connection.execute(
+    'SELECT company_id, project_id, parent_task_id FROM tasks WHERE id = ?',
+    [parentTaskId]
+  );
+  const parent = parentRows[0];
+  if (!parent || (parent.company_id || null) !== (companyId || null)) {
+    return 'Parent task not found';
+  }
+  if (parent.project_id !== projectId) {
+    return 'A subtask must be in the same project as its parent';
+  }
+  if (parent.parent_task_id) {
+    return 'Subtasks cannot have subtasks of their own';
+  }
+  if (taskId) {
+    const [childRows] = await connection.execute('SELECT id FROM tasks WHERE parent_task_id = ? LIMIT 1', [taskId]);
+    if (childRows.length > 0) {
+      return 'A task with subtasks cannot become a subtask';
+    }
+  }
+  return null;
+};
+
+// A parent is done once all of its subtasks are, and reopens when one of them
+// is reopened or added. It moves to the first matching status of its workflow
+const rollUpSubtaskCompletion = async (connection, parentTaskId) => {
+  const [parentRows] = await connection.execute('SELECT * FROM tasks WHERE id = ?', [parentTaskId]);
+  const parent = parentRows[0];
+  if (!parent) return;
+
+  const [childRows] = await connection.execute('SELECT is_completed FROM tasks WHERE parent_task_id = ?', [parentTaskId]);
+  if (childRows.length === 0) return;
+
+  const allCompleted = childRows.every(row => row.is_completed === 1);
+  if (allCompleted === (parent.is_completed === 1)) return;
+
+  const statuses = await getTaskWorkflow(connection, 'status', parent.company_id, parent.project_id);
+  const status = statuses.find(s => !!s.isCompleted === allCompleted);
+  if (!status) return;
+
+  await connection.execute(
+    'UPDATE tasks SET status_id = ?, is_completed = ?, completed_at = ?, updated_at = ? WHERE id = ?',
+    [status.id, allCompleted ? 1 : 0, allCompleted ? new Date() : null, new Date(), parent.id]
+  );
+  publishTaskChange('updated', { id: parent.id, companyId: parent.company_id, projectId: parent.project_id });
+};
+
+// Recurring tasks; the date math and the insert live in taskRecurrence.js. The
+// generator runs every RECURRING_TASK_INTERVAL_MS and after task writes
+const RECURRING_TASK_INTERVAL_MS = 15 * 60 * 1000;
+
+const RECURRING_TASKS_QUERY = `
+  SELECT t.*, u.timezone AS user_timezone
+  FROM tasks t
+  LEFT JOIN users u ON u.id = COALESCE(t.assignee_id, t.created_by)
+  WHERE t.recurrence IS NOT NULL
+`;
+
+// A series starts on the task's due date, or today without one
+const getFirstOccurrenceDate = (dueDate, now) => toSqlDate(dueDate) || toSqlDate(now);
+
+// The occurrence a rule holder is due to create, with today and the completion
+// day taken in the assignee's timezone
+const getRowOccurrenceDate = (row, now) => {
+  const rule = parseJsonColumn(row.recurrence, null);
+  const current = fromSqlDate(row.recurrence_date);
+  if (!rule || !current) return null;
+
+  return getDueOccurrenceDate(rule, {
+    current,
+    today: toLocalDate(now, row.user_timezone),
+    completedOn: row.is_completed === 1 && row.completed_at
+      ? toLocalDate(row.completed_at, row.user_timezone)
+      : null
+  });
+};
+
+// Copies the project, assignee, team, priority, tags and estimate into a fresh,
+// open task due on date, and hands it the rule
+const createTaskOccurrence = async (connection, row, date) => {
+  const statuses = await getTaskWorkflow(connection, 'status', row.company_id, row.project_id);
+  const status = statuses.find(s => !s.isCompleted) || statuses[0];
+  const dueDate = fromSqlDate(row.due_date);
+  const startDate = fromSqlDate(row.start_date);
+  // Keep the time between start and due
+  const leadDays = startDate && dueDate ? Math.round((Date.parse(dueDate) - Date.parse(startDate)) / DAY_MS) : null;
+
+  const occurrenceId = await insertTaskOccurrence(connection, row, {
+    date,
+    startDate: leadDays !== null ? addDaysToDate(date, -leadDays) : null,
+    statusId: status ? status.id : null
+  });
+  if (!occurrenceId) {
+    return false;
+  }
+
+  publishTaskChange('created', { id: occurrenceId, companyId: row.company_id, projectId: row.project_id });
+  publishTaskChange('updated', { id: row.id, companyId: row.company_id, projectId: row.project_id });
+  if (row.parent_task_id) {
+    await rollUpSubtaskCompletion(connection, row.parent_task_id);
+  }
+  return true;
+};
+
+// Creates whatever occurrences are due, for one task or for every series
+const generateTaskOccurrences = async (connection, taskId = null) => {
+  const [rows] = taskId
+    ? await connection.execute(`${RECURRING_TASKS_QUERY} AND t.id = ?`, [taskId])
+    : await connection.execute(RECURRING_TASKS_QUERY);
+
+  const now = new Date();
+  let created = 0;
+  for (const row of rows) {
+    const date = getRowOccurrenceDate(row, now);
+    if (date && await createTaskOccurrence(connection, row, date)) {
+      created++;
+    }
+  }
+  return created;
+};
+
+const runRecurringTaskJob = async () => {
+  try {
+    const connection = await pool.getConnection();
+    try {
+      await generateTaskOccurrences(connection);
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error generating recurring tasks:', error);
+  }
+};
+
+// Tasks API
+app.get('/api/tasks', authenticateToken, async (req, res) => {
+  try {
+    const { projectId, userId } = req.query;
+    const companyId = req.user.companyId;
+    
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM tasks WHERE 1=1';
+      const params = [];
+      
+      // Apply company filtering for non-root users
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND company_id = ?';
+        params.push(companyId);
+      } else if (req.user.role !== 'root') {
+        query += ' AND company_id IS NULL';
+      }
+      
+      // Filter by project
+      if (projectId) {
+        query += ' AND project_id = ?';
+        params.push(projectId);
+      }
+      
+      // Filter by user (assigned tasks)
+      if (userId) {
+        query += ' AND assignee_id = ?';
+        params.push(userId);
+      }
+      
+      query += ' ORDER BY created_at DESC';
+      
+      const [rows] = await connection.execute(query, params);
+      
+      // The list stays flat; each task also carries its subtasks, including
+      // ones the filters above left out
+      const parentIds = rows.filter(row => !row.parent_task_id).map(row => row.id);
+      let subtaskRows = [];
+      if (parentIds.length > 0) {
+        [subtaskRows] = await connection.execute(
+          `SELECT * FROM tasks WHERE parent_task_id IN (${parentIds.map(() => '?').join(', ')}) ORDER BY created_at ASC`,
+          parentIds
+        );
+      }
+      const resolveWorkflow = await getTaskWorkflowResolver(connection, [...rows, ...subtaskRows]);
+      
+      const mapTask = (row, subtasks = []) => ({
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        notes: row.notes,
+        projectId: row.project_id,
+        projectName: row.project_name,
+        ...resolveWorkflow(row),
+        assigneeId: row.assignee_id,
+        assigneeName: row.assignee_name,
+        assigneeEmail: row.assignee_email,
+        startDate: row.start_date ? new Date(row.start_date) : undefined,
+        dueDate: row.due_date ? new Date(row.due_date) : undefined,
+        estimatedHours: row.estimated_hours,
+        actualHours: row.actual_hours,
+        tags: row.tags ? JSON.parse(row.tags) : [],
+        isCompleted: row.is_completed === 1,
+        completedAt: row.completed_at ? new Date(row.completed_at) : undefined,
+        createdBy: row.created_by,
+        createdByName: row.created_by_name,
+        createdAt: new Date(row.created_at),
+        updatedAt: new Date(row.updated_at),
+        parentTaskId: row.parent_task_id,
+        subtasks,
+        recurrence: parseJsonColumn(row.recurrence, null),
+        recurrenceSeriesId: row.recurrence_series_id || undefined,
+        recurrenceDate: row.recurrence_date ? new Date(row.recurrence_date) : undefined,
+        attachments: row.attachments ? JSON.parse(row.attachments) : [],
+        comments: row.comments ? JSON.parse(row.comments) : [],
+        timeEntries: row.time_entries ? JSON.parse(row.time_entries) : [],
+        teamId: row.team_id
+      });
+      
+      const tasks = rows.map(row => mapTask(
+        row,
+        subtaskRows.filter(subtask => subtask.parent_task_id === row.id).map(subtask => mapTask(subtask))
+      ));
+      
+      res.json({
+        success: true,
+        data: tasks,
+        count: tasks.length
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+app.post('/api/tasks', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = taskSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    if (!isTaskDateRangeValid(toSqlDate(value.startDate), toSqlDate(value.dueDate))) {
+      return res.status(400).json({ error: TASK_DATE_RANGE_ERROR });
+    }
+    
+    const userId = req.user.uid;
+    const userName = req.user.name;
+    const companyId = req.user.companyId;
+    const now = new Date();
+    
+    const connection = await pool.getConnection();
+    try {
+      const statuses = await getTaskWorkflow(connection, 'status', companyId, value.projectId);
+      const priorities = await getTaskWorkflow(connection, 'priority', companyId, value.projectId);
+      const status = statuses.find(s => s.id === value.status);
+      const priority = priorities.find(p => p.id === value.priority);
+      if (!status || !priority) {
+        return res.status(400).json({ error: "Status and priority must come from the project's workflow" });
+      }
+
+      if (value.parentTaskId) {
+        const parentError = await getParentTaskError(connection, value.parentTaskId, { companyId, projectId: value.projectId });
+        if (parentError) {
+          return res.status(400).json({ error: parentError });
+        }
+      }
+
+      const query = `
+        INSERT INTO tasks (
+          id, title, description, notes, project_id, project_name, status_id, priority_id,
+          assignee_id, assignee_name, assignee_email, start_date, due_date, estimated_hours, actual_hours,
+          is_completed, completed_at, created_by, created_by_name, created_at, updated_at,
+          parent_task_id, team_id, company_id, tags, attachments, comments, time_entries,
+          recurrence, recurrence_series_id, recurrence_date
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      
+      // Generate a unique ID for the task
+      const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      
+      const result = await connection.execute(query, [
+        taskId,
+        value.title,
+        value.description || null,
+        null, // notes
+        value.projectId,
+        '', // project_name (will be set when project is loaded)
+        status.id,
+        priority.id,
+        value.assigneeId || null,
+        null, // assignee_name
+        null, // assignee_email
+        toSqlDate(value.startDate),
+        toSqlDate(value.dueDate),
+        value.estimatedHours || null,
+        null, // actual_hours
+        status.isCompleted ? 1 : 0, // is_completed
+        status.isCompleted ? now : null, // completed_at
+        userId,
+        userName,
+        now,
+        now,
+        value.parentTaskId || null,
+        value.teamId || null,
+        companyId || null,
+        JSON.stringify(value.tags || []), // tags
+        JSON.stringify([]), // attachments
+        JSON.stringify([]), // comments
+        JSON.stringify([]), // time_entries
+        value.recurrence ? JSON.stringify(value.recurrence) : null,
+        value.recurrence ? uuidv4() : null, // A new series starts with this task
+        value.recurrence ? getFirstOccurrenceDate(value.dueDate, now) : null
+      ]);
+      
+      // Get the created task
+      const [rows] = await connection.execute(
+        'SELECT * FROM tasks WHERE id = ?', 
+        [taskId]
+      );
+      
+      const task = {
+        id: rows[0].id,
+        title: rows[0].title,
+        description: rows[0].description,
+        notes: rows[0].notes,
+        projectId: rows[0].project_id,
+        projectName: rows[0].project_name,
+        status,
+        priority,
+        assigneeId: rows[0].assignee_id,
+        assigneeName: rows[0].assignee_name,
+        assigneeEmail: rows[0].assignee_email,
+        startDate: rows[0].start_date ? new Date(rows[0].start_date) : undefined,
+        dueDate: rows[0].due_date ? new Date(rows[0].due_date) : undefined,
+        estimatedHours: rows[0].estimated_hours,
+        actualHours: rows[0].actual_hours,
+        tags: rows[0].tags ? JSON.parse(rows[0].tags) : [],
+        isCompleted: rows[0].is_completed === 1,
+        completedAt: rows[0].completed_at ? new Date(rows[0].completed_at) : undefined,
+        createdBy: rows[0].created_by,
+        createdByName: rows[0].created_by_name,
+        createdAt: new Date(rows[0].created_at),
+        updatedAt: new Date(rows[0].updated_at),
+        parentTaskId: rows[0].parent_task_id,
+        subtasks: [],
+        recurrence: parseJsonColumn(rows[0].recurrence, null),
+        recurrenceSeriesId: rows[0].recurrence_series_id || undefined,
+        recurrenceDate: rows[0].recurrence_date ? new Date(rows[0].recurrence_date) : undefined,
+        attachments: rows[0].attachments ? JSON.parse(rows[0].attachments) : [],
+        comments: rows[0].comments ? JSON.parse(rows[0].comments) : [],
+        timeEntries: rows[0].time_entries ? JSON.parse(rows[0].time_entries) : [],
+        teamId: rows[0].team_id
+      };
+      publishTaskChange('created', { id: task.id, companyId: rows[0].company_id, projectId: rows[0].project_id });
+      if (task.parentTaskId) {
+        await rollUpSubtaskCompletion(connection, task.parentTaskId);
+      }
+      if (task.recurrence) {
+        await generateTaskOccurrences(connection, taskId);
+      }
+      
+      res.status(201).json({
+        success: true,
+        data: task,
+        message: 'Task created successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = taskUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const userId = req.user.uid;
+    const companyId = req.user.companyId;
+    
+    // Check if task exists and user has access
+    const connection = await pool.getConnection();
+    try {
+      const [existingRows] = await connection.execute(
+        'SELECT * FROM tasks WHERE id = ?', 
+        [id]
+      );
+      
+      if (existingRows.length === 0) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      
+      const existingTask = existingRows[0];
+      
+      // For non-root users, verify they belong to the same company
+      if (req.user.role !== 'root' && existingTask.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      const statuses = await getTaskWorkflow(connection, 'status', existingTask.company_id, existingTask.project_id);
+      const priorities = await getTaskWorkflow(connection, 'priority', existingTask.company_id, existingTask.project_id);
+      const status = statuses.find(s => s.id === value.status);
+      const priority = priorities.find(p => p.id === value.priority);
+      if ((value.status !== undefined && !status) || (value.priority !== undefined && !priority)) {
+        return res.status(400).json({ error: "Status and priority must come from the project's workflow" });
+      }
+      
+      const startDate = value.startDate !== undefined ? toSqlDate(value.startDate) : fromSqlDate(existingTask.start_date);
+      const dueDate = value.dueDate !== undefined ? toSqlDate(value.dueDate) : fromSqlDate(existingTask.due_date);
+      if (!isTaskDateRangeValid(startDate, dueDate)) {
+        return res.status(400).json({ error: TASK_DATE_RANGE_ERROR });
+      }
+      
+      if (value.parentTaskId) {
+        const parentError = await getParentTaskError(connection, value.parentTaskId, {
+          taskId: id,
+          companyId: existingTask.company_id,
+          projectId: existingTask.project_id
+        });
+        if (parentError) {
+          return res.status(400).json({ error: parentError });
+        }
+      }
+      
+      // Update task
+      const fields = [];
+      const values = [];
+      
+      if (value.title !== undefined) {
+        fields.push('title = ?');
+        values.push(value.title);
+      }
+      if (value.description !== undefined) {
+        fields.push('description = ?');
+        values.push(value.description);
+      }
+      if (value.status !== undefined) {
+        fields.push('status_id = ?', 'is_completed = ?', 'completed_at = ?');
+        values.push(
+          status.id,
+          status.isCompleted ? 1 : 0,
+          status.isCompleted ? (existingTask.completed_at || new Date()) : null
+        );
+      }
+      if (value.priority !== undefined) {
+        fields.push('priority_id = ?');
+        values.push(priority.id);
+      }
+      if (value.assigneeId !== undefined) {
+        fields.push('assignee_id = ?');
+        values.push(value.assigneeId || null);
+      }
+      if (value.startDate !== undefined) {
+        fields.push('start_date = ?');
+        values.push(startDate);
+      }
+      if (value.dueDate !== undefined) {
+        fields.push('due_date = ?');
+        values.push(dueDate);
+      }
+      if (value.estimatedHours !== undefined) {
+        fields.push('estimated_hours = ?');
+        values.push(value.estimatedHours || null);
+      }
+      if (value.tags !== undefined) {
+        fields.push('tags = ?');
+        values.push(JSON.stringify(value.tags));
+      }
+      if (value.parentTaskId !== undefined) {
+        fields.push('parent_task_id = ?');
+        values.push(value.parentTaskId || null);
+      }
+      if (value.teamId !== undefined) {
+        fields.push('team_id = ?');
+        values.push(value.teamId || null);
+      }
+      if (value.recurrence !== undefined) {
+        fields.push('recurrence = ?');
+        values.push(value.recurrence ? JSON.stringify(value.recurrence) : null);
+        // A task that doesn't repeat yet starts a new series; a changed rule
+        // carries on the current one
+        if (value.recurrence && !existingTask.recurrence) {
+          fields.push('recurrence_series_id = ?', 'recurrence_date = ?');
+          values.push(uuidv4(), getFirstOccurrenceDate(dueDate, new Date()));
+        }
+      }
+      
+      // Always update the timestamp
+      fields.push('updated_at = ?');
+      values.push(new Date());
+      
+      if (fields.length === 0) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+      }
+      
+      values.push(id); // For the WHERE clause
+      
+      const query = `UPDATE tasks SET ${fields.join(', ')} WHERE id = ?`;
+      await connection.execute(query, values);
+      publishTaskChange('updated', { id, companyId: existingTask.company_id, projectId: existingTask.project_id });
+      
+      // Both the old and the new parent may be done or open now
+      if (value.status !== undefined || value.parentTaskId !== undefined) {
+        for (const parentTaskId of new Set([existingTask.parent_task_id, value.parentTaskId])) {
+          if (parentTaskId) {
+            await rollUpSubtaskCompletion(connection, parentTaskId);
+          }
+        }
+      }
+      
+      // A completion or a new rule may be due an occurrence right away
+      if (value.status !== undefined || value.recurrence) {
+        await generateTaskOccurrences(connection, id);
+      }
+      
+      res.json({
+        success: true,
+        message: 'Task updated successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.uid;
+    const companyId = req.user.companyId;
+    
+    // Check if task exists and user has access
+    const connection = await pool.getConnection();
+    try {
+      const [existingRows] = await connection.execute(
+        'SELECT * FROM tasks WHERE id = ?', 
+        [id]
+      );
+      
+      if (existingRows.length === 0) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      
+      const existingTask = existingRows[0];
+      
+      // For non-root users, verify they belong to the same company
+      if (req.user.role !== 'root' && existingTask.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      // Check if user is authorized to delete (creator, admin, or super_admin)
+      if (req.user.role !== 'root' && req.user.role !== 'admin' && req.user.role !== 'super_admin' && existingTask.created_by !== userId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      // ?subtasks=cascade deletes the subtasks too. Otherwise they become
+      // standalone tasks. Databases loaded from mysql-schema.sql have no foreign
+      // key on parent_task_id, so it is cleared here
+      const [subtaskRows] = await connection.execute('SELECT id FROM tasks WHERE parent_task_id = ?', [id]);
+      const cascade = req.query.subtasks === 'cascade';
+      const deletedIds = cascade ? [...subtaskRows.map(row => row.id), id] : [id];
+      
+      await connection.beginTransaction();
+      try {
+        if (!cascade) {
+          await connection.execute(
+            'UPDATE tasks SET parent_task_id = NULL, updated_at = ? WHERE parent_task_id = ?',
+            [new Date(), id]
+          );
+        }
+        for (const deletedId of deletedIds) {
+          await connection.execute('DELETE FROM tasks WHERE id = ?', [deletedId]);
+        }
+        await connection.commit();
+      } catch (deleteError) {
+        await connection.rollback();
+        throw deleteError;
+      }
+      
+      for (const deletedId of deletedIds) {
+        publishTaskChange('deleted', { id: deletedId, companyId: existingTask.company_id, projectId: existingTask.project_id });
+      }
+      if (!cascade) {
+        for (const row of subtaskRows) {
+          publishTaskChange('updated', { id: row.id, companyId: existingTask.company_id, projectId: existingTask.project_id });
+        }
+      }
+      if (existingTask.parent_task_id) {
+        await rollUpSubtaskCompletion(connection, existingTask.parent_task_id);
+      }
+      
+      res.json({
+        success: true,
+        message: 'Task deleted successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+// Task dependencies (finish-to-start). The timeline warns about dates that break
+// them; here they are only kept free of cycles
+const mapTaskDependencyRow = (row) => ({
+  id: row.id,
+  taskId: row.task_id,
+  dependsOnTaskId: row.depends_on_task_id,
+  type: row.type,
+  createdAt: row.created_at
+});
+
+// Whether fromTaskId already depends on toTaskId, directly or through other tasks
+const hasDependencyPath = (dependencies, fromTaskId, toTaskId) => {
+  const seen = new Set();
+  const pending = [fromTaskId];
+  while (pending.length > 0) {
+    const taskId = pending.pop();
+    if (taskId === toTaskId) return true;
+    if (seen.has(taskId)) continue;
+    seen.add(taskId);
+    dependencies
+      .filter(dependency => dependency.task_id === taskId)
+      .forEach(dependency => pending.push(dependency.depends_on_task_id));
+  }
+  return false;
+};
+
+app.get('/api/task-dependencies', authenticateToken, async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const connection = await pool.getConnection();
+    try {
+      let query = `
+        SELECT d.* FROM task_dependencies d
+        INNER JOIN tasks t ON t.id = d.task_id
+        WHERE 1=1`;
+      const params = [];
+      if (req.user.role !== 'root') {
+        query += ' AND t.company_id = ?';
+        params.push(req.user.companyId);
+      }
+      if (projectId) {
+        query += ' AND t.project_id = ?';
+        params.push(projectId);
+      }
+      query += ' ORDER BY d.created_at ASC';
+
+      const [rows] = await connection.execute(query, params);
+      const dependencies = rows.map(mapTaskDependencyRow);
+      res.json({ success: true, data: dependencies, count: dependencies.length });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching task dependencies:', error);
+    res.status(500).json({ error: 'Failed to fetch task dependencies' });
+  }
+});
+
+app.post('/api/task-dependencies', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = taskDependencySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    if (value.taskId === value.dependsOnTaskId) {
+      return res.status(400).json({ error: 'A task cannot depend on itself' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      let id;
+      let taskRows;
+      // The company's dependencies stay locked from the cycle check to the insert,
+      // so two requests can't each add half of a cycle
+      await connection.beginTransaction();
+      try {
+        [taskRows] = await connection.execute(
+          'SELECT id, company_id, project_id FROM tasks WHERE id IN (?, ?) FOR UPDATE',
+          [value.taskId, value.dependsOnTaskId]
+        );
+        if (taskRows.length !== 2) {
+          await connection.rollback();
+          return res.status(404).json({ error: 'Task not found' });
+        }
+        if (taskRows[0].company_id !== taskRows[1].company_id ||
+          (req.user.role !== 'root' && taskRows[0].company_id !== req.user.companyId)) {
+          await connection.rollback();
+          return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const [existingRows] = await connection.execute(
+          `SELECT d.task_id, d.depends_on_task_id FROM task_dependencies d
+           INNER JOIN tasks t ON t.id = d.task_id
+           WHERE t.company_id <=> ?
+           FOR UPDATE`,
+          [taskRows[0].company_id]
+        );
+        if (hasDependencyPath(existingRows, value.dependsOnTaskId, value.taskId)) {
+          await connection.rollback();
+          return res.status(409).json({ error: 'This dependency would make the tasks wait on each other' });
+        }
+
+        id = uuidv4();
+        await connection.execute(
+          'INSERT INTO task_dependencies (id, task_id, depends_on_task_id, created_by) VALUES (?, ?, ?, ?)',
+          [id, value.taskId, value.dependsOnTaskId, req.user.uid]
+        );
+        await connection.commit();
+      } catch (insertError) {
+        await connection.rollback();
+        if (insertError.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ error: 'This dependency already exists' });
+        }
+        throw insertError;
+      }
+
+      publishTaskChange('updated', {
+        id: value.taskId,
+        companyId: taskRows[0].company_id,
+        projectId: taskRows.find(row => row.id === value.taskId).project_id
+      });
+
+      const [rows] = await connection.execute('SELECT * FROM task_dependencies WHERE id = ?', [id]);
+      res.status(201).json({
+        success: true,
+        data: mapTaskDependencyRow(rows[0]),
+        message: 'Task dependency created successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating task dependency:', error);
+    res.status(500).json({ error: 'Failed to create task dependency' });
+  }
+});
+
+app.delete('/api/task-dependencies/:id', authenticateToken, async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT d.*, t.company_id, t.project_id FROM task_dependencies d
+         INNER JOIN tasks t ON t.id = d.task_id
+         WHERE d.id = ?`,
+        [req.params.id]
+      );
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Task dependency not found' });
+      }
+      if (req.user.role !== 'root' && rows[0].company_id !== req.user.companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      await connection.execute('DELETE FROM task_dependencies WHERE id = ?', [req.params.id]);
+      publishTaskChange('updated', { id: rows[0].task_id, companyId: rows[0].company_id, projectId: rows[0].project_id });
+
+      res.json({ success: true, message: 'Task dependency deleted successfully' });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error deleting task dependency:', error);
+    res.status(500).json({ error: 'Failed to delete task dependency' });
+  }
+});
+
+// Invoices API
+const toDateOnly = (date) => (date ? new Date(date).toISOString().split('T')[0] : null);
+
+// Paid and partially paid invoices only get there by recording payments
+const INVOICE_STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  partially_paid: [],
+  paid: [],
+  cancelled: []
+};
+
+const OPEN_INVOICE_STATUSES = ['sent', 'partially_paid'];
+
+// Overdue is a flag on open invoices rather than a stored status, so it never goes stale
+const isInvoiceOverdue = (row) =>
+  OPEN_INVOICE_STATUSES.includes(row.status) &&
+  !!row.due_date &&
+  toDateOnly(row.due_date) < toDateOnly(new Date());
+
+const getInvoiceBalance = (row) =>
+  roundAmount(Number(row.total || 0) - Number(row.amount_paid || 0), getCurrencyDecimals(row.currency));
+
+const mapInvoiceLineItemRow = (row) => ({
+  id: row.id,
+  invoiceId: row.invoice_id,
+  timeEntryId: row.time_entry_id,
+  projectId: row.project_id,
+  projectName: row.project_name,
+  description: row.description,
+  entryDate: row.entry_date,
+  quantity: Number(row.quantity || 0),
+  unitPrice: Number(row.unit_price || 0),
+  amount: Number(row.amount || 0),
+  sortOrder: row.sort_order
+});
+
+const mapTaxRateRow = (row) => ({
+  id: row.id,
+  companyId: row.company_id,
+  name: row.name,
+  rate: Number(row.rate),
+  isArchived: row.is_archived === 1,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const mapInvoiceTaxRow = (row) => ({
+  id: row.id,
+  taxRateId: row.tax_rate_id,
+  name: row.name,
+  rate: Number(row.rate),
+  amount: Number(row.amount)
+});
+
+const mapInvoiceRow = (row, lineItems, taxes, payments) => ({
+  id: row.id,
+  companyId: row.company_id,
+  invoiceNumber: row.invoice_number,
+  clientId: row.client_id,
+  clientName: row.client_name,
+  clientEmail: row.client_email,
+  status: row.status,
+  issueDate: row.issue_date,
+  dueDate: row.due_date,
+  periodStart: row.period_start,
+  periodEnd: row.period_end,
+  currency: row.currency || 'USD',
+  hourlyRate: Number(row.hourly_rate || 0),
+  totalHours: Number(row.total_hours || 0),
+  subtotal: Number(row.subtotal || 0),
+  discountType: row.discount_type || null,
+  discountValue: Number(row.discount_value || 0),
+  discountAmount: Number(row.discount_amount || 0),
+  taxTotal: Number(row.tax_total || 0),
+  total: Number(row.total || 0),
+  amountPaid: Number(row.amount_paid || 0),
+  balanceDue: getInvoiceBalance(row),
+  isOverdue: isInvoiceOverdue(row),
+  notes: row.notes,
+  projectNames: row.project_names ? row.project_names.split(',') : [],
+  lineItems: lineItems ? lineItems.map(mapInvoiceLineItemRow) : undefined,
+  taxes: taxes ? taxes.map(mapInvoiceTaxRow) : undefined,
+  payments: payments ? payments.map(mapInvoicePaymentRow) : undefined,
+  sentAt: row.sent_at,
+  paidAt: row.paid_at,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const mapInvoicePaymentRow = (row) => ({
+  id: row.id,
+  invoiceId: row.invoice_id,
+  paymentDate: row.payment_date,
+  amount: Number(row.amount || 0),
+  method: row.method,
+  reference: row.reference,
+  notes: row.notes,
+  recordedBy: row.recorded_by,
+  recordedByName: row.recorded_by_name,
+  createdAt: row.created_at
+});
+
+// Recomputes the paid amount from the payment rows and moves the invoice
+// between sent, partially_paid and paid to match
+const syncInvoicePaymentStatus = async (connection, invoiceId) => {
+  const [[invoice]] = await connection.execute('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [invoiceId]);
+  const [[{ paid }]] = await connection.execute(
+    'SELECT COALESCE(SUM(amount), 0) AS paid FROM invoice_payments WHERE invoice_id = ?',
+    [invoiceId]
+  );
+  const decimals = getCurrencyDecimals(invoice.currency);
+  const amountPaid = roundAmount(paid, decimals);
+  const balance = roundAmount(Number(invoice.total || 0) - amountPaid, decimals);
+
+  let status = 'sent';
+  if (amountPaid > 0) {
+    status = balance <= 0 ? 'paid' : 'partially_paid';
+  }
+
+  await connection.execute(
+    'UPDATE invoices SET amount_paid = ?, status = ?, paid_at = ?, updated_at = ? WHERE id = ?',
+    [amountPaid, status, status === 'paid' ? invoice.paid_at || new Date() : null, new Date(), invoiceId]
+  );
+};
+
+const mapInvoiceSettingsRow = (row) => ({
+  prefix: row ? row.prefix : 'INV-',
+  padding: row ? Number(row.padding) : 4,
+  resetYearly: row ? row.reset_yearly === 1 : false,
+  nextNumber: row ? Number(row.next_number) : 1,
+  sequenceYear: row ? row.sequence_year : null
+});
+
+// The sequence year is the year of the invoice's issue date
+const getNextSequenceNumber = (settings, year) => {
+  if (settings.resetYearly && settings.sequenceYear !== year) {
+    return 1;
+  }
+  return settings.nextNumber;
+};
+
+const getInvoiceNumberPrefix = (settings, year) => `${settings.prefix}${settings.resetYearly ? `${year}-` : ''}`;
+
+const formatInvoiceNumber = (settings, sequenceNumber, year) =>
+  `${getInvoiceNumberPrefix(settings, year)}${String(sequenceNumber).padStart(settings.padding, '0')}`;
+
+// Going back to an earlier prefix, or turning yearly numbering off, can lead the
+// sequence onto numbers already on invoices. Those are skipped
+const getFreeSequenceNumber = async (connection, companyId, settings, year) => {
+  const [rows] = await connection.execute(
+    'SELECT invoice_number FROM invoices WHERE company_id = ? AND invoice_number LIKE ?',
+    [companyId, `${getInvoiceNumberPrefix(settings, year).replace(/[\\%_]/g, '\\$&')}%`]
+  );
+  const taken = new Set(rows.map(row => row.invoice_number));
+  let sequenceNumber = getNextSequenceNumber(settings, year);
+  while (taken.has(formatInvoiceNumber(settings, sequenceNumber, year))) {
+    sequenceNumber++;
+  }
+  return sequenceNumber;
+};
+
+// Must run inside the caller's transaction: the row lock serialises concurrent
+// invoices and a rollback returns the number, so the sequence never has gaps
+const allocateInvoiceNumber = async (connection, companyId, issueDate) => {
+  await connection.execute('INSERT IGNORE INTO company_invoice_settings (company_id) VALUES (?)', [companyId]);
+  const [rows] = await connection.execute(
+    'SELECT * FROM company_invoice_settings WHERE company_id = ? FOR UPDATE',
+    [companyId]
+  );
+
+  const settings = mapInvoiceSettingsRow(rows[0]);
+  const year = Number(toDateOnly(issueDate).slice(0, 4));
+  const sequenceNumber = await getFreeSequenceNumber(connection, companyId, settings, year);
+
+  await connection.execute(
+    'UPDATE company_invoice_settings SET next_number = ?, sequence_year = ? WHERE company_id = ?',
+    [sequenceNumber + 1, year, companyId]
+  );
+
+  return {
+    invoiceNumber: formatInvoiceNumber(settings, sequenceNumber, year),
+    sequenceNumber,
+    sequenceYear: year
+  };
+};
+
+// Billable, stopped entries for a client that are not on any invoice yet
+app.get('/api/invoices/billable-entries', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { clientId, startDate, endDate, approvedOnly } = req.query;
+    if (!clientId || !startDate || !endDate) {
+      return res.status(400).json({ error: 'clientId, startDate and endDate are required' });
+    }
+
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      // Set end date to end of day to include all entries for that day
+      const adjustedEndDate = new Date(endDate);
+      adjustedEndDate.setHours(23, 59, 59, 999);
+
+      let query = `
+        SELECT te.*
+        FROM time_entries te
+        LEFT JOIN projects p ON p.id = te.project_id
+        LEFT JOIN invoice_line_items li ON li.time_entry_id = te.id
+        WHERE te.is_billable = 1 AND te.is_running = 0 AND li.id IS NULL
+          AND (te.client_id = ? OR p.client_id = ?)
+          AND te.start_time >= ? AND te.start_time <= ?
+      `;
+      const params = [clientId, clientId, new Date(startDate), adjustedEndDate];
+
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND te.company_id = ?';
+        params.push(companyId);
+      }
+
+      if (approvedOnly === 'true') {
+        query += ' AND te.approved_at IS NOT NULL';
+      }
+
+      query += ' ORDER BY te.start_time ASC';
+
+      const [rows] = await connection.execute(query, params);
+      const [clientRows] = await connection.execute('SELECT * FROM clients WHERE id = ?', [clientId]);
+      const settings = await getCompanyTimeSettings(connection, clientRows.length > 0 ? clientRows[0].company_id : companyId);
+      const roundingRule = resolveRoundingRule(settings, clientRows[0]);
+
+      const entries = [];
+      for (const row of rows) {
+        // Priced exactly as invoice creation will price them
+        const { rate, source } = await getEntryRateSnapshot(connection, { ...row, client_id: row.client_id || clientId });
+        entries.push({
+          id: row.id,
+          userId: row.user_id,
+          companyId: row.company_id,
+          projectId: row.project_id,
+          projectName: row.project_name,
+          clientId: row.client_id,
+          clientName: row.client_name,
+          description: row.description,
+          startTime: row.start_time,
+          endTime: row.end_time,
+          duration: row.duration,
+          billableDuration: getBillableSeconds(row.duration, roundingRule),
+          isRunning: row.is_running === 1,
+          isBillable: row.is_billable === 1,
+          isLocked: row.is_locked === 1,
+          invoiceId: row.invoice_id || null,
+          approvedAt: row.approved_at || null,
+          hourlyRate: rate,
+          rateSource: source,
+          tags: row.tags ? JSON.parse(row.tags) : [],
+          createdAt: row.created_at,
+          updatedAt: row.updated_at
+        });
+      }
+
+      res.json({ success: true, data: entries, count: entries.length });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching billable entries:', error);
+    res.status(500).json({ error: 'Failed to fetch billable entries' });
+  }
+});
+
+app.get('/api/invoices', authenticateToken, async (req, res) => {
+  try {
+    const { status, clientId } = req.query;
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      let query = `
+        SELECT i.*,
+          (SELECT GROUP_CONCAT(DISTINCT li.project_name) FROM invoice_line_items li
+           WHERE li.invoice_id = i.id AND li.project_name IS NOT NULL) AS project_names
+        FROM invoices i
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND i.company_id = ?';
+        params.push(companyId);
+      }
+
+      if (status === 'overdue') {
+        query += " AND i.status IN ('sent', 'partially_paid') AND i.due_date < CURDATE()";
+      } else if (status) {
+        query += ' AND i.status = ?';
+        params.push(status);
+      }
+
+      if (clientId) {
+        query += ' AND i.client_id = ?';
+        params.push(clientId);
+      }
+
+      query += ' ORDER BY i.issue_date DESC, i.created_at DESC';
+
+      const [rows] = await connection.execute(query, params);
+      const invoices = rows.map(row => mapInvoiceRow(row));
+
+      res.json({ success: true, data: invoices, count: invoices.length });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+app.get('/api/invoices/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const [rows] = await connection.execute('SELECT * FROM invoices WHERE id = ?', [id]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+
+      const invoice = rows[0];
+      if (req.user.role !== 'root' && companyId && invoice.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const [lineItemRows] = await connection.execute(
+        'SELECT * FROM invoice_line_items WHERE invoice_id = ? ORDER BY sort_order ASC',
+        [id]
+      );
+      const [taxRows] = await connection.execute(
+        'SELECT * FROM invoice_taxes WHERE invoice_id = ? ORDER BY sort_order ASC',
+        [id]
+      );
+      const [paymentRows] = await connection.execute(
+        `SELECT p.*, u.name AS recorded_by_name FROM invoice_payments p
+         LEFT JOIN users u ON p.recorded_by = u.id
+         WHERE p.invoice_id = ? ORDER BY p.payment_date ASC, p.created_at ASC`,
+        [id]
+      );
+
+      res.json({ success: true, data: mapInvoiceRow(invoice, lineItemRows, taxRows, paymentRows) });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({ error: 'Failed to fetch invoice' });
+  }
+});
+
+// Totals for the invoice form, worked out the way POST /api/invoices stores them
+app.post('/api/invoices/totals', authenticateToken, (req, res) => {
+  const { error, value } = invoiceTotalsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  res.json({
+    success: true,
+    data: calculateInvoiceTotals(value.lineAmounts, {
+      discountType: value.discountValue > 0 ? value.discountType || null : null,
+      discountValue: value.discountValue,
+      taxRates: value.taxRates,
+      currency: value.currency
+    })
+  });
+});
+
+app.post('/api/invoices', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { error, value } = invoiceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const userId = req.user.uid;
+    const companyId = req.user.companyId;
+    const now = new Date();
+    const invoiceId = uuidv4();
+
+    const connection = await pool.getConnection();
+    try {
+      const [clientRows] = await connection.execute('SELECT * FROM clients WHERE id = ?', [value.clientId]);
+      if (clientRows.length === 0) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+
+      const client = clientRows[0];
+      if (req.user.role !== 'root' && companyId && client.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const entryIds = [...new Set(value.timeEntryIds)];
+      const placeholders = entryIds.map(() => '?').join(', ');
+      const [entryRows] = await connection.execute(
+        `SELECT te.*, p.client_id AS project_client_id, li.id AS line_item_id
+         FROM time_entries te
+         LEFT JOIN projects p ON p.id = te.project_id
+         LEFT JOIN invoice_line_items li ON li.time_entry_id = te.id
+         WHERE te.id IN (${placeholders})
+         ORDER BY te.start_time ASC`,
+        entryIds
+      );
+
+      if (entryRows.length !== entryIds.length) {
+        return res.status(400).json({ error: 'One or more time entries were not found' });
+      }
+
+      const invalidEntry = entryRows.find(row =>
+        (req.user.role !== 'root' && companyId && row.company_id !== companyId) ||
+        (row.client_id !== client.id && row.project_client_id !== client.id) ||
+        row.is_billable !== 1 ||
+        row.is_running === 1
+      );
+      if (invalidEntry) {
+        return res.status(400).json({ error: `Time entry ${invalidEntry.id} is not a billable entry for this client` });
+      }
+
+      const alreadyInvoiced = entryRows.find(row => row.line_item_id);
+      if (alreadyInvoiced) {
+        return res.status(409).json({ error: `Time entry ${alreadyInvoiced.id} has already been invoiced` });
+      }
+
+      if (value.discountType === 'percentage' && value.discountValue > 100) {
+        return res.status(400).json({ error: 'Percentage discount cannot exceed 100' });
+      }
+
+      // Taxes default to the ones attached to the client
+      let taxRateRows = [];
+      if (value.taxRateIds) {
+        const taxRateIds = [...new Set(value.taxRateIds)];
+        if (taxRateIds.length) {
+          [taxRateRows] = await connection.execute(
+            `SELECT * FROM tax_rates WHERE id IN (${taxRateIds.map(() => '?').join(', ')}) AND is_archived = 0`,
+            taxRateIds
+          );
+        }
+        if (taxRateRows.length !== taxRateIds.length ||
+          taxRateRows.some(taxRate => taxRate.company_id !== client.company_id)) {
+          return res.status(400).json({ error: 'One or more tax rates are invalid' });
+        }
+      } else {
+        [taxRateRows] = await connection.execute(
+          `SELECT tr.* FROM tax_rates tr
+           INNER JOIN client_tax_rates ctr ON ctr.tax_rate_id = tr.id
+           WHERE ctr.client_id = ? AND tr.is_archived = 0
+           ORDER BY tr.name ASC`,
+          [client.id]
+        );
+      }
+
+      // Each entry is billed at the rate it was logged with, for its rounded time
+      const currency = client.currency || 'USD';
+      const decimals = getCurrencyDecimals(currency);
+      const roundingRule = resolveRoundingRule(await getCompanyTimeSettings(connection, client.company_id), client);
+      const lineItems = [];
+      for (const [index, row] of entryRows.entries()) {
+        const quantity = roundAmount(getBillableSeconds(row.duration, roundingRule) / 3600);
+        const { rate } = await getEntryRateSnapshot(connection, { ...row, client_id: row.client_id || client.id });
+        const unitPrice = rate || 0;
+        lineItems.push({
+          id: uuidv4(),
+          timeEntryId: row.id,
+          projectId: row.project_id,
+          projectName: row.project_name,
+          description: row.description || row.project_name || 'Billable time',
+          entryDate: toDateOnly(row.start_time),
+          quantity,
+          unitPrice,
+          amount: roundAmount(quantity * unitPrice, decimals),
+          sortOrder: index
+        });
+      }
+
+      // The invoice-level rate is only meaningful when every line shares it
+      const lineRates = [...new Set(lineItems.map(item => item.unitPrice))];
+      const hourlyRate = lineRates.length === 1 ? lineRates[0] : Number(client.hourly_rate || 0);
+
+      const totalHours = roundAmount(lineItems.reduce((sum, item) => sum + item.quantity, 0));
+      const discountType = value.discountValue > 0 ? value.discountType || null : null;
+      const totals = calculateInvoiceTotals(lineItems.map(item => item.amount), {
+        discountType,
+        discountValue: value.discountValue,
+        taxRates: taxRateRows,
+        currency
+      });
+
+      const invoiceCompanyId = companyId || client.company_id;
+      if (!invoiceCompanyId) {
+        return res.status(400).json({ error: 'Client must belong to a company to be invoiced' });
+      }
+
+      let invoiceNumber;
+      await connection.beginTransaction();
+      try {
+        const sequence = await allocateInvoiceNumber(connection, invoiceCompanyId, value.issueDate);
+        invoiceNumber = sequence.invoiceNumber;
+
+        await connection.execute(
+          `INSERT INTO invoices (
+            id, company_id, invoice_number, sequence_number, sequence_year, client_id, client_name,
+            client_email, status, issue_date, due_date, period_start, period_end, currency, hourly_rate,
+            total_hours, subtotal, discount_type, discount_value, discount_amount, tax_total, total,
+            notes, sent_at, created_by, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            invoiceId,
+            invoiceCompanyId,
+            invoiceNumber,
+            sequence.sequenceNumber,
+            sequence.sequenceYear,
+            client.id,
+            client.name,
+            client.email || null,
+            value.status,
+            toDateOnly(value.issueDate),
+            toDateOnly(value.dueDate),
+            toDateOnly(value.periodStart),
+            toDateOnly(value.periodEnd),
+            currency,
+            hourlyRate,
+            totalHours,
+            totals.subtotal,
+            discountType,
+            discountType ? value.discountValue : 0,
+            totals.discountAmount,
+            totals.taxTotal,
+            totals.total,
+            value.notes || null,
+            value.status === 'sent' ? now : null,
+            userId,
+            now,
+            now
+          ]
+        );
+
+        for (const item of lineItems) {
+          await connection.execute(
+            `INSERT INTO invoice_line_items (
+              id, invoice_id, time_entry_id, project_id, project_name, description,
+              entry_date, quantity, unit_price, amount, sort_order
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              item.id,
+              invoiceId,
+              item.timeEntryId,
+              item.projectId || null,
+              item.projectName || null,
+              item.description,
+              item.entryDate,
+              item.quantity,
+              item.unitPrice,
+              item.amount,
+              item.sortOrder
+            ]
+          );
+        }
+
+        for (const [index, tax] of totals.taxes.entries()) {
+          await connection.execute(
+            `INSERT INTO invoice_taxes (id, invoice_id, tax_rate_id, name, rate, amount, sort_order)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [uuidv4(), invoiceId, tax.taxRateId, tax.name, tax.rate, tax.amount, index]
+          );
+        }
+
+        // Billed entries are locked until the invoice is deleted or a super_admin unlocks them
+        await connection.execute(
+          `UPDATE time_entries SET is_locked = 1, locked_at = ?, invoice_id = ?
+           WHERE id IN (${placeholders})`,
+          [now, invoiceId, ...entryIds]
+        );
+
+        await connection.commit();
+        for (const row of entryRows) {
+          publishTimeEntryChange('updated', {
+            id: row.id,
+            userId: row.user_id,
+            companyId: row.company_id,
+            projectId: row.project_id
+          });
+        }
+      } catch (insertError) {
+        await connection.rollback();
+        if (insertError.code === 'ER_DUP_ENTRY') {
+          // A duplicate number means the sequence was moved back onto numbers already issued
+          const message = String(insertError.message || '').includes('unique_company_invoice_number')
+            ? `Invoice number ${invoiceNumber} is already in use; check the invoice numbering settings`
+            : 'One or more time entries have already been invoiced';
+          return res.status(409).json({ error: message });
+        }
+        throw insertError;
+      }
+
+      const [rows] = await connection.execute('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+      const [lineItemRows] = await connection.execute(
+        'SELECT * FROM invoice_line_items WHERE invoice_id = ? ORDER BY sort_order ASC',
+        [invoiceId]
+      );
+      const [taxRows] = await connection.execute(
+        'SELECT * FROM invoice_taxes WHERE invoice_id = ? ORDER BY sort_order ASC',
+        [invoiceId]
+      );
+
+      res.status(201).json({
+        success: true,
+        data: mapInvoiceRow(rows[0], lineItemRows, taxRows),
+        message: 'Invoice created successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error creating invoice:', error);
+    res.status(500).json({ error: 'Failed to create invoice' });
+  }
+});
+
+app.put('/api/invoices/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { id } = req.params;
+    const { error, value } = invoiceUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const [existingRows] = await connection.execute('SELECT * FROM invoices WHERE id = ?', [id]);
+      if (existingRows.length === 0) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+
+      const existing = existingRows[0];
+      if (req.user.role !== 'root' && companyId && existing.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const fields = [];
+      const values = [];
+
+      if (value.issueDate !== undefined) {
+        fields.push('issue_date = ?');
+        values.push(toDateOnly(value.issueDate));
+      }
+      if (value.dueDate !== undefined) {
+        fields.push('due_date = ?');
+        values.push(toDateOnly(value.dueDate));
+      }
+      if (value.notes !== undefined) {
+        fields.push('notes = ?');
+        values.push(value.notes || null);
+      }
+      if (value.status !== undefined && value.status !== existing.status) {
+        if (!INVOICE_STATUS_TRANSITIONS[existing.status].includes(value.status)) {
+          return res.status(409).json({
+            error: `A ${existing.status.replace('_', ' ')} invoice cannot be changed to ${value.status}`
+          });
+        }
+        fields.push('status = ?');
+        values.push(value.status);
+        if (value.status === 'sent' && !existing.sent_at) {
+          fields.push('sent_at = ?');
+          values.push(new Date());
+        }
+      }
+
+      fields.push('updated_at = ?');
+      values.push(new Date());
+
+      await connection.execute(`UPDATE invoices SET ${fields.join(', ')} WHERE id = ?`, [...values, id]);
+
+      res.json({ success: true, message: 'Invoice updated successfully' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error creating client:', error);
-    res.status(500).json({ error: 'Failed to create client' });
+    console.error('Error updating invoice:', error);
+    res.status(500).json({ error: 'Failed to update invoice' });
   }
 });
 
-app.put('/api/clients/:id', authenticateToken, async (req, res) => {
+app.delete('/api/invoices/:id', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { error, value } = clientSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
+    const { id } = req.params;
     const companyId = req.user.companyId;
 
     const connection = await pool.getConnection();
     try {
-      const [existingRows] = await connection.execute('SELECT * FROM clients WHERE id = ?', [id]);
+      const [existingRows] = await connection.execute('SELECT * FROM invoices WHERE id = ?', [id]);
       if (existingRows.length === 0) {
-        return res.status(404).json({ error: 'Client not found' });
+        return res.status(404).json({ error: 'Invoice not found' });
       }
 
       const existing = existingRows[0];
@@ -2107,973 +7271,1107 @@ app.put('/api/clients/:id', authenticateToken, async (req, res) => {
         return res.status(403).json({ error: 'Access denied' });
       }
 
-      const query = `
-        UPDATE clients
-        SET name = ?, email = ?, country = ?, timezone = ?, client_type = ?, hourly_rate = ?,
-            hours_per_week = ?, start_date = ?, end_date = ?, phone = ?, company = ?, address = ?,
-            currency = ?, updated_at = ?
-        WHERE id = ?
-      `;
+      // Sent and paid invoices are kept as billing records; cancel them instead
+      if (!['draft', 'cancelled'].includes(existing.status)) {
+        return res.status(409).json({ error: 'Only draft or cancelled invoices can be deleted' });
+      }
 
-      await connection.execute(query, [
-        value.name,
-        value.email || null,
-        value.country || null,
-        value.timezone || null,
-        value.clientType || 'full-time',
-        value.hourlyRate !== undefined ? value.hourlyRate : 25,
-        value.hoursPerWeek !== undefined ? value.hoursPerWeek : null,
-        value.startDate || null,
-        value.endDate || null,
-        value.phone || null,
-        value.company || null,
-        value.address || null,
-        value.currency || null,
-        new Date(),
-        id
-      ]);
+      await connection.beginTransaction();
+      try {
+        // Only the latest number can be handed back without leaving a gap in the sequence
+        if (existing.sequence_number) {
+          const [settingsRows] = await connection.execute(
+            'SELECT * FROM company_invoice_settings WHERE company_id = ? FOR UPDATE',
+            [existing.company_id]
+          );
+          const settings = mapInvoiceSettingsRow(settingsRows[0]);
+          const isLatest = settingsRows.length > 0 &&
+            settings.nextNumber === existing.sequence_number + 1 &&
+            settings.sequenceYear === existing.sequence_year;
+
+          if (!isLatest) {
+            await connection.rollback();
+            return res.status(409).json({
+              error: 'Only the most recently numbered invoice can be deleted; cancel this invoice instead'
+            });
+          }
 
-      res.json({
-        success: true,
-        message: 'Client updated successfully'
-      });
+          await connection.execute(
+            'UPDATE company_invoice_settings SET next_number = ? WHERE company_id = ?',
+            [existing.sequence_number, existing.company_id]
+          );
+        }
+
+        // Line items cascade, which releases the time entries for re-invoicing
+        const [releasedRows] = await connection.execute(
+          'SELECT id, user_id, company_id, project_id FROM time_entries WHERE invoice_id = ?',
+          [id]
+        );
+        await connection.execute(
+          'UPDATE time_entries SET is_locked = 0, locked_at = NULL, invoice_id = NULL WHERE invoice_id = ?',
+          [id]
+        );
+        await connection.execute('DELETE FROM invoices WHERE id = ?', [id]);
+
+        await connection.commit();
+        for (const row of releasedRows) {
+          publishTimeEntryChange('updated', {
+            id: row.id,
+            userId: row.user_id,
+            companyId: row.company_id,
+            projectId: row.project_id
+          });
+        }
+      } catch (deleteError) {
+        await connection.rollback();
+        throw deleteError;
+      }
+
+      res.json({ success: true, message: 'Invoice deleted successfully' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error updating client:', error);
-    res.status(500).json({ error: 'Failed to update client' });
+    console.error('Error deleting invoice:', error);
+    res.status(500).json({ error: 'Failed to delete invoice' });
   }
 });
 
-app.post('/api/projects', authenticateToken, async (req, res) => {
+// Invoice payments API
+app.get('/api/invoices/:id/payments', authenticateToken, async (req, res) => {
   try {
-    const { error, value } = projectSchema.validate(req.body);
+    const { id } = req.params;
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      const [invoiceRows] = await connection.execute('SELECT company_id FROM invoices WHERE id = ?', [id]);
+      if (invoiceRows.length === 0) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      if (req.user.role !== 'root' && companyId && invoiceRows[0].company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const [rows] = await connection.execute(
+        `SELECT p.*, u.name AS recorded_by_name FROM invoice_payments p
+         LEFT JOIN users u ON p.recorded_by = u.id
+         WHERE p.invoice_id = ? ORDER BY p.payment_date ASC, p.created_at ASC`,
+        [id]
+      );
+      const payments = rows.map(mapInvoicePaymentRow);
+
+      res.json({ success: true, data: payments, count: payments.length });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching invoice payments:', error);
+    res.status(500).json({ error: 'Failed to fetch invoice payments' });
+  }
+});
+
+app.post('/api/invoices/:id/payments', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { id } = req.params;
+    const { error, value } = invoicePaymentSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
-    
-    const userId = req.user.uid;
+
     const companyId = req.user.companyId;
-    const now = new Date();
-    const projectId = uuidv4();
-    
-    // Get client name if client exists
-    let clientName = null;
-    if (value.clientId) {
-      const connection = await pool.getConnection();
+    const paymentId = uuidv4();
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
       try {
-        const [clientRows] = await connection.execute(
-          'SELECT * FROM clients WHERE id = ?', 
-          [value.clientId]
+        const [invoiceRows] = await connection.execute('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [id]);
+        if (invoiceRows.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        const invoice = invoiceRows[0];
+        if (req.user.role !== 'root' && companyId && invoice.company_id !== companyId) {
+          await connection.rollback();
+          return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+          await connection.rollback();
+          return res.status(409).json({ error: 'Payments can only be recorded against sent or partially paid invoices' });
+        }
+
+        const decimals = getCurrencyDecimals(invoice.currency);
+        const amount = roundAmount(value.amount, decimals);
+        const balance = getInvoiceBalance(invoice);
+        if (amount <= 0 || amount > balance) {
+          await connection.rollback();
+          return res.status(409).json({
+            error: `Payment amount must be greater than zero and no more than the balance due of ${balance.toFixed(decimals)} ${invoice.currency}`
+          });
+        }
+
+        await connection.execute(
+          `INSERT INTO invoice_payments (id, invoice_id, payment_date, amount, method, reference, notes, recorded_by, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            paymentId,
+            id,
+            toDateOnly(value.paymentDate),
+            amount,
+            value.method,
+            value.reference || null,
+            value.notes || null,
+            req.user.uid,
+            new Date()
+          ]
         );
-        
-        if (clientRows.length > 0) {
-          clientName = clientRows[0].name;
+        await syncInvoicePaymentStatus(connection, id);
+
+        await connection.commit();
+      } catch (paymentError) {
+        await connection.rollback();
+        throw paymentError;
+      }
+
+      const [rows] = await connection.execute('SELECT * FROM invoices WHERE id = ?', [id]);
+
+      res.status(201).json({
+        success: true,
+        data: mapInvoiceRow(rows[0]),
+        message: 'Payment recorded successfully'
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error recording invoice payment:', error);
+    res.status(500).json({ error: 'Failed to record invoice payment' });
+  }
+});
+
+app.delete('/api/invoices/:id/payments/:paymentId', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { id, paymentId } = req.params;
+    const companyId = req.user.companyId;
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      try {
+        const [invoiceRows] = await connection.execute('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [id]);
+        if (invoiceRows.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: 'Invoice not found' });
         }
-      } finally {
-        connection.release();
+        if (req.user.role !== 'root' && companyId && invoiceRows[0].company_id !== companyId) {
+          await connection.rollback();
+          return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const [result] = await connection.execute(
+          'DELETE FROM invoice_payments WHERE id = ? AND invoice_id = ?',
+          [paymentId, id]
+        );
+        if (result.affectedRows === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: 'Payment not found' });
+        }
+        await syncInvoicePaymentStatus(connection, id);
+
+        await connection.commit();
+      } catch (deleteError) {
+        await connection.rollback();
+        throw deleteError;
       }
+
+      res.json({ success: true, message: 'Payment deleted successfully' });
+    } finally {
+      connection.release();
     }
-    
-    // Insert project into database
+  } catch (error) {
+    console.error('Error deleting invoice payment:', error);
+    res.status(500).json({ error: 'Failed to delete invoice payment' });
+  }
+});
+
+// Outstanding balance of a client's open invoices, per invoice currency
+app.get('/api/clients/:id/balance', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const companyId = req.user.companyId;
+
     const connection = await pool.getConnection();
     try {
-      const query = `
-        INSERT INTO projects (
-          id, name, description, color, status, priority, start_date, end_date, budget, 
-          client_id, client_name, is_archived, company_id, created_by, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-      
-      await connection.execute(query, [
-        projectId,
-        value.name,
-        value.description || null,
-        value.color,
-        value.status,
-        value.priority,
-        value.startDate || null,
-        value.endDate || null,
-        value.budget || null,
-        value.clientId || null,
-        clientName || null,
-        0, // is_archived
-        companyId,
-        userId,
-        now,
-        now
-      ]);
-      
-      // Get the created project
+      const [clientRows] = await connection.execute('SELECT company_id FROM clients WHERE id = ?', [id]);
+      if (clientRows.length === 0) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+      if (req.user.role !== 'root' && companyId && clientRows[0].company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
       const [rows] = await connection.execute(
-        'SELECT * FROM projects WHERE id = ?', 
-        [projectId]
+        `SELECT * FROM invoices WHERE client_id = ? AND status IN ('sent', 'partially_paid')`,
+        [id]
+      );
+
+      const balances = {};
+      rows.forEach(row => {
+        const currency = row.currency || 'USD';
+        const decimals = getCurrencyDecimals(currency);
+        const balance = balances[currency] || { currency, outstanding: 0, overdue: 0, openInvoices: 0, overdueInvoices: 0 };
+        const due = getInvoiceBalance(row);
+
+        balance.outstanding = roundAmount(balance.outstanding + due, decimals);
+        balance.openInvoices += 1;
+        if (isInvoiceOverdue(row)) {
+          balance.overdue = roundAmount(balance.overdue + due, decimals);
+          balance.overdueInvoices += 1;
+        }
+        balances[currency] = balance;
+      });
+
+      res.json({ success: true, data: Object.values(balances) });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching client balance:', error);
+    res.status(500).json({ error: 'Failed to fetch client balance' });
+  }
+});
+
+// Tax rates API
+app.get('/api/tax-rates', authenticateToken, async (req, res) => {
+  try {
+    const companyId = req.user.companyId;
+    const includeArchived = req.query.includeArchived === 'true';
+
+    const connection = await pool.getConnection();
+    try {
+      let query = 'SELECT * FROM tax_rates WHERE 1=1';
+      const params = [];
+
+      if (req.user.role !== 'root' && companyId) {
+        query += ' AND company_id = ?';
+        params.push(companyId);
+      }
+      if (!includeArchived) {
+        query += ' AND is_archived = 0';
+      }
+
+      query += ' ORDER BY name ASC';
+
+      const [rows] = await connection.execute(query, params);
+      const taxRates = rows.map(mapTaxRateRow);
+
+      res.json({ success: true, data: taxRates, count: taxRates.length });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error('Error fetching tax rates:', error);
+    res.status(500).json({ error: 'Failed to fetch tax rates' });
+  }
+});
+
+app.post('/api/tax-rates', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { error, value } = taxRateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const companyId = req.user.companyId;
+    if (!companyId) {
+      return res.status(400).json({ error: 'Company ID is required' });
+    }
+
+    const now = new Date();
+    const taxRateId = uuidv4();
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.execute(
+        `INSERT INTO tax_rates (id, company_id, name, rate, is_archived, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 0, ?, ?)`,
+        [taxRateId, companyId, value.name, value.rate, now, now]
       );
-      
-      const project = {
-        ...mapProjectRow(rows[0])
-      };
-      
+
+      const [rows] = await connection.execute('SELECT * FROM tax_rates WHERE id = ?', [taxRateId]);
+
       res.status(201).json({
         success: true,
-        data: project,
-        message: 'Project created successfully'
+        data: mapTaxRateRow(rows[0]),
+        message: 'Tax rate created successfully'
       });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error creating project:', error);
-    res.status(500).json({ error: 'Failed to create project' });
+    console.error('Error creating tax rate:', error);
+    res.status(500).json({ error: 'Failed to create tax rate' });
   }
 });
 
-// Get projects for company
-app.get('/api/projects/company/:companyId', authenticateToken, async (req, res) => {
+// Issued invoices keep their own copy of each tax, so edits only affect new invoices
+app.put('/api/tax-rates/:id', authenticateToken, async (req, res) => {
   try {
-    const { companyId } = req.params;
-    const includeArchived = req.query.archived === '1' || req.query.archived === 'true';
-    
-    // Check if user has access to this company
-    // Handle case where companyId might be a Firebase ID (not a valid MySQL ID)
-    if (!companyId || companyId.startsWith('-')) {
-      return res.status(400).json({ error: 'Invalid company ID format' });
-    }
-    
-    if (req.user.role !== 'root' && req.user.companyId !== companyId) {
+    if (!isAdminRole(req.user.role)) {
       return res.status(403).json({ error: 'Access denied' });
     }
-    
+
+    const { id } = req.params;
+    const { error, value } = taxRateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const companyId = req.user.companyId;
+
     const connection = await pool.getConnection();
     try {
-      const query = `
-        SELECT * FROM projects 
-        WHERE company_id = ? AND is_archived = ?
-        ORDER BY created_at DESC
-      `;
-      
-      const [rows] = await connection.execute(query, [companyId, includeArchived ? 1 : 0]);
-      const projects = rows.map(mapProjectRow);
-      
-      res.json({
-        success: true,
-        data: projects,
-        count: projects.length
-      });
+      const [existingRows] = await connection.execute('SELECT * FROM tax_rates WHERE id = ?', [id]);
+      if (existingRows.length === 0) {
+        return res.status(404).json({ error: 'Tax rate not found' });
+      }
+      if (req.user.role !== 'root' && companyId && existingRows[0].company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      await connection.execute(
+        'UPDATE tax_rates SET name = ?, rate = ?, updated_at = ? WHERE id = ?',
+        [value.name, value.rate, new Date(), id]
+      );
+
+      res.json({ success: true, message: 'Tax rate updated successfully' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching projects for company:', error);
-    res.status(500).json({ error: 'Failed to fetch projects for company' });
+    console.error('Error updating tax rate:', error);
+    res.status(500).json({ error: 'Failed to update tax rate' });
   }
 });
 
-
-// Time Summary API
-app.get('/api/time-summary', authenticateToken, async (req, res) => {
+// Tax rates are archived rather than deleted so past invoices still resolve them
+app.delete('/api/tax-rates/:id', authenticateToken, async (req, res) => {
   try {
-    const { period = 'month' } = req.query;
-    const userId = req.user.uid;
-    const companyId = req.user.companyId;
-    
-    const now = new Date();
-    let startDate, endDate;
-    
-    switch (period) {
-      case 'today':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
-        break;
-      case 'week':
-        const startOfWeek = new Date(now);
-        startOfWeek.setDate(now.getDate() - now.getDay());
-        startDate = new Date(startOfWeek.getFullYear(), startOfWeek.getMonth(), startOfWeek.getDate());
-        endDate = new Date(startOfWeek.getFullYear(), startOfWeek.getMonth(), startOfWeek.getDate() + 6, 23, 59, 59);
-        break;
-      case 'month':
-      default:
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-        break;
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
     }
-    
+
+    const { id } = req.params;
+    const companyId = req.user.companyId;
+
     const connection = await pool.getConnection();
     try {
-      // Fix for date range filtering: set end date to end of day to include all entries for that day
-      const adjustedEndDate = new Date(endDate);
-      adjustedEndDate.setHours(23, 59, 59, 999);
-      
-      let query = 'SELECT * FROM time_entries WHERE user_id = ? AND start_time >= ? AND start_time <= ?';
-      let params = [userId, startDate, adjustedEndDate];
-      
-      // For non-root users, filter by company
-      if (req.user.role !== 'root' && companyId) {
-        query += ' AND company_id = ?';
-        params.push(companyId);
+      const [existingRows] = await connection.execute('SELECT * FROM tax_rates WHERE id = ?', [id]);
+      if (existingRows.length === 0) {
+        return res.status(404).json({ error: 'Tax rate not found' });
       }
-      
-      const [rows] = await connection.execute(query, params);
-      
-      const entries = rows.map(row => ({
-        duration: row.duration,
-        isBillable: row.is_billable === 1
-      }));
-      
-      const totalDuration = entries.reduce((sum, entry) => sum + entry.duration, 0);
-      const billableDuration = entries
-        .filter(entry => entry.isBillable)
-        .reduce((sum, entry) => sum + entry.duration, 0);
-      
-      const summary = {
-        period,
-        startDate: startDate.toISOString(),
-        endDate: endDate.toISOString(),
-        totalDuration,
-        billableDuration,
-        nonBillableDuration: totalDuration - billableDuration,
-        totalEntries: entries.length,
-        billableEntries: entries.filter(entry => entry.isBillable).length,
-        formattedTotal: formatTimeFromSeconds(totalDuration),
-        formattedBillable: formatTimeFromSeconds(billableDuration),
-        formattedNonBillable: formatTimeFromSeconds(totalDuration - billableDuration)
-      };
-      
-      res.json({
-        success: true,
-        data: summary
-      });
+      if (req.user.role !== 'root' && companyId && existingRows[0].company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      await connection.execute('UPDATE tax_rates SET is_archived = 1, updated_at = ? WHERE id = ?', [new Date(), id]);
+      await connection.execute('DELETE FROM client_tax_rates WHERE tax_rate_id = ?', [id]);
+
+      res.json({ success: true, message: 'Tax rate archived successfully' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching time summary:', error);
-    res.status(500).json({ error: 'Failed to fetch time summary' });
+    console.error('Error archiving tax rate:', error);
+    res.status(500).json({ error: 'Failed to archive tax rate' });
   }
 });
 
-// Calendar API
-app.get('/api/calendar', authenticateToken, async (req, res) => {
+app.get('/api/clients/:id/tax-rates', authenticateToken, async (req, res) => {
   try {
-    const { year, month, projectId, billableOnly } = req.query;
-    const userId = req.user.uid;
+    const { id } = req.params;
     const companyId = req.user.companyId;
-    
-    const targetYear = parseInt(year) || new Date().getFullYear();
-    const targetMonth = parseInt(month) || new Date().getMonth();
-    
-    const startDate = new Date(targetYear, targetMonth, 1);
-    const endDate = new Date(targetYear, targetMonth + 1, 0, 23, 59, 59);
-    
+
     const connection = await pool.getConnection();
     try {
-      let query = 'SELECT * FROM time_entries WHERE user_id = ? AND start_time >= ? AND start_time <= ?';
-      let params = [userId, startDate, endDate];
-      
-      // For non-root users, filter by company
-      if (req.user.role !== 'root' && companyId) {
-        query += ' AND company_id = ?';
-        params.push(companyId);
-      }
-      
-      // Apply filters
-      if (projectId) {
-        query += ' AND project_id = ?';
-        params.push(projectId);
+      const [clientRows] = await connection.execute('SELECT company_id FROM clients WHERE id = ?', [id]);
+      if (clientRows.length === 0) {
+        return res.status(404).json({ error: 'Client not found' });
       }
-      
-      if (billableOnly === 'true') {
-        query += ' AND is_billable = 1';
+      if (req.user.role !== 'root' && companyId && clientRows[0].company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
       }
-      
-      const [rows] = await connection.execute(query, params);
-      
-      const entries = rows.map(row => ({
-        id: row.id,
-        userId: row.user_id,
-        companyId: row.company_id,
-        projectId: row.project_id,
-        projectName: row.project_name,
-        clientId: row.client_id,
-        clientName: row.client_name,
-        description: row.description,
-        startTime: row.start_time,
-        endTime: row.end_time,
-        duration: row.duration,
-        isRunning: row.is_running === 1,
-        isBillable: row.is_billable === 1,
-        tags: row.tags ? JSON.parse(row.tags) : [],
-        createdAt: row.created_at,
-        updatedAt: row.updated_at
-      }));
-      
-      // Group entries by date
-      const calendarData = {};
-      entries.forEach(entry => {
-        const date = new Date(entry.startTime).toDateString();
-        if (!calendarData[date]) {
-          calendarData[date] = {
-            date,
-            events: [],
-            totalDuration: 0,
-            billableDuration: 0
-          };
-        }
-        
-        calendarData[date].events.push(entry);
-        calendarData[date].totalDuration += entry.duration;
-        if (entry.isBillable) {
-          calendarData[date].billableDuration += entry.duration;
-        }
-      });
-      
-      res.json({
-        success: true,
-        data: Object.values(calendarData),
-        month: targetMonth,
-        year: targetYear
-      });
+
+      const [rows] = await connection.execute(
+        `SELECT tr.* FROM tax_rates tr
+         INNER JOIN client_tax_rates ctr ON ctr.tax_rate_id = tr.id
+         WHERE ctr.client_id = ? AND tr.is_archived = 0
+         ORDER BY tr.name ASC`,
+        [id]
+      );
+      const taxRates = rows.map(mapTaxRateRow);
+
+      res.json({ success: true, data: taxRates, count: taxRates.length });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching calendar data:', error);
-    res.status(500).json({ error: 'Failed to fetch calendar data' });
+    console.error('Error fetching client tax rates:', error);
+    res.status(500).json({ error: 'Failed to fetch client tax rates' });
   }
 });
 
-// Test endpoint without authentication
-app.get('/api/test', (req, res) => {
-  res.json({ message: 'Test endpoint working' });
-});
+app.put('/api/clients/:id/tax-rates', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { id } = req.params;
+    const { error, value } = Joi.object({
+      taxRateIds: Joi.array().items(Joi.string()).required()
+    }).validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const companyId = req.user.companyId;
+    const taxRateIds = [...new Set(value.taxRateIds)];
+
+    const connection = await pool.getConnection();
+    try {
+      const [clientRows] = await connection.execute('SELECT company_id FROM clients WHERE id = ?', [id]);
+      if (clientRows.length === 0) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+      const clientCompanyId = clientRows[0].company_id;
+      if (req.user.role !== 'root' && companyId && clientCompanyId !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (taxRateIds.length) {
+        const [taxRateRows] = await connection.execute(
+          `SELECT id FROM tax_rates
+           WHERE id IN (${taxRateIds.map(() => '?').join(', ')}) AND company_id = ? AND is_archived = 0`,
+          [...taxRateIds, clientCompanyId]
+        );
+        if (taxRateRows.length !== taxRateIds.length) {
+          return res.status(400).json({ error: 'One or more tax rates are invalid' });
+        }
+      }
+
+      await connection.beginTransaction();
+      try {
+        await connection.execute('DELETE FROM client_tax_rates WHERE client_id = ?', [id]);
+        for (const taxRateId of taxRateIds) {
+          await connection.execute(
+            'INSERT INTO client_tax_rates (client_id, tax_rate_id) VALUES (?, ?)',
+            [id, taxRateId]
+          );
+        }
+        await connection.commit();
+      } catch (updateError) {
+        await connection.rollback();
+        throw updateError;
+      }
 
-// Task Statuses API
-console.log('Registering /api/task-statuses endpoint');
-app.get('/api/task-statuses', authenticateToken, async (req, res) => {
-  try {
-    // Return default statuses
-    const statuses = [
-      { id: 'status_0', name: 'To Do', color: '#6B7280', order: 0, isCompleted: false },
-      { id: 'status_1', name: 'In Progress', color: '#3B82F6', order: 1, isCompleted: false },
-      { id: 'status_2', name: 'Review', color: '#F59E0B', order: 2, isCompleted: false },
-      { id: 'status_3', name: 'Done', color: '#10B981', order: 3, isCompleted: true }
-    ];
-    
-    res.json({
-      success: true,
-      data: statuses
-    });
+      res.json({ success: true, message: 'Client tax rates updated successfully' });
+    } finally {
+      connection.release();
+    }
   } catch (error) {
-    console.error('Error fetching task statuses:', error);
-    res.status(500).json({ error: 'Failed to fetch task statuses' });
+    console.error('Error updating client tax rates:', error);
+    res.status(500).json({ error: 'Failed to update client tax rates' });
   }
 });
 
-// Task Priorities API
-console.log('Registering /api/task-priorities endpoint');
-app.get('/api/task-priorities', authenticateToken, async (req, res) => {
-  try {
-    // Return default priorities
-    const priorities = [
-      { id: 'priority_0', name: 'Low', color: '#6B7280', level: 1 },
-      { id: 'priority_1', name: 'Medium', color: '#F59E0B', level: 2 },
-      { id: 'priority_2', name: 'High', color: '#EF4444', level: 3 },
-      { id: 'priority_3', name: 'Urgent', color: '#DC2626', level: 4 }
-    ];
-    
-    res.json({
-      success: true,
-      data: priorities
-    });
-  } catch (error) {
-    console.error('Error fetching task priorities:', error);
-    res.status(500).json({ error: 'Failed to fetch task priorities' });
-  }
-});
+// Invoice numbering settings
+app.get('/api/invoice-settings', authenticateToken, async (req, res) => {
+  try {
+    if (!isAdminRole(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-// Logging endpoints
+    const companyId = req.user.role === 'root' ? (req.query.companyId || req.user.companyId) : req.user.companyId;
+    if (!companyId) {
+      return res.status(400).json({ error: 'Company ID is required' });
+    }
 
-// Create a new log entry
-app.post('/api/logs', authenticateToken, async (req, res) => {
-  try {
-    const { level, message, action, details, userId, userName, ipAddress, userAgent } = req.body;
-    
     const connection = await pool.getConnection();
     try {
-      const query = `
-        INSERT INTO system_logs (
-          timestamp, level, message, user_id, user_name, action, details, ip_address, user_agent
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-      
-      await connection.execute(query, [
-        new Date(),
-        level,
-        message,
-        userId || null,
-        userName || null,
-        action,
-        details ? JSON.stringify(details) : null,
-        ipAddress || null,
-        userAgent || null
-      ]);
-      
-      res.json({ success: true });
+      const [rows] = await connection.execute(
+        'SELECT * FROM company_invoice_settings WHERE company_id = ?',
+        [companyId]
+      );
+
+      const settings = mapInvoiceSettingsRow(rows[0]);
+      const year = new Date().getFullYear();
+      const nextNumber = await getFreeSequenceNumber(connection, companyId, settings, year);
+
+      res.json({
+        success: true,
+        data: {
+          prefix: settings.prefix,
+          padding: settings.padding,
+          resetYearly: settings.resetYearly,
+          nextNumber,
+          nextInvoiceNumber: formatInvoiceNumber(settings, nextNumber, year)
+        }
+      });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error creating log entry:', error);
-    res.status(500).json({ error: 'Failed to create log entry' });
+    console.error('Error fetching invoice settings:', error);
+    res.status(500).json({ error: 'Failed to fetch invoice settings' });
   }
 });
 
-// Get recent logs
-app.get('/api/logs/recent', authenticateToken, async (req, res) => {
+app.put('/api/invoice-settings', authenticateToken, async (req, res) => {
   try {
-    const { limit = 100, startDate, endDate } = req.query;
-    
+    if (!['super_admin', 'root'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { error, value } = invoiceSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const companyId = req.user.role === 'root' ? (req.query.companyId || req.user.companyId) : req.user.companyId;
+    if (!companyId) {
+      return res.status(400).json({ error: 'Company ID is required' });
+    }
+
     const connection = await pool.getConnection();
     try {
-      let query = 'SELECT * FROM system_logs ORDER BY timestamp DESC LIMIT ?';
-      let params = [parseInt(limit)];
-      
-      if (startDate && endDate) {
-        query = 'SELECT * FROM system_logs WHERE timestamp BETWEEN ? AND ? ORDER BY timestamp DESC LIMIT ?';
-        params = [new Date(startDate), new Date(endDate), parseInt(limit)];
+      await connection.execute('INSERT IGNORE INTO company_invoice_settings (company_id) VALUES (?)', [companyId]);
+
+      const fields = [];
+      const values = [];
+
+      if (value.prefix !== undefined) {
+        fields.push('prefix = ?');
+        values.push(value.prefix);
       }
-      
-      const [rows] = await connection.execute(query, params);
-      
-      res.json({
-        success: true,
-        logs: rows
-      });
+      if (value.padding !== undefined) {
+        fields.push('padding = ?');
+        values.push(value.padding);
+      }
+      if (value.resetYearly !== undefined) {
+        fields.push('reset_yearly = ?');
+        values.push(value.resetYearly ? 1 : 0);
+      }
+
+      if (fields.length) {
+        await connection.execute(
+          `UPDATE company_invoice_settings SET ${fields.join(', ')} WHERE company_id = ?`,
+          [...values, companyId]
+        );
+      }
+
+      res.json({ success: true, message: 'Invoice settings updated successfully' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching logs:', error);
-    res.status(500).json({ error: 'Failed to fetch logs' });
+    console.error('Error updating invoice settings:', error);
+    res.status(500).json({ error: 'Failed to update invoice settings' });
   }
 });
 
-// Get logs by level
-app.get('/api/logs/level/:level', authenticateToken, async (req, res) => {
+// Notifications API
+const mapNotificationRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  type: row.type,
+  title: row.title,
+  message: row.message,
+  actionUrl: row.action_url,
+  contextType: row.context_type,
+  contextId: row.context_id,
+  isRead: row.is_read === 1,
+  createdAt: row.created_at
+});
+
+const createNotifications = async (connection, userIds, notification) => {
+  const now = new Date();
+  for (const userId of [...new Set(userIds)]) {
+    await connection.execute(
+      `INSERT INTO notifications (
+        id, user_id, company_id, type, title, message, action_url, context_type, context_id, is_read, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`,
+      [
+        uuidv4(),
+        userId,
+        notification.companyId || null,
+        notification.type || 'info',
+        notification.title,
+        notification.message || null,
+        notification.actionUrl || null,
+        notification.contextType || null,
+        notification.contextId || null,
+        now
+      ]
+    );
+  }
+};
+
+app.get('/api/notifications', authenticateToken, async (req, res) => {
   try {
-    const { level } = req.params;
-    const { limit = 100 } = req.query;
-    
+    const unreadOnly = req.query.unread === 'true';
+
     const connection = await pool.getConnection();
     try {
-      const query = 'SELECT * FROM system_logs WHERE level = ? ORDER BY timestamp DESC LIMIT ?';
-      const [rows] = await connection.execute(query, [level, parseInt(limit)]);
-      
-      res.json({
-        success: true,
-        logs: rows
-      });
+      let query = 'SELECT * FROM notifications WHERE user_id = ?';
+      if (unreadOnly) {
+        query += ' AND is_read = 0';
+      }
+      query += ' ORDER BY created_at DESC LIMIT 100';
+
+      const [rows] = await connection.execute(query, [req.user.uid]);
+      const notifications = rows.map(mapNotificationRow);
+
+      res.json({ success: true, data: notifications, count: notifications.length });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching logs by level:', error);
-    res.status(500).json({ error: 'Failed to fetch logs by level' });
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
   }
 });
 
-// Get logs by user
-app.get('/api/logs/user/:userId', authenticateToken, async (req, res) => {
+app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { limit = 100, startDate, endDate } = req.query;
-    
     const connection = await pool.getConnection();
     try {
-      let query = 'SELECT * FROM system_logs WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?';
-      let params = [userId, parseInt(limit)];
-      
-      if (startDate && endDate) {
-        query = 'SELECT * FROM system_logs WHERE user_id = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp DESC LIMIT ?';
-        params = [userId, new Date(startDate), new Date(endDate), parseInt(limit)];
-      }
-      
-      const [rows] = await connection.execute(query, params);
-      
-      res.json({
-        success: true,
-        logs: rows
-      });
+      await connection.execute('UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0', [req.user.uid]);
+      res.json({ success: true, message: 'Notifications marked as read' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching logs by user:', error);
-    res.status(500).json({ error: 'Failed to fetch logs by user' });
+    console.error('Error updating notifications:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
   }
 });
 
-// Get logs by action
-app.get('/api/logs/action/:action', authenticateToken, async (req, res) => {
+app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
   try {
-    const { action } = req.params;
-    const { limit = 100, level, startDate, endDate } = req.query;
-    
     const connection = await pool.getConnection();
     try {
-      let query = 'SELECT * FROM system_logs WHERE action = ? ORDER BY timestamp DESC LIMIT ?';
-      let params = [action, parseInt(limit)];
-      
-      if (level) {
-        query = 'SELECT * FROM system_logs WHERE action = ? AND level = ? ORDER BY timestamp DESC LIMIT ?';
-        params = [action, level, parseInt(limit)];
-      }
-      
-      if (startDate && endDate) {
-        if (level) {
-          query = 'SELECT * FROM system_logs WHERE action = ? AND level = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp DESC LIMIT ?';
-          params = [action, level, new Date(startDate), new Date(endDate), parseInt(limit)];
-        } else {
-          query = 'SELECT * FROM system_logs WHERE action = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp DESC LIMIT ?';
-          params = [action, new Date(startDate), new Date(endDate), parseInt(limit)];
-        }
+      const [result] = await connection.execute(
+        'UPDATE notifications SET is_read = 1 WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.uid]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Notification not found' });
       }
-      
-      const [rows] = await connection.execute(query, params);
-      
-      res.json({
-        success: true,
-        logs: rows
-      });
+      res.json({ success: true, message: 'Notification marked as read' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching logs by action:', error);
-    res.status(500).json({ error: 'Failed to fetch logs by action' });
+    console.error('Error updating notification:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
   }
 });
 
-// Clear all logs
-app.delete('/api/logs/clear', authenticateToken, async (req, res) => {
+app.delete('/api/notifications/:id', authenticateToken, async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'root') {
-      return res.status(403).json({ error: 'Only administrators can clear logs' });
-    }
-    
     const connection = await pool.getConnection();
     try {
-      await connection.execute('DELETE FROM system_logs');
-      
-      res.json({ success: true, message: 'Logs cleared successfully' });
+      await connection.execute('DELETE FROM notifications WHERE id = ? AND user_id = ?', [req.params.id, req.user.uid]);
+      res.json({ success: true, message: 'Notification deleted successfully' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error clearing logs:', error);
-    res.status(500).json({ error: 'Failed to clear logs' });
+    console.error('Error deleting notification:', error);
+    res.status(500).json({ error: 'Failed to delete notification' });
   }
 });
 
-// Tasks API
-app.get('/api/tasks', authenticateToken, async (req, res) => {
+app.delete('/api/notifications', authenticateToken, async (req, res) => {
   try {
-    const { projectId, userId } = req.query;
-    const companyId = req.user.companyId;
-    
     const connection = await pool.getConnection();
     try {
-      let query = 'SELECT * FROM tasks WHERE 1=1';
-      const params = [];
-      
-      // Apply company filtering for non-root users
-      if (req.user.role !== 'root' && companyId) {
-        query += ' AND company_id = ?';
-        params.push(companyId);
-      } else if (req.user.role !== 'root') {
-        query += ' AND company_id IS NULL';
-      }
-      
-      // Filter by project
-      if (projectId) {
-        query += ' AND project_id = ?';
-        params.push(projectId);
-      }
-      
-      // Filter by user (assigned tasks)
-      if (userId) {
-        query += ' AND assignee_id = ?';
-        params.push(userId);
-      }
-      
-      query += ' ORDER BY created_at DESC';
-      
-      const [rows] = await connection.execute(query, params);
-      
-      const tasks = rows.map(row => ({
-        id: row.id,
-        title: row.title,
-        description: row.description,
-        notes: row.notes,
-        projectId: row.project_id,
-        projectName: row.project_name,
-        status: {
-          id: row.status_id,
-          name: row.status_name,
-          color: row.status_color,
-          order: row.status_order,
-          isCompleted: row.status_is_completed === 1
-        },
-        priority: {
-          id: row.priority_id,
-          name: row.priority_name,
-          color: row.priority_color,
-          level: row.priority_level
-        },
-        assigneeId: row.assignee_id,
-        assigneeName: row.assignee_name,
-        assigneeEmail: row.assignee_email,
-        dueDate: row.due_date ? new Date(row.due_date) : undefined,
-        estimatedHours: row.estimated_hours,
-        actualHours: row.actual_hours,
-        tags: row.tags ? JSON.parse(row.tags) : [],
-        isCompleted: row.is_completed === 1,
-        completedAt: row.completed_at ? new Date(row.completed_at) : undefined,
-        createdBy: row.created_by,
-        createdByName: row.created_by_name,
-        createdAt: new Date(row.created_at),
-        updatedAt: new Date(row.updated_at),
-        parentTaskId: row.parent_task_id,
-        subtasks: [],
-        attachments: row.attachments ? JSON.parse(row.attachments) : [],
-        comments: row.comments ? JSON.parse(row.comments) : [],
-        timeEntries: row.time_entries ? JSON.parse(row.time_entries) : [],
-        teamId: row.team_id
-      }));
-      
-      res.json({
-        success: true,
-        data: tasks,
-        count: tasks.length
-      });
+      await connection.execute('DELETE FROM notifications WHERE user_id = ?', [req.user.uid]);
+      res.json({ success: true, message: 'Notifications cleared' });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({ error: 'Failed to fetch tasks' });
+    console.error('Error clearing notifications:', error);
+    res.status(500).json({ error: 'Failed to clear notifications' });
+  }
+});
+
+// Reports API
+const splitIds = (value) => (value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : []);
+
+// Turns ReportFilters into conditions on time_entries te (joined to projects p).
+// The dates are days in the timezone of the user asking. Running timers are left
+// out, and only admins may report on someone else's time
+const buildReportWhere = (filters, user, timezone) => {
+  const conditions = ['te.is_running = 0', 'te.start_time >= ?', 'te.start_time < ?'];
+  const params = [
+    getLocalDayBounds(toDateOnly(filters.startDate), timezone).start,
+    getLocalDayBounds(toDateOnly(filters.endDate), timezone).end
+  ];
+
+  if (user.role !== 'root' && user.companyId) {
+    conditions.push('te.company_id = ?');
+    params.push(user.companyId);
+  }
+
+  const userId = isAdminRole(user.role) ? filters.userId : user.uid;
+  if (userId) {
+    conditions.push('te.user_id = ?');
+    params.push(userId);
+  }
+
+  const projectIds = splitIds(filters.projectIds);
+  if (projectIds.length) {
+    conditions.push(`te.project_id IN (${projectIds.map(() => '?').join(', ')})`);
+    params.push(...projectIds);
+  }
+
+  const clientIds = splitIds(filters.clientIds);
+  if (clientIds.length) {
+    const placeholders = clientIds.map(() => '?').join(', ');
+    conditions.push(`(te.client_id IN (${placeholders}) OR p.client_id IN (${placeholders}))`);
+    params.push(...clientIds, ...clientIds);
+  }
+
+  if (filters.billableOnly) {
+    conditions.push('te.is_billable = 1');
+  } else if (filters.nonBillableOnly) {
+    conditions.push('te.is_billable = 0');
+  }
+
+  if (filters.approvedOnly) {
+    conditions.push('te.approved_at IS NOT NULL');
   }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+// Joins every report query needs: the project and client for grouping, the rate
+// tables for pricing entries logged before rates were snapshotted, and the
+// company settings for rounding billable time
+const REPORT_FROM = `FROM time_entries te
+  LEFT JOIN projects p ON p.id = te.project_id
+  LEFT JOIN clients c ON c.id = COALESCE(te.client_id, p.client_id)
+  LEFT JOIN project_user_rates pur ON pur.project_id = te.project_id AND pur.user_id = te.user_id
+  LEFT JOIN users u ON u.id = te.user_id
+  LEFT JOIN company_time_settings cts ON cts.company_id = te.company_id`;
+
+// The client's rule takes over when it has a mode
+const roundingRuleColumn = (column) => `CASE WHEN c.rounding_mode IS NOT NULL THEN c.${column} ELSE cts.${column} END`;
+const REPORT_ROUNDED_SECONDS = getBillableSecondsSql({
+  duration: 'te.duration',
+  mode: roundingRuleColumn('rounding_mode'),
+  incrementMinutes: roundingRuleColumn('rounding_increment_minutes'),
+  minimumMinutes: roundingRuleColumn('minimum_billable_minutes')
 });
 
-app.post('/api/tasks', authenticateToken, async (req, res) => {
+// Billable figures use rounded time; total time stays the exact duration
+const REPORT_BILLABLE_AMOUNT = `CASE WHEN te.is_billable = 1
+  THEN (${REPORT_ROUNDED_SECONDS}) * COALESCE(te.hourly_rate, pur.hourly_rate, p.hourly_rate, u.hourly_rate, c.hourly_rate, 0)
+  ELSE 0 END`;
+
+const REPORT_BILLABLE_SECONDS = `CASE WHEN te.is_billable = 1 THEN ${REPORT_ROUNDED_SECONDS} ELSE 0 END`;
+
+// te.start_time on the user's clock, whatever the database server's timezone is.
+// The offset is taken at local noon of each day in the report, so it changes on
+// the day daylight saving does
+const getReportLocalStartSql = (filters, timezone) => {
+  const offsets = [];
+  const lastDate = addDaysToDate(toDateOnly(filters.endDate), 1);
+  for (let date = addDaysToDate(toDateOnly(filters.startDate), -1); date <= lastDate; date = addDaysToDate(date, 1)) {
+    const utcNoon = Date.parse(`${date}T12:00:00Z`);
+    const localNoon = utcNoon - getTimezoneOffsetMinutes(timezone, new Date(utcNoon)) * 60000;
+    const offset = getTimezoneOffsetMinutes(timezone, new Date(localNoon)) * 60;
+    if (offsets.length === 0 || offsets[offsets.length - 1].offset !== offset) {
+      offsets.push({ from: Math.floor(localNoon / 1000), offset });
+    }
+  }
+
+  const epochSeconds = 'UNIX_TIMESTAMP(te.start_time)';
+  const offsetSql = offsets.length === 1
+    ? offsets[0].offset
+    : `CASE ${offsets.slice(1).reverse().map(({ from, offset }) => `WHEN ${epochSeconds} >= ${from} THEN ${offset}`).join(' ')} ELSE ${offsets[0].offset} END`;
+  return `DATE_ADD('1970-01-01', INTERVAL ${epochSeconds} + ${offsetSql} SECOND)`;
+};
+
+// Date groups take the local start time from getReportLocalStartSql. Weeks start
+// on Sunday, as they did when reports were aggregated in the browser
+const REPORT_GROUPS = {
+  day: { date: (localStart) => `DATE_FORMAT(${localStart}, '%Y-%m-%d')`, order: 'group_key ASC' },
+  week: {
+    date: (localStart) => `DATE_FORMAT(DATE_SUB(DATE(${localStart}), INTERVAL DAYOFWEEK(${localStart}) - 1 DAY), '%Y-%m-%d')`,
+    order: 'group_key ASC'
+  },
+  month: { date: (localStart) => `DATE_FORMAT(${localStart}, '%Y-%m')`, order: 'group_key ASC' },
+  project: {
+    key: "COALESCE(te.project_id, 'no-project')",
+    label: "COALESCE(p.name, te.project_name, 'No Project')",
+    color: "COALESCE(p.color, '#6B7280')",
+    order: 'total_seconds DESC'
+  },
+  client: { key: "COALESCE(c.id, 'no-client')", label: "COALESCE(c.name, te.client_name, 'No Client')", order: 'total_seconds DESC' },
+  user: { key: 'te.user_id', label: "COALESCE(u.name, 'Unknown User')", order: 'total_seconds DESC' },
+  // An entry with several tags counts towards each of them
+  tag: {
+    key: 'jt.tag',
+    label: 'jt.tag',
+    join: "CROSS JOIN JSON_TABLE(te.tags, '$[*]' COLUMNS (tag VARCHAR(100) PATH '$')) AS jt",
+    order: 'total_seconds DESC'
+  }
+};
+
+// Totals and productivity peaks behind the summary cards on the Reports page
+app.get('/api/reports/summary', authenticateToken, async (req, res) => {
   try {
-    const { error, value } = taskSchema.validate(req.body);
+    const { error, value } = reportFiltersSchema.validate(req.query);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
-    
-    const userId = req.user.uid;
-    const userName = req.user.name;
-    const companyId = req.user.companyId;
-    const now = new Date();
-    
-    // Get default statuses and priorities
-    const defaultStatuses = [
-      { id: 'status_0', name: 'To Do', color: '#6B7280', order: 0, isCompleted: false },
-      { id: 'status_1', name: 'In Progress', color: '#3B82F6', order: 1, isCompleted: false },
-      { id: 'status_2', name: 'Review', color: '#F59E0B', order: 2, isCompleted: false },
-      { id: 'status_3', name: 'Done', color: '#10B981', order: 3, isCompleted: true }
-    ];
-    
-    const defaultPriorities = [
-      { id: 'priority_0', name: 'Low', color: '#6B7280', level: 1 },
-      { id: 'priority_1', name: 'Medium', color: '#F59E0B', level: 2 },
-      { id: 'priority_2', name: 'High', color: '#EF4444', level: 3 },
-      { id: 'priority_3', name: 'Urgent', color: '#DC2626', level: 4 }
-    ];
-    
-    // Find the actual status and priority objects based on the IDs provided
-    const status = defaultStatuses.find(s => s.id === value.status) || defaultStatuses[0];
-    const priority = defaultPriorities.find(p => p.id === value.priority) || defaultPriorities[0];
-    
+
     const connection = await pool.getConnection();
     try {
-      const query = `
-        INSERT INTO tasks (
-          id, title, description, notes, project_id, project_name, status_id, status_name,
-          status_color, status_order, status_is_completed, priority_id, priority_name,
-          priority_color, priority_level, assignee_id, assignee_name, assignee_email,
-          due_date, estimated_hours, actual_hours, is_completed, completed_at, created_by,
-          created_by_name, created_at, updated_at, parent_task_id, team_id, company_id,
-          tags, attachments, comments, time_entries
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-      
-      // Generate a unique ID for the task
-      const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      const result = await connection.execute(query, [
-        taskId,
-        value.title,
-        value.description || null,
-        null, // notes
-        value.projectId,
-        '', // project_name (will be set when project is loaded)
-        status.id,
-        status.name,
-        status.color,
-        status.order,
-        status.isCompleted ? 1 : 0,
-        priority.id,
-        priority.name,
-        priority.color,
-        priority.level,
-        value.assigneeId || null,
-        null, // assignee_name
-        null, // assignee_email
-        value.dueDate ? new Date(value.dueDate).toISOString().split('T')[0] : null,
-        value.estimatedHours || null,
-        null, // actual_hours
-        0, // is_completed
-        null, // completed_at
-        userId,
-        userName,
-        now,
-        now,
-        value.parentTaskId || null,
-        value.teamId || null,
-        companyId || null,
-        JSON.stringify(value.tags || []), // tags
-        JSON.stringify([]), // attachments
-        JSON.stringify([]), // comments
-        JSON.stringify([]) // time_entries
-      ]);
-      
-      // Get the created task
-      const [rows] = await connection.execute(
-        'SELECT * FROM tasks WHERE id = ?', 
-        [taskId]
+      const timezone = await getUserTimezone(connection, req.user.uid);
+      const { where, params } = buildReportWhere(value, req.user, timezone);
+      const localStart = getReportLocalStartSql(value, timezone);
+
+      const [[totals]] = await connection.execute(
+        `SELECT COUNT(*) AS entries,
+           COALESCE(SUM(te.duration), 0) AS total_seconds,
+           COALESCE(SUM(${REPORT_BILLABLE_SECONDS}), 0) AS billable_seconds,
+           COALESCE(SUM(CASE WHEN te.is_billable = 1 THEN 0 ELSE te.duration END), 0) AS non_billable_seconds
+         ${REPORT_FROM}
+         WHERE ${where}`,
+        params
       );
-      
-      const task = {
-        id: rows[0].id,
-        title: rows[0].title,
-        description: rows[0].description,
-        notes: rows[0].notes,
-        projectId: rows[0].project_id,
-        projectName: rows[0].project_name,
-        status: {
-          id: rows[0].status_id,
-          name: rows[0].status_name,
-          color: rows[0].status_color,
-          order: rows[0].status_order,
-          isCompleted: rows[0].status_is_completed === 1
-        },
-        priority: {
-          id: rows[0].priority_id,
-          name: rows[0].priority_name,
-          color: rows[0].priority_color,
-          level: rows[0].priority_level
-        },
-        assigneeId: rows[0].assignee_id,
-        assigneeName: rows[0].assignee_name,
-        assigneeEmail: rows[0].assignee_email,
-        dueDate: rows[0].due_date ? new Date(rows[0].due_date) : undefined,
-        estimatedHours: rows[0].estimated_hours,
-        actualHours: rows[0].actual_hours,
-        tags: rows[0].tags ? JSON.parse(rows[0].tags) : [],
-        isCompleted: rows[0].is_completed === 1,
-        completedAt: rows[0].completed_at ? new Date(rows[0].completed_at) : undefined,
-        createdBy: rows[0].created_by,
-        createdByName: rows[0].created_by_name,
-        createdAt: new Date(rows[0].created_at),
-        updatedAt: new Date(rows[0].updated_at),
-        parentTaskId: rows[0].parent_task_id,
-        subtasks: [],
-        attachments: rows[0].attachments ? JSON.parse(rows[0].attachments) : [],
-        comments: rows[0].comments ? JSON.parse(rows[0].comments) : [],
-        timeEntries: rows[0].time_entries ? JSON.parse(rows[0].time_entries) : [],
-        teamId: rows[0].team_id
-      };
-      
-      res.status(201).json({
+      // Amounts in different currencies can't be added up
+      const [earningRows] = await connection.execute(
+        `SELECT COALESCE(c.currency, 'USD') AS currency, SUM(${REPORT_BILLABLE_AMOUNT}) / 3600 AS earnings
+         ${REPORT_FROM}
+         WHERE ${where} AND te.is_billable = 1
+         GROUP BY currency
+         ORDER BY earnings DESC`,
+        params
+      );
+      const [dayRows] = await connection.execute(
+        `SELECT DAYNAME(${localStart}) AS day_name, SUM(te.duration) AS total_seconds
+         ${REPORT_FROM}
+         WHERE ${where}
+         GROUP BY day_name
+         ORDER BY total_seconds DESC
+         LIMIT 1`,
+        params
+      );
+      const [hourRows] = await connection.execute(
+        `SELECT HOUR(${localStart}) AS hour, SUM(te.duration) AS total_seconds
+         ${REPORT_FROM}
+         WHERE ${where}
+         GROUP BY hour
+         ORDER BY total_seconds DESC
+         LIMIT 1`,
+        params
+      );
+
+      const entries = Number(totals.entries || 0);
+      const totalTime = Number(totals.total_seconds || 0);
+      const billableTime = Number(totals.billable_seconds || 0);
+
+      res.json({
         success: true,
-        data: task,
-        message: 'Task created successfully'
+        data: {
+          totalTime,
+          billableTime,
+          // Rounded billable time can exceed the tracked total, so this is summed on its own
+          nonBillableTime: Number(totals.non_billable_seconds || 0),
+          totalEntries: entries,
+          averageSessionLength: entries > 0 ? totalTime / entries : 0,
+          mostProductiveDay: dayRows.length > 0 ? dayRows[0].day_name : 'Monday',
+          mostProductiveHour: hourRows.length > 0 ? Number(hourRows[0].hour) : 9,
+          // Earnings reveal billing rates, so only rate viewers get them
+          totalEarnings: canViewRates(req.user.role)
+            ? earningRows.map(row => ({
+              currency: row.currency,
+              amount: roundAmount(Number(row.earnings || 0), getCurrencyDecimals(row.currency))
+            }))
+            : null
+        }
       });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error creating task:', error);
-    res.status(500).json({ error: 'Failed to create task' });
+    console.error('Error fetching report summary:', error);
+    res.status(500).json({ error: 'Failed to fetch report summary' });
   }
 });
 
-app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
+// Time per day, week, month, project, client, user or tag. Daily rows also carry
+// the seconds per project so the Reports page can show each day's breakdown
+app.get('/api/reports/time', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { error, value } = taskSchema.validate(req.body);
+    const { error, value } = reportFiltersSchema.keys({
+      groupBy: Joi.string().valid(...Object.keys(REPORT_GROUPS)).required()
+    }).validate(req.query);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
-    
-    const userId = req.user.uid;
-    const companyId = req.user.companyId;
-    
-    // Check if task exists and user has access
+
+    const group = REPORT_GROUPS[value.groupBy];
+
     const connection = await pool.getConnection();
     try {
-      const [existingRows] = await connection.execute(
-        'SELECT * FROM tasks WHERE id = ?', 
-        [id]
+      const timezone = await getUserTimezone(connection, req.user.uid);
+      const { where, params } = buildReportWhere(value, req.user, timezone);
+      const groupKey = group.date ? group.date(getReportLocalStartSql(value, timezone)) : group.key;
+      const groupLabel = group.date ? groupKey : group.label;
+
+      const [rows] = await connection.execute(
+        `SELECT ${groupKey} AS group_key, ${groupLabel} AS group_label,
+           ${group.color || 'NULL'} AS group_color,
+           COUNT(*) AS entries,
+           SUM(te.duration) AS total_seconds,
+           SUM(${REPORT_BILLABLE_SECONDS}) AS billable_seconds
+         ${REPORT_FROM}
+         ${group.join || ''}
+         WHERE ${where}
+         GROUP BY group_key, group_label, group_color
+         ORDER BY ${group.order}`,
+        params
       );
-      
-      if (existingRows.length === 0) {
-        return res.status(404).json({ error: 'Task not found' });
-      }
-      
-      const existingTask = existingRows[0];
-      
-      // For non-root users, verify they belong to the same company
-      if (req.user.role !== 'root' && existingTask.company_id !== companyId) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-      
-      // Get default statuses and priorities
-      const defaultStatuses = [
-        { id: 'status_0', name: 'To Do', color: '#6B7280', order: 0, isCompleted: false },
-        { id: 'status_1', name: 'In Progress', color: '#3B82F6', order: 1, isCompleted: false },
-        { id: 'status_2', name: 'Review', color: '#F59E0B', order: 2, isCompleted: false },
-        { id: 'status_3', name: 'Done', color: '#10B981', order: 3, isCompleted: true }
-      ];
-      
-      const defaultPriorities = [
-        { id: 'priority_0', name: 'Low', color: '#6B7280', level: 1 },
-        { id: 'priority_1', name: 'Medium', color: '#F59E0B', level: 2 },
-        { id: 'priority_2', name: 'High', color: '#EF4444', level: 3 },
-        { id: 'priority_3', name: 'Urgent', color: '#DC2626', level: 4 }
-      ];
-      
-      // Find the actual status and priority objects based on the IDs provided
-      const status = defaultStatuses.find(s => s.id === value.status) || defaultStatuses[0];
-      const priority = defaultPriorities.find(p => p.id === value.priority) || defaultPriorities[0];
-      
-      // Update task
-      const fields = [];
-      const values = [];
-      
-      if (value.title !== undefined) {
-        fields.push('title = ?');
-        values.push(value.title);
-      }
-      if (value.description !== undefined) {
-        fields.push('description = ?');
-        values.push(value.description);
-      }
-      if (value.status !== undefined) {
-        fields.push('status_id = ?', 'status_name = ?', 'status_color = ?', 'status_order = ?', 'status_is_completed = ?');
-        values.push(status.id, status.name, status.color, status.order, status.isCompleted ? 1 : 0);
-      }
-      if (value.priority !== undefined) {
-        fields.push('priority_id = ?', 'priority_name = ?', 'priority_color = ?', 'priority_level = ?');
-        values.push(priority.id, priority.name, priority.color, priority.level);
-      }
-      if (value.assigneeId !== undefined) {
-        fields.push('assignee_id = ?');
-        values.push(value.assigneeId || null);
-      }
-      if (value.dueDate !== undefined) {
-        fields.push('due_date = ?');
-        values.push(value.dueDate ? new Date(value.dueDate).toISOString().split('T')[0] : null);
-      }
-      if (value.estimatedHours !== undefined) {
-        fields.push('estimated_hours = ?');
-        values.push(value.estimatedHours || null);
-      }
-      if (value.tags !== undefined) {
-        fields.push('tags = ?');
-        values.push(JSON.stringify(value.tags));
-      }
-      if (value.parentTaskId !== undefined) {
-        fields.push('parent_task_id = ?');
-        values.push(value.parentTaskId || null);
-      }
-      if (value.teamId !== undefined) {
-        fields.push('team_id = ?');
-        values.push(value.teamId || null);
-      }
-      
-      // Always update the timestamp
-      fields.push('updated_at = ?');
-      values.push(new Date());
-      
-      if (fields.length === 0) {
-        return res.status(400).json({ error: 'No valid fields to update' });
+
+      const report = rows.map(row => ({
+        key: row.group_key,
+        label: row.group_label,
+        ...(row.group_color ? { color: row.group_color } : {}),
+        totalTime: Number(row.total_seconds || 0),
+        billableTime: Number(row.billable_seconds || 0),
+        entries: Number(row.entries || 0)
+      }));
+
+      if (value.groupBy === 'day') {
+        const [projectRows] = await connection.execute(
+          `SELECT ${groupKey} AS group_key, COALESCE(te.project_id, 'no-project') AS project_id,
+             SUM(te.duration) AS total_seconds
+           ${REPORT_FROM}
+           WHERE ${where}
+           GROUP BY group_key, project_id`,
+          params
+        );
+        const byKey = new Map(report.map(row => [row.key, { ...row, projects: {} }]));
+        for (const row of projectRows) {
+          const day = byKey.get(row.group_key);
+          if (day) {
+            day.projects[row.project_id] = Number(row.total_seconds || 0);
+          }
+        }
+        return res.json({ success: true, data: [...byKey.values()], count: byKey.size });
       }
-      
-      values.push(id); // For the WHERE clause
-      
-      const query = `UPDATE tasks SET ${fields.join(', ')} WHERE id = ?`;
-      await connection.execute(query, values);
-      
-      res.json({
-        success: true,
-        message: 'Task updated successfully'
-      });
+
+      res.json({ success: true, data: report, count: report.length });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error updating task:', error);
-    res.status(500).json({ error: 'Failed to update task' });
+    console.error('Error fetching time report:', error);
+    res.status(500).json({ error: 'Failed to fetch time report' });
   }
 });
 
-app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
+const PROFITABILITY_GROUPS = {
+  project: { id: 'te.project_id', name: 'COALESCE(p.name, te.project_name)' },
+  client: { id: 'c.id', name: 'COALESCE(c.name, te.client_name)' },
+  team: { id: 't.id', name: 't.name' }
+};
+
+// Revenue is billable time at each entry's billing rate; cost is all tracked time
+// at the user's cost rate. Both use the snapshot taken when the time was logged
+app.get('/api/reports/profitability', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.uid;
-    const companyId = req.user.companyId;
-    
-    // Check if task exists and user has access
+    if (!canViewRates(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { error, value } = reportFiltersSchema.keys({
+      groupBy: Joi.string().valid(...Object.keys(PROFITABILITY_GROUPS)).default('project')
+    }).validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const group = PROFITABILITY_GROUPS[value.groupBy];
+
     const connection = await pool.getConnection();
     try {
-      const [existingRows] = await connection.execute(
-        'SELECT * FROM tasks WHERE id = ?', 
-        [id]
+      const timezone = await getUserTimezone(connection, req.user.uid);
+      const { where, params } = buildReportWhere(value, req.user, timezone);
+
+      const [rows] = await connection.execute(
+        `SELECT ${group.id} AS group_id, ${group.name} AS group_name,
+           COALESCE(c.currency, 'USD') AS currency,
+           SUM(te.duration) AS total_seconds,
+           SUM(${REPORT_BILLABLE_SECONDS}) AS billable_seconds,
+           SUM(${REPORT_BILLABLE_AMOUNT}) / 3600 AS revenue,
+           SUM(te.duration * COALESCE(te.cost_rate, u.cost_rate, 0)) / 3600 AS cost
+         ${REPORT_FROM}
+         LEFT JOIN teams t ON t.id = u.team_id
+         WHERE ${where}
+         GROUP BY group_id, group_name, currency
+         ORDER BY revenue DESC`,
+        params
       );
-      
-      if (existingRows.length === 0) {
-        return res.status(404).json({ error: 'Task not found' });
-      }
-      
-      const existingTask = existingRows[0];
-      
-      // For non-root users, verify they belong to the same company
-      if (req.user.role !== 'root' && existingTask.company_id !== companyId) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-      
-      // Check if user is authorized to delete (creator, admin, or super_admin)
-      if (req.user.role !== 'root' && req.user.role !== 'admin' && req.user.role !== 'super_admin' && existingTask.created_by !== userId) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-      
-      await connection.execute('DELETE FROM tasks WHERE id = ?', [id]);
-      
-      res.json({
-        success: true,
-        message: 'Task deleted successfully'
+
+      const report = rows.map(row => {
+        const decimals = getCurrencyDecimals(row.currency);
+        const revenue = roundAmount(Number(row.revenue || 0), decimals);
+        const cost = roundAmount(Number(row.cost || 0), decimals);
+        const margin = roundAmount(revenue - cost, decimals);
+        return {
+          groupBy: value.groupBy,
+          id: row.group_id || null,
+          name: row.group_name || null,
+          currency: row.currency,
+          totalHours: roundAmount(Number(row.total_seconds || 0) / 3600),
+          billableHours: roundAmount(Number(row.billable_seconds || 0) / 3600),
+          revenue,
+          cost,
+          margin,
+          marginPercent: revenue > 0 ? roundAmount((margin / revenue) * 100) : null
+        };
       });
+
+      res.json({ success: true, data: report, count: report.length });
     } finally {
       connection.release();
     }
   } catch (error) {
-    console.error('Error deleting task:', error);
-    res.status(500).json({ error: 'Failed to delete task' });
+    console.error('Error fetching profitability report:', error);
+    res.status(500).json({ error: 'Failed to fetch profitability report' });
   }
 });
 
@@ -3094,6 +8392,11 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`Clockistry API server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  runAutoStopJob();
+  setInterval(runAutoStopJob, AUTO_STOP_INTERVAL_MS);
+  runRecurringTaskJob();
+  setInterval(runRecurringTaskJob, RECURRING_TASK_INTERVAL_MS);
 });
 
 module.exports = app;
@@ -0,0 +1,53 @@
+// Invoice money. Every figure is rounded to the currency's minor unit before it
+// is summed, so stored totals add up to what the invoice shows
+
+const roundAmount = (amount, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round((Number(amount) + Number.EPSILON) * factor) / factor;
+};
+
+// Minor units per ISO currency (JPY has none, KWD has three), falling back to cents
+const getCurrencyDecimals = (currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' })
+      .resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return 2;
+  }
+};
+
+// Discount applies to the subtotal and taxes to the discounted amount
+const calculateInvoiceTotals = (lineAmounts, { discountType, discountValue, taxRates, currency }) => {
+  const decimals = getCurrencyDecimals(currency);
+  const subtotal = roundAmount(lineAmounts.reduce((sum, amount) => sum + roundAmount(amount, decimals), 0), decimals);
+
+  let discountAmount = 0;
+  if (discountType === 'percentage') {
+    discountAmount = roundAmount(subtotal * Math.min(Number(discountValue) || 0, 100) / 100, decimals);
+  } else if (discountType === 'fixed') {
+    discountAmount = roundAmount(Math.min(Number(discountValue) || 0, subtotal), decimals);
+  }
+
+  const taxableAmount = roundAmount(subtotal - discountAmount, decimals);
+  const taxes = taxRates.map(taxRate => ({
+    taxRateId: taxRate.id,
+    name: taxRate.name,
+    rate: Number(taxRate.rate),
+    amount: roundAmount(taxableAmount * Number(taxRate.rate) / 100, decimals)
+  }));
+  const taxTotal = roundAmount(taxes.reduce((sum, tax) => sum + tax.amount, 0), decimals);
+
+  return {
+    subtotal,
+    discountAmount,
+    taxes,
+    taxTotal,
+    total: roundAmount(taxableAmount + taxTotal, decimals)
+  };
+};
+
+module.exports = {
+  roundAmount,
+  getCurrencyDecimals,
+  calculateInvoiceTotals
+};
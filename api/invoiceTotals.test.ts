@@ -0,0 +1,58 @@
+import { calculateInvoiceTotals, getCurrencyDecimals, roundAmount } from './invoiceTotals'
+import { InvoiceTotals, InvoiceTotalsInput } from '../src/types'
+
+describe('invoiceTotals', () => {
+  const vat = { id: 'vat', name: 'VAT', rate: 20 }
+  const gst = { id: 'gst', name: 'GST', rate: 10 }
+
+  // The invoice form previews these through POST /api/invoices/totals
+  const cases: [string, number[], Omit<InvoiceTotalsInput, 'lineAmounts'>, InvoiceTotals][] = [
+    ['taxes without a discount', [100, 50.5], { taxRates: [vat], currency: 'USD' }, {
+      subtotal: 150.5,
+      discountAmount: 0,
+      taxes: [{ taxRateId: 'vat', name: 'VAT', rate: 20, amount: 30.1 }],
+      taxTotal: 30.1,
+      total: 180.6
+    }],
+    ['a percentage discount before taxes', [200], { discountType: 'percentage', discountValue: 10, taxRates: [vat, gst], currency: 'USD' }, {
+      subtotal: 200,
+      discountAmount: 20,
+      taxes: [{ taxRateId: 'vat', name: 'VAT', rate: 20, amount: 36 }, { taxRateId: 'gst', name: 'GST', rate: 10, amount: 18 }],
+      taxTotal: 54,
+      total: 234
+    }],
+    ['a fixed discount capped at the subtotal', [40], { discountType: 'fixed', discountValue: 75, taxRates: [vat], currency: 'USD' }, {
+      subtotal: 40,
+      discountAmount: 40,
+      taxes: [{ taxRateId: 'vat', name: 'VAT', rate: 20, amount: 0 }],
+      taxTotal: 0,
+      total: 0
+    }],
+    ['currencies without minor units', [1001.4, 998.4], { taxRates: [{ id: 'jct', name: 'JCT', rate: 10 }], currency: 'JPY' }, {
+      subtotal: 1999,
+      discountAmount: 0,
+      taxes: [{ taxRateId: 'jct', name: 'JCT', rate: 10, amount: 200 }],
+      taxTotal: 200,
+      total: 2199
+    }],
+    ['currencies with three decimals', [10.0005, 0.1234], { discountType: 'percentage', discountValue: 12.5, taxRates: [vat], currency: 'KWD' }, {
+      subtotal: 10.124,
+      discountAmount: 1.266,
+      taxes: [{ taxRateId: 'vat', name: 'VAT', rate: 20, amount: 1.772 }],
+      taxTotal: 1.772,
+      total: 10.63
+    }]
+  ]
+
+  it.each(cases)('should total %s', (_, lineAmounts, input, expected) => {
+    expect(calculateInvoiceTotals(lineAmounts, input)).toEqual(expected)
+  })
+
+  it('should round to the minor unit of the currency', () => {
+    expect(getCurrencyDecimals('JPY')).toBe(0)
+    expect(getCurrencyDecimals('KWD')).toBe(3)
+    expect(getCurrencyDecimals('not-a-currency')).toBe(2)
+    expect(roundAmount(1.005)).toBe(1.01)
+    expect(roundAmount(1234.5, 0)).toBe(1235)
+  })
+})
@@ -0,0 +1,140 @@
+// Recurring tasks. The rule sits on the latest occurrence of a series and moves
+// to each new one. Dates are YYYY-MM-DD days, worked out in UTC so they never shift
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (date) => new Date(`${date}T00:00:00Z`);
+const formatDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => formatDay(new Date(parseDay(date).getTime() + days * DAY_MS));
+// Weeks run Monday to Sunday; 1970-01-01 was a Thursday
+const getWeekNumber = (date) => Math.floor((parseDay(date).getTime() / DAY_MS + 3) / 7);
+
+// The first occurrence after date. For after_completion, date is the day the
+// previous occurrence was completed
+const getNextOccurrenceDate = (rule, date) => {
+  const interval = rule.interval || 1;
+  const current = parseDay(date);
+
+  if (rule.frequency === 'daily' || rule.frequency === 'after_completion') {
+    return addDays(date, interval);
+  }
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [current.getUTCDay()];
+    for (let days = 1; days <= 7 * interval + 7; days++) {
+      const candidate = addDays(date, days);
+      const weeksApart = getWeekNumber(candidate) - getWeekNumber(date);
+      if (weekdays.includes(parseDay(candidate).getUTCDay()) && weeksApart % interval === 0) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  if (rule.frequency === 'monthly') {
+    const monthDay = rule.monthDay || current.getUTCDate();
+    for (let months = 0; months <= interval; months += interval) {
+      const year = current.getUTCFullYear();
+      const month = current.getUTCMonth() + months;
+      const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const candidate = formatDay(new Date(Date.UTC(year, month, Math.min(monthDay, lastDay))));
+      if (candidate > date) {
+        return candidate;
+      }
+    }
+  }
+
+  return null;
+};
+
+// The occurrence the rule holder dated current is due to create, or null. today
+// and completedOn are days in the assignee's timezone. Calendar rules create one
+// once its day has come; days missed while the server was down are skipped
+// rather than created late. Dates in a series only move forward, so the unique
+// key only ever stops a true duplicate
+const getDueOccurrenceDate = (rule, { current, today, completedOn = null }) => {
+  if (rule.frequency === 'after_completion') {
+    if (!completedOn) return null;
+    const next = getNextOccurrenceDate(rule, completedOn);
+    return next > current ? next : addDays(current, 1);
+  }
+
+  let next = getNextOccurrenceDate(rule, current);
+  if (!next || next > today) return null;
+  for (let later = getNextOccurrenceDate(rule, next); later && later <= today; later = getNextOccurrenceDate(rule, later)) {
+    next = later;
+  }
+  return next;
+};
+
+// Copies the task row into a fresh, open task running from startDate to date and
+// hands it the rule. Occurrences are unique per series and date, so a generator
+// that runs twice, or twice at once, gets null back instead of a second copy.
+// The rule leaves the old row once the occurrence exists, whoever created it
+const insertTaskOccurrence = async (connection, row, { date, startDate = null, statusId }) => {
+  const occurrenceId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const now = new Date();
+
+  await connection.beginTransaction();
+  try {
+    let created = true;
+    try {
+      await connection.execute(
+        `INSERT INTO tasks (
+          id, title, description, project_id, project_name, status_id, priority_id,
+          assignee_id, assignee_name, assignee_email, start_date, due_date, estimated_hours,
+          is_completed, created_by, created_by_name, created_at, updated_at,
+          parent_task_id, team_id, company_id, tags, attachments, comments, time_entries,
+          recurrence, recurrence_series_id, recurrence_date
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          occurrenceId,
+          row.title,
+          row.description,
+          row.project_id,
+          row.project_name,
+          statusId || row.status_id,
+          row.priority_id,
+          row.assignee_id,
+          row.assignee_name,
+          row.assignee_email,
+          startDate,
+          date,
+          row.estimated_hours,
+          row.created_by,
+          row.created_by_name,
+          now,
+          now,
+          row.parent_task_id,
+          row.team_id,
+          row.company_id,
+          row.tags || JSON.stringify([]),
+          JSON.stringify([]),
+          JSON.stringify([]),
+          JSON.stringify([]),
+          typeof row.recurrence === 'string' ? row.recurrence : JSON.stringify(row.recurrence),
+          row.recurrence_series_id,
+          date
+        ]
+      );
+    } catch (insertError) {
+      // The unique key on (recurrence_series_id, recurrence_date): already created
+      if (insertError.code !== 'ER_DUP_ENTRY') {
+        throw insertError;
+      }
+      created = false;
+    }
+    await connection.execute('UPDATE tasks SET recurrence = NULL WHERE id = ?', [row.id]);
+    await connection.commit();
+    return created ? occurrenceId : null;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  getNextOccurrenceDate,
+  getDueOccurrenceDate,
+  insertTaskOccurrence
+};
@@ -0,0 +1,112 @@
+import { getDueOccurrenceDate, getNextOccurrenceDate, insertTaskOccurrence } from './taskRecurrence'
+import { getNextOccurrenceDate as previewNextOccurrenceDate } from '../src/utils/taskRecurrence'
+import { TaskRecurrence } from '../src/types'
+
+describe('taskRecurrence', () => {
+  describe('getNextOccurrenceDate', () => {
+    // The task form previews the same dates the generator creates
+    const cases: [TaskRecurrence, string, string][] = [
+      [{ frequency: 'daily', interval: 1 }, '2024-02-28', '2024-02-29'],
+      [{ frequency: 'daily', interval: 3 }, '2024-12-30', '2025-01-02'],
+      [{ frequency: 'weekly', interval: 1, weekdays: [1, 3] }, '2024-03-06', '2024-03-11'],
+      [{ frequency: 'weekly', interval: 2, weekdays: [1, 5] }, '2024-03-08', '2024-03-18'],
+      [{ frequency: 'weekly', interval: 1 }, '2024-03-07', '2024-03-14'],
+      [{ frequency: 'monthly', interval: 1, monthDay: 31 }, '2024-01-31', '2024-02-29'],
+      [{ frequency: 'monthly', interval: 3, monthDay: 1 }, '2024-11-01', '2025-02-01'],
+      [{ frequency: 'after_completion', interval: 7 }, '2024-03-05', '2024-03-12']
+    ]
+
+    it.each(cases)('should agree with the task form on %j after %s', (rule, date, expected) => {
+      expect(getNextOccurrenceDate(rule, date)).toBe(expected)
+      expect(previewNextOccurrenceDate(rule, date)).toBe(expected)
+    })
+  })
+
+  describe('getDueOccurrenceDate', () => {
+    const daily = { frequency: 'daily', interval: 1 }
+
+    it('should wait until the next day has come', () => {
+      expect(getDueOccurrenceDate(daily, { current: '2024-03-04', today: '2024-03-04' })).toBeNull()
+      expect(getDueOccurrenceDate(daily, { current: '2024-03-04', today: '2024-03-05' })).toBe('2024-03-05')
+    })
+
+    it('should catch up to the latest due day and skip the ones missed', () => {
+      expect(getDueOccurrenceDate(daily, { current: '2024-03-04', today: '2024-03-09' })).toBe('2024-03-09')
+      // 2024-03-04 is a Monday; the Wednesday and Monday in between are skipped
+      const weekly = { frequency: 'weekly', interval: 1, weekdays: [1, 3] }
+      expect(getDueOccurrenceDate(weekly, { current: '2024-03-04', today: '2024-03-12' })).toBe('2024-03-11')
+    })
+
+    it('should count from the completion, but never before the current occurrence', () => {
+      const rule = { frequency: 'after_completion', interval: 2 }
+      expect(getDueOccurrenceDate(rule, { current: '2024-03-04', today: '2024-03-05' })).toBeNull()
+      expect(getDueOccurrenceDate(rule, { current: '2024-03-04', today: '2024-03-05', completedOn: '2024-03-05' })).toBe('2024-03-07')
+      expect(getDueOccurrenceDate(rule, { current: '2024-03-10', today: '2024-03-01', completedOn: '2024-03-01' })).toBe('2024-03-11')
+    })
+  })
+
+  describe('insertTaskOccurrence', () => {
+    const row = {
+      id: 'task-1',
+      title: 'Weekly report',
+      project_id: 'project-1',
+      status_id: 'done',
+      recurrence: '{"frequency":"daily","interval":1}',
+      recurrence_series_id: 'series-1',
+      tags: null
+    }
+
+    // Stands in for the unique key on (recurrence_series_id, recurrence_date)
+    const makeConnection = () => {
+      const occurrences = new Set<string>()
+      const statements: string[] = []
+      const connection = {
+        statements,
+        beginTransaction: jest.fn(async () => {}),
+        commit: jest.fn(async () => {}),
+        rollback: jest.fn(async () => {}),
+        execute: jest.fn(async (sql: string, params: any[]) => {
+          statements.push(sql.trim().split(/\s+/).slice(0, 3).join(' '))
+          if (!sql.includes('INSERT INTO')) return [{ affectedRows: 1 }]
+          const key = `${params[params.length - 2]}|${params[params.length - 1]}`
+          if (occurrences.has(key)) throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' })
+          occurrences.add(key)
+          return [{ affectedRows: 1 }]
+        })
+      }
+      return connection
+    }
+
+    it('should create the occurrence and move the rule off the old task', async () => {
+      const connection = makeConnection()
+      const id = await insertTaskOccurrence(connection, row, { date: '2024-03-05', statusId: 'todo' })
+
+      expect(id).toMatch(/^task_/)
+      expect(connection.statements).toEqual(['INSERT INTO tasks', 'UPDATE tasks SET'])
+      const [, insertParams] = connection.execute.mock.calls[0]
+      expect(insertParams[5]).toBe('todo')
+      expect(insertParams.slice(-3)).toEqual([row.recurrence, 'series-1', '2024-03-05'])
+      expect(connection.execute.mock.calls[1][1]).toEqual(['task-1'])
+      expect(connection.commit).toHaveBeenCalled()
+    })
+
+    it('should not create the same occurrence twice', async () => {
+      const connection = makeConnection()
+      await insertTaskOccurrence(connection, row, { date: '2024-03-05', statusId: 'todo' })
+
+      expect(await insertTaskOccurrence(connection, row, { date: '2024-03-05', statusId: 'todo' })).toBeNull()
+      expect(connection.statements).toEqual(['INSERT INTO tasks', 'UPDATE tasks SET', 'INSERT INTO tasks', 'UPDATE tasks SET'])
+      expect(connection.commit).toHaveBeenCalledTimes(2)
+    })
+
+    it('should roll back and keep the rule when the insert fails', async () => {
+      const connection = makeConnection()
+      connection.execute.mockRejectedValueOnce(Object.assign(new Error('Cannot add a child row'), { code: 'ER_NO_REFERENCED_ROW_2' }))
+
+      await expect(insertTaskOccurrence(connection, row, { date: '2024-03-05', statusId: 'todo' })).rejects.toThrow('Cannot add a child row')
+      expect(connection.statements).toEqual([])
+      expect(connection.rollback).toHaveBeenCalled()
+      expect(connection.commit).not.toHaveBeenCalled()
+    })
+  })
+})
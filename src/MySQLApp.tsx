@@ -33,6 +33,7 @@ import About from './pages/About'
 import UpgradeCTA from './pages/UpgradeCTA'
 // Import the new AI Chat Widget instead of the messaging widget
 import AIChatWidget from './components/ai/AIChatWidget'
+import IdleTimePrompt from './components/IdleTimePrompt'
 import TestNotifications from './pages/TestNotifications'
 import DemoPage from './pages/DemoPage'
 // Import the new Root Dashboard
@@ -214,6 +215,9 @@ function MySQLAppContent() {
       
       {/* Global AI Chat Widget */}
       <AIChatWidget />
+
+      {/* Asks about time a running timer counted while the user was away */}
+      <IdleTimePrompt />
     </div>
   )
 }
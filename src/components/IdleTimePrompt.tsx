@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react'
+import { Coffee, Check, Trash2, ArrowRight } from 'lucide-react'
+import { TimeEntry, Project } from '../types'
+import { timeEntryApiService } from '../services/timeEntryApiService'
+import { projectApiService } from '../services/projectApiService'
+import { userApiService } from '../services/userApiService'
+import { useMySQLAuth } from '../contexts/MySQLAuthContext'
+import { useIdleDetection, IdlePeriod } from '../hooks/useIdleDetection'
+import { formatTime, formatTimeFromSeconds } from '../utils'
+
+// Asks what to do with the time a running timer counted while the user was away
+export default function IdleTimePrompt() {
+  const { currentUser } = useMySQLAuth()
+  const [idleTimeoutMinutes, setIdleTimeoutMinutes] = useState(0)
+  const [runningEntry, setRunningEntry] = useState<TimeEntry | null>(null)
+  const [period, setPeriod] = useState<IdlePeriod | null>(null)
+  const [projects, setProjects] = useState<Project[]>([])
+  const [projectId, setProjectId] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const { idlePeriod, dismiss } = useIdleDetection(idleTimeoutMinutes, !!currentUser)
+
+  useEffect(() => {
+    if (!currentUser) return
+
+    userApiService.getUserById(currentUser.uid)
+      .then(user => setIdleTimeoutMinutes(user?.idleTimeoutMinutes ?? 0))
+      .catch(err => console.error('Error loading idle timeout:', err))
+
+    // Settings broadcasts the new timeout so it applies without a reload
+    const handleTimeoutChange = (event: Event) => {
+      setIdleTimeoutMinutes((event as CustomEvent<number>).detail)
+    }
+    window.addEventListener('idleTimeoutChange', handleTimeoutChange)
+    return () => window.removeEventListener('idleTimeoutChange', handleTimeoutChange)
+  }, [currentUser])
+
+  // Only ask when a timer was running through the idle time
+  useEffect(() => {
+    if (!idlePeriod || !currentUser) return
+
+    const checkRunningEntry = async () => {
+      try {
+        const entry = await timeEntryApiService.getRunningTimeEntry(currentUser.uid)
+        const entryStart = entry ? new Date(entry.startTime) : null
+        if (!entry || !entryStart || entryStart >= idlePeriod.end) {
+          dismiss()
+          return
+        }
+
+        setRunningEntry(entry)
+        setPeriod({
+          start: entryStart > idlePeriod.start ? entryStart : idlePeriod.start,
+          end: idlePeriod.end
+        })
+
+        const projectsData = currentUser.companyId
+          ? await projectApiService.getProjectsForCompany(currentUser.companyId)
+          : await projectApiService.getProjects()
+        setProjects(projectsData.filter(project => project.id !== entry.projectId))
+      } catch (err) {
+        console.error('Error checking running timer after idle time:', err)
+        dismiss()
+      }
+    }
+
+    checkRunningEntry()
+  }, [idlePeriod, currentUser, dismiss])
+
+  const close = () => {
+    setRunningEntry(null)
+    setPeriod(null)
+    setProjectId('')
+    setError('')
+    dismiss()
+  }
+
+  const resolve = async (action: 'discard' | 'reassign') => {
+    if (!runningEntry || !period) return
+
+    setSaving(true)
+    setError('')
+    try {
+      await timeEntryApiService.resolveIdleTime(runningEntry.id, {
+        idleStart: period.start,
+        idleEnd: period.end,
+        action,
+        ...(action === 'reassign' ? { projectId } : {})
+      })
+      // The running entry may have been replaced; let the timer pick up the new one
+      window.dispatchEvent(new CustomEvent('runningTimerChange'))
+      close()
+    } catch (err: any) {
+      console.error('Error resolving idle time:', err)
+      setError(err?.message || 'Failed to update the running timer')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!runningEntry || !period) {
+    return null
+  }
+
+  const idleSeconds = Math.floor((period.end.getTime() - period.start.getTime()) / 1000)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-md mx-4">
+        <div className="flex items-center space-x-3 p-6 border-b border-gray-200 dark:border-gray-700">
+          <Coffee className="h-6 w-6 text-primary-600 dark:text-primary-400" />
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">
+            You were away
+          </h2>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Your timer{runningEntry.projectName ? ` for ${runningEntry.projectName}` : ''} kept running while you were
+            idle from {formatTime(period.start)} to {formatTime(period.end)} ({formatTimeFromSeconds(idleSeconds)}).
+            What should happen to that time?
+          </p>
+
+          {error && (
+            <div className="bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          <button
+            onClick={close}
+            disabled={saving}
+            className="w-full flex items-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+          >
+            <Check className="h-4 w-4" />
+            <span>Keep it, I was working</span>
+          </button>
+
+          <button
+            onClick={() => resolve('discard')}
+            disabled={saving}
+            className="w-full flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors"
+          >
+            <Trash2 className="h-4 w-4" />
+            <span>Discard the idle time</span>
+          </button>
+
+          {projects.length > 0 && (
+            <div className="flex items-center space-x-2">
+              <select
+                value={projectId}
+                onChange={(e) => setProjectId(e.target.value)}
+                disabled={saving}
+                className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">Move it to another project...</option>
+                {projects.map(project => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => resolve('reassign')}
+                disabled={saving || !projectId}
+                className="flex items-center space-x-1 px-3 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
+              >
+                <ArrowRight className="h-4 w-4" />
+                <span>Move</span>
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
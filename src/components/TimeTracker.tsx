@@ -1,11 +1,25 @@
 import { useState, useEffect, useRef } from 'react'
-import { Play, Square, Clock, DollarSign, Tag, FileText, Building2, X } from 'lucide-react'
+import { Play, Square, Clock, DollarSign, Tag, FileText, Building2, X, Timer, SkipForward, CloudOff } from 'lucide-react'
 import { TimeEntry, CreateTimeEntryData, Project, Client } from '../types'
-// Replace direct MySQL service import with API service
-import { timeEntryApiService as timeEntryService } from '../services/timeEntryApiService'
+// Timer actions go through the offline queue so they survive a dropped connection
+import { offlineTimeEntryService as timeEntryService, TimerSyncStatus } from '../services/offlineTimeEntryService'
 import { projectApiService as projectService } from '../services/projectApiService'
 import { useMySQLAuth } from '../contexts/MySQLAuthContext'
 import { formatDateTime } from '../utils'
+import { soundManager } from '../utils/soundManager'
+import { notificationService } from '../services/notificationService'
+import {
+  FocusPhase,
+  FocusSettings,
+  BREAK_TAG,
+  DEFAULT_FOCUS_SETTINGS,
+  FOCUS_PHASE_LABELS,
+  normalizeFocusSettings,
+  getPhaseSeconds,
+  getNextFocusPhase,
+  loadFocusSettings,
+  saveFocusSettings
+} from '../utils/focusSession'
 
 interface TimeTrackerProps {
   onTimeUpdate?: (timeSummary: any) => void
@@ -36,11 +50,20 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [hasLocalChanges, setHasLocalChanges] = useState(false) // Track if we have unsynced local changes
+  const [focusEnabled, setFocusEnabled] = useState(false)
+  const [focusSettings, setFocusSettings] = useState<FocusSettings>(DEFAULT_FOCUS_SETTINGS)
+  const [showFocusSettings, setShowFocusSettings] = useState(false)
+  const [focusPhase, setFocusPhase] = useState<FocusPhase | null>(null) // Set while a focus cycle is running
+  const [completedFocusSessions, setCompletedFocusSessions] = useState(0)
+  const [syncStatus, setSyncStatus] = useState<TimerSyncStatus>({ pending: 0, problems: [] })
   
+  const focusTransitionRef = useRef(false)
   const intervalRef = useRef<NodeJS.Timeout | null>(null)
   const startTimeRef = useRef<Date | null>(null)
   const lastSyncRef = useRef<Date>(new Date(0)) // Initialize to epoch to ensure initial sync
 
+  const isOnBreak = focusPhase === 'short_break' || focusPhase === 'long_break'
+
   // Filter projects based on selected client
   const filteredProjects = selectedClientId 
     ? projects.filter(project => project.clientId === selectedClientId)
@@ -65,6 +88,8 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
     let unsubscribe: (() => void) | null = null
     
     if (currentUser) {
+      setFocusSettings(loadFocusSettings(currentUser.uid))
+
       // Load persisted form data from localStorage
       const savedData = localStorage.getItem(`timeTrackerFormData_${currentUser.uid}`)
       if (savedData) {
@@ -80,22 +105,46 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
       
       // Check for running timer on initial load
       checkForRunningTimer()
+      timeEntryService.getSyncStatus(currentUser.uid).then(setSyncStatus)
+      timeEntryService.syncQueue(currentUser.uid)
       
       // For MySQL version, we don't have real-time subscription
       // Instead, we'll poll for running entries periodically
       const pollInterval = setInterval(async () => {
         if (currentUser) {
           try {
+            // Also retries anything queued in case the 'online' event was missed
+            await timeEntryService.syncQueue(currentUser.uid)
             await checkForRunningTimer()
           } catch (error) {
             console.error('Error polling for running time entry:', error)
           }
         }
       }, 30000) // Poll every 30 seconds to avoid hitting API rate limits
+
+      // Resolving idle time can replace the running entry, so reload it right away
+      const handleRunningTimerChange = () => {
+        checkForRunningTimer()
+      }
+      window.addEventListener('runningTimerChange', handleRunningTimerChange)
+
+      // Replay timer actions queued while offline as soon as the connection is back
+      const handleOnline = () => {
+        timeEntryService.syncQueue(currentUser.uid)
+      }
+      const handleSyncChange = (event: Event) => {
+        const { pending, problems } = (event as CustomEvent<TimerSyncStatus>).detail
+        setSyncStatus(prev => ({ pending, problems: [...prev.problems, ...problems] }))
+      }
+      window.addEventListener('online', handleOnline)
+      window.addEventListener('timerSyncChange', handleSyncChange)
       
       // Clean up interval
       return () => {
         clearInterval(pollInterval)
+        window.removeEventListener('runningTimerChange', handleRunningTimerChange)
+        window.removeEventListener('online', handleOnline)
+        window.removeEventListener('timerSyncChange', handleSyncChange)
       }
     }
   }, [currentUser]) // Keep stable to avoid re-fetch loops that can trigger rate limits
@@ -131,6 +180,14 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
     }
   }, [isRunning, elapsedTime])
 
+  // End the focus phase once its time is up
+  useEffect(() => {
+    if (!focusPhase || !isRunning || loading || focusTransitionRef.current) return
+    if (elapsedTime >= getPhaseSeconds(focusPhase, focusSettings)) {
+      advanceFocusPhase()
+    }
+  }, [elapsedTime, focusPhase, isRunning])
+
   // Effect to check for invalid state - if we have a currentEntry without an ID, reset it
   useEffect(() => {
     if (currentEntry && !currentEntry.id) {
@@ -181,8 +238,10 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         
         // Only update form data from the running entry if we don't have recent local changes
         // Check if we've made changes in the last 3 seconds (slightly less than poll interval)
+        // A focus break keeps the form as it was so the next session picks it up
         const timeSinceLastSync = new Date().getTime() - lastSyncRef.current.getTime();
-        const shouldUpdateFormData = !hasLocalChanges || timeSinceLastSync > 3000;
+        const isBreakEntry = !!runningEntry.tags?.includes(BREAK_TAG);
+        const shouldUpdateFormData = !isBreakEntry && (!hasLocalChanges || timeSinceLastSync > 3000);
         
         if (shouldUpdateFormData) {
           setFormData(prev => ({
@@ -197,6 +256,9 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
       } else {
         console.log('No valid running entry found or missing ID'); // Debug log
         // No running entry found - timer was stopped
+        if (!focusTransitionRef.current) {
+          setFocusPhase(null)
+        }
         // Only reset if we thought there was a timer running
         if (currentEntry || isRunning) {
           setCurrentEntry(null)
@@ -294,6 +356,11 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         setElapsedTime(0)
         lastSyncRef.current = new Date(); // Update last sync time
         
+        if (focusEnabled) {
+          setFocusPhase('work')
+          setCompletedFocusSessions(0)
+        }
+        
         // Notify parent component of time update if callback provided
         if (onTimeUpdate) {
           onTimeUpdate({ isRunning: true, entry })
@@ -345,8 +412,11 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         }
       }
       
-      await timeEntryService.updateTimeEntry(currentEntry.id, updates)
-      const stoppedEntry = await timeEntryService.stopTimeEntry(currentEntry.id)
+      // Break entries keep their own description and tags
+      if (!isOnBreak) {
+        await timeEntryService.updateTimeEntry(currentEntry.id, updates, currentUser.uid)
+      }
+      const stoppedEntry = await timeEntryService.stopTimeEntry(currentEntry.id, currentUser.uid)
       
       // Debug log the raw response
       console.log('Raw stopped entry response:', stoppedEntry);
@@ -380,6 +450,7 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
       
       setCurrentEntry(null)
       setIsRunning(false)
+      setFocusPhase(null)
       // Don't reset elapsed time to 0 here since we want to show the final duration
       startTimeRef.current = null
       
@@ -408,6 +479,105 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
     }
   }
   
+  // Start the entry for a focus phase: the form's project and details for work,
+  // a non-billable entry tagged "break" for breaks
+  const startFocusEntry = async (phase: FocusPhase): Promise<TimeEntry> => {
+    if (!currentUser) {
+      throw new Error('Not signed in')
+    }
+
+    const isBreak = phase !== 'work'
+    const entryData: CreateTimeEntryData = isBreak
+      ? { description: FOCUS_PHASE_LABELS[phase], isBillable: false, tags: [BREAK_TAG] }
+      : {
+          projectId: formData.projectId || undefined,
+          description: formData.description || undefined,
+          isBillable: currentCompany?.pricingLevel === 'solo' ? true : (formData.isBillable || false),
+          tags: formData.tags || []
+        }
+    const projectName = !isBreak && formData.projectId
+      ? projects.find(p => p.id === formData.projectId)?.name
+      : undefined
+    const clientName = !isBreak && selectedClientId
+      ? clients.find(c => c.id === selectedClientId)?.name
+      : undefined
+
+    await timeEntryService.createTimeEntry(entryData, currentUser.uid, projectName, currentUser.companyId, clientName)
+    const entry = await timeEntryService.getRunningTimeEntry(currentUser.uid)
+    if (!entry || !entry.id) {
+      throw new Error('Failed to start timer properly')
+    }
+
+    setCurrentEntry(entry)
+    setIsRunning(true)
+    startTimeRef.current = new Date(entry.startTime)
+    setElapsedTime(0)
+    lastSyncRef.current = new Date()
+    return entry
+  }
+
+  const announceFocusPhase = (phase: FocusPhase, entry: TimeEntry) => {
+    const minutes = getPhaseSeconds(phase, focusSettings) / 60
+    soundManager.playNotificationSound()
+    notificationService.showTimerNotification({
+      entryId: entry.id,
+      title: phase === 'work' ? 'NexiFlow - Back to focus' : 'NexiFlow - Time for a break',
+      projectName: phase === 'work' ? (entry.projectName || 'No project') : FOCUS_PHASE_LABELS[phase],
+      description: phase === 'work' ? `${entry.description || 'Focus session'} (${minutes} min)` : `${minutes} minutes`,
+      startTime: new Date(entry.startTime),
+      isBillable: entry.isBillable
+    })
+  }
+
+  // Stop the current phase's entry and start the next one; also used to skip ahead
+  const advanceFocusPhase = async () => {
+    if (!currentUser || !currentEntry || !focusPhase || focusTransitionRef.current) return
+
+    focusTransitionRef.current = true
+    setLoading(true)
+    setError('')
+    try {
+      const completed = focusPhase === 'work' ? completedFocusSessions + 1 : completedFocusSessions
+      const nextPhase = getNextFocusPhase(focusPhase, completed, focusSettings)
+      await timeEntryService.stopTimeEntry(currentEntry.id, currentUser.uid)
+      const entry = await startFocusEntry(nextPhase)
+      setCompletedFocusSessions(completed)
+      setFocusPhase(nextPhase)
+      announceFocusPhase(nextPhase, entry)
+      if (onTimeUpdate) {
+        onTimeUpdate({ isRunning: true, entry })
+      }
+    } catch (error: any) {
+      console.error('Error switching focus phase:', error)
+      setError(error.message || 'Failed to switch focus phase')
+      setFocusPhase(null)
+      await checkForRunningTimer()
+    } finally {
+      focusTransitionRef.current = false
+      setLoading(false)
+    }
+  }
+
+  const handleFocusToggle = async (enabled: boolean) => {
+    setFocusEnabled(enabled)
+    if (!enabled) {
+      // The running entry carries on as a normal timer
+      setFocusPhase(null)
+      return
+    }
+    await notificationService.requestPermission()
+  }
+
+  const handleFocusSettingChange = (key: keyof FocusSettings, rawValue: string) => {
+    if (!currentUser) return
+    const value = parseInt(rawValue, 10)
+    const next = normalizeFocusSettings({ ...focusSettings, [key]: value })
+    // Ignore values outside the allowed range rather than snapping to the default
+    if (next[key] !== value) return
+    setFocusSettings(next)
+    saveFocusSettings(currentUser.uid, next)
+  }
+
   const handleKeyPress = (e: React.KeyboardEvent) => {
     if (e.key === 'Enter') {
       handleAddTag()
@@ -425,7 +595,7 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         // Debug log
         // console.log('Updating time entry with billable status:', { entryId: currentEntry.id, isBillable });
         
-        await timeEntryService.updateTimeEntry(currentEntry.id, { isBillable });
+        await timeEntryService.updateTimeEntry(currentEntry.id, { isBillable }, currentUser.uid);
         setHasLocalChanges(false); // Clear the local changes flag after successful sync
         lastSyncRef.current = new Date(); // Update last sync time
       } catch (error) {
@@ -463,7 +633,7 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         // Debug log
         // console.log('Updating time entry with client:', { entryId: currentEntry.id, updates });
         
-        await timeEntryService.updateTimeEntry(currentEntry.id, updates);
+        await timeEntryService.updateTimeEntry(currentEntry.id, updates, currentUser.uid);
         setHasLocalChanges(false); // Clear the local changes flag after successful sync
         lastSyncRef.current = new Date(); // Update last sync time
       } catch (error) {
@@ -499,7 +669,7 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         // Debug log
         // console.log('Updating time entry with project:', { entryId: currentEntry.id, updates });
         
-        await timeEntryService.updateTimeEntry(currentEntry.id, updates);
+        await timeEntryService.updateTimeEntry(currentEntry.id, updates, currentUser.uid);
         setHasLocalChanges(false); // Clear the local changes flag after successful sync
         lastSyncRef.current = new Date(); // Update last sync time
       } catch (error) {
@@ -530,7 +700,7 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         // Debug log
         // console.log('Updating time entry with description:', { entryId: currentEntry.id, description });
         
-        await timeEntryService.updateTimeEntry(currentEntry.id, { description });
+        await timeEntryService.updateTimeEntry(currentEntry.id, { description }, currentUser.uid);
         setHasLocalChanges(false); // Clear the local changes flag after successful sync
         lastSyncRef.current = new Date(); // Update last sync time
       } catch (error) {
@@ -565,7 +735,7 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         // Debug log
         // console.log('Updating time entry with tags:', { entryId: currentEntry.id, tags: updatedTags });
         
-        await timeEntryService.updateTimeEntry(currentEntry.id, { tags: updatedTags });
+        await timeEntryService.updateTimeEntry(currentEntry.id, { tags: updatedTags }, currentUser.uid);
         setHasLocalChanges(false); // Clear the local changes flag after successful sync
         lastSyncRef.current = new Date(); // Update last sync time
       } catch (error) {
@@ -597,7 +767,7 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         // Debug log
         // console.log('Removing tag from time entry:', { entryId: currentEntry.id, tags: updatedTags });
         
-        await timeEntryService.updateTimeEntry(currentEntry.id, { tags: updatedTags });
+        await timeEntryService.updateTimeEntry(currentEntry.id, { tags: updatedTags }, currentUser.uid);
         setHasLocalChanges(false); // Clear the local changes flag after successful sync
         lastSyncRef.current = new Date(); // Update last sync time
       } catch (error) {
@@ -625,6 +795,8 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
     return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
   }
 
+  const focusRemaining = focusPhase ? Math.max(0, getPhaseSeconds(focusPhase, focusSettings) - elapsedTime) : 0
+
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
       <div className="flex items-center justify-between mb-6">
@@ -634,6 +806,18 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
           <span className="text-2xl font-mono font-bold text-gray-900 dark:text-white">
             {formatElapsedTime(elapsedTime)}
           </span>
+          {focusPhase && (
+            <span
+              className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                isOnBreak
+                  ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100'
+                  : 'bg-primary-100 text-primary-800 dark:bg-primary-900 dark:text-primary-100'
+              }`}
+              title="Time left in this phase"
+            >
+              {FOCUS_PHASE_LABELS[focusPhase]} · {formatElapsedTime(focusRemaining)}
+            </span>
+          )}
         </div>
       </div>
 
@@ -643,121 +827,207 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
         </div>
       )}
 
-      <div className="space-y-4">
-        {/* Client Selection */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-            Client
-          </label>
-          <select
-            value={selectedClientId}
-            onChange={(e) => handleClientChange(e.target.value)}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
-          >
-            <option value="">Select a client</option>
-            {clients.map(client => (
-              <option key={client.id} value={client.id}>
-                {client.name}
-              </option>
-            ))}
-          </select>
+      {syncStatus.pending > 0 && (
+        <div className="mb-4 p-3 flex items-center space-x-2 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800 text-sm dark:bg-yellow-900/30 dark:border-yellow-800 dark:text-yellow-200">
+          <CloudOff className="h-4 w-4 flex-shrink-0" />
+          <span>
+            {syncStatus.pending === 1 ? '1 timer change is' : `${syncStatus.pending} timer changes are`} saved on this device and will sync when you're back online.
+          </span>
         </div>
+      )}
 
-        {/* Project Selection */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-            Project
-          </label>
-          <select
-            value={formData.projectId}
-            onChange={(e) => handleProjectChange(e.target.value)}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
-            disabled={!selectedClientId}
-          >
-            <option value="">Select a project</option>
-            {filteredProjects.map(project => (
-              <option key={project.id} value={project.id}>
-                {project.name}
-              </option>
+      {syncStatus.problems.length > 0 && (
+        <div className="mb-4 p-3 flex items-start justify-between bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm dark:bg-red-900/30 dark:border-red-800 dark:text-red-200">
+          <ul className="space-y-1">
+            {syncStatus.problems.map((problem, index) => (
+              <li key={index}>{problem}</li>
             ))}
-          </select>
-        </div>
-
-        {/* Description */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-            Description
-          </label>
-          <input
-            type="text"
-            value={formData.description}
-            onChange={(e) => handleDescriptionChange(e.target.value)}
-            placeholder="What are you working on?"
-            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400"
-          />
+          </ul>
+          <button
+            type="button"
+            onClick={() => setSyncStatus(prev => ({ ...prev, problems: [] }))}
+            className="ml-2 text-red-500 hover:text-red-700 dark:text-red-300 dark:hover:text-red-100"
+            title="Dismiss"
+          >
+            <X className="h-4 w-4" />
+          </button>
         </div>
+      )}
 
-        {/* Billable Toggle */}
-        {!currentCompany || currentCompany.pricingLevel !== 'solo' ? (
-          <div className="flex items-center">
-            <input
-              id="billable"
-              type="checkbox"
-              checked={formData.isBillable}
-              onChange={(e) => handleBillableChange(e.target.checked)}
-              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded dark:bg-gray-700 dark:border-gray-600"
-            />
-            <label htmlFor="billable" className="ml-2 block text-sm text-gray-900 dark:text-white">
-              Billable
+      <div className="space-y-4">
+        {/* The form belongs to the work session, so it is put aside during a focus break */}
+        <fieldset disabled={isOnBreak} className="space-y-4 disabled:opacity-60">
+          {/* Client Selection */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Client
             </label>
-            <DollarSign className="ml-2 h-4 w-4 text-gray-500 dark:text-gray-400" />
-          </div>
-        ) : (
-          <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
-            <DollarSign className="mr-1 h-4 w-4" />
-            All time entries are billable on Solo plan
+            <select
+              value={selectedClientId}
+              onChange={(e) => handleClientChange(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            >
+              <option value="">Select a client</option>
+              {clients.map(client => (
+                <option key={client.id} value={client.id}>
+                  {client.name}
+                </option>
+              ))}
+            </select>
           </div>
-        )}
-
-        {/* Tags */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-            Tags
-          </label>
-          <div className="flex flex-wrap gap-2 mb-2">
-            {(formData.tags || []).map(tag => (
-              <span 
-                key={tag} 
-                className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800 dark:bg-primary-900 dark:text-primary-100"
-              >
-                {tag}
-                <button
-                  type="button"
-                  onClick={() => handleRemoveTag(tag)}
-                  className="ml-1 inline-flex items-center"
-                >
-                  <X className="h-3 w-3" />
-                </button>
-              </span>
-            ))}
+
+          {/* Project Selection */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Project
+            </label>
+            <select
+              value={formData.projectId}
+              onChange={(e) => handleProjectChange(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              disabled={!selectedClientId}
+            >
+              <option value="">Select a project</option>
+              {filteredProjects.map(project => (
+                <option key={project.id} value={project.id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
           </div>
-          <div className="flex">
+
+          {/* Description */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Description
+            </label>
             <input
               type="text"
-              value={newTag}
-              onChange={(e) => setNewTag(e.target.value)}
-              onKeyPress={handleKeyPress}
-              placeholder="Add a tag..."
-              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-l-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400"
+              value={formData.description}
+              onChange={(e) => handleDescriptionChange(e.target.value)}
+              placeholder="What are you working on?"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400"
             />
-            <button
-              type="button"
-              onClick={handleAddTag}
-              className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 rounded-r-md shadow-sm text-sm font-medium text-gray-700 bg-gray-50 hover:bg-gray-100 focus:outline-none focus:ring-1 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed dark:focus:ring-offset-gray-800"
-            >
-              <Tag className="h-4 w-4" />
-            </button>
           </div>
+
+          {/* Billable Toggle */}
+          {!currentCompany || currentCompany.pricingLevel !== 'solo' ? (
+            <div className="flex items-center">
+              <input
+                id="billable"
+                type="checkbox"
+                checked={formData.isBillable}
+                onChange={(e) => handleBillableChange(e.target.checked)}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded dark:bg-gray-700 dark:border-gray-600"
+              />
+              <label htmlFor="billable" className="ml-2 block text-sm text-gray-900 dark:text-white">
+                Billable
+              </label>
+              <DollarSign className="ml-2 h-4 w-4 text-gray-500 dark:text-gray-400" />
+            </div>
+          ) : (
+            <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
+              <DollarSign className="mr-1 h-4 w-4" />
+              All time entries are billable on Solo plan
+            </div>
+          )}
+
+          {/* Tags */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Tags
+            </label>
+            <div className="flex flex-wrap gap-2 mb-2">
+              {(formData.tags || []).map(tag => (
+                <span 
+                  key={tag} 
+                  className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800 dark:bg-primary-900 dark:text-primary-100"
+                >
+                  {tag}
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveTag(tag)}
+                    className="ml-1 inline-flex items-center"
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+            <div className="flex">
+              <input
+                type="text"
+                value={newTag}
+                onChange={(e) => setNewTag(e.target.value)}
+                onKeyPress={handleKeyPress}
+                placeholder="Add a tag..."
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-l-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400"
+              />
+              <button
+                type="button"
+                onClick={handleAddTag}
+                className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 rounded-r-md shadow-sm text-sm font-medium text-gray-700 bg-gray-50 hover:bg-gray-100 focus:outline-none focus:ring-1 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed dark:focus:ring-offset-gray-800"
+              >
+                <Tag className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </fieldset>
+
+        {/* Focus Mode */}
+        <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center">
+              <input
+                id="focusMode"
+                type="checkbox"
+                checked={focusEnabled}
+                onChange={(e) => handleFocusToggle(e.target.checked)}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded dark:bg-gray-700 dark:border-gray-600"
+              />
+              <label htmlFor="focusMode" className="ml-2 block text-sm text-gray-900 dark:text-white">
+                Focus mode
+              </label>
+              <Timer className="ml-2 h-4 w-4 text-gray-500 dark:text-gray-400" />
+            </div>
+            {focusEnabled && (
+              <button
+                type="button"
+                onClick={() => setShowFocusSettings(!showFocusSettings)}
+                className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400 dark:hover:text-primary-300"
+              >
+                {showFocusSettings ? 'Hide settings' : 'Settings'}
+              </button>
+            )}
+          </div>
+          {focusEnabled && (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              {focusPhase
+                ? `${completedFocusSessions} focus session${completedFocusSessions === 1 ? '' : 's'} done. Breaks are logged as non-billable time.`
+                : `Start the timer for ${focusSettings.workMinutes}-minute focus sessions with ${focusSettings.shortBreakMinutes}-minute breaks.`}
+            </p>
+          )}
+          {focusEnabled && showFocusSettings && (
+            <div className="mt-3 grid grid-cols-2 gap-3">
+              {([
+                ['workMinutes', 'Focus (minutes)'],
+                ['shortBreakMinutes', 'Short break (minutes)'],
+                ['longBreakMinutes', 'Long break (minutes)'],
+                ['sessionsBeforeLongBreak', 'Sessions before a long break']
+              ] as [keyof FocusSettings, string][]).map(([key, label]) => (
+                <div key={key}>
+                  <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">{label}</label>
+                  <input
+                    type="number"
+                    min={1}
+                    value={focusSettings[key]}
+                    onChange={(e) => handleFocusSettingChange(key, e.target.value)}
+                    className="w-full px-3 py-1.5 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                  />
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Action Buttons */}
@@ -783,6 +1053,18 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
               Stop Timer
             </button>
           )}
+
+          {focusPhase && isRunning && (
+            <button
+              type="button"
+              onClick={advanceFocusPhase}
+              disabled={loading}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:hover:bg-gray-600 dark:focus:ring-offset-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <SkipForward className="h-4 w-4 mr-2" />
+              {isOnBreak ? 'End Break' : 'Take Break'}
+            </button>
+          )}
           
           {currentEntry && currentEntry.id && (
             <button
@@ -792,12 +1074,14 @@ export default function TimeTracker({ onTimeUpdate }: TimeTrackerProps) {
                   setError('Cannot delete time entry: Missing entry ID');
                   return;
                 }
+                if (!currentUser) return;
                 
                 if (window.confirm('Are you sure you want to discard this time entry?')) {
                   try {
-                    await timeEntryService.deleteTimeEntry(currentEntry.id)
+                    await timeEntryService.deleteTimeEntry(currentEntry.id, currentUser.uid)
                     setCurrentEntry(null)
                     setIsRunning(false)
+                    setFocusPhase(null)
                     setElapsedTime(0)
                     startTimeRef.current = null
                     setFormData({
@@ -1,7 +1,10 @@
 import { useState, useEffect } from 'react'
-import { X, Clock, User, FolderOpen, DollarSign, Save, Trash2 } from 'lucide-react'
-import { TimeEntry, Project, User as UserType } from '../../types'
+import { X, Clock, User, FolderOpen, DollarSign, Save, Trash2, Lock, Unlock, AlertTriangle } from 'lucide-react'
+import { TimeEntry, Project, User as UserType, OverlapResolution, TimeEntryOverlapConflict } from '../../types'
 import { timeEntryService } from '../../services/timeEntryService'
+import { timeEntryApiService, TimeEntryOverlapError } from '../../services/timeEntryApiService'
+import { adminTimeEntriesAPI } from '../../services/adminApiService'
+import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
 import { projectService } from '../../services/projectService'
 import { userService } from '../../services/userService'
 
@@ -20,9 +23,12 @@ export default function TimeEntryEditModal({
   onSave, 
   onDelete 
 }: TimeEntryEditModalProps) {
+  const { currentUser } = useMySQLAuth()
   const [loading, setLoading] = useState(false)
+  const [isLocked, setIsLocked] = useState(false)
   const [projects, setProjects] = useState<Project[]>([])
   const [users, setUsers] = useState<UserType[]>([])
+  const [overlap, setOverlap] = useState<TimeEntryOverlapConflict | null>(null)
   const [formData, setFormData] = useState({
     description: '',
     projectId: '',
@@ -52,9 +58,14 @@ export default function TimeEntryEditModal({
         duration: formatDuration(duration),
         isBillable: timeEntry.isBillable || false
       })
+      setIsLocked(!!timeEntry.isLocked)
+      setOverlap(null)
     }
   }, [isOpen, timeEntry])
 
+  // Only super admins may reopen an invoiced entry for editing
+  const canUnlock = currentUser?.role === 'super_admin' || currentUser?.role === 'root'
+
   const dedupeById = <T extends { id: string }>(items: T[]): T[] => {
     const seen = new Set<string>()
     const result: T[] = []
@@ -124,17 +135,50 @@ export default function TimeEntryEditModal({
     }
 
     setFormData(newFormData)
+    if (name === 'startTime' || name === 'endTime' || name === 'duration') {
+      setOverlap(null)
+    }
   }
 
-  const handleSave = async () => {
+  const formatRange = (start: Date | string, end?: Date | string | null) => {
+    const options: Intl.DateTimeFormatOptions = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    const startLabel = new Date(start).toLocaleString('en-US', options)
+    return end ? `${startLabel} – ${new Date(end).toLocaleString('en-US', options)}` : `${startLabel} – running`
+  }
+
+  const handleUnlock = async () => {
     if (!timeEntry) return
 
+    const reason = window.prompt('This entry has already been invoiced. Why does it need to be unlocked?')
+    if (reason === null) return
+
+    try {
+      setLoading(true)
+      await timeEntryApiService.unlockTimeEntry(timeEntry.id, reason)
+      setIsLocked(false)
+    } catch (error: any) {
+      console.error('Error unlocking time entry:', error)
+      alert(error?.message || 'Failed to unlock time entry')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // resolution answers an overlap the server reported: trim to its suggestion or save anyway
+  const handleSave = async (resolution?: OverlapResolution) => {
+    if (!timeEntry || isLocked) return
+
     try {
       setLoading(true)
       
-      const startTime = new Date(formData.startTime)
-      const endTime = new Date(formData.endTime)
-      const duration = parseDuration(formData.duration)
+      let startTime = new Date(formData.startTime)
+      let endTime = new Date(formData.endTime)
+      let duration = parseDuration(formData.duration)
+      if (resolution === 'trim' && overlap?.suggestion?.endTime) {
+        startTime = new Date(overlap.suggestion.startTime)
+        endTime = new Date(overlap.suggestion.endTime)
+        duration = Math.floor((endTime.getTime() - startTime.getTime()) / 1000)
+      }
       
       const updates = {
         description: formData.description,
@@ -142,10 +186,11 @@ export default function TimeEntryEditModal({
         startTime: startTime.toISOString(),
         endTime: endTime.toISOString(),
         duration: duration,
-        isBillable: formData.isBillable
+        isBillable: formData.isBillable,
+        ...(resolution ? { overlapResolution: resolution } : {})
       }
 
-      await timeEntryService.updateTimeEntry(timeEntry.id, updates)
+      await adminTimeEntriesAPI.updateTimeEntry(timeEntry.id, updates)
       
       // Create updated entry object
       const updatedEntry: TimeEntry = {
@@ -154,20 +199,26 @@ export default function TimeEntryEditModal({
         startTime: startTime,
         endTime: endTime,
         duration: duration,
+        isLocked,
         updatedAt: new Date()
       }
 
+      setOverlap(null)
       onSave(updatedEntry)
       onClose()
     } catch (error) {
-      console.error('Error updating time entry:', error)
+      if (error instanceof TimeEntryOverlapError) {
+        setOverlap(error.conflict)
+      } else {
+        console.error('Error updating time entry:', error)
+      }
     } finally {
       setLoading(false)
     }
   }
 
   const handleDelete = async () => {
-    if (!timeEntry) return
+    if (!timeEntry || isLocked) return
 
     if (window.confirm('Are you sure you want to delete this time entry?')) {
       try {
@@ -195,6 +246,11 @@ export default function TimeEntryEditModal({
             <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">
               Edit Time Entry
             </h2>
+            {isLocked && (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-100">
+                <Lock className="h-3 w-3 mr-1" /> Invoiced
+              </span>
+            )}
           </div>
           <button
             onClick={onClose}
@@ -205,7 +261,17 @@ export default function TimeEntryEditModal({
         </div>
 
         {/* Form */}
-        <div className="p-6 space-y-6">
+        <fieldset disabled={isLocked} className="p-6 space-y-6">
+          {isLocked && (
+            <div className="flex items-start bg-amber-50 dark:bg-amber-900/20 p-4 rounded-lg border border-amber-200 dark:border-amber-800">
+              <Lock className="h-4 w-4 text-amber-600 dark:text-amber-400 mr-2 mt-0.5" />
+              <p className="text-sm text-amber-800 dark:text-amber-200">
+                This time entry has been invoiced and can no longer be edited or deleted.
+                {!canUnlock && ' Ask a super admin to unlock it if a correction is needed.'}
+              </p>
+            </div>
+          )}
+
           {/* User Selection */}
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -318,6 +384,47 @@ export default function TimeEntryEditModal({
             </div>
           </div>
 
+          {overlap && (
+            <div className="bg-amber-50 dark:bg-amber-900/20 p-4 rounded-lg border border-amber-200 dark:border-amber-800">
+              <div className="flex items-start">
+                <AlertTriangle className="h-4 w-4 text-amber-600 dark:text-amber-400 mr-2 mt-0.5" />
+                <div className="flex-1 text-sm text-amber-800 dark:text-amber-200">
+                  <p className="font-medium">This time overlaps with {overlap.conflicts.length === 1 ? 'another entry' : `${overlap.conflicts.length} other entries`}</p>
+                  <ul className="mt-2 space-y-1">
+                    {overlap.conflicts.map(conflict => (
+                      <li key={conflict.id}>
+                        {conflict.projectName || conflict.description || 'Untitled entry'}: {formatRange(conflict.startTime, conflict.endTime)}
+                      </li>
+                    ))}
+                  </ul>
+                  {!overlap.suggestion && (
+                    <p className="mt-2">Another entry falls inside this time, so it cannot be trimmed. Adjust the times manually.</p>
+                  )}
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    {overlap.suggestion?.endTime && (
+                      <button
+                        type="button"
+                        onClick={() => handleSave('trim')}
+                        className="px-3 py-1 rounded-lg bg-amber-600 text-white hover:bg-amber-700 transition-colors"
+                      >
+                        Trim to {formatRange(overlap.suggestion.startTime, overlap.suggestion.endTime)}
+                      </button>
+                    )}
+                    {overlap.policy === 'warn' && (
+                      <button
+                        type="button"
+                        onClick={() => handleSave('allow')}
+                        className="px-3 py-1 rounded-lg border border-amber-300 dark:border-amber-700 hover:bg-amber-100 dark:hover:bg-amber-900/40 transition-colors"
+                      >
+                        Save anyway
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Billable */}
           <div className="flex items-center">
             <input
@@ -332,18 +439,29 @@ export default function TimeEntryEditModal({
               Billable
             </label>
           </div>
-        </div>
+        </fieldset>
 
         {/* Footer */}
         <div className="flex items-center justify-between p-6 border-t border-gray-200 dark:border-gray-700">
-          <button
-            onClick={handleDelete}
-            className="flex items-center space-x-2 px-4 py-2 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
-            disabled={loading}
-          >
-            <Trash2 className="h-4 w-4" />
-            <span>Delete</span>
-          </button>
+          {isLocked && canUnlock ? (
+            <button
+              onClick={handleUnlock}
+              className="flex items-center space-x-2 px-4 py-2 text-amber-700 dark:text-amber-300 hover:bg-amber-50 dark:hover:bg-amber-900/20 rounded-lg transition-colors"
+              disabled={loading}
+            >
+              <Unlock className="h-4 w-4" />
+              <span>Unlock</span>
+            </button>
+          ) : (
+            <button
+              onClick={handleDelete}
+              className="flex items-center space-x-2 px-4 py-2 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={loading || isLocked}
+            >
+              <Trash2 className="h-4 w-4" />
+              <span>Delete</span>
+            </button>
+          )}
           
           <div className="flex items-center space-x-3">
             <button
@@ -354,8 +472,8 @@ export default function TimeEntryEditModal({
               Cancel
             </button>
             <button
-              onClick={handleSave}
-              disabled={loading}
+              onClick={() => handleSave()}
+              disabled={loading || isLocked}
               className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               <Save className="h-4 w-4" />
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { X, User, Mail, Shield, Users, Save, UserCheck, Clock } from 'lucide-react'
 import { User as UserType, UserRole } from '../../types'
-import { getRoleDisplayName, getRoleDescription, canManageUser } from '../../utils/permissions'
+import { getRoleDisplayName, getRoleDescription, canManageUser, canViewHourlyRates } from '../../utils/permissions'
 import { timezones } from '../../data/countriesAndTimezones'
 
 interface UserEditModalProps {
@@ -18,11 +18,14 @@ export default function UserEditModal({ isOpen, onClose, onSave, user, currentUs
     email: '',
     role: 'employee' as UserRole,
     isActive: true,
-    timezone: 'GMT+0 (Greenwich Mean Time)'
+    timezone: 'GMT+0 (Greenwich Mean Time)',
+    costRate: ''
   })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
 
+  const canEditCostRate = canViewHourlyRates(currentUserRole)
+
   useEffect(() => {
     if (user) {
       setFormData({
@@ -30,7 +33,8 @@ export default function UserEditModal({ isOpen, onClose, onSave, user, currentUs
         email: user.email,
         role: user.role,
         isActive: user.isActive,
-        timezone: user.timezone || 'GMT+0 (Greenwich Mean Time)'
+        timezone: user.timezone || 'GMT+0 (Greenwich Mean Time)',
+        costRate: user.costRate !== null && user.costRate !== undefined ? String(user.costRate) : ''
       })
     }
     setError('')
@@ -54,6 +58,12 @@ export default function UserEditModal({ isOpen, onClose, onSave, user, currentUs
       return
     }
 
+    const costRate = formData.costRate === '' ? null : parseFloat(formData.costRate)
+    if (costRate !== null && (isNaN(costRate) || costRate < 0)) {
+      setError('Cost rate must be zero or more')
+      return
+    }
+
     setLoading(true)
     setError('')
 
@@ -64,7 +74,8 @@ export default function UserEditModal({ isOpen, onClose, onSave, user, currentUs
         email: formData.email.trim(),
         role: formData.role,
         isActive: formData.isActive,
-        timezone: formData.timezone
+        timezone: formData.timezone,
+        ...(canEditCostRate ? { costRate } : {})
       }
 
       await onSave(updatedUser)
@@ -158,6 +169,27 @@ export default function UserEditModal({ isOpen, onClose, onSave, user, currentUs
             </select>
           </div>
 
+          {/* Cost Rate */}
+          {canEditCostRate && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Internal Cost Rate (per hour)
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={formData.costRate}
+                onChange={(e) => setFormData(prev => ({ ...prev, costRate: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400"
+                placeholder="Not set"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                What an hour of this user's time costs the company. Used for profitability reports and never shown to the user.
+              </p>
+            </div>
+          )}
+
           {/* Role */}
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
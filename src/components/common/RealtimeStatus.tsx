@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react'
 import { Activity, Wifi, WifiOff } from 'lucide-react'
 import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
+import { timeEntryService } from '../../services/timeEntryService'
+import { realtimeService } from '../../services/realtimeService'
 
 export default function RealtimeStatus() {
   const { currentUser } = useMySQLAuth()
@@ -8,35 +10,18 @@ export default function RealtimeStatus() {
   const [lastUpdate, setLastUpdate] = useState<Date | null>(null)
 
   useEffect(() => {
-    if (currentUser) {
-      // Check if real-time listeners are working
-      const testConnection = () => {
-        try {
-          import('../../services/timeEntryService').then(({ timeEntryService }) => {
-            if ((timeEntryService as any).subscribeToTimeEntries) {
-              setIsConnected(true)
-              
-              // Subscribe to test real-time connectivity
-              const unsubscribe = (timeEntryService as any).subscribeToTimeEntries(
-                currentUser.uid,
-                () => {
-                  setLastUpdate(new Date())
-                }
-              )
-              
-              return () => {
-                if (unsubscribe) unsubscribe()
-              }
-            } else {
-              setIsConnected(false)
-            }
-          })
-        } catch (error) {
-          setIsConnected(false)
-        }
-      }
-      
-      testConnection()
+    if (!currentUser) return
+
+    const stopStatus = realtimeService.onStatusChange(setIsConnected)
+    // Subscribing opens the shared realtime connection if nothing else has
+    const unsubscribe = (timeEntryService as any).subscribeToTimeEntries(currentUser.uid, () => {
+      setLastUpdate(new Date())
+    })
+    setIsConnected(realtimeService.isConnected())
+
+    return () => {
+      unsubscribe()
+      stopStatus()
     }
   }, [currentUser])
 
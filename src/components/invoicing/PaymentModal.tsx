@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react'
+import { format } from 'date-fns'
+import { X, AlertCircle, Trash2 } from 'lucide-react'
+import { Invoice, InvoicePayment, PaymentMethod } from '../../types'
+import { invoiceApiService } from '../../services/invoiceApiService'
+import { useTheme } from '../../contexts/ThemeContext'
+import { formatCurrency } from '../../utils'
+
+interface PaymentModalProps {
+  isOpen: boolean
+  onClose: () => void
+  invoice: Invoice | null
+  onSuccess: () => void
+}
+
+const PAYMENT_METHODS: { value: PaymentMethod; label: string }[] = [
+  { value: 'bank_transfer', label: 'Bank Transfer' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'check', label: 'Check' },
+  { value: 'credit_card', label: 'Credit Card' },
+  { value: 'paypal', label: 'PayPal' },
+  { value: 'other', label: 'Other' }
+]
+
+export default function PaymentModal({ isOpen, onClose, invoice, onSuccess }: PaymentModalProps) {
+  const { isDarkMode } = useTheme()
+  const [payments, setPayments] = useState<InvoicePayment[]>([])
+  const [formData, setFormData] = useState({
+    paymentDate: format(new Date(), 'yyyy-MM-dd'),
+    amount: '',
+    method: 'bank_transfer' as PaymentMethod,
+    reference: ''
+  })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const canRecordPayment = invoice?.status === 'sent' || invoice?.status === 'partially_paid'
+
+  useEffect(() => {
+    if (!isOpen || !invoice) return
+
+    setError('')
+    setFormData({
+      paymentDate: format(new Date(), 'yyyy-MM-dd'),
+      amount: invoice.balanceDue > 0 ? String(invoice.balanceDue) : '',
+      method: 'bank_transfer',
+      reference: ''
+    })
+
+    invoiceApiService.getPayments(invoice.id)
+      .then(setPayments)
+      .catch(err => console.error('Error loading payments:', err))
+  }, [isOpen, invoice])
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!invoice) return
+
+    const amount = parseFloat(formData.amount)
+    if (isNaN(amount) || amount <= 0) {
+      setError('Enter a payment amount greater than zero')
+      return
+    }
+    if (amount > invoice.balanceDue) {
+      setError(`The payment cannot exceed the balance due of ${formatCurrency(invoice.balanceDue, invoice.currency)}`)
+      return
+    }
+
+    setLoading(true)
+    setError('')
+    try {
+      await invoiceApiService.recordPayment(invoice.id, {
+        paymentDate: formData.paymentDate,
+        amount,
+        method: formData.method,
+        reference: formData.reference || undefined
+      })
+      onSuccess()
+      onClose()
+    } catch (err: any) {
+      setError(err.message || 'Failed to record payment')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDeletePayment = async (payment: InvoicePayment) => {
+    if (!invoice || !confirm('Delete this payment? The invoice balance and status will be recalculated.')) {
+      return
+    }
+
+    try {
+      await invoiceApiService.deletePayment(invoice.id, payment.id)
+      onSuccess()
+      onClose()
+    } catch (err: any) {
+      setError(err.message || 'Failed to delete payment')
+    }
+  }
+
+  if (!isOpen || !invoice) return null
+
+  const inputClassName = `w-full px-3 py-2 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'}`
+  const labelClassName = `block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+        {/* Header */}
+        <div className={`flex items-center justify-between p-6 border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-gray-100' : 'text-gray-900'}`}>
+            Payments for {invoice.invoiceNumber}
+          </h2>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+          >
+            <X className={`h-5 w-5 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className={`flex items-center space-x-2 p-3 rounded-lg ${isDarkMode ? 'bg-red-900/30 border border-red-800' : 'bg-red-50 border border-red-200'}`}>
+              <AlertCircle className={`h-5 w-5 flex-shrink-0 ${isDarkMode ? 'text-red-400' : 'text-red-500'}`} />
+              <p className={`text-sm ${isDarkMode ? 'text-red-200' : 'text-red-700'}`}>{error}</p>
+            </div>
+          )}
+
+          {/* Summary */}
+          <div className={`grid grid-cols-3 gap-4 p-4 rounded-lg text-sm ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+            <div>
+              <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>Total</p>
+              <p className={`font-semibold ${isDarkMode ? 'text-gray-100' : 'text-gray-900'}`}>{formatCurrency(invoice.total, invoice.currency)}</p>
+            </div>
+            <div>
+              <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>Paid</p>
+              <p className="font-semibold text-green-600 dark:text-green-400">{formatCurrency(invoice.amountPaid, invoice.currency)}</p>
+            </div>
+            <div>
+              <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>Balance Due</p>
+              <p className={`font-semibold ${isDarkMode ? 'text-gray-100' : 'text-gray-900'}`}>{formatCurrency(invoice.balanceDue, invoice.currency)}</p>
+            </div>
+          </div>
+
+          {/* Recorded payments */}
+          {payments.length > 0 && (
+            <ul className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+              {payments.map(payment => (
+                <li key={payment.id} className="flex items-center justify-between py-3 text-sm">
+                  <div>
+                    <p className={`font-medium ${isDarkMode ? 'text-gray-100' : 'text-gray-900'}`}>
+                      {formatCurrency(payment.amount, invoice.currency)}
+                      <span className={`ml-2 font-normal ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {PAYMENT_METHODS.find(method => method.value === payment.method)?.label || payment.method}
+                      </span>
+                    </p>
+                    <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>
+                      {new Date(payment.paymentDate).toLocaleDateString()}
+                      {payment.reference && ` · ${payment.reference}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleDeletePayment(payment)}
+                    title="Delete payment"
+                    className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Record payment */}
+          {canRecordPayment ? (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="paymentDate" className={labelClassName}>Payment Date *</label>
+                  <input
+                    type="date"
+                    id="paymentDate"
+                    value={formData.paymentDate}
+                    onChange={(e) => setFormData({ ...formData, paymentDate: e.target.value })}
+                    className={inputClassName}
+                    required
+                    disabled={loading}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="paymentAmount" className={labelClassName}>Amount ({invoice.currency}) *</label>
+                  <input
+                    type="number"
+                    id="paymentAmount"
+                    min="0"
+                    step="any"
+                    value={formData.amount}
+                    onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+                    className={inputClassName}
+                    required
+                    disabled={loading}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="paymentMethod" className={labelClassName}>Method</label>
+                  <select
+                    id="paymentMethod"
+                    value={formData.method}
+                    onChange={(e) => setFormData({ ...formData, method: e.target.value as PaymentMethod })}
+                    className={inputClassName}
+                    disabled={loading}
+                  >
+                    {PAYMENT_METHODS.map(method => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="paymentReference" className={labelClassName}>Reference</label>
+                  <input
+                    type="text"
+                    id="paymentReference"
+                    maxLength={255}
+                    value={formData.reference}
+                    onChange={(e) => setFormData({ ...formData, reference: e.target.value })}
+                    className={inputClassName}
+                    placeholder="Transaction ID, check number..."
+                    disabled={loading}
+                  />
+                </div>
+              </div>
+
+              <div className={`flex justify-end space-x-3 pt-6 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className={`px-4 py-2 rounded-lg font-medium transition-colors ${isDarkMode ? 'bg-gray-700 text-gray-200 hover:bg-gray-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                  disabled={loading}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 rounded-lg font-medium text-white transition-colors bg-blue-600 hover:bg-blue-700"
+                  disabled={loading}
+                >
+                  {loading ? 'Saving...' : 'Record Payment'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {invoice.status === 'paid'
+                ? 'This invoice has been paid in full.'
+                : 'Payments can be recorded once the invoice has been sent.'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
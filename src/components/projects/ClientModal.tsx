@@ -1,12 +1,15 @@
 import React, { useState, useEffect } from 'react'
 import { X, AlertCircle } from 'lucide-react'
-import { Client, CreateClientData, ClientType } from '../../types'
+import { Client, CreateClientData, ClientType, TaxRate, RoundingMode, RoundingRule } from '../../types'
 import { projectService } from '../../services/projectService'
 import { clientApiService } from '../../services/clientApiService'
+import { taxRateApiService } from '../../services/taxRateApiService'
+import { timeEntryApiService } from '../../services/timeEntryApiService'
 import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
 import { useTheme } from '../../contexts/ThemeContext'
 import { canAccessFeature, canEditHourlyRates } from '../../utils/permissions'
 import { countries, timezones } from '../../data/countriesAndTimezones'
+import { ROUNDING_MODE_LABELS, resolveRoundingRule, describeRoundingRule } from '../../utils/billingRounding'
 import CurrencySelector from './CurrencySelector'
 
 interface ClientModalProps {
@@ -45,14 +48,42 @@ export default function ClientModal({ isOpen, onClose, client, onSuccess }: Clie
     phone: '',
     company: '',
     address: '',
-    currency: 'USD' // Add default currency
+    currency: 'USD', // Add default currency
+    roundingMode: null,
+    roundingIncrementMinutes: 15,
+    minimumBillableMinutes: 0
   })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [taxRates, setTaxRates] = useState<TaxRate[]>([])
+  const [selectedTaxRateIds, setSelectedTaxRateIds] = useState<string[]>([])
+  const [companyRoundingRule, setCompanyRoundingRule] = useState<RoundingRule | null>(null)
 
   const isEdit = !!client
   const canEditRates = currentUser?.role ? canEditHourlyRates(currentUser.role) : false
 
+  // Default taxes are applied to new invoices for this client
+  useEffect(() => {
+    if (!isOpen || !canEditRates) return
+
+    const loadTaxRates = async () => {
+      try {
+        const [rates, clientRates, timeSettings] = await Promise.all([
+          taxRateApiService.getTaxRates(),
+          client ? taxRateApiService.getClientTaxRates(client.id) : Promise.resolve([]),
+          timeEntryApiService.getTimeSettings()
+        ])
+        setTaxRates(rates)
+        setSelectedTaxRateIds(clientRates.map(rate => rate.id))
+        setCompanyRoundingRule(resolveRoundingRule(timeSettings))
+      } catch (error) {
+        console.error('Error loading tax rates:', error)
+      }
+    }
+
+    loadTaxRates()
+  }, [isOpen, client, canEditRates])
+
   useEffect(() => {
     if (isOpen) {
       if (client) {
@@ -69,7 +100,10 @@ export default function ClientModal({ isOpen, onClose, client, onSuccess }: Clie
           phone: client.phone || '',
           company: client.company || '',
           address: client.address || '',
-          currency: client.currency || 'USD' // Add currency
+          currency: client.currency || 'USD', // Add currency
+          roundingMode: client.roundingMode || null,
+          roundingIncrementMinutes: client.roundingIncrementMinutes || 15,
+          minimumBillableMinutes: client.minimumBillableMinutes || 0
         })
       } else {
         setFormData({
@@ -83,7 +117,10 @@ export default function ClientModal({ isOpen, onClose, client, onSuccess }: Clie
           phone: '',
           company: '',
           address: '',
-          currency: 'USD' // Add default currency
+          currency: 'USD', // Add default currency
+          roundingMode: null,
+          roundingIncrementMinutes: 15,
+          minimumBillableMinutes: 0
         })
       }
       setError('')
@@ -110,6 +147,9 @@ export default function ClientModal({ isOpen, onClose, client, onSuccess }: Clie
     try {
       if (isEdit && client) {
         await projectService.updateClient(client.id, formData)
+        if (canEditRates && taxRates.length > 0) {
+          await taxRateApiService.setClientTaxRates(client.id, selectedTaxRateIds)
+        }
       } else {
         // Check if client with same email already exists
         const existingClient = await projectService.getClientByEmail(formData.email, currentUser.companyId)
@@ -117,7 +157,10 @@ export default function ClientModal({ isOpen, onClose, client, onSuccess }: Clie
           throw new Error('A client with this email already exists. Please use a different email address.')
         }
         
-        await projectService.createClient(formData, currentUser.uid, currentUser.companyId)
+        const clientId = await projectService.createClient(formData, currentUser.uid, currentUser.companyId)
+        if (canEditRates && selectedTaxRateIds.length > 0) {
+          await taxRateApiService.setClientTaxRates(clientId, selectedTaxRateIds)
+        }
       }
       onSuccess()
       onClose()
@@ -194,6 +237,15 @@ export default function ClientModal({ isOpen, onClose, client, onSuccess }: Clie
       setError('Hourly rate must be greater than 0')
       return false
     }
+    if (formData.roundingMode && formData.roundingMode !== 'none' &&
+      (!formData.roundingIncrementMinutes || formData.roundingIncrementMinutes < 1 || formData.roundingIncrementMinutes > 480)) {
+      setError('Rounding increment must be between 1 and 480 minutes')
+      return false
+    }
+    if (formData.roundingMode && ((formData.minimumBillableMinutes || 0) < 0 || (formData.minimumBillableMinutes || 0) > 480)) {
+      setError('Minimum billable time must be between 0 and 480 minutes')
+      return false
+    }
     if (formData.clientType === 'custom' && (!formData.hoursPerWeek || formData.hoursPerWeek <= 0)) {
       setError('Hours per week must be greater than 0 for custom type')
       return false
@@ -393,6 +445,83 @@ export default function ClientModal({ isOpen, onClose, client, onSuccess }: Clie
             </p>
           </div>
 
+          {/* Default Taxes */}
+          {canEditRates && taxRates.length > 0 && (
+            <div>
+              <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Default Taxes
+              </label>
+              <div className="flex flex-wrap gap-4">
+                {taxRates.map(taxRate => (
+                  <label key={taxRate.id} className={`flex items-center space-x-2 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    <input
+                      type="checkbox"
+                      checked={selectedTaxRateIds.includes(taxRate.id)}
+                      onChange={(e) => setSelectedTaxRateIds(prev =>
+                        e.target.checked ? [...prev, taxRate.id] : prev.filter(id => id !== taxRate.id)
+                      )}
+                      disabled={loading}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <span>{taxRate.name} ({taxRate.rate}%)</span>
+                  </label>
+                ))}
+              </div>
+              <p className={`text-sm mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Applied to new invoices for this client unless changed on the invoice
+              </p>
+            </div>
+          )}
+
+          {/* Billable Time Rounding */}
+          {canEditRates && (
+            <div>
+              <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Billable Time Rounding
+              </label>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                <select
+                  value={formData.roundingMode || ''}
+                  onChange={(e) => setFormData(prev => ({ ...prev, roundingMode: (e.target.value || null) as RoundingMode | null }))}
+                  className={`px-3 py-2 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`}
+                  disabled={loading}
+                >
+                  <option value="">Company rule</option>
+                  {(Object.keys(ROUNDING_MODE_LABELS) as RoundingMode[]).map(mode => (
+                    <option key={mode} value={mode}>{ROUNDING_MODE_LABELS[mode]}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  aria-label="Rounding increment in minutes"
+                  value={formData.roundingIncrementMinutes || ''}
+                  onChange={(e) => setFormData(prev => ({ ...prev, roundingIncrementMinutes: parseInt(e.target.value, 10) || null }))}
+                  className={`px-3 py-2 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50 ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'}`}
+                  placeholder="Increment (min)"
+                  min="1"
+                  max="480"
+                  disabled={loading || !formData.roundingMode || formData.roundingMode === 'none'}
+                />
+                <input
+                  type="number"
+                  aria-label="Minimum billable minutes per entry"
+                  value={formData.minimumBillableMinutes ?? ''}
+                  onChange={(e) => setFormData(prev => ({ ...prev, minimumBillableMinutes: parseInt(e.target.value, 10) || 0 }))}
+                  className={`px-3 py-2 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50 ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'}`}
+                  placeholder="Minimum (min)"
+                  min="0"
+                  max="480"
+                  disabled={loading || !formData.roundingMode}
+                />
+              </div>
+              <p className={`text-sm mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                {formData.roundingMode
+                  ? 'Increment and minimum per entry, in minutes, used instead of the company rule'
+                  : `Uses the company rule${companyRoundingRule ? `: ${describeRoundingRule(companyRoundingRule)}` : ''}`}
+              </p>
+            </div>
+          )}
+
           {/* Custom Hours Per Week */}
           {formData.clientType === 'custom' && (
             <div>
@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react'
-import { X, AlertCircle } from 'lucide-react'
-import { Project, Client, CreateProjectData } from '../../types'
+import { X, AlertCircle, Plus, Trash2 } from 'lucide-react'
+import { Project, Client, CreateProjectData, User } from '../../types'
 import { projectApiService } from '../../services/projectApiService'
+import { userApiService } from '../../services/userApiService'
 import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
 import { useTheme } from '../../contexts/ThemeContext'
-import { canAccessFeature } from '../../utils/permissions'
+import { canAccessFeature, canEditHourlyRates } from '../../utils/permissions'
 
 interface ProjectModalProps {
   isOpen: boolean
@@ -25,6 +26,8 @@ const STATUS_OPTIONS = [
   { value: 'cancelled', label: 'Cancelled', color: 'text-red-600' }
 ]
 
+const DEFAULT_BUDGET_THRESHOLDS = [50, 80, 100]
+
 const PRIORITY_OPTIONS = [
   { value: 'low', label: 'Low', color: 'text-gray-600' },
   { value: 'medium', label: 'Medium', color: 'text-yellow-600' },
@@ -44,10 +47,35 @@ export default function ProjectModal({ isOpen, onClose, project, onSuccess }: Pr
     clientId: undefined
   })
   const [clients, setClients] = useState<Client[]>([])
+  const [thresholdsInput, setThresholdsInput] = useState(DEFAULT_BUDGET_THRESHOLDS.join(', '))
+  const [users, setUsers] = useState<User[]>([])
+  const [userRates, setUserRates] = useState<{ userId: string; hourlyRate: string }[]>([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
 
   const isEdit = !!project
+  const canEditRates = currentUser?.role ? canEditHourlyRates(currentUser.role) : false
+
+  // Per-user rates override the project rate for that user only
+  useEffect(() => {
+    if (!isOpen || !canEditRates) return
+
+    const loadRates = async () => {
+      try {
+        const [companyUsers, projectRates] = await Promise.all([
+          userApiService.getUsersForCompany(currentUser?.companyId || null),
+          project ? projectApiService.getProjectRates(project.id) : Promise.resolve([])
+        ])
+        setUsers(companyUsers.filter(user => user.isActive))
+        setUserRates(projectRates.map(rate => ({ userId: rate.userId, hourlyRate: String(rate.hourlyRate) })))
+      } catch (error) {
+        console.error('Error loading project rates:', error)
+      }
+    }
+
+    setUserRates([])
+    loadRates()
+  }, [isOpen, project, canEditRates, currentUser?.companyId])
 
   useEffect(() => {
     if (isOpen) {
@@ -59,8 +87,11 @@ export default function ProjectModal({ isOpen, onClose, project, onSuccess }: Pr
           color: project.color,
           status: project.status,
           priority: project.priority,
+          budget: project.budget ? Number(project.budget) : undefined,
+          hourlyRate: project.hourlyRate ?? null,
           clientId: project.clientId
         })
+        setThresholdsInput((project.budgetAlertThresholds || DEFAULT_BUDGET_THRESHOLDS).join(', '))
       } else {
         setFormData({
           name: '',
@@ -70,6 +101,7 @@ export default function ProjectModal({ isOpen, onClose, project, onSuccess }: Pr
           priority: 'medium',
           clientId: undefined
         })
+        setThresholdsInput(DEFAULT_BUDGET_THRESHOLDS.join(', '))
       }
       setError('')
     }
@@ -97,14 +129,41 @@ export default function ProjectModal({ isOpen, onClose, project, onSuccess }: Pr
       return
     }
 
+    const budgetAlertThresholds = thresholdsInput
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean)
+      .map(Number)
+    if (budgetAlertThresholds.some(value => !Number.isInteger(value) || value < 1 || value > 1000)) {
+      setError('Budget alert thresholds must be whole percentages, e.g. 50, 80, 100')
+      return
+    }
+
+    const rates = userRates.map(rate => ({ userId: rate.userId, hourlyRate: parseFloat(rate.hourlyRate) }))
+    if (rates.some(rate => !rate.userId || isNaN(rate.hourlyRate) || rate.hourlyRate < 0)) {
+      setError('Each user rate needs a user and a rate of zero or more')
+      return
+    }
+
     setLoading(true)
     setError('')
 
     try {
+      // Rates are only sent by users allowed to edit them
+      const { hourlyRate, ...projectFields } = formData
+      const projectData = canEditRates
+        ? { ...projectFields, hourlyRate: hourlyRate ?? null, budgetAlertThresholds }
+        : { ...projectFields, budgetAlertThresholds }
       if (isEdit) {
-        await projectApiService.updateProject(project!.id, formData)
+        await projectApiService.updateProject(project!.id, projectData)
+        if (canEditRates) {
+          await projectApiService.setProjectRates(project!.id, rates)
+        }
       } else {
-        await projectApiService.createProject(formData)
+        const created = await projectApiService.createProject(projectData)
+        if (canEditRates && rates.length > 0) {
+          await projectApiService.setProjectRates(created.id, rates)
+        }
       }
       onSuccess()
       onClose()
@@ -290,6 +349,123 @@ export default function ProjectModal({ isOpen, onClose, project, onSuccess }: Pr
           </div>
 
 
+          {/* Budget */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label htmlFor="budget" className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Budget
+              </label>
+              <input
+                type="number"
+                id="budget"
+                name="budget"
+                min="0"
+                step="0.01"
+                value={formData.budget ?? ''}
+                onChange={handleInputChange}
+                className={`w-full px-3 py-2 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'}`}
+                placeholder="No budget"
+                disabled={loading}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="budgetAlertThresholds" className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Budget Alerts (%)
+              </label>
+              <input
+                type="text"
+                id="budgetAlertThresholds"
+                value={thresholdsInput}
+                onChange={(e) => setThresholdsInput(e.target.value)}
+                className={`w-full px-3 py-2 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'}`}
+                placeholder="50, 80, 100"
+                disabled={loading || !formData.budget}
+              />
+              <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Project admins are notified as spending crosses each percentage
+              </p>
+            </div>
+          </div>
+
+          {/* Rates */}
+          {canEditRates && (
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="projectHourlyRate" className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  Project Hourly Rate
+                </label>
+                <input
+                  type="number"
+                  id="projectHourlyRate"
+                  min="0"
+                  step="0.01"
+                  value={formData.hourlyRate ?? ''}
+                  onChange={(e) => setFormData(prev => ({ ...prev, hourlyRate: e.target.value ? Number(e.target.value) : null }))}
+                  className={`w-full px-3 py-2 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'}`}
+                  placeholder="Use each user's or the client's rate"
+                  disabled={loading}
+                />
+                <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Overrides user and client rates. Time already logged keeps the rate it was logged with.
+                </p>
+              </div>
+
+              <div>
+                <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  User Rates on this Project
+                </label>
+                <div className="space-y-2">
+                  {userRates.map((rate, index) => (
+                    <div key={index} className="flex items-center space-x-2">
+                      <select
+                        value={rate.userId}
+                        onChange={(e) => setUserRates(prev => prev.map((r, i) => (i === index ? { ...r, userId: e.target.value } : r)))}
+                        className={`flex-1 px-3 py-2 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`}
+                        disabled={loading}
+                      >
+                        <option value="">Select user</option>
+                        {users
+                          .filter(user => user.id === rate.userId || !userRates.some(r => r.userId === user.id))
+                          .map(user => (
+                            <option key={user.id} value={user.id}>{user.name}</option>
+                          ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={rate.hourlyRate}
+                        onChange={(e) => setUserRates(prev => prev.map((r, i) => (i === index ? { ...r, hourlyRate: e.target.value } : r)))}
+                        className={`w-32 px-3 py-2 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'}`}
+                        placeholder="Rate"
+                        disabled={loading}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setUserRates(prev => prev.filter((_, i) => i !== index))}
+                        title="Remove user rate"
+                        className="p-2 text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                        disabled={loading}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setUserRates(prev => [...prev, { userId: '', hourlyRate: '' }])}
+                  className="mt-2 flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300"
+                  disabled={loading || userRates.length >= users.length}
+                >
+                  <Plus className="h-4 w-4" />
+                  <span>Add user rate</span>
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Actions */}
           <div className={`flex justify-end space-x-3 pt-6 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
             <button
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react'
+import { Save } from 'lucide-react'
+import { userApiService } from '../../services/userApiService'
+import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
+
+const MAX_IDLE_TIMEOUT_MINUTES = 480
+
+export default function IdleDetectionSettings() {
+  const { currentUser } = useMySQLAuth()
+  const [enabled, setEnabled] = useState(true)
+  const [minutes, setMinutes] = useState(10)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  useEffect(() => {
+    loadSettings()
+  }, [currentUser])
+
+  const loadSettings = async () => {
+    if (!currentUser) return
+    setLoading(true)
+    try {
+      const user = await userApiService.getUserById(currentUser.uid)
+      const timeout = user?.idleTimeoutMinutes ?? 0
+      setEnabled(timeout > 0)
+      if (timeout > 0) {
+        setMinutes(timeout)
+      }
+    } catch (err: any) {
+      console.error('Error loading idle detection settings:', err)
+      setError(err?.message || 'Failed to load idle detection settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async () => {
+    if (!currentUser) return
+    if (enabled && (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_IDLE_TIMEOUT_MINUTES)) {
+      setError(`Enter a whole number of minutes between 1 and ${MAX_IDLE_TIMEOUT_MINUTES}`)
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    setSuccess('')
+    try {
+      const idleTimeoutMinutes = enabled ? minutes : 0
+      await userApiService.updateUserProfile(currentUser.uid, { idleTimeoutMinutes })
+      window.dispatchEvent(new CustomEvent('idleTimeoutChange', { detail: idleTimeoutMinutes }))
+      setSuccess('Idle detection settings saved')
+    } catch (err: any) {
+      console.error('Error saving idle detection settings:', err)
+      setError(err?.message || 'Failed to save idle detection settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
+      <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-1">Idle Detection</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        When a timer is running and you come back after a while with no mouse or keyboard activity, or with the tab in the background, ask whether to keep, discard or move the time you were away.
+      </p>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg text-sm">
+          {success}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <label className="flex items-center space-x-3">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => setEnabled(e.target.checked)}
+            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 dark:border-gray-600 rounded"
+          />
+          <span className="text-sm font-medium text-gray-900 dark:text-gray-100">Ask about idle time on running timers</span>
+        </label>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Idle after (minutes)
+          </label>
+          <input
+            type="number"
+            min={1}
+            max={MAX_IDLE_TIMEOUT_MINUTES}
+            value={minutes}
+            disabled={!enabled}
+            onChange={(e) => setMinutes(parseInt(e.target.value, 10) || 0)}
+            className="w-32 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:opacity-50"
+          />
+        </div>
+      </div>
+
+      <div className="mt-6 flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          <span>{saving ? 'Saving...' : 'Save Settings'}</span>
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react'
+import { Hash, Save } from 'lucide-react'
+import { invoiceApiService } from '../../services/invoiceApiService'
+import { InvoiceNumberSettings as InvoiceNumberSettingsData } from '../../types'
+
+export default function InvoiceNumberSettings() {
+  const [settings, setSettings] = useState<InvoiceNumberSettingsData | null>(null)
+  const [formData, setFormData] = useState({ prefix: 'INV-', padding: 4, resetYearly: false })
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  useEffect(() => {
+    loadSettings()
+  }, [])
+
+  const loadSettings = async () => {
+    setLoading(true)
+    try {
+      const data = await invoiceApiService.getInvoiceSettings()
+      setSettings(data)
+      setFormData({ prefix: data.prefix, padding: data.padding, resetYearly: data.resetYearly })
+    } catch (err: any) {
+      console.error('Error loading invoice settings:', err)
+      setError(err?.message || 'Failed to load invoice settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError('')
+    setSuccess('')
+    try {
+      await invoiceApiService.updateInvoiceSettings(formData)
+      await loadSettings()
+      setSuccess('Invoice numbering saved')
+    } catch (err: any) {
+      console.error('Error saving invoice settings:', err)
+      setError(err?.message || 'Failed to save invoice settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Mirrors the server's format so changes can be previewed before saving
+  const previewNumber = () => {
+    const nextNumber = settings?.nextNumber || 1
+    const yearPart = formData.resetYearly ? `${new Date().getFullYear()}-` : ''
+    return `${formData.prefix}${yearPart}${String(nextNumber).padStart(formData.padding || 1, '0')}`
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
+      <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-1">Invoice Numbering</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Invoice numbers are assigned in order when an invoice is saved, so every number is used exactly once.
+      </p>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg text-sm">
+          {success}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Prefix</label>
+          <input
+            type="text"
+            maxLength={20}
+            value={formData.prefix}
+            onChange={(e) => setFormData({ ...formData, prefix: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Number of digits</label>
+          <input
+            type="number"
+            min={1}
+            max={10}
+            value={formData.padding}
+            onChange={(e) => setFormData({ ...formData, padding: Math.min(10, Math.max(1, parseInt(e.target.value) || 1)) })}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+          />
+        </div>
+        <div className="md:col-span-2 flex items-center">
+          <input
+            type="checkbox"
+            id="resetYearly"
+            checked={formData.resetYearly}
+            onChange={(e) => setFormData({ ...formData, resetYearly: e.target.checked })}
+            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 dark:border-gray-600 rounded"
+          />
+          <label htmlFor="resetYearly" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+            Restart numbering every year (the year is added to the number)
+          </label>
+        </div>
+      </div>
+
+      <div className="mt-6 flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+        <div className="flex items-center space-x-3">
+          <Hash className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+          <span className="text-sm text-gray-600 dark:text-gray-300">Next invoice number</span>
+        </div>
+        <span className="text-sm font-mono font-medium text-gray-900 dark:text-gray-100">{previewNumber()}</span>
+      </div>
+
+      <div className="mt-6 flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          <span>{saving ? 'Saving...' : 'Save Numbering'}</span>
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,364 @@
+import { useState, useEffect } from 'react'
+import { Plus, Trash2, Edit, Save, X } from 'lucide-react'
+import { taskApiService } from '../../services/taskApiService'
+import { projectApiService } from '../../services/projectApiService'
+import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
+import { Project, TaskStatus, TaskPriority } from '../../types'
+
+// Statuses and priorities share one editor; rank is the status order or the priority level
+interface WorkflowValue {
+  id: string
+  name: string
+  color: string
+  rank: number
+  isCompleted?: boolean
+}
+
+type WorkflowInput = Omit<WorkflowValue, 'id'>
+
+interface WorkflowListProps {
+  title: string
+  description: string
+  rankLabel: string
+  values: WorkflowValue[]
+  withCompleted?: boolean
+  onCreate: (input: WorkflowInput) => Promise<void>
+  onUpdate: (id: string, input: WorkflowInput) => Promise<void>
+  onDelete: (id: string, replacementId?: string) => Promise<void>
+}
+
+const EMPTY_FORM = { name: '', color: '#6B7280', rank: '', isCompleted: false }
+
+function WorkflowList({ title, description, rankLabel, values, withCompleted, onCreate, onUpdate, onDelete }: WorkflowListProps) {
+  const [newValue, setNewValue] = useState(EMPTY_FORM)
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [editForm, setEditForm] = useState(EMPTY_FORM)
+  const [deletingId, setDeletingId] = useState<string | null>(null)
+  const [replacementId, setReplacementId] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const parseForm = (form: typeof EMPTY_FORM): WorkflowInput | null => {
+    const rank = form.rank === '' ? NaN : parseInt(form.rank, 10)
+    if (!form.name.trim() || isNaN(rank) || rank < 0) {
+      setError(`Enter a name and a ${rankLabel.toLowerCase()} of 0 or more`)
+      return null
+    }
+    return { name: form.name.trim(), color: form.color, rank, isCompleted: form.isCompleted }
+  }
+
+  const run = async (action: () => Promise<void>, failure: string) => {
+    setSaving(true)
+    setError('')
+    try {
+      await action()
+    } catch (err: any) {
+      console.error(`${failure}:`, err)
+      setError(err?.message || failure)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleAdd = () => {
+    const input = parseForm({ ...newValue, rank: newValue.rank || String(values.length) })
+    if (!input) return
+    run(async () => {
+      await onCreate(input)
+      setNewValue(EMPTY_FORM)
+    }, `Failed to add ${title.toLowerCase()}`)
+  }
+
+  const startEditing = (value: WorkflowValue) => {
+    setEditingId(value.id)
+    setDeletingId(null)
+    setEditForm({ name: value.name, color: value.color, rank: String(value.rank), isCompleted: !!value.isCompleted })
+  }
+
+  const handleUpdate = (id: string) => {
+    const input = parseForm(editForm)
+    if (!input) return
+    run(async () => {
+      await onUpdate(id, input)
+      setEditingId(null)
+    }, `Failed to update ${title.toLowerCase()}`)
+  }
+
+  const handleDelete = (id: string) => {
+    run(async () => {
+      await onDelete(id, replacementId || undefined)
+      setDeletingId(null)
+      setReplacementId('')
+    }, `Failed to delete ${title.toLowerCase()}`)
+  }
+
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100'
+
+  const renderFields = (form: typeof EMPTY_FORM, setForm: (form: typeof EMPTY_FORM) => void) => (
+    <div className="flex flex-wrap items-center gap-2">
+      <input
+        type="color"
+        value={form.color}
+        onChange={(e) => setForm({ ...form, color: e.target.value.toUpperCase() })}
+        className="h-8 w-10 border border-gray-300 dark:border-gray-600 rounded"
+      />
+      <input
+        type="text"
+        maxLength={50}
+        placeholder="Name"
+        value={form.name}
+        onChange={(e) => setForm({ ...form, name: e.target.value })}
+        className={inputClass}
+      />
+      <input
+        type="number"
+        min={0}
+        placeholder={rankLabel}
+        title={rankLabel}
+        value={form.rank}
+        onChange={(e) => setForm({ ...form, rank: e.target.value })}
+        className={`w-20 ${inputClass}`}
+      />
+      {withCompleted && (
+        <label className="flex items-center space-x-1 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={form.isCompleted}
+            onChange={(e) => setForm({ ...form, isCompleted: e.target.checked })}
+            className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          />
+          <span>Completes the task</span>
+        </label>
+      )}
+    </div>
+  )
+
+  return (
+    <div>
+      <h4 className="text-md font-medium text-gray-900 dark:text-gray-100 mb-1">{title}</h4>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">{description}</p>
+
+      {error && (
+        <div className="mb-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-4">
+        {values.map(value => (
+          <li key={value.id} className="py-3">
+            {editingId === value.id ? (
+              <div className="flex items-center justify-between">
+                {renderFields(editForm, setEditForm)}
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleUpdate(value.id)}
+                    disabled={saving}
+                    title="Save"
+                    className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300"
+                  >
+                    <Save className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => setEditingId(null)}
+                    title="Cancel"
+                    className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  <span className="h-3 w-3 rounded-full" style={{ backgroundColor: value.color }} />
+                  <span className="text-sm font-medium text-gray-900 dark:text-gray-100">{value.name}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">{rankLabel} {value.rank}</span>
+                  {value.isCompleted && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100">
+                      Completes the task
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => startEditing(value)}
+                    title="Edit"
+                    className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                  >
+                    <Edit className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => {
+                      setDeletingId(deletingId === value.id ? null : value.id)
+                      setReplacementId('')
+                    }}
+                    disabled={values.length <= 1}
+                    title={values.length <= 1 ? 'A workflow needs at least one value' : 'Delete'}
+                    className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300 disabled:opacity-40"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {deletingId === value.id && (
+              <div className="mt-2 flex items-center space-x-2 text-sm">
+                <span className="text-gray-600 dark:text-gray-400">Move its tasks to</span>
+                <select
+                  value={replacementId}
+                  onChange={(e) => setReplacementId(e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">No tasks use it</option>
+                  {values.filter(v => v.id !== value.id).map(v => (
+                    <option key={v.id} value={v.id}>{v.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleDelete(value.id)}
+                  disabled={saving}
+                  className="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex items-center justify-between">
+        {renderFields(newValue, setNewValue)}
+        <button
+          onClick={handleAdd}
+          disabled={saving || !newValue.name.trim()}
+          className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add</span>
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Company-wide task statuses and priorities, plus projects that run their own.
+// Renames apply to every task straight away
+export default function TaskWorkflowSettings() {
+  const { currentUser } = useMySQLAuth()
+  const [projects, setProjects] = useState<Project[]>([])
+  const [projectId, setProjectId] = useState('')
+  const [statuses, setStatuses] = useState<TaskStatus[]>([])
+  const [priorities, setPriorities] = useState<TaskPriority[]>([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!currentUser) return
+    projectApiService.getProjectsForCompany(currentUser.companyId ?? null)
+      .then(setProjects)
+      .catch(err => console.error('Error loading projects:', err))
+  }, [currentUser])
+
+  useEffect(() => {
+    loadWorkflow()
+  }, [projectId])
+
+  const loadWorkflow = async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const [statusesData, prioritiesData] = await Promise.all([
+        taskApiService.getTaskStatuses(projectId || undefined),
+        taskApiService.getTaskPriorities(projectId || undefined)
+      ])
+      setStatuses(statusesData)
+      setPriorities(prioritiesData)
+    } catch (err: any) {
+      console.error('Error loading task workflow:', err)
+      setError(err?.message || 'Failed to load task workflow')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const scope = { projectId: projectId || null }
+  // A project shows the company's list until it is changed for that project
+  const inherits = !!projectId && statuses.every(s => !s.projectId) && priorities.every(p => !p.projectId)
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
+      <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-1">Task Workflow</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        The statuses drive the task board columns. Projects use the company workflow unless you change it for them.
+      </p>
+
+      <div className="mb-6">
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Workflow for</label>
+        <select
+          value={projectId}
+          onChange={(e) => setProjectId(e.target.value)}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm"
+        >
+          <option value="">Whole company</option>
+          {projects.map(project => (
+            <option key={project.id} value={project.id}>{project.name}</option>
+          ))}
+        </select>
+        {inherits && (
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            This project uses the company workflow. Changing it here gives the project its own copy.
+          </p>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <div className="space-y-8">
+          <WorkflowList
+            title="Statuses"
+            description="Columns on the task board, left to right by order."
+            rankLabel="Order"
+            withCompleted
+            values={statuses.map(s => ({ id: s.id, name: s.name, color: s.color, rank: s.order, isCompleted: s.isCompleted }))}
+            onCreate={async ({ rank, ...input }) => {
+              setStatuses(await taskApiService.createTaskStatus({ ...input, order: rank, ...scope }))
+            }}
+            onUpdate={async (id, { rank, ...input }) => {
+              setStatuses(await taskApiService.updateTaskStatus(id, { ...input, order: rank, ...scope }))
+            }}
+            onDelete={async (id, replacementId) => {
+              setStatuses(await taskApiService.deleteTaskStatus(id, scope.projectId, replacementId))
+            }}
+          />
+          <WorkflowList
+            title="Priorities"
+            description="Higher levels sort first."
+            rankLabel="Level"
+            values={priorities.map(p => ({ id: p.id, name: p.name, color: p.color, rank: p.level }))}
+            onCreate={async ({ rank, isCompleted, ...input }) => {
+              setPriorities(await taskApiService.createTaskPriority({ ...input, level: rank, ...scope }))
+            }}
+            onUpdate={async (id, { rank, isCompleted, ...input }) => {
+              setPriorities(await taskApiService.updateTaskPriority(id, { ...input, level: rank, ...scope }))
+            }}
+            onDelete={async (id, replacementId) => {
+              setPriorities(await taskApiService.deleteTaskPriority(id, scope.projectId, replacementId))
+            }}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'react'
+import { Percent, Plus, Trash2, Edit, Save, X } from 'lucide-react'
+import { taxRateApiService } from '../../services/taxRateApiService'
+import { TaxRate } from '../../types'
+
+export default function TaxRateSettings() {
+  const [taxRates, setTaxRates] = useState<TaxRate[]>([])
+  const [newTaxRate, setNewTaxRate] = useState({ name: '', rate: '' })
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [editForm, setEditForm] = useState({ name: '', rate: '' })
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadTaxRates()
+  }, [])
+
+  const loadTaxRates = async () => {
+    setLoading(true)
+    try {
+      setTaxRates(await taxRateApiService.getTaxRates())
+    } catch (err: any) {
+      console.error('Error loading tax rates:', err)
+      setError(err?.message || 'Failed to load tax rates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const parseTaxRate = (form: { name: string; rate: string }) => {
+    const rate = parseFloat(form.rate)
+    if (!form.name.trim() || isNaN(rate) || rate < 0 || rate > 100) {
+      setError('Enter a name and a rate between 0 and 100')
+      return null
+    }
+    return { name: form.name.trim(), rate }
+  }
+
+  const handleAdd = async () => {
+    const taxRate = parseTaxRate(newTaxRate)
+    if (!taxRate) return
+
+    setSaving(true)
+    setError('')
+    try {
+      const created = await taxRateApiService.createTaxRate(taxRate)
+      setTaxRates(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)))
+      setNewTaxRate({ name: '', rate: '' })
+    } catch (err: any) {
+      console.error('Error creating tax rate:', err)
+      setError(err?.message || 'Failed to create tax rate')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const startEditing = (taxRate: TaxRate) => {
+    setEditingId(taxRate.id)
+    setEditForm({ name: taxRate.name, rate: String(taxRate.rate) })
+  }
+
+  // Issued invoices keep their own copy of the tax, so edits only affect new invoices
+  const handleUpdate = async (taxRateId: string) => {
+    const taxRate = parseTaxRate(editForm)
+    if (!taxRate) return
+
+    setError('')
+    try {
+      await taxRateApiService.updateTaxRate(taxRateId, taxRate)
+      setTaxRates(prev => prev.map(t => (t.id === taxRateId ? { ...t, ...taxRate } : t)))
+      setEditingId(null)
+    } catch (err: any) {
+      console.error('Error updating tax rate:', err)
+      setError(err?.message || 'Failed to update tax rate')
+    }
+  }
+
+  const handleArchive = async (taxRate: TaxRate) => {
+    if (!confirm(`Archive ${taxRate.name}? Existing invoices keep the tax, but it can no longer be applied.`)) {
+      return
+    }
+
+    try {
+      await taxRateApiService.archiveTaxRate(taxRate.id)
+      setTaxRates(prev => prev.filter(t => t.id !== taxRate.id))
+    } catch (err: any) {
+      console.error('Error archiving tax rate:', err)
+      setError(err?.message || 'Failed to archive tax rate')
+    }
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
+      <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-1">Tax Rates</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Define the taxes your company charges. Attach them to clients as defaults or pick them per invoice.
+      </p>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-6">
+          {taxRates.map(taxRate => (
+            <li key={taxRate.id} className="flex items-center justify-between py-3">
+              {editingId === taxRate.id ? (
+                <>
+                  <div className="flex items-center space-x-3">
+                    <input
+                      type="text"
+                      maxLength={100}
+                      value={editForm.name}
+                      onChange={(e) => setEditForm({ ...editForm, name: e.target.value })}
+                      className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                    />
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      step="0.01"
+                      value={editForm.rate}
+                      onChange={(e) => setEditForm({ ...editForm, rate: e.target.value })}
+                      className="w-24 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                    />
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => handleUpdate(taxRate.id)}
+                      title="Save"
+                      className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300"
+                    >
+                      <Save className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => setEditingId(null)}
+                      title="Cancel"
+                      className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="flex items-center space-x-3">
+                    <Percent className="h-4 w-4 text-gray-400" />
+                    <span className="text-sm font-medium text-gray-900 dark:text-gray-100">{taxRate.name}</span>
+                    <span className="text-sm text-gray-500 dark:text-gray-400">{taxRate.rate}%</span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => startEditing(taxRate)}
+                      title="Edit tax rate"
+                      className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300"
+                    >
+                      <Edit className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleArchive(taxRate)}
+                      title="Archive tax rate"
+                      className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+          {taxRates.length === 0 && (
+            <li className="py-3 text-sm text-gray-500 dark:text-gray-400">No tax rates defined yet</li>
+          )}
+        </ul>
+      )}
+
+      <div className="flex flex-col md:flex-row gap-3">
+        <input
+          type="text"
+          placeholder="Name (e.g. VAT)"
+          maxLength={100}
+          value={newTaxRate.name}
+          onChange={(e) => setNewTaxRate({ ...newTaxRate, name: e.target.value })}
+          className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+        />
+        <input
+          type="number"
+          placeholder="Rate %"
+          min={0}
+          max={100}
+          step="0.01"
+          value={newTaxRate.rate}
+          onChange={(e) => setNewTaxRate({ ...newTaxRate, rate: e.target.value })}
+          className="md:w-32 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+        />
+        <button
+          onClick={handleAdd}
+          disabled={saving}
+          className="flex items-center justify-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Plus className="h-4 w-4" />
+          <span>{saving ? 'Adding...' : 'Add Tax Rate'}</span>
+        </button>
+      </div>
+    </div>
+  )
+}
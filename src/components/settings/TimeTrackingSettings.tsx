@@ -0,0 +1,273 @@
+import { useState, useEffect } from 'react'
+import { Save } from 'lucide-react'
+import { timeEntryApiService } from '../../services/timeEntryApiService'
+import { OverlapPolicy, AutoStopPolicy, RoundingMode } from '../../types'
+import { ROUNDING_MODE_LABELS, getBillableSeconds } from '../../utils/billingRounding'
+
+const OVERLAP_POLICIES: { value: OverlapPolicy; label: string; description: string }[] = [
+  {
+    value: 'warn',
+    label: 'Warn',
+    description: 'Show the overlapping entries and let the user trim the new time or save it anyway.'
+  },
+  {
+    value: 'reject',
+    label: 'Reject',
+    description: 'Never save overlapping time. The user has to trim or move the entry first.'
+  },
+  {
+    value: 'trim',
+    label: 'Trim automatically',
+    description: 'Shorten the new time to the free time around existing entries when that leaves a single block.'
+  }
+]
+
+const AUTO_STOP_POLICIES: { value: AutoStopPolicy; label: string; description: string }[] = [
+  {
+    value: 'off',
+    label: 'Off',
+    description: 'Timers keep running until someone stops them.'
+  },
+  {
+    value: 'max_duration',
+    label: 'After a maximum duration',
+    description: 'Stop a timer once it has run for the number of hours below.'
+  },
+  {
+    value: 'midnight',
+    label: 'At midnight',
+    description: "Stop a timer at the first midnight after it started, in the user's own timezone."
+  }
+]
+
+const ROUNDING_INCREMENTS = [1, 5, 6, 10, 15, 30, 60]
+
+export default function TimeTrackingSettings() {
+  const [overlapPolicy, setOverlapPolicy] = useState<OverlapPolicy>('warn')
+  const [autoStopPolicy, setAutoStopPolicy] = useState<AutoStopPolicy>('off')
+  const [autoStopMaxHours, setAutoStopMaxHours] = useState(10)
+  const [roundingMode, setRoundingMode] = useState<RoundingMode>('none')
+  const [roundingIncrementMinutes, setRoundingIncrementMinutes] = useState(15)
+  const [minimumBillableMinutes, setMinimumBillableMinutes] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  useEffect(() => {
+    loadSettings()
+  }, [])
+
+  const loadSettings = async () => {
+    setLoading(true)
+    try {
+      const data = await timeEntryApiService.getTimeSettings()
+      setOverlapPolicy(data.overlapPolicy)
+      setAutoStopPolicy(data.autoStopPolicy)
+      setAutoStopMaxHours(data.autoStopMaxHours)
+      setRoundingMode(data.roundingMode)
+      setRoundingIncrementMinutes(data.roundingIncrementMinutes)
+      setMinimumBillableMinutes(data.minimumBillableMinutes)
+    } catch (err: any) {
+      console.error('Error loading time settings:', err)
+      setError(err?.message || 'Failed to load time tracking settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async () => {
+    if (autoStopPolicy === 'max_duration' && !(autoStopMaxHours >= 1 && autoStopMaxHours <= 72)) {
+      setError('The maximum duration must be between 1 and 72 hours')
+      return
+    }
+    if (!Number.isInteger(minimumBillableMinutes) || minimumBillableMinutes < 0 || minimumBillableMinutes > 480) {
+      setError('The minimum billable time must be a whole number of minutes between 0 and 480')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    setSuccess('')
+    try {
+      await timeEntryApiService.updateTimeSettings({
+        overlapPolicy,
+        autoStopPolicy,
+        autoStopMaxHours,
+        roundingMode,
+        roundingIncrementMinutes,
+        minimumBillableMinutes
+      })
+      setSuccess('Time tracking settings saved')
+    } catch (err: any) {
+      console.error('Error saving time settings:', err)
+      setError(err?.message || 'Failed to save time tracking settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
+      <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-1">Overlapping Time Entries</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Decide what happens when someone logs time that overlaps one of their other entries, so the same hour is never billed twice.
+      </p>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg text-sm">
+          {success}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {OVERLAP_POLICIES.map(policy => (
+          <label
+            key={policy.value}
+            className={`flex items-start p-4 rounded-lg border cursor-pointer transition-colors ${
+              overlapPolicy === policy.value
+                ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+                : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700'
+            }`}
+          >
+            <input
+              type="radio"
+              name="overlapPolicy"
+              value={policy.value}
+              checked={overlapPolicy === policy.value}
+              onChange={() => setOverlapPolicy(policy.value)}
+              className="h-4 w-4 mt-0.5 text-primary-600 focus:ring-primary-500 border-gray-300 dark:border-gray-600"
+            />
+            <div className="ml-3">
+              <span className="block text-sm font-medium text-gray-900 dark:text-gray-100">{policy.label}</span>
+              <span className="block text-sm text-gray-600 dark:text-gray-400">{policy.description}</span>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mt-8 mb-1">Forgotten Timers</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Stop timers that were left running. Stopped entries are tagged "auto-stopped", and the user and their team leader are notified.
+      </p>
+
+      <div className="space-y-3">
+        {AUTO_STOP_POLICIES.map(policy => (
+          <label
+            key={policy.value}
+            className={`flex items-start p-4 rounded-lg border cursor-pointer transition-colors ${
+              autoStopPolicy === policy.value
+                ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+                : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700'
+            }`}
+          >
+            <input
+              type="radio"
+              name="autoStopPolicy"
+              value={policy.value}
+              checked={autoStopPolicy === policy.value}
+              onChange={() => setAutoStopPolicy(policy.value)}
+              className="h-4 w-4 mt-0.5 text-primary-600 focus:ring-primary-500 border-gray-300 dark:border-gray-600"
+            />
+            <div className="ml-3">
+              <span className="block text-sm font-medium text-gray-900 dark:text-gray-100">{policy.label}</span>
+              <span className="block text-sm text-gray-600 dark:text-gray-400">{policy.description}</span>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      {autoStopPolicy === 'max_duration' && (
+        <div className="mt-4">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Maximum duration (hours)
+          </label>
+          <input
+            type="number"
+            min={1}
+            max={72}
+            step={0.5}
+            value={autoStopMaxHours}
+            onChange={(e) => setAutoStopMaxHours(parseFloat(e.target.value) || 0)}
+            className="w-32 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+        </div>
+      )}
+
+      <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mt-8 mb-1">Billable Time Rounding</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Round each billable entry in reports, client PDFs and invoices. Tracked time is never changed, so payroll still uses the exact duration. Clients can have their own rule.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Rounding</label>
+          <select
+            value={roundingMode}
+            onChange={(e) => setRoundingMode(e.target.value as RoundingMode)}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            {(Object.keys(ROUNDING_MODE_LABELS) as RoundingMode[]).map(mode => (
+              <option key={mode} value={mode}>{ROUNDING_MODE_LABELS[mode]}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Increment</label>
+          <select
+            value={roundingIncrementMinutes}
+            disabled={roundingMode === 'none'}
+            onChange={(e) => setRoundingIncrementMinutes(parseInt(e.target.value, 10))}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:opacity-50"
+          >
+            {ROUNDING_INCREMENTS.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes} min</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Minimum per entry (minutes)</label>
+          <input
+            type="number"
+            min={0}
+            max={480}
+            value={minimumBillableMinutes}
+            onChange={(e) => setMinimumBillableMinutes(parseInt(e.target.value, 10) || 0)}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+      <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+        A 7 minute entry is billed as {Math.round(getBillableSeconds(7 * 60, {
+          mode: roundingMode,
+          incrementMinutes: roundingIncrementMinutes,
+          minimumMinutes: minimumBillableMinutes
+        }) / 60)} minutes.
+      </p>
+
+      <div className="mt-6 flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          <span>{saving ? 'Saving...' : 'Save Settings'}</span>
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,273 @@
+import { useState, useEffect } from 'react'
+import { X, ChevronUp, ChevronDown, Trash2 } from 'lucide-react'
+import { ProjectBoard, TaskStatus, BoardSettings } from '../../types'
+import { boardApiService } from '../../services/boardApiService'
+import {
+  DEFAULT_BOARD_SETTINGS,
+  SWIMLANE_LABELS,
+  SwimlaneGroup,
+  BoardColumnView,
+  getBoardColumns,
+  toBoardColumns
+} from '../../utils/taskBoard'
+
+interface BoardSettingsModalProps {
+  isOpen: boolean
+  projectId: string
+  board?: ProjectBoard | null // null creates a new board
+  statuses: TaskStatus[]
+  onClose: () => void
+  onSaved: (board: ProjectBoard) => void
+  onDeleted: (boardId: string) => void
+}
+
+const CARD_FIELDS: { key: keyof Omit<BoardSettings, 'groupBy'>; label: string }[] = [
+  { key: 'showCompletedTasks', label: 'Show completed tasks' },
+  { key: 'showPriority', label: 'Priority' },
+  { key: 'showAssignee', label: 'Assignee' },
+  { key: 'showDueDate', label: 'Due date' },
+  { key: 'showTags', label: 'Tags' },
+  { key: 'showTimeTracking', label: 'Timer and logged hours' },
+  { key: 'allowDragDrop', label: 'Drag and drop' }
+]
+
+export default function BoardSettingsModal({
+  isOpen,
+  projectId,
+  board,
+  statuses,
+  onClose,
+  onSaved,
+  onDeleted
+}: BoardSettingsModalProps) {
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+  const [settings, setSettings] = useState<BoardSettings>(DEFAULT_BOARD_SETTINGS)
+  const [columns, setColumns] = useState<BoardColumnView[]>([])
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!isOpen) return
+    setName(board?.name || '')
+    setDescription(board?.description || '')
+    setSettings({ ...DEFAULT_BOARD_SETTINGS, ...board?.settings })
+    setColumns(getBoardColumns(statuses, board))
+    setError('')
+  }, [isOpen, board, statuses])
+
+  const updateColumn = (index: number, updates: Partial<BoardColumnView>) => {
+    setColumns(prev => prev.map((column, i) => i === index ? { ...column, ...updates } : column))
+  }
+
+  const moveColumn = (index: number, offset: number) => {
+    setColumns(prev => {
+      const next = [...prev]
+      const [column] = next.splice(index, 1)
+      next.splice(index + offset, 0, column)
+      return next
+    })
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!name.trim()) {
+      setError('Give the board a name')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    try {
+      const data = {
+        name: name.trim(),
+        description,
+        settings,
+        columns: toBoardColumns(columns)
+      }
+      const saved = board
+        ? await boardApiService.updateBoard(board.id, data)
+        : await boardApiService.createBoard({ ...data, projectId, type: 'kanban' })
+      onSaved(saved)
+    } catch (err: any) {
+      console.error('Error saving board:', err)
+      setError(err?.message || 'Failed to save board')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!board || !window.confirm(`Delete the board "${board.name}"? Tasks are not affected.`)) return
+
+    setSaving(true)
+    try {
+      await boardApiService.deleteBoard(board.id)
+      onDeleted(board.id)
+    } catch (err: any) {
+      console.error('Error deleting board:', err)
+      setError(err?.message || 'Failed to delete board')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!isOpen) return null
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100'
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">
+            {board ? 'Board Settings' : 'New Board'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:text-gray-300 dark:hover:text-gray-100 transition-colors"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          {error && (
+            <div className="bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Name</label>
+              <input type="text" maxLength={100} value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Swimlanes</label>
+              <select
+                value={settings.groupBy || 'none'}
+                onChange={(e) => setSettings(prev => ({ ...prev, groupBy: e.target.value as SwimlaneGroup }))}
+                className={inputClass}
+              >
+                {(Object.keys(SWIMLANE_LABELS) as SwimlaneGroup[]).map(group => (
+                  <option key={group} value={group}>{SWIMLANE_LABELS[group]}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Description</label>
+            <textarea rows={2} value={description} onChange={(e) => setDescription(e.target.value)} className={inputClass} />
+          </div>
+
+          {/* Columns */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Columns</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+              A WIP limit asks for confirmation before a task is dropped into a full column.
+            </p>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+              {columns.map((column, index) => (
+                <li key={column.status.id} className="flex items-center justify-between px-3 py-2">
+                  <div className="flex items-center space-x-2">
+                    <span className="h-3 w-3 rounded-full" style={{ backgroundColor: column.status.color }} />
+                    <span className="text-sm text-gray-900 dark:text-gray-100">{column.status.name}</span>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <input
+                      type="number"
+                      min={1}
+                      placeholder="No limit"
+                      value={column.taskLimit ?? ''}
+                      onChange={(e) => updateColumn(index, { taskLimit: e.target.value ? Math.max(1, parseInt(e.target.value, 10)) : null })}
+                      className="w-24 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                    />
+                    <label className="flex items-center space-x-1 text-xs text-gray-600 dark:text-gray-400">
+                      <input
+                        type="checkbox"
+                        checked={column.isCollapsed}
+                        onChange={(e) => updateColumn(index, { isCollapsed: e.target.checked })}
+                        className="rounded border-gray-300"
+                      />
+                      <span>Collapsed</span>
+                    </label>
+                    <button
+                      type="button"
+                      onClick={() => moveColumn(index, -1)}
+                      disabled={index === 0}
+                      title="Move up"
+                      className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-30"
+                    >
+                      <ChevronUp className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveColumn(index, 1)}
+                      disabled={index === columns.length - 1}
+                      title="Move down"
+                      className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-30"
+                    >
+                      <ChevronDown className="h-4 w-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {/* Card fields */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">On the cards</h3>
+            <div className="grid grid-cols-2 gap-2">
+              {CARD_FIELDS.map(field => (
+                <label key={field.key} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={settings[field.key]}
+                    onChange={(e) => setSettings(prev => ({ ...prev, [field.key]: e.target.checked }))}
+                    className="rounded border-gray-300"
+                  />
+                  <span>{field.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between pt-4 border-t border-gray-200 dark:border-gray-700">
+            <div>
+              {board && (
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  disabled={saving}
+                  className="flex items-center space-x-1 text-sm text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300"
+                >
+                  <Trash2 className="h-4 w-4" />
+                  <span>Delete board</span>
+                </button>
+              )}
+            </div>
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-600 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-500 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : (board ? 'Save Board' : 'Create Board')}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -4,8 +4,6 @@ import {
   MoreHorizontal, 
   Calendar, 
   User, 
-  Clock,
-  CheckCircle2,
   Circle,
   AlertCircle,
   Play,
@@ -13,17 +11,27 @@ import {
   Edit,
   Eye,
   Trash2,
-  Building2
+  Building2,
+  ChevronRight,
+  ListChecks,
+  Repeat
 } from 'lucide-react'
-import { Task, TaskStatus, TaskPriority, Team } from '../../types'
+import { Task, TaskStatus, TaskPriority, Team, ProjectBoard } from '../../types'
 import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
 import { canDeleteTask } from '../../utils/permissions'
+import { useTaskTimer } from '../../hooks/useTaskTimer'
+import TaskTimerButton from './TaskTimerButton'
+import TaskHoursSummary from './TaskHoursSummary'
+import { getSubtaskRollup } from '../../utils/subtasks'
+import { describeRecurrence } from '../../utils/taskRecurrence'
+import { DEFAULT_BOARD_SETTINGS, BoardColumnView, getBoardColumns, getSwimlanes, isOverTaskLimit, wouldExceedTaskLimit } from '../../utils/taskBoard'
 
 interface TaskBoardProps {
   tasks: Task[]
   statuses: TaskStatus[]
   priorities: TaskPriority[]
   teams?: Team[]
+  board?: ProjectBoard | null // Saved layout: column order, WIP limits, swimlanes and card fields
   onTaskUpdate: (taskId: string, updates: Partial<Task>) => void
   onCreateTask: () => void
   onEditTask: (task: Task) => void
@@ -50,6 +58,7 @@ export default function TaskBoard({
   statuses, 
   priorities, 
   teams = [], // Add teams prop with default value
+  board,
   onTaskUpdate, 
   onCreateTask, 
   onEditTask,
@@ -60,6 +69,17 @@ export default function TaskBoard({
   const [dropdownTaskId, setDropdownTaskId] = useState<string | null>(null)
   const { currentUser } = useMySQLAuth()
   const dropdownRef = useRef<HTMLDivElement>(null)
+  const taskTimer = useTaskTimer()
+  const settings = { ...DEFAULT_BOARD_SETTINGS, ...board?.settings }
+  const columns = getBoardColumns(statuses, board)
+  const visibleTasks = settings.showCompletedTasks ? tasks : tasks.filter(task => !task.isCompleted)
+  const swimlanes = getSwimlanes(visibleTasks, settings.groupBy, priorities)
+  const [collapsedStatusIds, setCollapsedStatusIds] = useState<string[]>([])
+
+  // Columns start out collapsed the way the board was saved
+  useEffect(() => {
+    setCollapsedStatusIds(getBoardColumns(statuses, board).filter(view => view.isCollapsed).map(view => view.status.id))
+  }, [board, statuses])
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -75,13 +95,18 @@ export default function TaskBoard({
     }
   }, [])
 
-  const getTasksForStatus = (statusId: string) => {
-    return tasks.filter(task => {
+  const getTasksForStatus = (status: TaskStatus, laneTasks: Task[] = visibleTasks) => {
+    return laneTasks.filter(task => {
       // Handle both object and string status formats
       if (typeof task.status === 'string') {
-        return task.status === statusId
+        return task.status === status.id
       }
-      return task.status.id === statusId
+      if (task.status.id === status.id) {
+        return true
+      }
+      // Tasks from projects with their own workflow go under the column of the same name
+      return !statuses.some(s => s.id === (task.status as TaskStatus).id) &&
+        task.status.name.toLowerCase() === status.name.toLowerCase()
     })
   }
 
@@ -95,18 +120,31 @@ export default function TaskBoard({
     e.dataTransfer.dropEffect = 'move'
   }
 
-  const handleDrop = (e: React.DragEvent, statusId: string) => {
+  // Drops only change the status; swimlanes are for reading the board
+  const handleDrop = (e: React.DragEvent, view: BoardColumnView) => {
     e.preventDefault()
     
     if (!draggedTask) return
     
-    const newStatus = statuses.find(s => s.id === statusId)
-    if (!newStatus) return
+    const columnTasks = getTasksForStatus(view.status)
+    if (!columnTasks.some(task => task.id === draggedTask) && wouldExceedTaskLimit(columnTasks.length, view.taskLimit)) {
+      const proceed = window.confirm(
+        `"${view.status.name}" is limited to ${view.taskLimit} tasks and already has ${columnTasks.length}. Move the task anyway?`
+      )
+      if (!proceed) {
+        setDraggedTask(null)
+        return
+      }
+    }
     
-    onTaskUpdate(draggedTask, { status: newStatus })
+    onTaskUpdate(draggedTask, { status: view.status })
     setDraggedTask(null)
   }
 
+  const toggleCollapsed = (statusId: string) => {
+    setCollapsedStatusIds(prev => prev.includes(statusId) ? prev.filter(id => id !== statusId) : [...prev, statusId])
+  }
+
   const formatDate = (date: Date | undefined) => {
     if (!date) return ''
     return new Date(date).toLocaleDateString('en-US', { 
@@ -144,239 +182,327 @@ export default function TaskBoard({
     return team ? team.name : `Team ${teamId}`
   }
 
-  return (
-    <div className="h-full bg-gray-50 dark:bg-gray-900">
-      {/* Board */}
-      <div className="flex overflow-x-auto overflow-y-auto p-6 space-x-6 h-full">
-        {statuses.map((status) => {
-          const statusTasks = getTasksForStatus(status.id)
-          
-          return (
-            <div
-              key={status.id}
-              className="flex-shrink-0 w-80"
-              onDragOver={handleDragOver}
-              onDrop={(e) => handleDrop(e, status.id)}
+  const renderTaskCard = (task: Task) => {
+    const rollup = getSubtaskRollup(task)
+    // Handle null or undefined priority
+    let priority: TaskPriority | null = null;
+    
+    if (task.priority) {
+      if (typeof task.priority === 'string') {
+        priority = priorities.find(p => p.id === task.priority) || 
+          { id: task.priority, name: task.priority, level: 1, color: '#6B7280' };
+      } else {
+        priority = task.priority;
+      }
+    }
+    
+    return (
+      <div
+        key={task.id}
+        draggable={settings.allowDragDrop}
+        onDragStart={(e) => handleDragStart(e, task.id)}
+        onClick={() => onViewTask(task)}
+        className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 hover:shadow-md dark:hover:shadow-lg transition-shadow cursor-pointer group"
+      >
+        {/* Task Header */}
+        <div className="flex items-start justify-between mb-3">
+          <div className="flex items-center space-x-2">
+            <div 
+              className="w-3 h-3 rounded-full"
+              style={{ backgroundColor: priority?.color || '#6B7280' }}
+            />
+            <h4 className="font-medium text-gray-900 dark:text-gray-100">
+              {task.title}
+            </h4>
+          </div>
+          <div className="relative flex items-center">
+            {settings.showTimeTracking && (
+              <TaskTimerButton
+                isRunning={taskTimer.runningTaskId === task.id}
+                disabled={taskTimer.loading}
+                onStart={() => taskTimer.startTimer(task)}
+                onStop={taskTimer.stopTimer}
+              />
+            )}
+            <button 
+              onClick={(e) => {
+                e.stopPropagation()
+                setDropdownTaskId(dropdownTaskId === task.id ? null : task.id)
+              }}
+              className="opacity-0 group-hover:opacity-100 p-1 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition-all"
             >
-              {/* Status Header */}
-              <div className={`${status.color} border rounded-lg p-4 mb-4`} style={{ backgroundColor: status.color + '20', borderColor: status.color }}>
-                <div className="flex items-center justify-between">
-                  <h3 className="font-semibold text-gray-900 dark:text-gray-100">{status.name}</h3>
-                  <span className="text-sm text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-800 px-2 py-1 rounded-full">
-                    {statusTasks.length}
-                  </span>
-                </div>
-              </div>
-
-              {/* Tasks */}
-              <div className="space-y-3 max-h-[calc(100vh-200px)] overflow-y-auto">
-                {statusTasks.map((task) => {
-                  // Handle null or undefined priority
-                  let priority: TaskPriority | null = null;
-                  
-                  if (task.priority) {
-                    if (typeof task.priority === 'string') {
-                      priority = priorities.find(p => p.id === task.priority) || 
-                        { id: task.priority, name: task.priority, level: 1, color: '#6B7280' };
-                    } else {
-                      priority = task.priority;
-                    }
-                  }
-                  
-                  return (
-                    <div
-                      key={task.id}
-                      draggable
-                      onDragStart={(e) => handleDragStart(e, task.id)}
-                      onClick={() => onViewTask(task)}
-                      className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 hover:shadow-md dark:hover:shadow-lg transition-shadow cursor-pointer group"
-                    >
-                      {/* Task Header */}
-                      <div className="flex items-start justify-between mb-3">
-                        <div className="flex items-center space-x-2">
-                          <div 
-                            className="w-3 h-3 rounded-full"
-                            style={{ backgroundColor: priority?.color || '#6B7280' }}
-                          />
-                          <h4 className="font-medium text-gray-900 dark:text-gray-100">
-                            {task.title}
-                          </h4>
-                        </div>
-                        <div className="relative">
-                          <button 
-                            onClick={(e) => {
-                              e.stopPropagation()
-                              setDropdownTaskId(dropdownTaskId === task.id ? null : task.id)
-                            }}
-                            className="opacity-0 group-hover:opacity-100 p-1 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition-all"
-                          >
-                            <MoreHorizontal className="h-4 w-4" />
-                          </button>
-                          
-                          {/* Dropdown menu */}
-                          {dropdownTaskId === task.id && (
-                            <div 
-                              ref={dropdownRef}
-                              className="absolute right-0 mt-2 w-48 bg-white dark:bg-gray-800 rounded-md shadow-lg py-1 z-10 border border-gray-200 dark:border-gray-700"
-                              onClick={(e) => e.stopPropagation()}
-                            >
-                              <button
-                                onClick={() => {
-                                  onViewTask(task)
-                                  setDropdownTaskId(null)
-                                }}
-                                className="flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
-                              >
-                                <Eye className="h-4 w-4 mr-2" />
-                                View Details
-                              </button>
-                              <button
-                                onClick={() => {
-                                  onEditTask(task)
-                                  setDropdownTaskId(null)
-                                }}
-                                className="flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
-                              >
-                                <Edit className="h-4 w-4 mr-2" />
-                                Edit Task
-                              </button>
-                              {currentUser && canDeleteTask(currentUser.role, task.createdBy, currentUser.uid) && (
-                                <button
-                                  onClick={() => {
-                                    onDeleteTask(task.id)
-                                    setDropdownTaskId(null)
-                                  }}
-                                  className="flex items-center w-full px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20"
-                                >
-                                  <Trash2 className="h-4 w-4 mr-2" />
-                                  Delete Task
-                                </button>
-                              )}
-                            </div>
-                          )}
-                        </div>
-                      </div>
-
-                      {/* Task Description */}
-                      {task.description && (
-                        <p className="text-sm text-gray-600 dark:text-gray-300 mb-3 line-clamp-2">
-                          {task.description}
-                        </p>
-                      )}
-
-                      {/* Task Meta */}
-                      <div className="space-y-2">
-                        {/* Priority */}
-                        <div className="flex items-center space-x-2">
-                          {getPriorityIcon(priority)}
-                          <span className="text-sm text-gray-600 dark:text-gray-400">
-                            {priority && priority.name ? `${priority.name} priority` : 'No priority'}
-                          </span>
-                        </div>
-
-                      {/* Project */}
-                      {task.projectName && (
-                        <div className="flex items-center space-x-2">
-                          <div className="w-2 h-2 rounded-full bg-blue-500" />
-                          <span className="text-sm text-gray-600 dark:text-gray-400">
-                            {task.projectName}
-                          </span>
-                        </div>
-                      )}
-
-                      {/* Creator */}
-                      <div className="flex items-center space-x-2">
-                        <User className="h-4 w-4 text-gray-400 dark:text-gray-500" />
-                        <span className="text-sm text-gray-600 dark:text-gray-400">
-                          Created by {task.createdByName || 'Unknown'}
-                        </span>
-                      </div>
-
-                      {/* Assignee */}
-                      {task.assigneeName && (
-                        <div className="flex items-center space-x-2">
-                          <User className="h-4 w-4 text-gray-400 dark:text-gray-500" />
-                          <span className="text-sm text-gray-600 dark:text-gray-400">
-                            Assigned to {task.assigneeName}
-                          </span>
-                        </div>
-                      )}
-
-                      {/* Due Date */}
-                      {task.dueDate && (
-                        <div className="flex items-center space-x-2">
-                          <Calendar className="h-4 w-4 text-gray-400 dark:text-gray-500" />
-                          <span className="text-sm text-gray-600 dark:text-gray-400">
-                            Due {formatDate(task.dueDate)}
-                          </span>
-                        </div>
-                      )}
-
-                      {/* Estimated Hours */}
-                      {task.estimatedHours && (
-                        <div className="flex items-center space-x-2">
-                          <Clock className="h-4 w-4 text-gray-400 dark:text-gray-500" />
-                          <span className="text-sm text-gray-600 dark:text-gray-400">
-                            {task.estimatedHours}h estimated
-                          </span>
-                        </div>
-                      )}
-
-                      {/* Actual Hours */}
-                      {task.actualHours && task.actualHours > 0 && (
-                        <div className="flex items-center space-x-2">
-                          <CheckCircle2 className="h-4 w-4 text-green-500 dark:text-green-400" />
-                          <span className="text-sm text-gray-600 dark:text-gray-400">
-                            {task.actualHours}h logged
-                          </span>
-                        </div>
-                      )}
-
-                      {/* Team */}
-                      {task.teamId && (
-                        <div className="flex items-center space-x-2">
-                          <Building2 className="h-4 w-4 text-gray-400 dark:text-gray-500" />
-                          <span className="text-sm text-gray-600 dark:text-gray-400">
-                            Team: {getTeamName(task.teamId)}
-                          </span>
-                        </div>
-                      )}
-                    </div>
-
-                    {/* Tags */}
-                    {task.tags && task.tags.length > 0 && (
-                      <div className="mt-3 pt-3 border-t border-gray-100 dark:border-gray-700">
-                        <div className="flex flex-wrap gap-1">
-                          {task.tags.map((tag, index) => (
-                            <span
-                              key={index}
-                              className="px-2 py-1 text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-full"
-                            >
-                              {tag}
-                            </span>
-                          ))}
-                        </div>
-                      </div>
-                    )}
-                    </div>
-                  )
-                })}
-
-                {/* Add New Task Button */}
+              <MoreHorizontal className="h-4 w-4" />
+            </button>
+            
+            {/* Dropdown menu */}
+            {dropdownTaskId === task.id && (
+              <div 
+                ref={dropdownRef}
+                className="absolute right-0 mt-2 w-48 bg-white dark:bg-gray-800 rounded-md shadow-lg py-1 z-10 border border-gray-200 dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+              >
                 <button
-                  onClick={onCreateTask}
-                  className="w-full p-4 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg text-gray-500 dark:text-gray-400 hover:border-gray-400 dark:hover:border-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition-colors group"
+                  onClick={() => {
+                    onViewTask(task)
+                    setDropdownTaskId(null)
+                  }}
+                  className="flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
                 >
-                  <div className="flex items-center justify-center space-x-2">
-                    <Plus className="h-4 w-4" />
-                    <span className="text-sm font-medium">Add Task</span>
-                  </div>
+                  <Eye className="h-4 w-4 mr-2" />
+                  View Details
                 </button>
+                <button
+                  onClick={() => {
+                    onEditTask(task)
+                    setDropdownTaskId(null)
+                  }}
+                  className="flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  <Edit className="h-4 w-4 mr-2" />
+                  Edit Task
+                </button>
+                {currentUser && canDeleteTask(currentUser.role, task.createdBy, currentUser.uid) && (
+                  <button
+                    onClick={() => {
+                      onDeleteTask(task.id)
+                      setDropdownTaskId(null)
+                    }}
+                    className="flex items-center w-full px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20"
+                  >
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    Delete Task
+                  </button>
+                )}
               </div>
+            )}
+          </div>
+        </div>
+
+        {/* Task Description */}
+        {task.description && (
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-3 line-clamp-2">
+            {task.description}
+          </p>
+        )}
+
+        {/* Task Meta */}
+        <div className="space-y-2">
+          {/* Priority */}
+          {settings.showPriority && (
+            <div className="flex items-center space-x-2">
+              {getPriorityIcon(priority)}
+              <span className="text-sm text-gray-600 dark:text-gray-400">
+                {priority && priority.name ? `${priority.name} priority` : 'No priority'}
+              </span>
+            </div>
+          )}
+
+        {/* Project */}
+        {task.projectName && (
+          <div className="flex items-center space-x-2">
+            <div className="w-2 h-2 rounded-full bg-blue-500" />
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              {task.projectName}
+            </span>
+          </div>
+        )}
+
+        {/* Creator */}
+        <div className="flex items-center space-x-2">
+          <User className="h-4 w-4 text-gray-400 dark:text-gray-500" />
+          <span className="text-sm text-gray-600 dark:text-gray-400">
+            Created by {task.createdByName || 'Unknown'}
+          </span>
+        </div>
+
+        {/* Assignee */}
+        {settings.showAssignee && task.assigneeName && (
+          <div className="flex items-center space-x-2">
+            <User className="h-4 w-4 text-gray-400 dark:text-gray-500" />
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              Assigned to {task.assigneeName}
+            </span>
+          </div>
+        )}
+
+        {/* Due Date */}
+        {settings.showDueDate && task.dueDate && (
+          <div className="flex items-center space-x-2">
+            <Calendar className="h-4 w-4 text-gray-400 dark:text-gray-500" />
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              Due {formatDate(task.dueDate)}
+            </span>
+            {task.recurrence && (
+              <span title={describeRecurrence(task.recurrence)}>
+                <Repeat className="h-3.5 w-3.5 text-gray-400 dark:text-gray-500" />
+              </span>
+            )}
+          </div>
+        )}
+
+        {/* Subtask progress */}
+        {rollup.percent !== null && (
+          <div className="flex items-center space-x-2">
+            <ListChecks className="h-4 w-4 text-gray-400 dark:text-gray-500" />
+            <div className="flex-1 h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+              <div className="h-full rounded-full bg-green-500" style={{ width: `${rollup.percent}%` }} />
             </div>
-          )
-        })}
+            <span className="text-xs text-gray-500 dark:text-gray-400">{rollup.completed}/{rollup.total}</span>
+          </div>
+        )}
+
+        {/* Estimated vs. Logged Hours, subtasks included */}
+        {settings.showTimeTracking && (
+          <TaskHoursSummary estimatedHours={rollup.estimatedHours} actualHours={rollup.actualHours} />
+        )}
+
+        {/* Team */}
+        {task.teamId && (
+          <div className="flex items-center space-x-2">
+            <Building2 className="h-4 w-4 text-gray-400 dark:text-gray-500" />
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              Team: {getTeamName(task.teamId)}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {/* Tags */}
+      {settings.showTags && task.tags && task.tags.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-gray-100 dark:border-gray-700">
+          <div className="flex flex-wrap gap-1">
+            {task.tags.map((tag, index) => (
+              <span
+                key={index}
+                className="px-2 py-1 text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-full"
+              >
+                {tag}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+      </div>
+    )
+  }
+
+  const renderColumnHeader = (view: BoardColumnView) => {
+    const { status, taskLimit } = view
+    const count = getTasksForStatus(status).length
+    const isCollapsed = collapsedStatusIds.includes(status.id)
+    const overLimit = isOverTaskLimit(count, taskLimit)
+
+    return (
+      <div
+        className="border rounded-lg p-4 mb-4 cursor-pointer"
+        style={{ backgroundColor: status.color + '20', borderColor: overLimit ? '#DC2626' : status.color }}
+        onClick={() => toggleCollapsed(status.id)}
+        title={isCollapsed ? 'Expand column' : 'Collapse column'}
+      >
+        <div className={`flex items-center ${isCollapsed ? 'flex-col space-y-2' : 'justify-between'}`}>
+          {isCollapsed ? (
+            <ChevronRight className="h-4 w-4 text-gray-500 dark:text-gray-400" />
+          ) : (
+            <h3 className="font-semibold text-gray-900 dark:text-gray-100">{status.name}</h3>
+          )}
+          <span
+            className={`text-sm px-2 py-1 rounded-full ${
+              overLimit
+                ? 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300'
+                : 'text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-800'
+            }`}
+            title={taskLimit ? `WIP limit: ${taskLimit}` : undefined}
+          >
+            {taskLimit ? `${count}/${taskLimit}` : count}
+          </span>
+        </div>
+        {isCollapsed && (
+          <div className="mt-2 text-sm font-semibold text-gray-900 dark:text-gray-100 [writing-mode:vertical-rl]">
+            {status.name}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  const renderColumnCell = (view: BoardColumnView, laneTasks: Task[], withHeader: boolean, withAddButton: boolean) => {
+    const isCollapsed = collapsedStatusIds.includes(view.status.id)
+    const cellTasks = getTasksForStatus(view.status, laneTasks)
+
+    return (
+      <div
+        key={view.status.id}
+        className={`flex-shrink-0 ${isCollapsed ? 'w-14' : 'w-80'}`}
+        onDragOver={handleDragOver}
+        onDrop={(e) => handleDrop(e, view)}
+      >
+        {withHeader && renderColumnHeader(view)}
+
+        {!isCollapsed && (
+          <div className={`space-y-3 ${withHeader ? 'max-h-[calc(100vh-200px)] overflow-y-auto' : 'min-h-[4rem]'}`}>
+            {cellTasks.map(renderTaskCard)}
+
+            {/* Add New Task Button */}
+            {withAddButton && (
+              <button
+                onClick={onCreateTask}
+                className="w-full p-4 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg text-gray-500 dark:text-gray-400 hover:border-gray-400 dark:hover:border-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition-colors group"
+              >
+                <div className="flex items-center justify-center space-x-2">
+                  <Plus className="h-4 w-4" />
+                  <span className="text-sm font-medium">Add Task</span>
+                </div>
+              </button>
+            )}
+          </div>
+        )}
       </div>
+    )
+  }
+
+  const isGrouped = settings.groupBy !== undefined && settings.groupBy !== 'none'
+
+  return (
+    <div className="h-full bg-gray-50 dark:bg-gray-900">
+      {taskTimer.error && (
+        <div className="mx-6 mt-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {taskTimer.error}
+        </div>
+      )}
+
+      {/* Board */}
+      {isGrouped ? (
+        <div className="overflow-x-auto overflow-y-auto p-6 h-full">
+          <div className="flex space-x-6">
+            {columns.map(view => (
+              <div key={view.status.id} className={`flex-shrink-0 ${collapsedStatusIds.includes(view.status.id) ? 'w-14' : 'w-80'}`}>
+                {renderColumnHeader(view)}
+              </div>
+            ))}
+          </div>
+
+          {swimlanes.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 py-4">No tasks to show</p>
+          )}
+
+          {/* Swimlanes */}
+          {swimlanes.map(lane => (
+            <div key={lane.id} className="mb-6">
+              <div className="flex items-center space-x-2 py-2 mb-3 border-b border-gray-200 dark:border-gray-700">
+                <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">{lane.label}</h4>
+                <span className="text-xs text-gray-500 dark:text-gray-400">{lane.tasks.length}</span>
+              </div>
+              <div className="flex space-x-6">
+                {columns.map(view => renderColumnCell(view, lane.tasks, false, false))}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="flex overflow-x-auto overflow-y-auto p-6 space-x-6 h-full">
+          {columns.map(view => renderColumnCell(view, visibleTasks, true, true))}
+        </div>
+      )}
     </div>
   )
 }
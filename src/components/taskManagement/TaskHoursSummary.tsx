@@ -0,0 +1,39 @@
+import { Clock, AlertTriangle } from 'lucide-react'
+import { getTaskHours, formatTaskHours } from '../../utils/taskHours'
+
+interface TaskHoursSummaryProps {
+  estimatedHours?: number
+  actualHours?: number
+}
+
+// Logged hours against the estimate, with a warning once the task goes over
+export default function TaskHoursSummary({ estimatedHours, actualHours }: TaskHoursSummaryProps) {
+  const { estimated, actual, percent, isOverEstimate } = getTaskHours(estimatedHours, actualHours)
+  if (estimated === null && actual === 0) {
+    return null
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center space-x-2">
+        {isOverEstimate
+          ? <AlertTriangle className="h-4 w-4 text-red-500 dark:text-red-400" />
+          : <Clock className="h-4 w-4 text-gray-400 dark:text-gray-500" />}
+        <span className={`text-sm ${isOverEstimate ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-400'}`}>
+          {estimated === null
+            ? `${formatTaskHours(actual)} logged`
+            : `${formatTaskHours(actual)} of ${formatTaskHours(estimated)} estimated`}
+          {isOverEstimate && ` (${formatTaskHours(actual - estimated!)} over)`}
+        </span>
+      </div>
+      {percent !== null && (
+        <div className="h-1.5 w-full bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+          <div
+            className={`h-full rounded-full ${isOverEstimate ? 'bg-red-500' : 'bg-green-500'}`}
+            style={{ width: `${Math.min(percent, 100)}%` }}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react'
 import { X, Users, Building2 } from 'lucide-react'
-import { Task, TaskStatus, TaskPriority, CreateTaskData, UpdateTaskData, Project, User, Team } from '../../types'
+import { Task, TaskStatus, TaskPriority, CreateTaskData, UpdateTaskData, Project, User, Team, TaskRecurrence } from '../../types'
 import { projectService } from '../../services/projectService'
 import { userService } from '../../services/userService'
 import { teamService } from '../../services/teamService'
+import { taskApiService } from '../../services/taskApiService'
 import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
+import TaskRecurrenceFields from './TaskRecurrenceFields'
 
 interface TaskModalProps {
   isOpen: boolean
@@ -40,9 +42,11 @@ export default function TaskModal({
     assigneeId: '',
     assigneeName: '',
     teamId: '',
+    startDate: '',
     dueDate: '',
     estimatedHours: '',
-    tags: [] as string[]
+    tags: [] as string[],
+    recurrence: null as TaskRecurrence | null
   })
   const [projects, setProjects] = useState<Project[]>([])
   const [users, setUsers] = useState<User[]>([])
@@ -51,6 +55,9 @@ export default function TaskModal({
   const [loading, setLoading] = useState(false)
   const [tagInput, setTagInput] = useState('')
   const [assigneeType, setAssigneeType] = useState<'user' | 'team'>('user')
+  // The chosen project's own statuses and priorities, when it has them
+  const [workflowStatuses, setWorkflowStatuses] = useState<TaskStatus[]>(statuses)
+  const [workflowPriorities, setWorkflowPriorities] = useState<TaskPriority[]>(priorities)
 
   const dedupeById = <T extends { id: string }>(items: T[]): T[] => {
     const seen = new Set<string>()
@@ -77,9 +84,11 @@ export default function TaskModal({
           assigneeId: task.assigneeId || '',
           assigneeName: task.assigneeName || '',
           teamId: '',
+          startDate: task.startDate ? new Date(task.startDate).toISOString().split('T')[0] : '',
           dueDate: task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
           estimatedHours: task.estimatedHours?.toString() || '',
-          tags: task.tags || []
+          tags: task.tags || [],
+          recurrence: task.recurrence || null
         })
       } else {
         // For employees, automatically assign to themselves
@@ -95,14 +104,47 @@ export default function TaskModal({
           assigneeId: defaultAssigneeId,
           assigneeName: defaultAssigneeName,
           teamId: '',
+          startDate: '',
           dueDate: '',
           estimatedHours: '',
-          tags: []
+          tags: [],
+          recurrence: null
         })
       }
     }
   }, [isOpen, task, statuses, priorities, currentUser])
 
+  useEffect(() => {
+    if (!isOpen) return
+    if (!formData.projectId) {
+      setWorkflowStatuses(statuses)
+      setWorkflowPriorities(priorities)
+      return
+    }
+
+    let cancelled = false
+    Promise.all([
+      taskApiService.getTaskStatuses(formData.projectId),
+      taskApiService.getTaskPriorities(formData.projectId)
+    ])
+      .then(([statusesData, prioritiesData]) => {
+        if (cancelled) return
+        setWorkflowStatuses(statusesData)
+        setWorkflowPriorities(prioritiesData)
+        // Keep the picks that exist in this project's workflow, else start from its first values
+        setFormData(prev => ({
+          ...prev,
+          statusId: statusesData.some(s => s.id === prev.statusId) ? prev.statusId : statusesData[0]?.id || '',
+          priorityId: prioritiesData.some(p => p.id === prev.priorityId) ? prev.priorityId : prioritiesData[0]?.id || ''
+        }))
+      })
+      .catch(error => console.error('Error loading project workflow:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, formData.projectId, statuses, priorities])
+
   const loadData = async () => {
     try {
       console.log('TaskModal - Loading data for user:', {
@@ -207,6 +249,10 @@ export default function TaskModal({
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
+    if (formData.startDate && formData.dueDate && formData.startDate > formData.dueDate) {
+      alert('The start date must be on or before the due date')
+      return
+    }
     setLoading(true)
 
     try {
@@ -240,8 +286,8 @@ export default function TaskModal({
       const taskData: any = {
         ...formData,
         estimatedHours: formData.estimatedHours ? parseFloat(formData.estimatedHours) : undefined,
-        status: statuses.find(s => s.id === formData.statusId)!,
-        priority: priorities.find(p => p.id === formData.priorityId)!,
+        status: workflowStatuses.find(s => s.id === formData.statusId)!,
+        priority: workflowPriorities.find(p => p.id === formData.priorityId)!,
         projectName: projects.find(p => p.id === formData.projectId)?.name || ''
       }
 
@@ -254,6 +300,19 @@ export default function TaskModal({
         }
       }
 
+      // An empty start date clears the one the task had; new tasks just leave it out
+      const startDateObj = formData.startDate ? new Date(formData.startDate) : null
+      if (startDateObj && !isNaN(startDateObj.getTime())) {
+        taskData.startDate = startDateObj
+      } else {
+        taskData.startDate = task?.startDate ? null : undefined
+      }
+
+      // Clearing the rule stops the series; new tasks without one leave it out
+      if (!formData.recurrence) {
+        taskData.recurrence = task?.recurrence ? null : undefined
+      }
+
       // Clean the taskData to remove undefined values before saving
       const cleanTaskData: any = {
         ...taskData,
@@ -371,7 +430,7 @@ export default function TaskModal({
                 onChange={(e) => setFormData(prev => ({ ...prev, statusId: e.target.value }))}
                 className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
               >
-                {statuses.map(status => (
+                {workflowStatuses.map(status => (
                   <option key={status.id} value={status.id}>
                     {status.name}
                   </option>
@@ -390,7 +449,7 @@ export default function TaskModal({
               onChange={(e) => setFormData(prev => ({ ...prev, priorityId: e.target.value }))}
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
             >
-              {priorities.map(priority => (
+              {workflowPriorities.map(priority => (
                 <option key={priority.id} value={priority.id}>
                   {priority.name}
                 </option>
@@ -547,8 +606,21 @@ export default function TaskModal({
             </div>
           )}
 
-          {/* Due Date and Estimated Hours */}
-          <div className="grid grid-cols-2 gap-4">
+          {/* Dates and Estimated Hours */}
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Start Date
+              </label>
+              <input
+                type="date"
+                value={formData.startDate}
+                max={formData.dueDate || undefined}
+                onChange={(e) => setFormData(prev => ({ ...prev, startDate: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+              />
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                 Due Date
@@ -577,6 +649,17 @@ export default function TaskModal({
             </div>
           </div>
 
+          {/* Repeat */}
+          <TaskRecurrenceFields
+            value={formData.recurrence}
+            currentDate={
+              task?.recurrence && task.recurrenceDate
+                ? new Date(task.recurrenceDate).toISOString().split('T')[0]
+                : formData.dueDate || new Date().toISOString().split('T')[0]
+            }
+            onChange={(recurrence) => setFormData(prev => ({ ...prev, recurrence }))}
+          />
+
           {/* Tags */}
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
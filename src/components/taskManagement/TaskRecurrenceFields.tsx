@@ -0,0 +1,124 @@
+import { format, parseISO } from 'date-fns'
+import { Repeat } from 'lucide-react'
+import { RecurrenceFrequency, TaskRecurrence } from '../../types'
+import {
+  RECURRENCE_FREQUENCY_LABELS,
+  WEEKDAY_LABELS,
+  describeRecurrence,
+  getNextOccurrenceDate
+} from '../../utils/taskRecurrence'
+
+interface TaskRecurrenceFieldsProps {
+  value: TaskRecurrence | null
+  currentDate: string // YYYY-MM-DD of this occurrence
+  onChange: (value: TaskRecurrence | null) => void
+}
+
+const INTERVAL_UNITS: Record<RecurrenceFrequency, string> = {
+  daily: 'day(s)',
+  weekly: 'week(s)',
+  monthly: 'month(s)',
+  after_completion: 'day(s) after completion'
+}
+
+// Repeat rule of a task; the preview counts from the occurrence being edited
+export default function TaskRecurrenceFields({ value, currentDate, onChange }: TaskRecurrenceFieldsProps) {
+  const firstDay = new Date(`${currentDate}T00:00:00Z`)
+
+  const handleFrequencyChange = (frequency: string) => {
+    if (!frequency) {
+      onChange(null)
+      return
+    }
+    const rule: TaskRecurrence = { frequency: frequency as RecurrenceFrequency, interval: value?.interval || 1 }
+    if (rule.frequency === 'weekly') rule.weekdays = [firstDay.getUTCDay()]
+    if (rule.frequency === 'monthly') rule.monthDay = firstDay.getUTCDate()
+    onChange(rule)
+  }
+
+  const toggleWeekday = (day: number) => {
+    if (!value) return
+    const weekdays = value.weekdays || []
+    const next = weekdays.includes(day) ? weekdays.filter(d => d !== day) : [...weekdays, day]
+    // Keep at least one day
+    if (next.length > 0) onChange({ ...value, weekdays: next.sort((a, b) => a - b) })
+  }
+
+  const nextDate = value && value.frequency !== 'after_completion' ? getNextOccurrenceDate(value, currentDate) : null
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100'
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+        <Repeat className="h-4 w-4" />
+        <span>Repeat</span>
+      </label>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={value?.frequency || ''} onChange={(e) => handleFrequencyChange(e.target.value)} className={inputClass}>
+          <option value="">Does not repeat</option>
+          {(Object.keys(RECURRENCE_FREQUENCY_LABELS) as RecurrenceFrequency[]).map(frequency => (
+            <option key={frequency} value={frequency}>{RECURRENCE_FREQUENCY_LABELS[frequency]}</option>
+          ))}
+        </select>
+
+        {value && (
+          <div className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+            <span>Every</span>
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={value.interval}
+              onChange={(e) => onChange({ ...value, interval: Math.min(365, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+              className={`w-20 ${inputClass}`}
+            />
+            <span>{INTERVAL_UNITS[value.frequency]}</span>
+          </div>
+        )}
+
+        {value?.frequency === 'monthly' && (
+          <div className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+            <span>on day</span>
+            <input
+              type="number"
+              min={1}
+              max={31}
+              value={value.monthDay || firstDay.getUTCDate()}
+              onChange={(e) => onChange({ ...value, monthDay: Math.min(31, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+              className={`w-20 ${inputClass}`}
+            />
+          </div>
+        )}
+      </div>
+
+      {value?.frequency === 'weekly' && (
+        <div className="flex space-x-1">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`px-2 py-1 text-xs rounded ${
+                value.weekdays?.includes(day)
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {describeRecurrence(value)}.{' '}
+          {nextDate
+            ? `The next task is created on ${format(parseISO(nextDate), 'MMM d, yyyy')}.`
+            : 'The next task is created when this one is completed.'}
+        </p>
+      )}
+    </div>
+  )
+}
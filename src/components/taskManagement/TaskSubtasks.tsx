@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react'
+import { Plus, ListChecks } from 'lucide-react'
+import { Task, TaskStatus } from '../../types'
+import { taskApiService as taskService } from '../../services/taskApiService'
+import { getSubtaskRollup, getChecklistStatus } from '../../utils/subtasks'
+
+interface TaskSubtasksProps {
+  task: Task
+  onTaskUpdate?: (task: Task) => void
+}
+
+// Checklist of a task's subtasks. After a change the parent is fetched again,
+// since the server may have completed or reopened it
+export default function TaskSubtasks({ task, onTaskUpdate }: TaskSubtasksProps) {
+  const [statuses, setStatuses] = useState<TaskStatus[]>([])
+  const [newTitle, setNewTitle] = useState('')
+  const [savingId, setSavingId] = useState<string | null>(null)
+  const [error, setError] = useState('')
+
+  // Subtasks follow the workflow of their project, which the page may not be showing
+  useEffect(() => {
+    taskService.getTaskStatuses(task.projectId)
+      .then(setStatuses)
+      .catch(err => console.error('Error loading task statuses:', err))
+  }, [task.projectId])
+
+  const subtasks = task.subtasks || []
+  const { total, completed, percent } = getSubtaskRollup(task)
+
+  const refreshParent = async () => {
+    const tasks = await taskService.getTasks(task.projectId)
+    const parent = tasks.find(t => t.id === task.id)
+    if (parent && onTaskUpdate) {
+      onTaskUpdate(parent)
+    }
+  }
+
+  const handleToggle = async (subtask: Task) => {
+    const status = getChecklistStatus(statuses, !subtask.isCompleted)
+    if (!status) return
+
+    setSavingId(subtask.id)
+    setError('')
+    try {
+      await taskService.updateTask(subtask.id, { status: status.id })
+      await refreshParent()
+    } catch (err: any) {
+      console.error('Error updating subtask:', err)
+      setError(err?.message || 'Failed to update subtask')
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault()
+    const status = getChecklistStatus(statuses, false)
+    if (!newTitle.trim() || !status) return
+
+    setSavingId('new')
+    setError('')
+    try {
+      await taskService.createTask({
+        title: newTitle.trim(),
+        projectId: task.projectId,
+        status: status.id,
+        priority: typeof task.priority === 'string' ? task.priority : task.priority.id,
+        parentTaskId: task.id,
+        teamId: task.teamId,
+        tags: []
+      })
+      setNewTitle('')
+      await refreshParent()
+    } catch (err: any) {
+      console.error('Error creating subtask:', err)
+      setError(err?.message || 'Failed to create subtask')
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <ListChecks className="h-4 w-4 text-gray-400 dark:text-gray-500" />
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Subtasks</span>
+        </div>
+        {total > 0 && (
+          <span className="text-xs text-gray-500 dark:text-gray-400">{completed} of {total} done</span>
+        )}
+      </div>
+
+      {percent !== null && (
+        <div className="h-1.5 w-full bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+          <div className="h-full rounded-full bg-green-500" style={{ width: `${percent}%` }} />
+        </div>
+      )}
+
+      <ul className="space-y-1">
+        {subtasks.map(subtask => (
+          <li key={subtask.id} className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={subtask.isCompleted}
+              disabled={savingId !== null}
+              onChange={() => handleToggle(subtask)}
+              className="rounded border-gray-300"
+            />
+            <span className={`flex-1 text-sm truncate ${
+              subtask.isCompleted ? 'line-through text-gray-400 dark:text-gray-500' : 'text-gray-700 dark:text-gray-300'
+            }`}>
+              {subtask.title}
+            </span>
+            {subtask.assigneeName && (
+              <span className="text-xs text-gray-500 dark:text-gray-400">{subtask.assigneeName}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAdd} className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Add a subtask..."
+          className="flex-1 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+        />
+        <button
+          type="submit"
+          disabled={!newTitle.trim() || savingId !== null}
+          title="Add subtask"
+          className="p-1 text-primary-600 hover:text-primary-800 dark:text-primary-400 dark:hover:text-primary-300 disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4" />
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  )
+}
@@ -21,6 +21,10 @@ import {
 import { Task, TaskStatus, TaskPriority, Team } from '../../types'
 import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
 import { canDeleteTask } from '../../utils/permissions'
+import { getTaskHours, formatTaskHours } from '../../utils/taskHours'
+import { getSubtaskRollup } from '../../utils/subtasks'
+import { useTaskTimer } from '../../hooks/useTaskTimer'
+import TaskTimerButton from './TaskTimerButton'
 
 interface TaskTableProps {
   tasks: Task[]
@@ -63,6 +67,7 @@ export default function TaskTable({
   const [dropdownTaskId, setDropdownTaskId] = useState<string | null>(null)
   const [currentPage, setCurrentPage] = useState(1)
   const itemsPerPage = 10
+  const taskTimer = useTaskTimer()
 
   // Calculate pagination
   const totalPages = Math.ceil(tasks.length / itemsPerPage)
@@ -101,6 +106,11 @@ export default function TaskTable({
 
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden flex flex-col h-full">
+      {taskTimer.error && (
+        <div className="m-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {taskTimer.error}
+        </div>
+      )}
       <div className="overflow-x-auto flex-1">
         <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
           <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0 z-10">
@@ -136,6 +146,9 @@ export default function TaskTable({
               const priority = typeof task.priority === 'string' 
                 ? priorities.find(p => p.id === (task.priority as unknown as string)) || { id: task.priority, name: task.priority, level: 1, color: '#6B7280' }
                 : task.priority
+              // Subtask hours count towards the parent
+              const rollup = getSubtaskRollup(task)
+              const hours = getTaskHours(rollup.estimatedHours, rollup.actualHours)
               
               return (
                 <tr 
@@ -158,6 +171,16 @@ export default function TaskTable({
                             {task.description}
                           </div>
                         )}
+                        {(hours.estimated !== null || hours.actual > 0) && (
+                          <div
+                            className={`text-xs ${hours.isOverEstimate ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}
+                            title={hours.isOverEstimate ? 'Over the estimate' : undefined}
+                          >
+                            {hours.estimated === null
+                              ? `${formatTaskHours(hours.actual)} logged`
+                              : `${formatTaskHours(hours.actual)} / ${formatTaskHours(hours.estimated)}`}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </td>
@@ -219,7 +242,13 @@ export default function TaskTable({
                     )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium w-1/12">
-                    <div className="relative flex justify-end">
+                    <div className="relative flex justify-end items-center space-x-1">
+                      <TaskTimerButton
+                        isRunning={taskTimer.runningTaskId === task.id}
+                        disabled={taskTimer.loading}
+                        onStart={() => taskTimer.startTimer(task)}
+                        onStop={taskTimer.stopTimer}
+                      />
                       <button 
                         onClick={(e) => {
                           e.stopPropagation()
@@ -0,0 +1,353 @@
+import { useState, useEffect, useRef } from 'react'
+import { addDays, differenceInCalendarDays, format, isSameDay, startOfDay } from 'date-fns'
+import { Link2, X, CalendarPlus, AlertTriangle } from 'lucide-react'
+import { Task, TaskDependency } from '../../types'
+import {
+  TaskSpan,
+  getTaskSpan,
+  shiftTaskSpan,
+  findDependencyViolations,
+  getTimelineRange
+} from '../../utils/taskSchedule'
+
+interface TaskTimelineProps {
+  tasks: Task[]
+  dependencies: TaskDependency[]
+  onReschedule: (task: Task, span: TaskSpan) => void
+  onAddDependency: (taskId: string, dependsOnTaskId: string) => void
+  onRemoveDependency: (dependencyId: string) => void
+  onViewTask: (task: Task) => void
+}
+
+interface DragState {
+  taskId: string
+  edge: 'move' | 'start' | 'end'
+  originX: number
+  days: number
+}
+
+const DAY_WIDTH = 36
+const ROW_HEIGHT = 44
+const HEADER_HEIGHT = 48
+const LABEL_WIDTH = 256
+
+const getStatusColor = (task: Task) => (typeof task.status === 'string' ? '#6B7280' : task.status.color)
+
+export default function TaskTimeline({
+  tasks,
+  dependencies,
+  onReschedule,
+  onAddDependency,
+  onRemoveDependency,
+  onViewTask
+}: TaskTimelineProps) {
+  const [drag, setDrag] = useState<DragState | null>(null)
+  const [linkingTaskId, setLinkingTaskId] = useState<string | null>(null)
+  const dragRef = useRef<DragState | null>(null)
+  dragRef.current = drag
+
+  const scheduled = tasks
+    .map(task => ({ task, span: getTaskSpan(task) }))
+    .filter((row): row is { task: Task; span: TaskSpan } => row.span !== null)
+    .sort((a, b) => a.span.start.getTime() - b.span.start.getTime() || a.task.title.localeCompare(b.task.title))
+  const unscheduled = tasks.filter(task => !getTaskSpan(task))
+
+  const today = startOfDay(new Date())
+  const range = getTimelineRange(scheduled.map(row => row.span), today)
+  const days = Array.from({ length: range.days }, (_, i) => addDays(range.start, i))
+
+  const previewSpan = (task: Task, span: TaskSpan) =>
+    drag && drag.taskId === task.id && drag.days !== 0 ? shiftTaskSpan(span, drag.days, drag.edge) : span
+  const rows = scheduled.map(row => ({ ...row, span: previewSpan(row.task, row.span) }))
+  const rowIndex = new Map(rows.map((row, index) => [row.task.id, index]))
+  const violatedIds = new Set(findDependencyViolations(tasks, dependencies).map(v => v.dependency.id))
+
+  const commitDrag = (state: DragState) => {
+    const row = scheduled.find(r => r.task.id === state.taskId)
+    if (!row) return
+    if (state.days === 0) {
+      onViewTask(row.task)
+      return
+    }
+
+    const span = shiftTaskSpan(row.span, state.days, state.edge)
+    const before = new Set(findDependencyViolations(tasks, dependencies).map(v => v.dependency.id))
+    const introduced = findDependencyViolations(tasks, dependencies, { [row.task.id]: span })
+      .filter(v => !before.has(v.dependency.id))
+    if (introduced.length > 0) {
+      const lines = introduced.map(v => `• "${v.task.title}" would start before "${v.dependsOn.title}" is due`)
+      if (!window.confirm(`This breaks ${introduced.length === 1 ? 'a dependency' : 'dependencies'}:\n${lines.join('\n')}\n\nReschedule anyway?`)) {
+        return
+      }
+    }
+    onReschedule(row.task, span)
+  }
+
+  // Dragging follows the mouse across the whole window, not just the bar
+  useEffect(() => {
+    if (!drag) return
+    const handleMove = (e: MouseEvent) => {
+      const current = dragRef.current
+      if (!current) return
+      const daysMoved = Math.round((e.clientX - current.originX) / DAY_WIDTH)
+      if (daysMoved !== current.days) setDrag({ ...current, days: daysMoved })
+    }
+    const handleUp = () => {
+      const current = dragRef.current
+      setDrag(null)
+      if (current) commitDrag(current)
+    }
+    window.addEventListener('mousemove', handleMove)
+    window.addEventListener('mouseup', handleUp)
+    return () => {
+      window.removeEventListener('mousemove', handleMove)
+      window.removeEventListener('mouseup', handleUp)
+    }
+  }, [drag !== null])
+
+  const startDrag = (e: React.MouseEvent, taskId: string, edge: DragState['edge']) => {
+    e.preventDefault()
+    e.stopPropagation()
+    setDrag({ taskId, edge, originX: e.clientX, days: 0 })
+  }
+
+  const scheduleToday = (task: Task) => {
+    // Roughly a working day per 8 estimated hours
+    const length = Math.max(1, Math.ceil((Number(task.estimatedHours) || 0) / 8))
+    onReschedule(task, { start: today, end: addDays(today, length - 1) })
+  }
+
+  const linkingTask = tasks.find(task => task.id === linkingTaskId)
+  const linkedDependencies = dependencies.filter(dependency => dependency.taskId === linkingTaskId)
+  const taskTitle = (taskId: string) => tasks.find(task => task.id === taskId)?.title || 'Hidden task'
+
+  const x = (date: Date) => differenceInCalendarDays(date, range.start) * DAY_WIDTH
+  const todayOffset = x(today)
+
+  return (
+    <div className="h-full overflow-auto p-6 bg-gray-50 dark:bg-gray-900 space-y-4">
+      {/* Dependencies of the selected task */}
+      {linkingTask && (
+        <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+              "{linkingTask.title}" can start once these are done
+            </h3>
+            <button
+              onClick={() => setLinkingTaskId(null)}
+              className="text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            {linkedDependencies.map(dependency => (
+              <span
+                key={dependency.id}
+                className={`flex items-center space-x-1 px-2 py-1 text-xs rounded-full ${
+                  violatedIds.has(dependency.id)
+                    ? 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300'
+                    : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+                }`}
+              >
+                <span>{taskTitle(dependency.dependsOnTaskId)}</span>
+                <button onClick={() => onRemoveDependency(dependency.id)} title="Remove dependency">
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+            <select
+              value=""
+              onChange={(e) => e.target.value && onAddDependency(linkingTask.id, e.target.value)}
+              className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+            >
+              <option value="">Add a task it waits for…</option>
+              {tasks
+                .filter(task => task.id !== linkingTask.id && !linkedDependencies.some(d => d.dependsOnTaskId === task.id))
+                .map(task => (
+                  <option key={task.id} value={task.id}>{task.title}</option>
+                ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {/* Timeline */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-x-auto">
+        <div className="relative" style={{ width: LABEL_WIDTH + range.days * DAY_WIDTH }}>
+          {/* Day header */}
+          <div className="flex border-b border-gray-200 dark:border-gray-700" style={{ height: HEADER_HEIGHT }}>
+            <div
+              className="sticky left-0 z-20 flex-shrink-0 flex items-end px-4 pb-2 bg-white dark:bg-gray-800 border-r border-gray-200 dark:border-gray-700 text-xs font-medium text-gray-500 dark:text-gray-400"
+              style={{ width: LABEL_WIDTH }}
+            >
+              Task
+            </div>
+            {days.map((day, index) => (
+              <div
+                key={day.toISOString()}
+                className={`flex-shrink-0 flex flex-col justify-end items-center pb-1 text-xs ${
+                  isSameDay(day, today) ? 'text-primary-600 dark:text-primary-400 font-semibold' : 'text-gray-500 dark:text-gray-400'
+                }`}
+                style={{ width: DAY_WIDTH }}
+              >
+                {(index === 0 || day.getDate() === 1) && <span className="font-medium">{format(day, 'MMM')}</span>}
+                <span>{format(day, 'd')}</span>
+              </div>
+            ))}
+          </div>
+
+          {/* Rows */}
+          {rows.map(({ task, span }) => {
+            const left = x(span.start)
+            const width = (differenceInCalendarDays(span.end, span.start) + 1) * DAY_WIDTH
+            const hasViolation = dependencies.some(d => d.taskId === task.id && violatedIds.has(d.id))
+
+            return (
+              <div key={task.id} className="flex border-b border-gray-100 dark:border-gray-700" style={{ height: ROW_HEIGHT }}>
+                <div
+                  className="sticky left-0 z-20 flex-shrink-0 flex items-center justify-between px-4 bg-white dark:bg-gray-800 border-r border-gray-200 dark:border-gray-700"
+                  style={{ width: LABEL_WIDTH }}
+                >
+                  <button
+                    onClick={() => onViewTask(task)}
+                    className="text-sm text-left text-gray-900 dark:text-gray-100 truncate hover:underline"
+                    title={task.title}
+                  >
+                    {task.title}
+                  </button>
+                  <div className="flex items-center space-x-1 flex-shrink-0">
+                    {hasViolation && (
+                      <span title="Starts before a task it depends on is due">
+                        <AlertTriangle className="h-4 w-4 text-red-500" />
+                      </span>
+                    )}
+                    <button
+                      onClick={() => setLinkingTaskId(linkingTaskId === task.id ? null : task.id)}
+                      title="Dependencies"
+                      className={`p-1 rounded ${
+                        linkingTaskId === task.id ? 'text-primary-600 dark:text-primary-400' : 'text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300'
+                      }`}
+                    >
+                      <Link2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                <div className="relative flex-1">
+                  {/* Weekends */}
+                  {days.map((day, index) => (day.getDay() === 0 || day.getDay() === 6) && (
+                    <div
+                      key={index}
+                      className="absolute inset-y-0 bg-gray-50 dark:bg-gray-900/40"
+                      style={{ left: index * DAY_WIDTH, width: DAY_WIDTH }}
+                    />
+                  ))}
+
+                  {/* Bar */}
+                  <div
+                    onMouseDown={(e) => startDrag(e, task.id, 'move')}
+                    className={`absolute top-2 bottom-2 rounded-md flex items-center px-2 text-xs text-white select-none cursor-grab ${
+                      task.isCompleted ? 'opacity-60' : ''
+                    } ${drag?.taskId === task.id ? 'ring-2 ring-primary-400 cursor-grabbing' : ''}`}
+                    style={{ left, width, backgroundColor: getStatusColor(task) }}
+                    title={`${format(span.start, 'MMM d')} – ${format(span.end, 'MMM d')}`}
+                  >
+                    <div
+                      onMouseDown={(e) => startDrag(e, task.id, 'start')}
+                      className="absolute left-0 inset-y-0 w-2 cursor-ew-resize"
+                    />
+                    <span className="truncate pointer-events-none">{task.title}</span>
+                    <div
+                      onMouseDown={(e) => startDrag(e, task.id, 'end')}
+                      className="absolute right-0 inset-y-0 w-2 cursor-ew-resize"
+                    />
+                  </div>
+                </div>
+              </div>
+            )
+          })}
+
+          {rows.length === 0 && (
+            <p className="px-4 py-6 text-sm text-gray-500 dark:text-gray-400">
+              No scheduled tasks. Give tasks a start or due date to place them here.
+            </p>
+          )}
+
+          {/* Today and dependency arrows */}
+          <svg
+            className="absolute pointer-events-none"
+            style={{ left: LABEL_WIDTH, top: 0 }}
+            width={range.days * DAY_WIDTH}
+            height={HEADER_HEIGHT + rows.length * ROW_HEIGHT}
+          >
+            <defs>
+              <marker id="timeline-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                <path d="M0,0 L8,4 L0,8 z" fill="#9CA3AF" />
+              </marker>
+              <marker id="timeline-arrow-violated" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                <path d="M0,0 L8,4 L0,8 z" fill="#DC2626" />
+              </marker>
+            </defs>
+            <line
+              x1={todayOffset + DAY_WIDTH / 2}
+              x2={todayOffset + DAY_WIDTH / 2}
+              y1={HEADER_HEIGHT}
+              y2={HEADER_HEIGHT + rows.length * ROW_HEIGHT}
+              stroke="#3B82F6"
+              strokeDasharray="4 4"
+            />
+            {dependencies.map(dependency => {
+              const from = rowIndex.get(dependency.dependsOnTaskId)
+              const to = rowIndex.get(dependency.taskId)
+              if (from === undefined || to === undefined) return null
+              const violated = violatedIds.has(dependency.id)
+              const x1 = x(rows[from].span.end) + DAY_WIDTH
+              const y1 = HEADER_HEIGHT + from * ROW_HEIGHT + ROW_HEIGHT / 2
+              const x2 = x(rows[to].span.start)
+              const y2 = HEADER_HEIGHT + to * ROW_HEIGHT + ROW_HEIGHT / 2
+              return (
+                <path
+                  key={dependency.id}
+                  d={`M ${x1} ${y1} h 8 V ${y2} H ${x2}`}
+                  fill="none"
+                  stroke={violated ? '#DC2626' : '#9CA3AF'}
+                  strokeWidth={1.5}
+                  markerEnd={`url(#${violated ? 'timeline-arrow-violated' : 'timeline-arrow'})`}
+                />
+              )
+            })}
+          </svg>
+        </div>
+      </div>
+
+      {/* Unscheduled */}
+      {unscheduled.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-3">
+            Not scheduled ({unscheduled.length})
+          </h3>
+          <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+            {unscheduled.map(task => (
+              <li key={task.id} className="flex items-center justify-between py-2">
+                <button
+                  onClick={() => onViewTask(task)}
+                  className="text-sm text-gray-700 dark:text-gray-300 hover:underline truncate"
+                >
+                  {task.title}
+                </button>
+                <button
+                  onClick={() => scheduleToday(task)}
+                  className="flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-800 dark:text-primary-400 dark:hover:text-primary-300"
+                >
+                  <CalendarPlus className="h-4 w-4" />
+                  <span>Start today</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,42 @@
+import { Play, Square } from 'lucide-react'
+
+interface TaskTimerButtonProps {
+  isRunning: boolean
+  disabled?: boolean
+  onStart: () => void
+  onStop: () => void
+  showLabel?: boolean
+}
+
+// Play/stop control for a task's timer. Clicks don't reach the card or row
+// underneath, which would open the task
+export default function TaskTimerButton({ isRunning, disabled, onStart, onStop, showLabel = false }: TaskTimerButtonProps) {
+  const Icon = isRunning ? Square : Play
+  const label = isRunning ? 'Stop timer' : 'Start timer'
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation()
+        if (isRunning) {
+          onStop()
+        } else {
+          onStart()
+        }
+      }}
+      disabled={disabled}
+      title={label}
+      className={`inline-flex items-center space-x-1 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+        showLabel ? 'px-3 py-1 text-sm text-white' : 'p-1'
+      } ${
+        isRunning
+          ? showLabel ? 'bg-red-600 hover:bg-red-700' : 'text-red-600 hover:text-red-700 dark:text-red-400'
+          : showLabel ? 'bg-green-600 hover:bg-green-700' : 'text-gray-400 hover:text-green-600 dark:text-gray-500 dark:hover:text-green-400'
+      }`}
+    >
+      <Icon className="h-4 w-4" />
+      {showLabel && <span>{label}</span>}
+    </button>
+  )
+}
@@ -1,11 +1,17 @@
 import { useState, useEffect, useRef, useCallback, useLayoutEffect } from 'react'
-import { X, User, Calendar, Clock, CheckCircle2, MessageSquare, Send, StickyNote, Paperclip, Smile, Trash2, Building2, AtSign, XCircle, Save } from 'lucide-react'
+import { X, User, Calendar, MessageSquare, Send, StickyNote, Paperclip, Smile, Trash2, Building2, AtSign, XCircle, Save, Repeat } from 'lucide-react'
 import { Task, TaskStatus, TaskPriority, TaskComment, Team, User as UserType, Mention } from '../../types'
 import { taskApiService as taskService } from '../../services/taskApiService'
 import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
 import { useNotifications } from '../../contexts/NotificationContext'
 import { canDeleteTask } from '../../utils/permissions'
+import { getSubtaskRollup } from '../../utils/subtasks'
+import { describeRecurrence } from '../../utils/taskRecurrence'
 import { useMentions } from '../../hooks/useMentions'
+import { useTaskTimer } from '../../hooks/useTaskTimer'
+import TaskTimerButton from './TaskTimerButton'
+import TaskHoursSummary from './TaskHoursSummary'
+import TaskSubtasks from './TaskSubtasks'
 import MentionNotificationService from '../../services/mentionNotificationService'
 
 interface TaskViewModalProps {
@@ -77,6 +83,7 @@ export default function TaskViewModal({
     setMentionInput,
     setMentionTarget
   } = useMentions(currentUser, task)
+  const taskTimer = useTaskTimer()
 
   // Update activeTab when defaultActiveTab changes
   useEffect(() => {
@@ -370,6 +377,13 @@ export default function TaskViewModal({
 
           </div>
           <div className="flex items-center space-x-2">
+            <TaskTimerButton
+              isRunning={taskTimer.runningTaskId === task.id}
+              disabled={taskTimer.loading}
+              onStart={() => taskTimer.startTimer(task)}
+              onStop={taskTimer.stopTimer}
+              showLabel
+            />
             <button
               onClick={() => onEdit(task)}
               className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
@@ -449,24 +463,20 @@ export default function TaskViewModal({
                   </div>
                 )}
 
-                {/* Estimated Hours */}
-                {task.estimatedHours && (
+                {/* Repeat */}
+                {task.recurrence && (
                   <div className="flex items-center space-x-2">
-                    <Clock className="h-4 w-4 text-gray-400 dark:text-gray-500" />
+                    <Repeat className="h-4 w-4 text-gray-400 dark:text-gray-500" />
                     <span className="text-sm text-gray-600 dark:text-gray-400">
-                      {task.estimatedHours}h estimated
+                      {describeRecurrence(task.recurrence)}
                     </span>
                   </div>
                 )}
 
-                {/* Actual Hours */}
-                {task.actualHours && task.actualHours > 0 && (
-                  <div className="flex items-center space-x-2">
-                    <CheckCircle2 className="h-4 w-4 text-green-500 dark:text-green-400" />
-                    <span className="text-sm text-gray-600 dark:text-gray-400">
-                      {task.actualHours}h logged
-                    </span>
-                  </div>
+                {/* Estimated vs. Logged Hours, subtasks included */}
+                <TaskHoursSummary {...getSubtaskRollup(task)} />
+                {taskTimer.error && (
+                  <p className="text-sm text-red-600 dark:text-red-400">{taskTimer.error}</p>
                 )}
 
                 {/* Team */}
@@ -478,6 +488,11 @@ export default function TaskViewModal({
                     </span>
                   </div>
                 )}
+
+                {/* Subtasks, one level deep */}
+                {!task.parentTaskId && (
+                  <TaskSubtasks task={task} onTaskUpdate={onTaskUpdate} />
+                )}
               </div>
 
               {/* Right Column - Description & Chat */}
@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react'
+import { Check, X, ChevronDown, ChevronRight, ClipboardCheck } from 'lucide-react'
+import { format, parseISO } from 'date-fns'
+import { TimesheetPeriod, TimesheetStatus } from '../../types'
+import { timesheetApiService } from '../../services/timesheetApiService'
+import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
+import { formatTimeFromSeconds } from '../../utils'
+import TimesheetStatusBadge from './TimesheetStatusBadge'
+
+interface TimesheetApprovalQueueProps {
+  teamId?: string // Limit the queue to one team's members
+}
+
+// Submitted weeks waiting for review, plus recent decisions. Approved weeks can
+// still be rejected, which unfreezes them for the user
+export default function TimesheetApprovalQueue({ teamId }: TimesheetApprovalQueueProps) {
+  const { currentUser } = useMySQLAuth()
+  const [status, setStatus] = useState<TimesheetStatus>('submitted')
+  const [periods, setPeriods] = useState<TimesheetPeriod[]>([])
+  const [expanded, setExpanded] = useState<TimesheetPeriod | null>(null)
+  const [rejectingId, setRejectingId] = useState<string | null>(null)
+  const [comment, setComment] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [savingId, setSavingId] = useState<string | null>(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadPeriods()
+  }, [status, teamId, currentUser])
+
+  const loadPeriods = async () => {
+    if (!currentUser) return
+    setLoading(true)
+    setError('')
+    try {
+      const data = await timesheetApiService.getPeriods({ status, teamId })
+      // Nobody reviews their own week
+      setPeriods(data.filter(period => period.userId !== currentUser.uid))
+    } catch (err: any) {
+      console.error('Error loading timesheets for approval:', err)
+      setError(err?.message || 'Failed to load timesheets')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleExpanded = async (period: TimesheetPeriod) => {
+    if (expanded?.id === period.id) {
+      setExpanded(null)
+      return
+    }
+    try {
+      setExpanded(await timesheetApiService.getPeriod(period.id))
+    } catch (err: any) {
+      console.error('Error loading timesheet entries:', err)
+      setError(err?.message || 'Failed to load timesheet entries')
+    }
+  }
+
+  const review = async (period: TimesheetPeriod, action: 'approve' | 'reject') => {
+    if (action === 'reject' && !comment.trim()) {
+      setError('Add a comment so the user knows what to fix')
+      return
+    }
+
+    setSavingId(period.id)
+    setError('')
+    try {
+      await timesheetApiService.reviewPeriod(period.id, action, action === 'reject' ? comment.trim() : undefined)
+      setPeriods(prev => prev.filter(p => p.id !== period.id))
+      setRejectingId(null)
+      setComment('')
+      if (expanded?.id === period.id) {
+        setExpanded(null)
+      }
+    } catch (err: any) {
+      console.error('Error reviewing timesheet:', err)
+      setError(err?.message || 'Failed to review timesheet')
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <ClipboardCheck className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Timesheet Approvals</h3>
+        </div>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value as TimesheetStatus)}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm"
+        >
+          <option value="submitted">Awaiting approval</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : periods.length === 0 ? (
+        <p className="py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+          {status === 'submitted' ? 'No timesheets are waiting for approval.' : `No ${status} timesheets.`}
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {periods.map(period => (
+            <div key={period.id} className="border border-gray-200 dark:border-gray-700 rounded-lg">
+              <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4">
+                <button onClick={() => toggleExpanded(period)} className="flex items-center space-x-3 text-left">
+                  {expanded?.id === period.id
+                    ? <ChevronDown className="h-4 w-4 text-gray-500" />
+                    : <ChevronRight className="h-4 w-4 text-gray-500" />}
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-gray-100">{period.userName || period.userEmail}</p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {format(parseISO(period.periodStart), 'MMM d')} – {format(parseISO(period.periodEnd), 'MMM d, yyyy')}
+                      {' · '}{formatTimeFromSeconds(period.totalSeconds)}
+                    </p>
+                  </div>
+                </button>
+                <div className="flex items-center space-x-2">
+                  <TimesheetStatusBadge status={period.status} />
+                  {period.status === 'submitted' && (
+                    <button
+                      onClick={() => review(period, 'approve')}
+                      disabled={savingId === period.id}
+                      className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                    >
+                      <Check className="h-4 w-4" />
+                      <span>Approve</span>
+                    </button>
+                  )}
+                  {(period.status === 'submitted' || period.status === 'approved') && (
+                    <button
+                      onClick={() => {
+                        setRejectingId(rejectingId === period.id ? null : period.id)
+                        setComment('')
+                      }}
+                      disabled={savingId === period.id}
+                      className="flex items-center space-x-1 px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                    >
+                      <X className="h-4 w-4" />
+                      <span>Reject</span>
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {period.reviewComment && (
+                <p className="px-4 pb-3 text-sm text-gray-600 dark:text-gray-400">
+                  {period.reviewedByName || 'Reviewer'}: {period.reviewComment}
+                </p>
+              )}
+
+              {rejectingId === period.id && (
+                <div className="px-4 pb-4 flex items-start space-x-2">
+                  <textarea
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    rows={2}
+                    placeholder="What needs to change?"
+                    className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={() => review(period, 'reject')}
+                    disabled={savingId === period.id || !comment.trim()}
+                    className="px-3 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Send back
+                  </button>
+                </div>
+              )}
+
+              {expanded?.id === period.id && (
+                <div className="border-t border-gray-200 dark:border-gray-700 px-4 py-3">
+                  {(expanded.entries || []).length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No time entries in this week.</p>
+                  ) : (
+                    <table className="min-w-full text-sm">
+                      <tbody>
+                        {(expanded.entries || []).map(entry => (
+                          <tr key={entry.id} className="border-b border-gray-100 dark:border-gray-700 last:border-0">
+                            <td className="py-1.5 pr-4 text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                              {format(new Date(entry.startTime), 'EEE, MMM d HH:mm')}
+                            </td>
+                            <td className="py-1.5 pr-4 text-gray-900 dark:text-gray-100">{entry.projectName || 'No project'}</td>
+                            <td className="py-1.5 pr-4 text-gray-600 dark:text-gray-400">{entry.description}</td>
+                            <td className="py-1.5 text-right text-gray-900 dark:text-gray-100 whitespace-nowrap">
+                              {formatTimeFromSeconds(entry.duration)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,17 @@
+import { TimesheetStatus } from '../../types'
+
+const STATUS_STYLES: Record<TimesheetStatus, { label: string; className: string }> = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200' },
+  submitted: { label: 'Awaiting approval', className: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-100' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100' }
+}
+
+export default function TimesheetStatusBadge({ status }: { status: TimesheetStatus }) {
+  const style = STATUS_STYLES[status]
+  return (
+    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${style.className}`}>
+      {style.label}
+    </span>
+  )
+}
@@ -0,0 +1,429 @@
+import { useState, useEffect, useMemo } from 'react'
+import { ChevronLeft, ChevronRight, Plus, Save, Lock, Play, Send } from 'lucide-react'
+import { format, parseISO } from 'date-fns'
+import { Project, Task, TimesheetWeek, TimesheetCellUpdate } from '../../types'
+import { timesheetApiService } from '../../services/timesheetApiService'
+import { projectApiService } from '../../services/projectApiService'
+import { taskApiService } from '../../services/taskApiService'
+import { useMySQLAuth } from '../../contexts/MySQLAuthContext'
+import { formatTimeFromSeconds } from '../../utils'
+import TimesheetStatusBadge from './TimesheetStatusBadge'
+import { parseHoursInput, formatHoursInput, getWeekStart, shiftWeek } from '../../utils/timesheet'
+
+interface WeeklyTimesheetProps {
+  onSaved?: () => void
+}
+
+interface GridRow {
+  key: string
+  projectId: string | null
+  projectName: string | null
+  taskId: string | null
+  taskTitle: string | null
+}
+
+const rowKey = (projectId: string | null, taskId: string | null) => `${projectId || ''}:${taskId || ''}`
+const cellKey = (row: string, date: string) => `${row}|${date}`
+
+// Week at a time entry: one row per project (and task), one column per day. Typed
+// hours are saved as a batch and the server creates, resizes or deletes entries
+export default function WeeklyTimesheet({ onSaved }: WeeklyTimesheetProps) {
+  const { currentUser } = useMySQLAuth()
+  const [weekStart, setWeekStart] = useState(() => getWeekStart(new Date()))
+  const [week, setWeek] = useState<TimesheetWeek | null>(null)
+  const [addedRows, setAddedRows] = useState<GridRow[]>([])
+  const [drafts, setDrafts] = useState<Record<string, string>>({})
+  const [projects, setProjects] = useState<Project[]>([])
+  const [tasks, setTasks] = useState<Task[]>([])
+  const [newProjectId, setNewProjectId] = useState('')
+  const [newTaskId, setNewTaskId] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  useEffect(() => {
+    if (!currentUser) return
+    const loadProjects = currentUser.companyId
+      ? projectApiService.getProjectsForCompany(currentUser.companyId)
+      : projectApiService.getProjects()
+    loadProjects
+      .then(setProjects)
+      .catch(err => console.error('Error loading projects for timesheet:', err))
+  }, [currentUser])
+
+  useEffect(() => {
+    loadWeek()
+  }, [weekStart])
+
+  useEffect(() => {
+    setNewTaskId('')
+    if (!newProjectId) {
+      setTasks([])
+      return
+    }
+    taskApiService.getTasks(newProjectId)
+      .then(setTasks)
+      .catch(err => console.error('Error loading tasks for timesheet:', err))
+  }, [newProjectId])
+
+  const loadWeek = async () => {
+    setLoading(true)
+    setError('')
+    setSuccess('')
+    try {
+      const data = await timesheetApiService.getWeek(weekStart)
+      setWeek(data)
+      setDrafts({})
+      setAddedRows([])
+    } catch (err: any) {
+      console.error('Error loading timesheet:', err)
+      setError(err?.message || 'Failed to load timesheet')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const rows: GridRow[] = useMemo(() => {
+    const existing = (week?.rows || []).map(row => ({
+      key: rowKey(row.projectId, row.taskId),
+      projectId: row.projectId,
+      projectName: row.projectName,
+      taskId: row.taskId,
+      taskTitle: row.taskTitle
+    }))
+    const keys = new Set(existing.map(row => row.key))
+    return [...existing, ...addedRows.filter(row => !keys.has(row.key))]
+  }, [week, addedRows])
+
+  const getCell = (row: GridRow, date: string) =>
+    week?.rows.find(weekRow => rowKey(weekRow.projectId, weekRow.taskId) === row.key)?.cells[date]
+
+  const getCellSeconds = (row: GridRow, date: string): number => {
+    const draft = drafts[cellKey(row.key, date)]
+    if (draft !== undefined) {
+      const hours = parseHoursInput(draft)
+      return hours === null ? 0 : Math.round(hours * 3600)
+    }
+    return getCell(row, date)?.seconds || 0
+  }
+
+  const dailyTotals = useMemo(() => {
+    const totals: Record<string, number> = {}
+    for (const date of week?.days || []) {
+      totals[date] = rows.reduce((sum, row) => sum + getCellSeconds(row, date), 0)
+    }
+    return totals
+  }, [week, rows, drafts])
+
+  const weekTotal = Object.values(dailyTotals).reduce((sum, seconds) => sum + seconds, 0)
+  const hasChanges = Object.keys(drafts).length > 0
+  // Submitted and approved weeks stay as they are until a reviewer rejects them
+  const isFrozen = week?.period?.status === 'submitted' || week?.period?.status === 'approved'
+  const hasRunningTimer = !!week?.rows.some(row => Object.values(row.cells).some(cell => cell.isRunning))
+
+  const handleAddRow = () => {
+    if (!newProjectId) return
+    const project = projects.find(p => p.id === newProjectId)
+    const task = tasks.find(t => t.id === newTaskId)
+    const key = rowKey(newProjectId, task?.id || null)
+    if (!rows.some(row => row.key === key)) {
+      setAddedRows(prev => [...prev, {
+        key,
+        projectId: newProjectId,
+        projectName: project?.name || null,
+        taskId: task?.id || null,
+        taskTitle: task?.title || null
+      }])
+    }
+    setNewProjectId('')
+  }
+
+  const handleSave = async () => {
+    if (!week) return
+
+    const cells: TimesheetCellUpdate[] = []
+    for (const row of rows) {
+      for (const date of week.days) {
+        const draft = drafts[cellKey(row.key, date)]
+        if (draft === undefined) continue
+
+        const hours = parseHoursInput(draft)
+        if (hours === null) {
+          setError(`"${draft}" on ${format(parseISO(date), 'EEE, MMM d')} is not a valid number of hours`)
+          return
+        }
+        if (Math.round(hours * 3600) !== (getCell(row, date)?.seconds || 0)) {
+          cells.push({ date, projectId: row.projectId, taskId: row.taskId, hours })
+        }
+      }
+    }
+
+    const overfullDay = week.days.find(date => dailyTotals[date] > 24 * 3600)
+    if (overfullDay) {
+      setError(`${format(parseISO(overfullDay), 'EEE, MMM d')} has more than 24 hours`)
+      return
+    }
+
+    if (cells.length === 0) {
+      setDrafts({})
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    setSuccess('')
+    try {
+      const data = await timesheetApiService.saveWeek(week.weekStart, cells)
+      setWeek(data)
+      setDrafts({})
+      setAddedRows([])
+      setSuccess('Timesheet saved')
+      onSaved?.()
+    } catch (err: any) {
+      console.error('Error saving timesheet:', err)
+      setError(err?.message || 'Failed to save timesheet')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSubmit = async () => {
+    if (!week) return
+    if (!window.confirm('Submit this week for approval? You won\'t be able to change it unless it is rejected.')) {
+      return
+    }
+
+    setSubmitting(true)
+    setError('')
+    setSuccess('')
+    try {
+      const period = await timesheetApiService.submitWeek(week.weekStart)
+      setWeek({ ...week, period })
+      setSuccess('Timesheet submitted for approval')
+    } catch (err: any) {
+      console.error('Error submitting timesheet:', err)
+      setError(err?.message || 'Failed to submit timesheet')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const weekLabel = week
+    ? `${format(parseISO(week.days[0]), 'MMM d')} – ${format(parseISO(week.days[6]), 'MMM d, yyyy')}`
+    : ''
+
+  return (
+    <div className="card">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+        <div>
+          <div className="flex items-center space-x-2">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Weekly Timesheet</h2>
+            {week?.period && <TimesheetStatusBadge status={week.period.status} />}
+          </div>
+          {week?.timezone && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">Days follow your timezone: {week.timezone}</p>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setWeekStart(shiftWeek(weekStart, -1))}
+            disabled={saving}
+            className="p-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+            title="Previous week"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300 min-w-[10rem] text-center">{weekLabel}</span>
+          <button
+            onClick={() => setWeekStart(shiftWeek(weekStart, 1))}
+            disabled={saving}
+            className="p-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+            title="Next week"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setWeekStart(getWeekStart(new Date()))}
+            disabled={saving}
+            className="px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+          >
+            This week
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg text-sm">
+          {success}
+        </div>
+      )}
+      {week?.period?.status === 'rejected' && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg text-sm">
+          Rejected by {week.period.reviewedByName || 'a reviewer'}
+          {week.period.reviewComment ? `: ${week.period.reviewComment}` : ''}. Fix the week and submit it again.
+        </div>
+      )}
+      {isFrozen && (
+        <div className="mb-4 bg-gray-50 dark:bg-gray-700/50 text-gray-700 dark:text-gray-300 px-4 py-3 rounded-lg text-sm">
+          {week?.period?.status === 'approved'
+            ? `Approved by ${week.period.reviewedByName || 'a reviewer'}. This week can no longer be changed.`
+            : 'This week is waiting for approval and can\'t be changed.'}
+        </div>
+      )}
+
+      {loading || !week ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="text-left py-2 pr-4 font-medium text-gray-700 dark:text-gray-300">Project / Task</th>
+                  {week.days.map(date => (
+                    <th key={date} className="py-2 px-1 font-medium text-gray-700 dark:text-gray-300 text-center w-20">
+                      {format(parseISO(date), 'EEE d')}
+                    </th>
+                  ))}
+                  <th className="py-2 pl-2 font-medium text-gray-700 dark:text-gray-300 text-right">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.length === 0 && (
+                  <tr>
+                    <td colSpan={week.days.length + 2} className="py-6 text-center text-gray-500 dark:text-gray-400">
+                      No time this week yet. Add a project row to start filling in hours.
+                    </td>
+                  </tr>
+                )}
+                {rows.map(row => (
+                  <tr key={row.key} className="border-b border-gray-100 dark:border-gray-700">
+                    <td className="py-2 pr-4">
+                      <div className="font-medium text-gray-900 dark:text-gray-100">{row.projectName || 'No project'}</div>
+                      {row.taskTitle && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400">{row.taskTitle}</div>
+                      )}
+                    </td>
+                    {week.days.map(date => {
+                      const cell = getCell(row, date)
+                      const key = cellKey(row.key, date)
+                      const readOnly = isFrozen || cell?.isRunning || cell?.isLocked
+                      return (
+                        <td key={date} className="py-2 px-1">
+                          <div className="relative">
+                            <input
+                              type="text"
+                              inputMode="decimal"
+                              value={drafts[key] ?? formatHoursInput(cell?.seconds || 0)}
+                              onChange={(e) => setDrafts(prev => ({ ...prev, [key]: e.target.value }))}
+                              disabled={saving || readOnly}
+                              placeholder="0:00"
+                              title={cell?.isRunning ? 'A timer is running' : cell?.isLocked ? 'Invoiced time cannot be changed' : undefined}
+                              className={`w-full px-2 py-1 text-center border rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:opacity-60 ${
+                                drafts[key] !== undefined && parseHoursInput(drafts[key]) === null
+                                  ? 'border-red-500'
+                                  : 'border-gray-300 dark:border-gray-600'
+                              }`}
+                            />
+                            {cell?.isLocked && <Lock className="absolute right-1 top-1.5 h-3 w-3 text-amber-500" />}
+                            {cell?.isRunning && <Play className="absolute right-1 top-1.5 h-3 w-3 text-green-500" />}
+                          </div>
+                        </td>
+                      )
+                    })}
+                    <td className="py-2 pl-2 text-right font-medium text-gray-900 dark:text-gray-100">
+                      {formatTimeFromSeconds(week.days.reduce((sum, date) => sum + getCellSeconds(row, date), 0))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td className="py-2 pr-4 font-medium text-gray-700 dark:text-gray-300">Daily total</td>
+                  {week.days.map(date => (
+                    <td
+                      key={date}
+                      className={`py-2 px-1 text-center font-medium ${
+                        dailyTotals[date] > 24 * 3600 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-gray-100'
+                      }`}
+                    >
+                      {formatHoursInput(dailyTotals[date]) || '0:00'}
+                    </td>
+                  ))}
+                  <td className="py-2 pl-2 text-right font-semibold text-gray-900 dark:text-gray-100">
+                    {formatTimeFromSeconds(weekTotal)}
+                  </td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          {!isFrozen && (
+            <div className="mt-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+              <div className="flex items-center space-x-2">
+                <select
+                  value={newProjectId}
+                  onChange={(e) => setNewProjectId(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm"
+                >
+                  <option value="">Select project...</option>
+                  {projects.map(project => (
+                    <option key={project.id} value={project.id}>{project.name}</option>
+                  ))}
+                </select>
+                {tasks.length > 0 && (
+                  <select
+                    value={newTaskId}
+                    onChange={(e) => setNewTaskId(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm"
+                  >
+                    <option value="">No task</option>
+                    {tasks.map(task => (
+                      <option key={task.id} value={task.id}>{task.title}</option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  onClick={handleAddRow}
+                  disabled={!newProjectId}
+                  className="flex items-center space-x-1 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Plus className="h-4 w-4" />
+                  <span>Add row</span>
+                </button>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={handleSubmit}
+                  disabled={saving || submitting || hasChanges || hasRunningTimer || weekTotal === 0}
+                  title={hasChanges ? 'Save your changes first' : hasRunningTimer ? 'Stop the running timer first' : undefined}
+                  className="flex items-center justify-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <Send className="h-4 w-4" />
+                  <span>{submitting ? 'Submitting...' : 'Submit for Approval'}</span>
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={saving || !hasChanges}
+                  className="flex items-center justify-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <Save className="h-4 w-4" />
+                  <span>{saving ? 'Saving...' : 'Save Timesheet'}</span>
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -3,6 +3,10 @@ import { useMySQLAuth } from './MySQLAuthContext'
 import { playNotificationSound, playMentionSound } from '../utils/soundUtils'
 import { soundManager } from '../utils/soundManager'
 import MentionNotificationService from '../services/mentionNotificationService'
+import { notificationApiService } from '../services/notificationApiService'
+
+// How often notifications stored by the API (e.g. budget alerts) are refreshed
+const SERVER_NOTIFICATION_POLL_MS = 60000
 
 export interface Notification {
   id: string
@@ -41,6 +45,7 @@ interface NotificationProviderProps {
 
 export function NotificationProvider({ children }: NotificationProviderProps) {
   const [notifications, setNotifications] = useState<Notification[]>([])
+  const [serverNotifications, setServerNotifications] = useState<Notification[]>([])
   const { currentUser } = useMySQLAuth()
   
   // Debounce timer for sound notifications
@@ -126,6 +131,37 @@ export function NotificationProvider({ children }: NotificationProviderProps) {
     }
   }, [currentUser])
 
+  // Load notifications stored by the API
+  useEffect(() => {
+    if (!currentUser) {
+      setServerNotifications([])
+      return
+    }
+
+    const loadServerNotifications = async () => {
+      try {
+        const data = await notificationApiService.getNotifications()
+        setServerNotifications(data.map(notification => ({
+          id: notification.id,
+          title: notification.title,
+          message: notification.message || '',
+          type: notification.type,
+          timestamp: new Date(notification.createdAt),
+          isRead: notification.isRead,
+          actionUrl: notification.actionUrl || undefined
+        })))
+      } catch (error) {
+        console.error('Error loading notifications:', error)
+      }
+    }
+
+    loadServerNotifications()
+    const interval = setInterval(loadServerNotifications, SERVER_NOTIFICATION_POLL_MS)
+    return () => clearInterval(interval)
+  }, [currentUser])
+
+  const isServerNotification = (id: string) => serverNotifications.some(n => n.id === id)
+
   // Save notifications to localStorage for offline access
   useEffect(() => {
     if (currentUser && notifications.length > 0) {
@@ -177,6 +213,12 @@ export function NotificationProvider({ children }: NotificationProviderProps) {
   }
 
   const markAsRead = (id: string) => {
+    if (isServerNotification(id)) {
+      setServerNotifications(prev => prev.map(n => (n.id === id ? { ...n, isRead: true } : n)))
+      notificationApiService.markAsRead(id).catch(error => console.error('Error marking notification as read:', error))
+      return
+    }
+
     setNotifications(prev =>
       prev.map(notification =>
         notification.id === id
@@ -198,6 +240,8 @@ export function NotificationProvider({ children }: NotificationProviderProps) {
     setNotifications(prev =>
       prev.map(notification => ({ ...notification, isRead: true }))
     )
+    setServerNotifications(prev => prev.map(notification => ({ ...notification, isRead: true })))
+    notificationApiService.markAllAsRead().catch(error => console.error('Error marking notifications as read:', error))
     
     // Also mark all as read in Firebase
     if (currentUser) {
@@ -206,11 +250,18 @@ export function NotificationProvider({ children }: NotificationProviderProps) {
   }
 
   const removeNotification = (id: string) => {
+    if (isServerNotification(id)) {
+      setServerNotifications(prev => prev.filter(notification => notification.id !== id))
+      notificationApiService.deleteNotification(id).catch(error => console.error('Error deleting notification:', error))
+      return
+    }
     setNotifications(prev => prev.filter(notification => notification.id !== id))
   }
 
   const clearAllNotifications = () => {
     setNotifications([])
+    setServerNotifications([])
+    notificationApiService.clearNotifications().catch(error => console.error('Error clearing notifications:', error))
     if (currentUser) {
       localStorage.removeItem(`notifications_${currentUser.uid}`)
     }
@@ -263,11 +314,14 @@ export function NotificationProvider({ children }: NotificationProviderProps) {
     localStorage.setItem(`welcome_notifications_${currentUser.uid}`, 'true')
   }
 
+  const allNotifications = [...serverNotifications, ...notifications]
+    .sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime())
+
   // Calculate unread count
-  const unreadCount = notifications.filter(n => !n.isRead).length
+  const unreadCount = allNotifications.filter(n => !n.isRead).length
 
   const value = {
-    notifications,
+    notifications: allNotifications,
     unreadCount,
     addNotification,
     markAsRead,
@@ -0,0 +1,28 @@
+import { getIdlePeriod } from './useIdleDetection'
+
+const MINUTE = 60 * 1000
+
+describe('getIdlePeriod', () => {
+  const lastActivity = new Date('2024-03-04T12:00:00Z').getTime()
+
+  it('returns nothing when the user is back within the timeout', () => {
+    expect(getIdlePeriod(lastActivity, lastActivity + 9 * MINUTE, 10)).toBeNull()
+  })
+
+  it('returns the span since the last activity once the timeout has passed', () => {
+    const period = getIdlePeriod(lastActivity, lastActivity + 45 * MINUTE, 10)
+
+    expect(period).toEqual({
+      start: new Date('2024-03-04T12:00:00Z'),
+      end: new Date('2024-03-04T12:45:00Z')
+    })
+  })
+
+  it('treats exactly the timeout as idle', () => {
+    expect(getIdlePeriod(lastActivity, lastActivity + 10 * MINUTE, 10)).not.toBeNull()
+  })
+
+  it('never reports idle time when detection is turned off', () => {
+    expect(getIdlePeriod(lastActivity, lastActivity + 240 * MINUTE, 0)).toBeNull()
+  })
+})
@@ -0,0 +1,63 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+
+export interface IdlePeriod {
+  start: Date
+  end: Date
+}
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'] as const
+
+// The time the user was away, or null when they came back within the timeout
+export const getIdlePeriod = (lastActivity: number, now: number, timeoutMinutes: number): IdlePeriod | null => {
+  if (timeoutMinutes <= 0 || now - lastActivity < timeoutMinutes * 60 * 1000) {
+    return null
+  }
+  return { start: new Date(lastActivity), end: new Date(now) }
+}
+
+// Reports an idle period once the user returns after at least timeoutMinutes with no
+// input or with the tab hidden. Nothing is reported while they are still away, so the
+// prompt only ever shows to someone who is there to answer it
+export const useIdleDetection = (timeoutMinutes: number, enabled = true) => {
+  const [idlePeriod, setIdlePeriod] = useState<IdlePeriod | null>(null)
+  const lastActivityRef = useRef(Date.now())
+
+  useEffect(() => {
+    if (!enabled || timeoutMinutes <= 0) {
+      return
+    }
+
+    lastActivityRef.current = Date.now()
+
+    const handleActivity = () => {
+      const now = Date.now()
+      const period = getIdlePeriod(lastActivityRef.current, now, timeoutMinutes)
+      if (period) {
+        // Keep the first period if the user wanders off again before answering
+        setIdlePeriod(current => current ?? period)
+      }
+      lastActivityRef.current = now
+    }
+
+    // A hidden tab gets no input, so the idle time runs from when it was hidden
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        lastActivityRef.current = Date.now()
+      } else {
+        handleActivity()
+      }
+    }
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }))
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity))
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [enabled, timeoutMinutes])
+
+  const dismiss = useCallback(() => setIdlePeriod(null), [])
+
+  return { idlePeriod, dismiss }
+}
@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Task } from '../types'
+import { offlineTimeEntryService } from '../services/offlineTimeEntryService'
+import { useMySQLAuth } from '../contexts/MySQLAuthContext'
+
+// Starts and stops timers linked to a task. Only one timer runs at a time, so
+// starting one on a task stops whatever was running before
+export const useTaskTimer = () => {
+  const { currentUser } = useMySQLAuth()
+  const [runningEntryId, setRunningEntryId] = useState<string | null>(null)
+  const [runningTaskId, setRunningTaskId] = useState<string | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const refresh = useCallback(async () => {
+    if (!currentUser) return
+    try {
+      const entry = await offlineTimeEntryService.getRunningTimeEntry(currentUser.uid)
+      setRunningEntryId(entry?.id || null)
+      setRunningTaskId(entry?.taskId || null)
+    } catch (err) {
+      console.error('Error checking running timer:', err)
+    }
+  }, [currentUser])
+
+  useEffect(() => {
+    refresh()
+    // The time tracker and other task views announce timer changes
+    window.addEventListener('runningTimerChange', refresh)
+    return () => window.removeEventListener('runningTimerChange', refresh)
+  }, [refresh])
+
+  const startTimer = async (task: Task) => {
+    if (!currentUser) return
+    setLoading(true)
+    setError('')
+    try {
+      if (runningEntryId) {
+        await offlineTimeEntryService.stopTimeEntry(runningEntryId, currentUser.uid)
+      }
+      await offlineTimeEntryService.createTimeEntry(
+        { taskId: task.id, description: task.title, tags: [] },
+        currentUser.uid,
+        task.projectName,
+        currentUser.companyId
+      )
+      window.dispatchEvent(new CustomEvent('runningTimerChange'))
+    } catch (err: any) {
+      console.error('Error starting task timer:', err)
+      setError(err?.message || 'Failed to start timer')
+      await refresh()
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const stopTimer = async () => {
+    if (!currentUser || !runningEntryId) return
+    setLoading(true)
+    setError('')
+    try {
+      await offlineTimeEntryService.stopTimeEntry(runningEntryId, currentUser.uid)
+      window.dispatchEvent(new CustomEvent('runningTimerChange'))
+    } catch (err: any) {
+      console.error('Error stopping task timer:', err)
+      setError(err?.message || 'Failed to stop timer')
+      await refresh()
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return { runningTaskId, startTimer, stopTimer, loading, error }
+}
@@ -385,14 +385,7 @@ async function migrateTasks(connection, tasks, users, projects, teams, companies
     task.projectId,
     task.projectName || null,
     task.statusId || null,
-    task.statusName || null,
-    task.statusColor || null,
-    task.statusOrder !== undefined ? task.statusOrder : null,
-    task.statusIsCompleted !== undefined ? task.statusIsCompleted : false,
     task.priorityId || null,
-    task.priorityName || null,
-    task.priorityColor || null,
-    task.priorityLevel !== undefined ? task.priorityLevel : null,
     task.assigneeId || null,
     task.assigneeName || null,
     task.assigneeEmail || null,
@@ -413,10 +406,8 @@ async function migrateTasks(connection, tasks, users, projects, teams, companies
   if (tasksArray.length > 0) {
     const insertSql = `
       INSERT INTO tasks (
-        id, title, description, notes, project_id, project_name, status_id, status_name,
-        status_color, status_order, status_is_completed, priority_id, priority_name,
-        priority_color, priority_level, assignee_id, assignee_name, assignee_email,
-        due_date, estimated_hours, actual_hours, is_completed, completed_at, created_by,
+        id, title, description, notes, project_id, project_name, status_id, priority_id,
+        assignee_id, assignee_name, assignee_email, due_date, estimated_hours, actual_hours, is_completed, completed_at, created_by,
         created_by_name, created_at, updated_at, parent_task_id, team_id, company_id
       )
       VALUES ?
@@ -427,14 +418,7 @@ async function migrateTasks(connection, tasks, users, projects, teams, companies
         project_id = VALUES(project_id),
         project_name = VALUES(project_name),
         status_id = VALUES(status_id),
-        status_name = VALUES(status_name),
-        status_color = VALUES(status_color),
-        status_order = VALUES(status_order),
-        status_is_completed = VALUES(status_is_completed),
         priority_id = VALUES(priority_id),
-        priority_name = VALUES(priority_name),
-        priority_color = VALUES(priority_color),
-        priority_level = VALUES(priority_level),
         assignee_id = VALUES(assignee_id),
         assignee_name = VALUES(assignee_name),
         assignee_email = VALUES(assignee_email),
@@ -24,12 +24,14 @@ import {
   User as UserIcon,
   StopCircle,
   Info,
-  RefreshCw
+  RefreshCw,
+  ClipboardCheck
 } from 'lucide-react'
 import { format, parseISO, isValid, startOfWeek, endOfWeek, startOfMonth, endOfMonth, addDays, eachDayOfInterval } from 'date-fns'
 import { useMySQLAuth } from '../contexts/MySQLAuthContext'
 // Replace the direct MySQL service imports with API service imports
 import { adminUsersAPI as userService } from '../services/adminApiService'
+import { userApiService } from '../services/userApiService'
 import { adminTimeEntriesAPI as timeEntryService } from '../services/adminApiService'
 import { adminProjectsAPI as projectService } from '../services/adminApiService'
 import { adminClientsAPI as clientService } from '../services/adminApiService'
@@ -41,6 +43,7 @@ import UserCreateModal from '../components/admin/UserCreateModal'
 import UserEditModal from '../components/admin/UserEditModal'
 import StopTimerModal from '../components/admin/StopTimerModal'
 import SimpleChart from '../components/charts/SimpleChart'
+import TimesheetApprovalQueue from '../components/timesheet/TimesheetApprovalQueue'
 import { formatDurationToHHMMSS } from '../utils'
 import { getRoleDisplayName, canAccessFeature } from '../utils/permissions'
 
@@ -77,7 +80,7 @@ export default function AdminDashboard() {
   const [dateFilter, setDateFilter] = useState<'week' | 'month' | 'all' | 'custom'>('week')
   const [customStartDate, setCustomStartDate] = useState('')
   const [customEndDate, setCustomEndDate] = useState('')
-  const [activeTab, setActiveTab] = useState<'overview' | 'users' | 'time-entries' | 'projects' | 'billing'>('overview')
+  const [activeTab, setActiveTab] = useState<'overview' | 'users' | 'time-entries' | 'projects' | 'approvals' | 'billing'>('overview')
   const [selectedUserForDetails, setSelectedUserForDetails] = useState<UserType | null>(null)
   const [isUserDetailsModalOpen, setIsUserDetailsModalOpen] = useState(false)
   const [editingUser, setEditingUser] = useState<UserType | null>(null)
@@ -565,6 +568,17 @@ export default function AdminDashboard() {
             <FolderOpen className="h-4 w-4 inline mr-2" />
             Projects ({projects.length})
           </button>
+          <button
+            onClick={() => setActiveTab('approvals')}
+            className={`whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'approvals'
+                ? 'border-primary-500 text-primary-600 dark:text-primary-400 dark:border-primary-400'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 dark:text-gray-400 dark:hover:text-gray-300'
+            }`}
+          >
+            <ClipboardCheck className="h-4 w-4 inline mr-2" />
+            Approvals
+          </button>
         </nav>
       </div>
 
@@ -1109,6 +1123,9 @@ export default function AdminDashboard() {
         </div>
       )}
 
+      {/* Approvals Tab */}
+      {activeTab === 'approvals' && <TimesheetApprovalQueue />}
+
       {/* Projects Tab */}
       {activeTab === 'projects' && (
         <div className="space-y-6">
@@ -1206,6 +1223,9 @@ export default function AdminDashboard() {
           try {
             // Update user in database
             await userService.updateUser(updatedUser.id, updatedUser)
+            if (updatedUser.costRate !== undefined && updatedUser.costRate !== editingUser?.costRate) {
+              await userApiService.updateUserProfile(updatedUser.id, { costRate: updatedUser.costRate })
+            }
             
             // Update user in state
             setUsers(users.map(user => 
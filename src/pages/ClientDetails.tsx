@@ -19,7 +19,8 @@ import { useMySQLAuth } from '../contexts/MySQLAuthContext'
 import { projectService } from '../services/projectService'
 import { timeEntryService } from '../services/timeEntryService'
 import { userService } from '../services/userService'
-import { Client, Project, TimeEntry, User } from '../types'
+import { invoiceApiService } from '../services/invoiceApiService'
+import { Client, ClientBalance, Project, TimeEntry, User } from '../types'
 import { canViewHourlyRates } from '../utils/permissions'
 import { formatSecondsToHHMMSS, formatCurrency } from '../utils'
 
@@ -40,6 +41,7 @@ export default function ClientDetails() {
   const [timeEntries, setTimeEntries] = useState<TimeEntry[]>([])
   const [filteredTimeEntries, setFilteredTimeEntries] = useState<TimeEntry[]>([])
   const [users, setUsers] = useState<User[]>([])
+  const [balances, setBalances] = useState<ClientBalance[]>([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   
@@ -71,6 +73,13 @@ export default function ClientDetails() {
       }
       setClient(clientData)
 
+      // Outstanding balance across sent and partially paid invoices
+      try {
+        setBalances(await invoiceApiService.getClientBalance(clientId))
+      } catch (error) {
+        console.error('Error loading client balance:', error)
+      }
+
       // Load projects for this client
       const projectsData = await projectService.getProjects()
       const clientProjects = projectsData.filter(project => project.clientId === clientId)
@@ -339,6 +348,27 @@ export default function ClientDetails() {
                       <span className="font-semibold text-gray-900 dark:text-gray-100">--</span>
                     )}
                   </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-500 dark:text-gray-400">Outstanding Balance</span>
+                    {currentUser && canViewHourlyRates(currentUser.role) ? (
+                      <div className="text-right">
+                        {balances.length === 0 ? (
+                          <span className="font-semibold text-gray-900 dark:text-gray-100">{formatCurrency(0, client.currency)}</span>
+                        ) : balances.map(balance => (
+                          <div key={balance.currency}>
+                            <span className="font-semibold text-gray-900 dark:text-gray-100">{formatCurrency(balance.outstanding, balance.currency)}</span>
+                            {balance.overdue > 0 && (
+                              <span className="block text-xs text-red-600 dark:text-red-400">
+                                {formatCurrency(balance.overdue, balance.currency)} overdue
+                              </span>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <span className="font-semibold text-gray-900 dark:text-gray-100">--</span>
+                    )}
+                  </div>
                   {(client.clientType || 'full-time') === 'custom' && client.hoursPerWeek && (
                     <div className="flex justify-between">
                       <span className="text-gray-500 dark:text-gray-400">Hours/Week</span>
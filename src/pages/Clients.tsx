@@ -26,7 +26,7 @@ import { timeEntryService } from '../services/timeEntryService'
 import { clientApiService } from '../services/clientApiService'
 import { projectApiService } from '../services/projectApiService'
 import { timeEntryApiService } from '../services/timeEntryApiService'
-import { Client, Project, TimeEntry, PDFSettings } from '../types'
+import { Client, Project, TimeEntry, PDFSettings, TimeTrackingSettings } from '../types'
 import ClientModal from '../components/projects/ClientModal'
 import ExportModal from '../components/projects/ExportModal'
 import SimpleChart from '../components/charts/SimpleChart'
@@ -34,6 +34,7 @@ import { canViewHourlyRates } from '../utils/permissions'
 import { canAccessFeature } from '../utils/permissions'
 import { generateClientReportPDF, generateIndividualClientPDF } from '../utils/pdfExport'
 import { formatSecondsToHHMMSS, formatCurrency } from '../utils'
+import { resolveRoundingRule, getBillableSeconds } from '../utils/billingRounding'
 
 // Add helper functions for date formatting and parsing
 const formatDateForInput = (date: Date): string => {
@@ -100,6 +101,8 @@ export default function Clients() {
   
   // PDF settings state
   const [pdfSettings, setPdfSettings] = useState<PDFSettings | null>(null)
+  // Company rounding rule for billable amounts
+  const [timeSettings, setTimeSettings] = useState<TimeTrackingSettings | null>(null)
   
   // Chart ref for PDF export
   const chartRef = useRef<HTMLDivElement>(null)
@@ -107,6 +110,9 @@ export default function Clients() {
   useEffect(() => {
     loadClients()
     loadPDFSettings() // Load PDF settings when component mounts
+    timeEntryApiService.getTimeSettings()
+      .then(setTimeSettings)
+      .catch(error => console.error('Error loading time settings:', error))
   }, [currentCompany])
 
   useEffect(() => {
@@ -284,6 +290,17 @@ export default function Clients() {
     }
   }
 
+  // Amounts bill each entry's rounded time; tracked time stays exact
+  const getBilledSeconds = (entries: TimeEntry[], client: Client) => {
+    const rule = resolveRoundingRule(timeSettings, client)
+    return entries.reduce((sum, entry) => sum + getBillableSeconds(entry.duration, rule), 0)
+  }
+
+  const getEntryClient = (entry: TimeEntry) => {
+    const clientId = entry.clientId || projects.find(project => project.id === entry.projectId)?.clientId
+    return clients.find(client => client.id === clientId) || null
+  }
+
   const getClientTimeData = (client: Client) => {
     // Get projects for this client
     const clientProjects = projects.filter(project => project.clientId === client.id)
@@ -295,7 +312,7 @@ export default function Clients() {
 
     const totalSeconds = clientTimeEntries.reduce((sum, entry) => sum + entry.duration, 0)
     const totalHours = totalSeconds / 3600
-    const billableAmount = totalHours * (client.hourlyRate || 0)
+    const billableAmount = (getBilledSeconds(clientTimeEntries, client) / 3600) * (client.hourlyRate || 0)
 
     return {
       totalHours,
@@ -454,7 +471,7 @@ export default function Clients() {
         const clientTimeData = (() => {
           const totalSeconds = filteredClientTimeEntries.reduce((sum, entry) => sum + entry.duration, 0)
           const totalHours = totalSeconds / 3600
-          const billableAmount = totalHours * (exportClient.hourlyRate || 0)
+          const billableAmount = (getBilledSeconds(filteredClientTimeEntries, exportClient) / 3600) * (exportClient.hourlyRate || 0)
           
           return {
             totalHours,
@@ -476,6 +493,7 @@ export default function Clients() {
         console.log('Daily time data for client:', exportClient.name, dailyTimeData)
 
         // Prepare time entries data for PDF
+        const roundingRule = resolveRoundingRule(timeSettings, exportClient)
         const timeEntriesForPDF = filteredClientTimeEntries.map((entry: TimeEntry) => ({
           id: entry.id,
           description: entry.description || '',
@@ -485,6 +503,7 @@ export default function Clients() {
           endTime: entry.endTime,
           duration: entry.duration,
           formattedDuration: formatDurationToHHMMSS(entry.duration),
+          formattedBillableDuration: formatDurationToHHMMSS(getBillableSeconds(entry.duration, roundingRule)),
           isBillable: entry.isBillable
         }))
 
@@ -575,6 +594,9 @@ export default function Clients() {
           endTime: entry.endTime,
           duration: entry.duration,
           formattedDuration: formatDurationToHHMMSS(entry.duration),
+          formattedBillableDuration: formatDurationToHHMMSS(
+            getBillableSeconds(entry.duration, resolveRoundingRule(timeSettings, getEntryClient(entry)))
+          ),
           isBillable: entry.isBillable
         }))
 
@@ -652,7 +674,7 @@ export default function Clients() {
 
       const totalSeconds = clientTimeEntries.reduce((sum, entry) => sum + entry.duration, 0)
       const totalHours = totalSeconds / 3600
-      const billableAmount = totalHours * (client.hourlyRate || 0)
+      const billableAmount = (getBilledSeconds(clientTimeEntries, client) / 3600) * (client.hourlyRate || 0)
 
       return {
         name: client.name,
@@ -695,7 +717,7 @@ export default function Clients() {
 
       const totalSeconds = clientTimeEntries.reduce((sum, entry) => sum + entry.duration, 0)
       const totalHours = totalSeconds / 3600
-      const billableAmount = totalHours * (client.hourlyRate || 0)
+      const billableAmount = (getBilledSeconds(clientTimeEntries, client) / 3600) * (client.hourlyRate || 0)
       
       return sum + billableAmount
     }, 0)
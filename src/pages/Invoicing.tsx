@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { 
   FileText, 
@@ -8,74 +8,118 @@ import {
   Download, 
   Eye, 
   Send, 
-  MoreVertical,
-  Calendar,
-  DollarSign,
-  User,
+  Trash2,
   Building2,
   CheckCircle,
-  Clock,
-  XCircle
+  XCircle,
+  CreditCard,
+  CircleDollarSign
 } from 'lucide-react'
+import { useMySQLAuth } from '../contexts/MySQLAuthContext'
+import { invoiceApiService } from '../services/invoiceApiService'
+import { clientApiService } from '../services/clientApiService'
+import { generateInvoicePDF } from '../utils/pdfExport'
+import PaymentModal from '../components/invoicing/PaymentModal'
+import { Invoice } from '../types'
+import { formatCurrency, formatRelativeTime } from '../utils'
 
 export default function Invoicing() {
   const navigate = useNavigate()
+  const { currentUser, currentCompany } = useMySQLAuth()
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
   
-  // Mock data for invoices
-  const invoices = [
-    {
-      id: 'INV-001',
-      client: 'Acme Corporation',
-      clientEmail: 'contact@acme.com',
-      date: '2023-05-15',
-      dueDate: '2023-06-15',
-      amount: 2450.00,
-      status: 'paid',
-      project: 'Website Redesign'
-    },
-    {
-      id: 'INV-002',
-      client: 'Globex Inc.',
-      clientEmail: 'billing@globex.com',
-      date: '2023-05-20',
-      dueDate: '2023-06-20',
-      amount: 1875.50,
-      status: 'sent',
-      project: 'Mobile App Development'
-    },
-    {
-      id: 'INV-003',
-      client: 'Stark Industries',
-      clientEmail: 'accounts@starkindustries.com',
-      date: '2023-05-25',
-      dueDate: '2023-06-25',
-      amount: 3200.00,
-      status: 'draft',
-      project: 'API Integration'
-    },
-    {
-      id: 'INV-004',
-      client: 'Wayne Enterprises',
-      clientEmail: 'finance@wayne.com',
-      date: '2023-04-10',
-      dueDate: '2023-05-10',
-      amount: 5600.75,
-      status: 'overdue',
-      project: 'Cloud Migration'
-    },
-    {
-      id: 'INV-005',
-      client: 'Umbrella Corp',
-      clientEmail: 'billing@umbrella.com',
-      date: '2023-05-28',
-      dueDate: '2023-06-28',
-      amount: 1250.25,
-      status: 'sent',
-      project: 'Security Audit'
+  const [invoices, setInvoices] = useState<Invoice[]>([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+  const [paymentInvoice, setPaymentInvoice] = useState<Invoice | null>(null)
+
+  const loadInvoices = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await invoiceApiService.getInvoices()
+      setInvoices(data)
+    } catch (err: any) {
+      console.error('Error loading invoices:', err)
+      setError(err?.message || 'Failed to load invoices')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadInvoices()
+  }, [currentUser?.companyId])
+
+  const handleDownload = async (invoice: Invoice) => {
+    try {
+      const [fullInvoice, clients] = await Promise.all([
+        invoiceApiService.getInvoice(invoice.id),
+        clientApiService.getClients()
+      ])
+      const client = clients.find(c => c.id === fullInvoice.clientId)
+
+      await generateInvoicePDF({
+        invoiceNumber: fullInvoice.invoiceNumber,
+        issueDate: fullInvoice.issueDate,
+        dueDate: fullInvoice.dueDate,
+        periodStart: fullInvoice.periodStart,
+        periodEnd: fullInvoice.periodEnd,
+        currency: fullInvoice.currency,
+        lineItems: fullInvoice.lineItems || [],
+        subtotal: fullInvoice.subtotal,
+        discount: fullInvoice.discountAmount > 0
+          ? {
+              label: fullInvoice.discountType === 'percentage' ? `Discount (${fullInvoice.discountValue}%)` : 'Discount',
+              amount: fullInvoice.discountAmount
+            }
+          : null,
+        taxLines: (fullInvoice.taxes || []).map(tax => ({ name: tax.name, rate: tax.rate, amount: tax.amount })),
+        total: fullInvoice.total,
+        notes: fullInvoice.notes,
+        billFrom: {
+          name: currentCompany?.pdfSettings?.companyName || currentCompany?.name || 'NexiFlow'
+        },
+        billTo: {
+          name: fullInvoice.clientName || client?.name || 'Client',
+          email: fullInvoice.clientEmail || client?.email,
+          phone: client?.phone,
+          address: client?.address
+        },
+        pdfSettings: currentCompany?.pdfSettings
+      })
+    } catch (err: any) {
+      console.error('Error generating invoice PDF:', err)
+      alert(err?.message || 'Failed to generate invoice PDF')
     }
-  ]
+  }
+
+  const handleMarkSent = async (invoice: Invoice) => {
+    try {
+      await invoiceApiService.updateInvoice(invoice.id, { status: 'sent' })
+      await loadInvoices()
+    } catch (err: any) {
+      console.error('Error sending invoice:', err)
+      alert(err?.message || 'Failed to send invoice')
+    }
+  }
+
+  const handleDelete = async (invoice: Invoice) => {
+    if (!confirm(`Delete draft invoice ${invoice.invoiceNumber}? Its time entries can then be invoiced again.`)) {
+      return
+    }
+    try {
+      await invoiceApiService.deleteInvoice(invoice.id)
+      await loadInvoices()
+    } catch (err: any) {
+      console.error('Error deleting invoice:', err)
+      alert(err?.message || 'Failed to delete invoice')
+    }
+  }
+
+  // The server flags open invoices past their due date as overdue
+  const getDisplayStatus = (invoice: Invoice) => (invoice.isOverdue ? 'overdue' : invoice.status)
 
   const getStatusBadge = (status: string) => {
     switch (status) {
@@ -87,6 +131,10 @@ export default function Invoicing() {
         return <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-100">
           <Send className="h-3 w-3 mr-1" /> Sent
         </span>
+      case 'partially_paid':
+        return <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100">
+          <CircleDollarSign className="h-3 w-3 mr-1" /> Partially Paid
+        </span>
       case 'paid':
         return <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100">
           <CheckCircle className="h-3 w-3 mr-1" /> Paid
@@ -95,6 +143,10 @@ export default function Invoicing() {
         return <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100">
           <XCircle className="h-3 w-3 mr-1" /> Overdue
         </span>
+      case 'cancelled':
+        return <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-500 dark:bg-gray-700 dark:text-gray-400">
+          <XCircle className="h-3 w-3 mr-1" /> Cancelled
+        </span>
       default:
         return <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">
           {status}
@@ -103,19 +155,25 @@ export default function Invoicing() {
   }
 
   const filteredInvoices = invoices.filter(invoice => {
-    const matchesSearch = invoice.client.toLowerCase().includes(searchTerm.toLowerCase()) || 
-                         invoice.id.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         invoice.project.toLowerCase().includes(searchTerm.toLowerCase())
+    const term = searchTerm.toLowerCase()
+    const matchesSearch = (invoice.clientName || '').toLowerCase().includes(term) || 
+                         invoice.invoiceNumber.toLowerCase().includes(term) ||
+                         invoice.projectNames.some(name => name.toLowerCase().includes(term))
     
-    const matchesStatus = statusFilter === 'all' || invoice.status === statusFilter
+    const matchesStatus = statusFilter === 'all' ||
+      (statusFilter === 'overdue' ? invoice.isOverdue : invoice.status === statusFilter)
     
     return matchesSearch && matchesStatus
   })
 
   const totalInvoices = invoices.length
   const paidInvoices = invoices.filter(i => i.status === 'paid').length
-  const pendingInvoices = invoices.filter(i => i.status === 'sent').length
-  const overdueInvoices = invoices.filter(i => i.status === 'overdue').length
+  const pendingInvoices = invoices.filter(i => (i.status === 'sent' || i.status === 'partially_paid') && !i.isOverdue).length
+  const overdueInvoices = invoices.filter(i => i.isOverdue).length
+
+  const recentInvoices = [...invoices]
+    .sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime())
+    .slice(0, 5)
 
   return (
     <div className="p-6">
@@ -200,8 +258,10 @@ export default function Invoicing() {
                 <option value="all">All Statuses</option>
                 <option value="draft">Draft</option>
                 <option value="sent">Sent</option>
+                <option value="partially_paid">Partially Paid</option>
                 <option value="paid">Paid</option>
                 <option value="overdue">Overdue</option>
+                <option value="cancelled">Cancelled</option>
               </select>
             </div>
           </div>
@@ -241,8 +301,8 @@ export default function Invoicing() {
               {filteredInvoices.map((invoice) => (
                 <tr key={invoice.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm font-medium text-gray-900 dark:text-white">{invoice.id}</div>
-                    <div className="text-sm text-gray-500 dark:text-gray-400">{invoice.project}</div>
+                    <div className="text-sm font-medium text-gray-900 dark:text-white">{invoice.invoiceNumber}</div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">{invoice.projectNames.join(', ') || 'No project'}</div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="flex items-center">
@@ -250,34 +310,67 @@ export default function Invoicing() {
                         <Building2 className="h-5 w-5 text-gray-600 dark:text-gray-300" />
                       </div>
                       <div className="ml-4">
-                        <div className="text-sm font-medium text-gray-900 dark:text-white">{invoice.client}</div>
+                        <div className="text-sm font-medium text-gray-900 dark:text-white">{invoice.clientName || 'Unknown client'}</div>
                         <div className="text-sm text-gray-500 dark:text-gray-400">{invoice.clientEmail}</div>
                       </div>
                     </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-                    {new Date(invoice.date).toLocaleDateString()}
+                    {new Date(invoice.issueDate).toLocaleDateString()}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-                    {new Date(invoice.dueDate).toLocaleDateString()}
+                    {invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString() : '—'}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
-                    ${invoice.amount.toFixed(2)}
+                    {formatCurrency(invoice.total, invoice.currency)}
+                    <div className="text-xs font-normal text-gray-500 dark:text-gray-400">
+                      {invoice.status === 'partially_paid'
+                        ? `${formatCurrency(invoice.balanceDue, invoice.currency)} due`
+                        : `${invoice.totalHours.toFixed(2)} hours`}
+                    </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
-                    {getStatusBadge(invoice.status)}
+                    {getStatusBadge(getDisplayStatus(invoice))}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                     <div className="flex space-x-2">
                       <button className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300">
                         <Eye className="h-5 w-5" />
                       </button>
-                      <button className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300">
+                      <button
+                        onClick={() => handleDownload(invoice)}
+                        title="Download PDF"
+                        className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300"
+                      >
                         <Download className="h-5 w-5" />
                       </button>
-                      <button className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300">
-                        <MoreVertical className="h-5 w-5" />
-                      </button>
+                      {['sent', 'partially_paid', 'paid'].includes(invoice.status) && (
+                        <button
+                          onClick={() => setPaymentInvoice(invoice)}
+                          title={invoice.status === 'paid' ? 'View payments' : 'Record payment'}
+                          className="text-green-600 hover:text-green-900 dark:text-green-400 dark:hover:text-green-300"
+                        >
+                          <CreditCard className="h-5 w-5" />
+                        </button>
+                      )}
+                      {invoice.status === 'draft' && (
+                        <>
+                          <button
+                            onClick={() => handleMarkSent(invoice)}
+                            title="Mark as sent"
+                            className="text-blue-600 hover:text-blue-900 dark:text-blue-400 dark:hover:text-blue-300"
+                          >
+                            <Send className="h-5 w-5" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(invoice)}
+                            title="Delete draft"
+                            className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                          >
+                            <Trash2 className="h-5 w-5" />
+                          </button>
+                        </>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -286,12 +379,26 @@ export default function Invoicing() {
           </table>
         </div>
         
-        {filteredInvoices.length === 0 && (
+        {loading && (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+          </div>
+        )}
+
+        {!loading && error && (
+          <div className="text-center py-12">
+            <XCircle className="mx-auto h-12 w-12 text-red-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-white">Could not load invoices</h3>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">{error}</p>
+          </div>
+        )}
+
+        {!loading && !error && filteredInvoices.length === 0 && (
           <div className="text-center py-12">
             <FileText className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-white">No invoices found</h3>
             <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
-              Try adjusting your search or filter criteria
+              {invoices.length === 0 ? 'Create your first invoice from billable time entries' : 'Try adjusting your search or filter criteria'}
             </p>
           </div>
         )}
@@ -302,69 +409,59 @@ export default function Invoicing() {
         <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Recent Activity</h2>
         <div className="flow-root">
           <ul className="divide-y divide-gray-200 dark:divide-gray-700">
-            <li className="py-4">
-              <div className="flex items-center space-x-4">
-                <div className="flex-shrink-0">
-                  <div className="h-8 w-8 rounded-full bg-green-100 dark:bg-green-900 flex items-center justify-center">
-                    <CheckCircle className="h-5 w-5 text-green-600 dark:text-green-400" />
+            {recentInvoices.map((invoice) => (
+              <li key={invoice.id} className="py-4">
+                <div className="flex items-center space-x-4">
+                  <div className="flex-shrink-0">
+                    {invoice.status === 'paid' ? (
+                      <div className="h-8 w-8 rounded-full bg-green-100 dark:bg-green-900 flex items-center justify-center">
+                        <CheckCircle className="h-5 w-5 text-green-600 dark:text-green-400" />
+                      </div>
+                    ) : invoice.status === 'partially_paid' ? (
+                      <div className="h-8 w-8 rounded-full bg-yellow-100 dark:bg-yellow-900 flex items-center justify-center">
+                        <CircleDollarSign className="h-5 w-5 text-yellow-600 dark:text-yellow-400" />
+                      </div>
+                    ) : invoice.status === 'sent' ? (
+                      <div className="h-8 w-8 rounded-full bg-blue-100 dark:bg-blue-900 flex items-center justify-center">
+                        <Send className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+                      </div>
+                    ) : (
+                      <div className="h-8 w-8 rounded-full bg-gray-100 dark:bg-gray-700 flex items-center justify-center">
+                        <FileText className="h-5 w-5 text-gray-600 dark:text-gray-300" />
+                      </div>
+                    )}
                   </div>
-                </div>
-                <div className="min-w-0 flex-1">
-                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                    Invoice INV-001 marked as paid
-                  </p>
-                  <p className="text-sm text-gray-500 dark:text-gray-400 truncate">
-                    Acme Corporation - $2,450.00
-                  </p>
-                </div>
-                <div className="text-sm text-gray-500 dark:text-gray-400">
-                  2 hours ago
-                </div>
-              </div>
-            </li>
-            <li className="py-4">
-              <div className="flex items-center space-x-4">
-                <div className="flex-shrink-0">
-                  <div className="h-8 w-8 rounded-full bg-blue-100 dark:bg-blue-900 flex items-center justify-center">
-                    <Send className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                      {invoice.status === 'paid' && `Invoice ${invoice.invoiceNumber} paid in full`}
+                      {invoice.status === 'partially_paid' && `Payment received for invoice ${invoice.invoiceNumber}`}
+                      {invoice.status === 'sent' && `Invoice ${invoice.invoiceNumber} sent to ${invoice.clientName || 'client'}`}
+                      {invoice.status === 'draft' && `Invoice ${invoice.invoiceNumber} created for ${invoice.clientName || 'client'}`}
+                      {invoice.status === 'cancelled' && `Invoice ${invoice.invoiceNumber} cancelled`}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400 truncate">
+                      {invoice.clientName} - {formatCurrency(invoice.total, invoice.currency)}
+                    </p>
                   </div>
-                </div>
-                <div className="min-w-0 flex-1">
-                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                    Invoice INV-002 sent to Globex Inc.
-                  </p>
-                  <p className="text-sm text-gray-500 dark:text-gray-400 truncate">
-                    Mobile App Development - $1,875.50
-                  </p>
-                </div>
-                <div className="text-sm text-gray-500 dark:text-gray-400">
-                  1 day ago
-                </div>
-              </div>
-            </li>
-            <li className="py-4">
-              <div className="flex items-center space-x-4">
-                <div className="flex-shrink-0">
-                  <div className="h-8 w-8 rounded-full bg-gray-100 dark:bg-gray-700 flex items-center justify-center">
-                    <FileText className="h-5 w-5 text-gray-600 dark:text-gray-300" />
+                  <div className="text-sm text-gray-500 dark:text-gray-400">
+                    {formatRelativeTime(new Date(invoice.updatedAt))}
                   </div>
                 </div>
-                <div className="min-w-0 flex-1">
-                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                    Invoice INV-005 created for Umbrella Corp
-                  </p>
-                  <p className="text-sm text-gray-500 dark:text-gray-400 truncate">
-                    Security Audit - $1,250.25
-                  </p>
-                </div>
-                <div className="text-sm text-gray-500 dark:text-gray-400">
-                  2 days ago
-                </div>
-              </div>
-            </li>
+              </li>
+            ))}
+            {!loading && recentInvoices.length === 0 && (
+              <li className="py-4 text-sm text-gray-500 dark:text-gray-400">No invoice activity yet</li>
+            )}
           </ul>
         </div>
       </div>
+
+      <PaymentModal
+        isOpen={!!paymentInvoice}
+        onClose={() => setPaymentInvoice(null)}
+        invoice={paymentInvoice}
+        onSuccess={loadInvoices}
+      />
     </div>
   )
 }
\ No newline at end of file
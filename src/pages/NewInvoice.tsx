@@ -12,17 +12,20 @@ import {
   Download,
   Paperclip
 } from 'lucide-react'
-import { format, startOfWeek, endOfWeek, subWeeks, startOfMonth, endOfMonth, isSameDay } from 'date-fns'
-import { timeEntryService } from '../services/timeEntryService'
+import { format, addDays, startOfWeek, endOfWeek, subWeeks, startOfMonth, endOfMonth, isSameDay } from 'date-fns'
 import { projectService } from '../services/projectService'
+import { invoiceApiService } from '../services/invoiceApiService'
+import { taxRateApiService } from '../services/taxRateApiService'
 import { pdfSettingsService } from '../services/pdfSettingsService'
-import { Client, TimeEntry, Project } from '../types'
+import { Client, TimeEntry, TaxRate, InvoiceDiscountType, InvoiceTotals } from '../types'
 import { formatSecondsToHHMMSS, formatCurrency } from '../utils'
 import { generateIndividualClientPDF } from '../utils/pdfExport'
 
 interface TimeEntryWithProject extends TimeEntry {
   projectName?: string
   formattedDuration: string
+  billedSeconds: number
+  formattedBillableDuration: string
 }
 
 export default function NewInvoice() {
@@ -33,21 +36,28 @@ export default function NewInvoice() {
   const [invoiceNumber, setInvoiceNumber] = useState('')
   const [startDate, setStartDate] = useState('')
   const [endDate, setEndDate] = useState('')
+  const [dueDate, setDueDate] = useState(format(addDays(new Date(), 30), 'yyyy-MM-dd'))
   const [selectedClient, setSelectedClient] = useState('')
+  const [approvedOnly, setApprovedOnly] = useState(false)
   const [notes, setNotes] = useState('')
   const [clients, setClients] = useState<Client[]>([])
-  const [projects, setProjects] = useState<Project[]>([])
   const [timeEntries, setTimeEntries] = useState<TimeEntryWithProject[]>([])
   const [filteredEntries, setFilteredEntries] = useState<TimeEntryWithProject[]>([])
   const [isGeneratingPDF, setIsGeneratingPDF] = useState(false)
   const [generatedPDF, setGeneratedPDF] = useState<Blob | null>(null)
   const [pdfFileName, setPdfFileName] = useState('')
   const [pdfSettings, setPdfSettings] = useState<any>(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [taxRates, setTaxRates] = useState<TaxRate[]>([])
+  const [selectedTaxRateIds, setSelectedTaxRateIds] = useState<string[]>([])
+  const [discountType, setDiscountType] = useState<InvoiceDiscountType | ''>('')
+  const [discountValue, setDiscountValue] = useState(0)
+  const [invoiceTotals, setInvoiceTotals] = useState<InvoiceTotals>({ subtotal: 0, discountAmount: 0, taxes: [], taxTotal: 0, total: 0 })
   
   // Refs
   const pdfBlobRef = useRef<Blob | null>(null)
   
-  // Load clients, projects, and PDF settings
+  // Load clients and PDF settings
   useEffect(() => {
     const loadData = async () => {
       try {
@@ -55,9 +65,11 @@ export default function NewInvoice() {
         const clientsData = await projectService.getClients()
         setClients(clientsData)
         
-        // Load projects
-        const projectsData = await projectService.getProjects()
-        setProjects(projectsData)
+        try {
+          setTaxRates(await taxRateApiService.getTaxRates())
+        } catch (error) {
+          console.error('Error loading tax rates:', error)
+        }
         
         // Load PDF settings if user is logged in and has a company
         if (currentUser?.companyId) {
@@ -76,6 +88,18 @@ export default function NewInvoice() {
     loadData()
   }, [currentUser])
   
+  // Start from the client's default taxes; they can be changed per invoice
+  useEffect(() => {
+    if (!selectedClient) {
+      setSelectedTaxRateIds([])
+      return
+    }
+    
+    taxRateApiService.getClientTaxRates(selectedClient)
+      .then(rates => setSelectedTaxRateIds(rates.map(rate => rate.id)))
+      .catch(error => console.error('Error loading client tax rates:', error))
+  }, [selectedClient])
+  
   // Filter time entries based on date range and client
   useEffect(() => {
     const loadTimeEntries = async () => {
@@ -85,28 +109,21 @@ export default function NewInvoice() {
       }
       
       try {
-        const start = new Date(startDate)
-        const end = new Date(endDate)
-        end.setHours(23, 59, 59, 999) // Include the entire end day
-        
-        // Load time entries for the date range
-        const entries = await timeEntryService.getAllTimeEntriesByDateRange(start, end)
-        
-        // Filter for the selected client and billable entries
-        const clientProjects = projects.filter(project => project.clientId === selectedClient)
-        const clientProjectIds = clientProjects.map(project => project.id)
+        // The API only returns billable, stopped entries for this client that are not yet invoiced
+        const entries = await invoiceApiService.getBillableEntries(selectedClient, startDate, endDate, approvedOnly)
         
         const filtered = entries
-          .filter(entry => 
-            entry.isBillable &&
-            entry.projectId && 
-            clientProjectIds.includes(entry.projectId)
-          )
-          .map(entry => ({
-            ...entry,
-            projectName: entry.projectName || 'No project',
-            formattedDuration: formatSecondsToHHMMSS(entry.duration)
-          }))
+          .map(entry => {
+            // The server rounds billable time with the client's or company's rule
+            const billedSeconds = entry.billableDuration ?? entry.duration
+            return {
+              ...entry,
+              projectName: entry.projectName || 'No project',
+              formattedDuration: formatSecondsToHHMMSS(entry.duration),
+              billedSeconds,
+              formattedBillableDuration: formatSecondsToHHMMSS(billedSeconds)
+            }
+          })
         
         setFilteredEntries(filtered)
       } catch (error) {
@@ -115,16 +132,19 @@ export default function NewInvoice() {
     }
     
     loadTimeEntries()
-  }, [startDate, endDate, selectedClient, projects])
+  }, [startDate, endDate, selectedClient, approvedOnly])
   
+  // Entries carry the rate they were logged with; the client rate is only a fallback
+  const getEntryRate = (entry: TimeEntry) => {
+    const client = clients.find(c => c.id === selectedClient)
+    return entry.hourlyRate ?? client?.hourlyRate ?? 0
+  }
+
   // Calculate totals
   const calculateTotals = () => {
-    const client = clients.find(c => c.id === selectedClient)
-    const hourlyRate = client?.hourlyRate || 0
-    
-    const totalSeconds = filteredEntries.reduce((sum, entry) => sum + entry.duration, 0)
+    const totalSeconds = filteredEntries.reduce((sum, entry) => sum + entry.billedSeconds, 0)
     const totalHours = totalSeconds / 3600
-    const totalAmount = totalHours * hourlyRate
+    const totalAmount = filteredEntries.reduce((sum, entry) => sum + (entry.billedSeconds / 3600) * getEntryRate(entry), 0)
     
     return {
       totalHours: totalHours.toFixed(2),
@@ -134,14 +154,38 @@ export default function NewInvoice() {
   
   const totals = calculateTotals()
   
-  // Generate invoice number
+  // Same rounding as the server: hours to two places, then each line to the currency's minor unit
+  const selectedClientData = clients.find(c => c.id === selectedClient)
+  const invoiceCurrency = selectedClientData?.currency || 'USD'
+  const entryRates = [...new Set(filteredEntries.map(getEntryRate))]
+  const lineAmounts = filteredEntries.map(entry => Math.round(entry.billedSeconds / 36) / 100 * getEntryRate(entry))
+  const selectedTaxRates = taxRates.filter(rate => selectedTaxRateIds.includes(rate.id))
+  const totalsInputKey = JSON.stringify([lineAmounts, discountType, discountValue, selectedTaxRates, invoiceCurrency])
+  
+  // The server works out the totals, so the preview matches the saved invoice
+  useEffect(() => {
+    let cancelled = false
+    invoiceApiService.calculateInvoiceTotals({
+      lineAmounts,
+      discountType: discountType || null,
+      discountValue,
+      taxRates: selectedTaxRates.map(rate => ({ id: rate.id, name: rate.name, rate: rate.rate })),
+      currency: invoiceCurrency
+    })
+      .then(result => {
+        if (!cancelled) setInvoiceTotals(result)
+      })
+      .catch(error => console.error('Error calculating invoice totals:', error))
+    return () => {
+      cancelled = true
+    }
+  }, [totalsInputKey])
+  
+  // Preview the next number; the server assigns the real one when the invoice is saved
   useEffect(() => {
-    const today = new Date()
-    const year = today.getFullYear()
-    const month = String(today.getMonth() + 1).padStart(2, '0')
-    const day = String(today.getDate()).padStart(2, '0')
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0')
-    setInvoiceNumber(`INV-${year}${month}${day}-${random}`)
+    invoiceApiService.getInvoiceSettings()
+      .then(settings => setInvoiceNumber(settings.nextInvoiceNumber))
+      .catch(error => console.error('Error loading invoice settings:', error))
   }, [])
   
   // Format date for display
@@ -210,6 +254,7 @@ export default function NewInvoice() {
         endTime: entry.endTime,
         duration: entry.duration,
         formattedDuration: entry.formattedDuration,
+        formattedBillableDuration: entry.formattedBillableDuration,
         isBillable: entry.isBillable
       }))
       
@@ -304,7 +349,7 @@ export default function NewInvoice() {
   }
   
   // Handle form submission
-  const handleSubmit = (e: React.FormEvent, action: 'save' | 'send') => {
+  const handleSubmit = async (e: React.FormEvent, action: 'save' | 'send') => {
     e.preventDefault()
     
     // Validation
@@ -323,24 +368,38 @@ export default function NewInvoice() {
       return
     }
     
-    // In a real app, you would save the invoice data here
-    console.log({
-      invoiceNumber,
-      startDate,
-      endDate,
-      clientId: selectedClient,
-      timeEntries: filteredEntries.map(entry => entry.id),
-      totalHours: totals.totalHours,
-      totalAmount: totals.totalAmount,
-      notes,
-      status: action === 'send' ? 'sent' : 'draft'
-    })
-    
-    // Show success message
-    alert(`Invoice ${action === 'send' ? 'sent' : 'saved'} successfully!`)
+    if (discountType === 'percentage' && discountValue > 100) {
+      alert('A percentage discount cannot exceed 100%')
+      return
+    }
     
-    // Navigate back to invoicing page
-    navigate('/invoicing')
+    setIsSaving(true)
+    try {
+      // Totals are recomputed server-side from the selected entries
+      const invoice = await invoiceApiService.createInvoice({
+        clientId: selectedClient,
+        dueDate: dueDate || undefined,
+        periodStart: startDate,
+        periodEnd: endDate,
+        timeEntryIds: filteredEntries.map(entry => entry.id),
+        taxRateIds: selectedTaxRateIds,
+        discountType: discountType || null,
+        discountValue: discountType ? discountValue : 0,
+        notes,
+        status: action === 'send' ? 'sent' : 'draft'
+      })
+      
+      // Show success message
+      alert(`Invoice ${invoice.invoiceNumber} ${action === 'send' ? 'sent' : 'saved'} successfully!`)
+      
+      // Navigate back to invoicing page
+      navigate('/invoicing')
+    } catch (error: any) {
+      console.error('Error saving invoice:', error)
+      alert(error?.message || 'Failed to save invoice')
+    } finally {
+      setIsSaving(false)
+    }
   }
   
   return (
@@ -371,9 +430,12 @@ export default function NewInvoice() {
                 type="text"
                 id="invoiceNumber"
                 value={invoiceNumber}
-                onChange={(e) => setInvoiceNumber(e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-white"
+                readOnly
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-gray-50 text-gray-600 dark:bg-gray-700 dark:text-gray-300"
               />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Assigned automatically when the invoice is saved
+              </p>
             </div>
             
             <div>
@@ -420,7 +482,30 @@ export default function NewInvoice() {
                 className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-white"
               />
             </div>
+            
+            <div>
+              <label htmlFor="dueDate" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Due Date
+              </label>
+              <input
+                type="date"
+                id="dueDate"
+                value={dueDate}
+                onChange={(e) => setDueDate(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-white"
+              />
+            </div>
           </div>
+
+          <label className="flex items-center space-x-2 mb-6 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={approvedOnly}
+              onChange={(e) => setApprovedOnly(e.target.checked)}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 dark:border-gray-600 rounded"
+            />
+            <span>Only include time from approved timesheets</span>
+          </label>
           
           {/* PDF Generation */}
           <div className="mb-6">
@@ -502,6 +587,9 @@ export default function NewInvoice() {
                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                           Duration
                         </th>
+                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                          Rate
+                        </th>
                       </tr>
                     </thead>
                     <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
@@ -518,6 +606,14 @@ export default function NewInvoice() {
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
                             {entry.formattedDuration}
+                            {entry.billedSeconds !== entry.duration && (
+                              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                {entry.formattedBillableDuration} billed
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                            {formatCurrency(getEntryRate(entry), invoiceCurrency)}
                           </td>
                         </tr>
                       ))}
@@ -550,6 +646,63 @@ export default function NewInvoice() {
                 className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-white"
                 placeholder="Additional notes or terms..."
               />
+              
+              <div className="grid grid-cols-2 gap-4 mt-4">
+                <div>
+                  <label htmlFor="discountType" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Discount
+                  </label>
+                  <select
+                    id="discountType"
+                    value={discountType}
+                    onChange={(e) => setDiscountType(e.target.value as InvoiceDiscountType | '')}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-white"
+                  >
+                    <option value="">No discount</option>
+                    <option value="percentage">Percentage (%)</option>
+                    <option value="fixed">Fixed amount ({invoiceCurrency})</option>
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="discountValue" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Discount Value
+                  </label>
+                  <input
+                    type="number"
+                    id="discountValue"
+                    min={0}
+                    max={discountType === 'percentage' ? 100 : undefined}
+                    step="0.01"
+                    value={discountValue || ''}
+                    onChange={(e) => setDiscountValue(Math.max(0, parseFloat(e.target.value) || 0))}
+                    disabled={!discountType}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-white disabled:opacity-50"
+                  />
+                </div>
+              </div>
+              
+              {taxRates.length > 0 && (
+                <div className="mt-4">
+                  <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Taxes
+                  </span>
+                  <div className="flex flex-wrap gap-4">
+                    {taxRates.map(taxRate => (
+                      <label key={taxRate.id} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={selectedTaxRateIds.includes(taxRate.id)}
+                          onChange={(e) => setSelectedTaxRateIds(prev =>
+                            e.target.checked ? [...prev, taxRate.id] : prev.filter(id => id !== taxRate.id)
+                          )}
+                          className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        <span>{taxRate.name} ({taxRate.rate}%)</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
             
             <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
@@ -561,16 +714,34 @@ export default function NewInvoice() {
                 <div className="flex justify-between">
                   <span className="text-gray-600 dark:text-gray-300">Hourly Rate:</span>
                   <span className="font-medium">
-                    {clients.find(c => c.id === selectedClient) 
-                      ? formatCurrency(clients.find(c => c.id === selectedClient)!.hourlyRate || 0, clients.find(c => c.id === selectedClient)!.currency)
-                      : '$0.00'}
+                    {entryRates.length > 1
+                      ? `${formatCurrency(Math.min(...entryRates), invoiceCurrency)} – ${formatCurrency(Math.max(...entryRates), invoiceCurrency)}`
+                      : formatCurrency(entryRates[0] ?? selectedClientData?.hourlyRate ?? 0, invoiceCurrency)}
                   </span>
                 </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600 dark:text-gray-300">Subtotal:</span>
+                  <span className="font-medium">{formatCurrency(invoiceTotals.subtotal, invoiceCurrency)}</span>
+                </div>
+                {invoiceTotals.discountAmount > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600 dark:text-gray-300">
+                      Discount{discountType === 'percentage' ? ` (${discountValue}%)` : ''}:
+                    </span>
+                    <span className="font-medium">-{formatCurrency(invoiceTotals.discountAmount, invoiceCurrency)}</span>
+                  </div>
+                )}
+                {invoiceTotals.taxes.map(tax => (
+                  <div key={tax.taxRateId} className="flex justify-between">
+                    <span className="text-gray-600 dark:text-gray-300">{tax.name} ({tax.rate}%):</span>
+                    <span className="font-medium">{formatCurrency(tax.amount, invoiceCurrency)}</span>
+                  </div>
+                ))}
                 <div className="flex justify-between pt-2 border-t border-gray-200 dark:border-gray-600">
                   <span className="text-lg font-semibold text-gray-900 dark:text-white">Total Amount:</span>
                   <span className="text-lg font-semibold text-gray-900 dark:text-white">
-                    {clients.find(c => c.id === selectedClient) 
-                      ? formatCurrency(parseFloat(totals.totalAmount), clients.find(c => c.id === selectedClient)!.currency)
+                    {selectedClientData
+                      ? formatCurrency(invoiceTotals.total, invoiceCurrency)
                       : '$0.00'}
                   </span>
                 </div>
@@ -591,7 +762,7 @@ export default function NewInvoice() {
               type="button"
               onClick={(e) => handleSubmit(e, 'save')}
               className="btn-secondary flex items-center"
-              disabled={!selectedClient || !startDate || !endDate || filteredEntries.length === 0}
+              disabled={!selectedClient || !startDate || !endDate || filteredEntries.length === 0 || isSaving}
             >
               <FileText className="h-4 w-4 mr-2" />
               Save Draft
@@ -600,7 +771,7 @@ export default function NewInvoice() {
               type="button"
               onClick={(e) => handleSubmit(e, 'send')}
               className="btn-primary flex items-center"
-              disabled={!selectedClient || !startDate || !endDate || filteredEntries.length === 0}
+              disabled={!selectedClient || !startDate || !endDate || filteredEntries.length === 0 || isSaving}
             >
               <FileText className="h-4 w-4 mr-2" />
               Send Invoice
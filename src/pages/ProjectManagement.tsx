@@ -4,13 +4,18 @@ import { useLocation, useNavigate } from 'react-router-dom'
 import { taskApiService as taskService } from '../services/taskApiService'
 import { userApiService as userService } from '../services/userApiService'
 import { teamApiService as teamService } from '../services/teamApiService'
-import { Task, TaskStatus, TaskPriority, CreateTaskData, UpdateTaskData, User, Team } from '../types'
+import { boardApiService } from '../services/boardApiService'
+import { Task, TaskStatus, TaskPriority, CreateTaskData, UpdateTaskData, User, Team, ProjectBoard, TaskDependency } from '../types'
 import TaskBoard from '../components/taskManagement/TaskBoard'
 import TaskTable from '../components/taskManagement/TaskTable'
 import TaskModal from '../components/taskManagement/TaskModal'
 import TaskViewModal from '../components/taskManagement/TaskViewModal'
-import { Filter, Users, User as UserIcon, Building2, Search, X, LayoutGrid, List } from 'lucide-react'
+import BoardSettingsModal from '../components/taskManagement/BoardSettingsModal'
+import TaskTimeline from '../components/taskManagement/TaskTimeline'
+import { Filter, Users, User as UserIcon, Building2, Search, X, LayoutGrid, List, GanttChart, FolderOpen, Plus, Settings } from 'lucide-react'
 import { canDeleteTask } from '../utils/permissions'
+import { TaskSpan, toTaskApiDate } from '../utils/taskSchedule'
+import { getTopLevelTasks } from '../utils/subtasks'
 
 interface TaskViewModalPropsWithDefaultTab extends React.ComponentProps<typeof TaskViewModal> {
   defaultActiveTab?: 'comments' | 'notes'
@@ -30,14 +35,21 @@ export default function TaskManagement() {
   const [showTaskModal, setShowTaskModal] = useState(false)
   const [showTaskViewModal, setShowTaskViewModal] = useState(false)
   const [selectedTask, setSelectedTask] = useState<Task | null>(null)
-  const [viewMode, setViewMode] = useState<'board' | 'table'>('board')
+  const [viewMode, setViewMode] = useState<'board' | 'table' | 'timeline'>('board')
   const [defaultActiveTab, setDefaultActiveTab] = useState<'comments' | 'notes'>('comments')
+  // Saved boards of the selected project; none selected shows the plain workflow board
+  const [boards, setBoards] = useState<ProjectBoard[]>([])
+  const [selectedBoardId, setSelectedBoardId] = useState<string>('')
+  const [showBoardModal, setShowBoardModal] = useState(false)
+  const [editingBoard, setEditingBoard] = useState<ProjectBoard | null>(null)
+  const [dependencies, setDependencies] = useState<TaskDependency[]>([])
   
   // Filter states
   const [showFilters, setShowFilters] = useState(false)
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedUserId, setSelectedUserId] = useState<string>('all')
   const [selectedTeamId, setSelectedTeamId] = useState<string>('all')
+  const [selectedProjectId, setSelectedProjectId] = useState<string>('all')
   const [selectedStatus, setSelectedStatus] = useState<string>('all')
   const [selectedPriority, setSelectedPriority] = useState<string>('all')
 
@@ -55,6 +67,13 @@ export default function TaskManagement() {
     loadData()
   }, [])
 
+  // Board columns follow the selected project's workflow, or the company's
+  useEffect(() => {
+    loadWorkflow()
+    loadBoards()
+    loadDependencies()
+  }, [selectedProjectId])
+
   // Handle navigation to specific task when query parameters are present
   useEffect(() => {
     if (queryParams.taskId && tasks.length > 0) {
@@ -72,18 +91,61 @@ export default function TaskManagement() {
     }
   }, [queryParams, tasks, navigate])
 
-  const loadData = async () => {
+  const loadWorkflow = async () => {
     try {
-      setLoading(true)
-      
-      // Load basic data that all users can access
+      const projectId = selectedProjectId === 'all' ? undefined : selectedProjectId
       const [statusesData, prioritiesData] = await Promise.all([
-        taskService.getTaskStatuses(),
-        taskService.getTaskPriorities()
+        taskService.getTaskStatuses(projectId),
+        taskService.getTaskPriorities(projectId)
       ])
       
       setStatuses(statusesData)
       setPriorities(prioritiesData)
+    } catch (error) {
+      console.error('Error loading task workflow:', error)
+    }
+  }
+
+  const loadBoards = async () => {
+    setSelectedBoardId('')
+    if (selectedProjectId === 'all') {
+      setBoards([])
+      return
+    }
+    try {
+      setBoards(await boardApiService.getBoards(selectedProjectId))
+    } catch (error) {
+      console.error('Error loading boards:', error)
+      setBoards([])
+    }
+  }
+
+  const loadDependencies = async () => {
+    try {
+      setDependencies(await taskService.getTaskDependencies(selectedProjectId === 'all' ? undefined : selectedProjectId))
+    } catch (error) {
+      console.error('Error loading task dependencies:', error)
+      setDependencies([])
+    }
+  }
+
+  const handleBoardSaved = (board: ProjectBoard) => {
+    setBoards(prev => prev.some(b => b.id === board.id) ? prev.map(b => b.id === board.id ? board : b) : [...prev, board])
+    setSelectedBoardId(board.id)
+    setShowBoardModal(false)
+  }
+
+  const handleBoardDeleted = (boardId: string) => {
+    setBoards(prev => prev.filter(b => b.id !== boardId))
+    setSelectedBoardId('')
+    setShowBoardModal(false)
+  }
+
+  const selectedBoard = boards.find(board => board.id === selectedBoardId) || null
+
+  const loadData = async () => {
+    try {
+      setLoading(true)
       
       // Load users and teams based on user role
       let usersData: User[] = []
@@ -186,25 +248,28 @@ export default function TaskManagement() {
       await taskService.updateTask(taskId, updateData)
       
       // Update local state with the new status object
-      setTasks(prev => 
-        prev.map(task => {
-          if (task.id === taskId) {
-            const newStatus = updates.status || task.status
-            const newPriority = updates.priority || task.priority
-            
-            return { 
-              ...task, 
-              ...updates, 
-              status: newStatus,
-              priority: newPriority,
-              updatedAt: new Date() 
-            }
-          }
+      const applyUpdates = (task: Task): Task => {
+        if (task.id !== taskId) {
           return task
-        })
-      )
-    } catch (error) {
+        }
+        const newStatus = updates.status || task.status
+        const newPriority = updates.priority || task.priority
+        
+        return { 
+          ...task, 
+          ...updates, 
+          status: newStatus,
+          priority: newPriority,
+          // The status decides whether the task is done
+          isCompleted: typeof newStatus === 'string' ? task.isCompleted : !!newStatus.isCompleted,
+          updatedAt: new Date() 
+        }
+      }
+      setTasks(prev => prev.map(applyUpdates))
+      setAllTasks(prev => prev.map(applyUpdates))
+    } catch (error: any) {
       console.error('Error updating task:', error)
+      alert(error?.message || 'Failed to update task. Please try again.')
     }
   }
 
@@ -219,6 +284,44 @@ export default function TaskManagement() {
     setShowTaskModal(true)
   }
 
+  // The timeline has already warned about broken dependencies before calling this
+  const handleTaskReschedule = async (task: Task, span: TaskSpan) => {
+    try {
+      await taskService.updateTask(task.id, {
+        startDate: toTaskApiDate(span.start),
+        dueDate: toTaskApiDate(span.end)
+      })
+
+      const applySpan = (t: Task): Task =>
+        t.id === task.id ? { ...t, startDate: span.start, dueDate: span.end, updatedAt: new Date() } : t
+      setTasks(prev => prev.map(applySpan))
+      setAllTasks(prev => prev.map(applySpan))
+    } catch (error: any) {
+      console.error('Error rescheduling task:', error)
+      alert(error?.message || 'Failed to reschedule task. Please try again.')
+    }
+  }
+
+  const handleAddDependency = async (taskId: string, dependsOnTaskId: string) => {
+    try {
+      const dependency = await taskService.createTaskDependency(taskId, dependsOnTaskId)
+      setDependencies(prev => [...prev, dependency])
+    } catch (error: any) {
+      console.error('Error adding task dependency:', error)
+      alert(error?.message || 'Failed to add dependency. Please try again.')
+    }
+  }
+
+  const handleRemoveDependency = async (dependencyId: string) => {
+    try {
+      await taskService.deleteTaskDependency(dependencyId)
+      setDependencies(prev => prev.filter(dependency => dependency.id !== dependencyId))
+    } catch (error: any) {
+      console.error('Error removing task dependency:', error)
+      alert(error?.message || 'Failed to remove dependency. Please try again.')
+    }
+  }
+
   const handleViewTask = (task: Task) => {
     setSelectedTask(task)
     setShowTaskViewModal(true)
@@ -261,8 +364,13 @@ export default function TaskManagement() {
     }
     
     if (window.confirm('Are you sure you want to delete this task? This action cannot be undone.')) {
+      const subtaskCount = task.subtasks?.length || 0;
+      const deleteSubtasks = subtaskCount > 0 && window.confirm(
+        `This task has ${subtaskCount} subtask${subtaskCount === 1 ? '' : 's'}. Delete ${subtaskCount === 1 ? 'it' : 'them'} too?\n\n` +
+        'OK deletes them. Cancel keeps them as standalone tasks.'
+      );
       try {
-        await taskService.deleteTask(taskId);
+        await taskService.deleteTask(taskId, deleteSubtasks ? 'cascade' : 'reparent');
         await loadData();
       } catch (error) {
         console.error('Error deleting task:', error);
@@ -304,6 +412,11 @@ export default function TaskManagement() {
       filtered = filtered.filter(task => task.assigneeId === selectedUserId)
     }
 
+    // Project filter
+    if (selectedProjectId !== 'all') {
+      filtered = filtered.filter(task => task.projectId === selectedProjectId)
+    }
+
     // Team filter
     if (selectedTeamId !== 'all') {
       // Filter by teamId field if available, otherwise fall back to team members
@@ -343,6 +456,7 @@ export default function TaskManagement() {
     setSearchQuery('')
     setSelectedUserId('all')
     setSelectedTeamId('all')
+    setSelectedProjectId('all')
     setSelectedStatus('all')
     setSelectedPriority('all')
   }
@@ -355,15 +469,26 @@ export default function TaskManagement() {
     return []
   }
 
+  // Projects that have tasks the user can see
+  const projectOptions = useMemo(() => {
+    const names = new Map<string, string>()
+    allTasks.forEach(task => {
+      if (task.projectId && !names.has(task.projectId)) {
+        names.set(task.projectId, task.projectName)
+      }
+    })
+    return Array.from(names, ([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name))
+  }, [allTasks])
+
   // Check if user can see all tasks
   const canSeeAllTasks = currentUser?.role === 'admin' || currentUser?.role === 'super_admin'
   const canSeeTeamTasks = currentUser?.role === 'hr' && currentUser?.teamId
 
-  // Update filtered tasks when filters change
+  // Update filtered tasks when filters change. Subtasks show on their parent's card
   useEffect(() => {
     const filtered = getFilteredTasks()
-    setTasks(filtered)
-  }, [searchQuery, selectedUserId, selectedTeamId, selectedStatus, selectedPriority, allTasks])
+    setTasks(getTopLevelTasks(filtered))
+  }, [searchQuery, selectedUserId, selectedTeamId, selectedProjectId, selectedStatus, selectedPriority, allTasks])
 
   if (loading) {
     return (
@@ -410,6 +535,17 @@ export default function TaskManagement() {
                 <List className="h-4 w-4" />
                 <span className="ml-1 text-sm">Table</span>
               </button>
+              <button
+                onClick={() => setViewMode('timeline')}
+                className={`p-2 rounded-md flex items-center ${
+                  viewMode === 'timeline' 
+                    ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow-sm' 
+                    : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100'
+                }`}
+              >
+                <GanttChart className="h-4 w-4" />
+                <span className="ml-1 text-sm">Timeline</span>
+              </button>
             </div>
             
             <button
@@ -473,7 +609,7 @@ export default function TaskManagement() {
                 {/* Active Filters */}
                 <div className="bg-white dark:bg-gray-800 p-3 rounded-lg border dark:border-gray-700">
                   <div className="text-2xl font-bold text-orange-600 dark:text-orange-400">
-                    {[searchQuery, selectedUserId, selectedTeamId, selectedStatus, selectedPriority]
+                    {[searchQuery, selectedUserId, selectedTeamId, selectedProjectId, selectedStatus, selectedPriority]
                       .filter(filter => filter !== 'all' && filter.trim() !== '').length}
                   </div>
                   <div className="text-sm text-gray-600 dark:text-gray-400">Active Filters</div>
@@ -482,7 +618,7 @@ export default function TaskManagement() {
                 {/* Completion Rate */}
                 <div className="bg-white dark:bg-gray-800 p-3 rounded-lg border dark:border-gray-700">
                   <div className="text-2xl font-bold text-green-600 dark:text-green-400">
-                    {allTasks.length > 0 ? Math.round((allTasks.filter(task => (typeof task.status === 'string' ? task.status : task.status.name) === 'Done').length / allTasks.length) * 100) : 0}%
+                    {allTasks.length > 0 ? Math.round((allTasks.filter(task => task.isCompleted).length / allTasks.length) * 100) : 0}%
                   </div>
                   <div className="text-sm text-gray-600 dark:text-gray-400">Completion Rate</div>
                 </div>
@@ -595,6 +731,31 @@ export default function TaskManagement() {
                 </div>
               )}
 
+              {/* Project Filter */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  <FolderOpen className="h-4 w-4 inline mr-1" />
+                  Project
+                </label>
+                <select
+                  value={selectedProjectId}
+                  onChange={(e) => {
+                    // Status and priority ids differ between project workflows
+                    setSelectedProjectId(e.target.value)
+                    setSelectedStatus('all')
+                    setSelectedPriority('all')
+                  }}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                >
+                  <option value="all">All Projects</option>
+                  {projectOptions.map(project => (
+                    <option key={project.id} value={project.id}>
+                      {project.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               {/* Status Filter */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -650,7 +811,48 @@ export default function TaskManagement() {
         )}
       </div>
 
-      {/* Task Board or Table */}
+      {/* Saved boards, per project */}
+      {viewMode === 'board' && selectedProjectId !== 'all' && (
+        <div className="flex items-center space-x-3 px-6 pt-4">
+          <select
+            value={selectedBoardId}
+            onChange={(e) => setSelectedBoardId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 text-sm"
+          >
+            <option value="">Default board</option>
+            {boards.map(board => (
+              <option key={board.id} value={board.id}>{board.name}</option>
+            ))}
+          </select>
+          {selectedBoard && (
+            <button
+              onClick={() => {
+                setEditingBoard(selectedBoard)
+                setShowBoardModal(true)
+              }}
+              className="btn-secondary flex items-center space-x-2"
+            >
+              <Settings className="h-4 w-4" />
+              <span>Board Settings</span>
+            </button>
+          )}
+          <button
+            onClick={() => {
+              setEditingBoard(null)
+              setShowBoardModal(true)
+            }}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <Plus className="h-4 w-4" />
+            <span>New Board</span>
+          </button>
+          {selectedBoard?.description && (
+            <span className="text-sm text-gray-500 dark:text-gray-400">{selectedBoard.description}</span>
+          )}
+        </div>
+      )}
+
+      {/* Task Board, Table or Timeline */}
       <div className="flex-1 overflow-hidden">
         {viewMode === 'board' ? (
           <TaskBoard
@@ -658,12 +860,22 @@ export default function TaskManagement() {
             statuses={statuses}
             priorities={priorities}
             teams={teams}
+            board={selectedBoard}
             onTaskUpdate={handleTaskUpdate}
             onCreateTask={handleCreateTask}
             onEditTask={handleEditTask}
             onViewTask={handleViewTask}
             onDeleteTask={handleDeleteTask}
           />
+        ) : viewMode === 'timeline' ? (
+          <TaskTimeline
+            tasks={tasks}
+            dependencies={dependencies}
+            onReschedule={handleTaskReschedule}
+            onAddDependency={handleAddDependency}
+            onRemoveDependency={handleRemoveDependency}
+            onViewTask={handleViewTask}
+          />
         ) : (
           <div className="h-full">
             <TaskTable
@@ -696,6 +908,19 @@ export default function TaskManagement() {
         />
       )}
 
+      {/* Board Settings Modal */}
+      {showBoardModal && selectedProjectId !== 'all' && (
+        <BoardSettingsModal
+          isOpen={showBoardModal}
+          projectId={selectedProjectId}
+          board={editingBoard}
+          statuses={statuses}
+          onClose={() => setShowBoardModal(false)}
+          onSaved={handleBoardSaved}
+          onDeleted={handleBoardDeleted}
+        />
+      )}
+
       {/* Task View Modal */}
       <TaskViewModal
         isOpen={showTaskViewModal}
@@ -719,10 +944,14 @@ export default function TaskManagement() {
           setTasks(prev => prev.map(task => 
             task.id === updatedTask.id ? updatedTask : task
           ));
-          // Update the allTasks list to reflect the changes
-          setAllTasks(prev => prev.map(task => 
-            task.id === updatedTask.id ? updatedTask : task
-          ));
+          // Update the allTasks list to reflect the changes, including the
+          // subtasks, which are listed there too
+          const subtasks = updatedTask.subtasks || [];
+          const updates = new Map([updatedTask, ...subtasks].map(task => [task.id, task]));
+          setAllTasks(prev => [
+            ...prev.map(task => updates.get(task.id) || task),
+            ...subtasks.filter(subtask => !prev.some(task => task.id === subtask.id))
+          ]);
         }}
       />
     </div>
@@ -13,12 +13,12 @@ import {
   AlertCircle,
   Info
 } from 'lucide-react'
-import { Project, Client } from '../types'
+import { Project, Client, ProjectBudget } from '../types'
 import { projectApiService } from '../services/projectApiService'
 import ProjectModal from '../components/projects/ProjectModal'
 import { useMySQLAuth } from '../contexts/MySQLAuthContext'
 import { canAccessFeature } from '../utils/permissions'
-import { formatDate } from '../utils'
+import { formatDate, formatCurrency } from '../utils'
 
 const STATUS_COLORS = {
   active: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-300',
@@ -38,6 +38,7 @@ export default function Projects() {
   const { currentUser, currentCompany } = useMySQLAuth()
   const [projects, setProjects] = useState<Project[]>([])
   const [clients, setClients] = useState<Client[]>([])
+  const [budgets, setBudgets] = useState<Record<string, ProjectBudget>>({})
   const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState<string>('all')
@@ -69,6 +70,13 @@ export default function Projects() {
       
       setProjects(projectsData)
       setClients(clientsData)
+
+      try {
+        const budgetData = await projectApiService.getProjectBudgets()
+        setBudgets(Object.fromEntries(budgetData.map(budget => [budget.projectId, budget])))
+      } catch (error) {
+        console.error('Error loading project budgets:', error)
+      }
     } catch (error) {
       setError('Failed to load projects')
       console.error('Error loading data:', error)
@@ -134,6 +142,47 @@ export default function Projects() {
     return matchesSearch && matchesStatus && matchesArchived
   })
 
+  // Burn-down bar: remaining budget shrinks as tracked time is spent
+  const renderBudgetBar = (project: Project) => {
+    const budget = budgets[project.id]
+    if (!budget || budget.budget === null || budget.percentUsed === null) return null
+
+    const percentUsed = budget.percentUsed
+    const barColor = percentUsed >= 100
+      ? 'bg-red-500'
+      : percentUsed >= 80
+        ? 'bg-orange-500'
+        : percentUsed >= 50
+          ? 'bg-yellow-500'
+          : 'bg-green-500'
+
+    return (
+      <div className="w-full">
+        <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+          <span>
+            {formatCurrency(budget.spent, budget.currency)} of {formatCurrency(budget.budget, budget.currency)}
+          </span>
+          <span className={percentUsed >= 100 ? 'text-red-600 dark:text-red-400 font-medium' : ''}>
+            {percentUsed >= 100
+              ? `${formatCurrency(Math.abs(budget.remaining || 0), budget.currency)} over`
+              : `${formatCurrency(budget.remaining || 0, budget.currency)} left`}
+          </span>
+        </div>
+        <div className="relative h-2 w-full bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+          <div className={`h-full ${barColor}`} style={{ width: `${Math.min(percentUsed, 100)}%` }} />
+          {budget.thresholds.filter(threshold => threshold < 100).map(threshold => (
+            <div
+              key={threshold}
+              className="absolute top-0 h-full w-px bg-white dark:bg-gray-900"
+              style={{ left: `${threshold}%` }}
+              title={`${threshold}% alert`}
+            />
+          ))}
+        </div>
+      </div>
+    )
+  }
+
   const getClientName = (clientId?: string) => {
     if (!clientId) return 'No client'
     const client = clients.find(c => c.id === clientId)
@@ -409,6 +458,8 @@ export default function Projects() {
                         </div>
                       )}
                     </div>
+
+                    {renderBudgetBar(project)}
                   </div>
                 </>
               ) : (
@@ -433,6 +484,11 @@ export default function Projects() {
                         {project.priority}
                       </span>
                     </div>
+                    {budgets[project.id] && (
+                      <div className="sm:w-64">
+                        {renderBudgetBar(project)}
+                      </div>
+                    )}
                   </div>
                   
                   {/* Action Menu for List View */}
@@ -21,11 +21,28 @@ import {
   DailyAnalytics, 
   ReportFilters,
   Project,
-  Client // Add Client import
+  Client, // Add Client import
+  ProfitabilityGroupBy,
+  ProfitabilityRow,
+  ReportGroupBy,
+  ReportTimeRow
 } from '../types'
 import AnalyticsCard from '../components/charts/AnalyticsCard'
 import SimpleChart from '../components/charts/SimpleChart'
-import { formatTimeFromSeconds } from '../utils'
+import { formatTimeFromSeconds, formatCurrency } from '../utils'
+import { canViewHourlyRates, canAccessFeature } from '../utils/permissions'
+
+const PROFITABILITY_GROUPS: { value: ProfitabilityGroupBy; label: string }[] = [
+  { value: 'project', label: 'Project' },
+  { value: 'client', label: 'Client' },
+  { value: 'team', label: 'Team' }
+]
+
+const BREAKDOWN_GROUPS: { value: ReportGroupBy; label: string; companyOnly?: boolean }[] = [
+  { value: 'client', label: 'Client' },
+  { value: 'user', label: 'User', companyOnly: true },
+  { value: 'tag', label: 'Tag' }
+]
 
 export default function Reports() {
   const { currentUser } = useMySQLAuth()
@@ -52,10 +69,19 @@ export default function Reports() {
     projectIds: filters.projectIds || [],
     clientIds: filters.clientIds || [], // Add clientIds to tempFilters
     billableFilter: (filters.billableOnly ? 'billable' : filters.nonBillableOnly ? 'non-billable' : 'all') as 'all' | 'billable' | 'non-billable',
+    approvedOnly: !!filters.approvedOnly,
     startDate: filters.startDate,
     endDate: filters.endDate
   })
   const [applyingFilters, setApplyingFilters] = useState(false)
+  const [profitabilityGroupBy, setProfitabilityGroupBy] = useState<ProfitabilityGroupBy>('project')
+  const [profitability, setProfitability] = useState<ProfitabilityRow[]>([])
+  const canViewProfitability = currentUser?.role ? canViewHourlyRates(currentUser.role) : false
+  // Users who can see everyone's time entries can also report across the company
+  const canViewCompany = currentUser?.role ? canAccessFeature(currentUser.role, 'time-entries') : false
+  const [reportScope, setReportScope] = useState<'me' | 'company'>('me')
+  const [breakdownGroupBy, setBreakdownGroupBy] = useState<ReportGroupBy>('client')
+  const [breakdown, setBreakdown] = useState<ReportTimeRow[]>([])
 
   useEffect(() => {
     if (filters.projectIds) {
@@ -76,6 +102,7 @@ export default function Reports() {
       projectIds: filters.projectIds || [],
       clientIds: filters.clientIds || [], // Add clientIds to tempFilters
       billableFilter: (filters.billableOnly ? 'billable' : filters.nonBillableOnly ? 'non-billable' : 'all') as 'all' | 'billable' | 'non-billable',
+      approvedOnly: !!filters.approvedOnly,
       startDate: filters.startDate,
       endDate: filters.endDate
     })
@@ -85,15 +112,32 @@ export default function Reports() {
     if (currentUser) {
       setFilters(prev => ({
         ...prev,
-        userId: currentUser.uid
+        userId: reportScope === 'company' ? undefined : currentUser.uid
       }))
     }
-  }, [currentUser])
+  }, [currentUser, reportScope])
 
   useEffect(() => {
     loadData()
   }, [filters, selectedPeriod])
 
+  // Profitability covers everyone's time, not only the current user's
+  useEffect(() => {
+    if (!canViewProfitability) return
+
+    reportsService.getProfitabilityReport({ ...filters, userId: undefined }, profitabilityGroupBy)
+      .then(setProfitability)
+      .catch(error => console.error('Error loading profitability report:', error))
+  }, [filters, profitabilityGroupBy, canViewProfitability])
+
+  useEffect(() => {
+    if (!currentUser) return
+
+    reportsService.getTimeReport(filters, breakdownGroupBy)
+      .then(setBreakdown)
+      .catch(error => console.error('Error loading time breakdown:', error))
+  }, [filters, breakdownGroupBy, currentUser])
+
   useEffect(() => {
     if (!showFilters) {
       // Nothing to clear now since we removed projectSearch
@@ -176,6 +220,13 @@ export default function Reports() {
     }))
   }
 
+  const handleScopeChange = (scope: 'me' | 'company') => {
+    setReportScope(scope)
+    if (scope === 'me' && breakdownGroupBy === 'user') {
+      setBreakdownGroupBy('client')
+    }
+  }
+
   const handleProjectFilter = (projectIds: string[]) => {
     setSelectedProjectIds(projectIds)
     setFilters(prev => ({
@@ -259,6 +310,7 @@ export default function Reports() {
       clientIds: tempFilters.clientIds.length > 0 ? tempFilters.clientIds : undefined,
       billableOnly: tempFilters.billableFilter === 'billable',
       nonBillableOnly: tempFilters.billableFilter === 'non-billable',
+      approvedOnly: tempFilters.approvedOnly,
       startDate: tempFilters.startDate,
       endDate: tempFilters.endDate
     }))
@@ -272,6 +324,7 @@ export default function Reports() {
       projectIds: [],
       clientIds: [],
       billableFilter: 'all',
+      approvedOnly: false,
       startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
       endDate: new Date()
     })
@@ -281,6 +334,12 @@ export default function Reports() {
     setSelectedClientIds([])
   }
 
+  // Share of tracked time that was billable, before rounding: billable time is
+  // rounded for billing and can exceed the total
+  const billableShare = timeAnalytics && timeAnalytics.totalTime > 0
+    ? (timeAnalytics.totalTime - timeAnalytics.nonBillableTime) / timeAnalytics.totalTime
+    : 0
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -329,7 +388,7 @@ export default function Reports() {
       </div>
 
       {/* Period Selector */}
-      <div className="flex space-x-2">
+      <div className="flex flex-wrap items-center gap-2">
         {(['week', 'month', 'quarter', 'year'] as const).map((period) => (
           <button
             key={period}
@@ -343,6 +402,24 @@ export default function Reports() {
             {period.charAt(0).toUpperCase() + period.slice(1)}
           </button>
         ))}
+
+        {canViewCompany && (
+          <div className="ml-auto flex space-x-2">
+            {(['me', 'company'] as const).map((scope) => (
+              <button
+                key={scope}
+                onClick={() => handleScopeChange(scope)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  reportScope === scope
+                    ? 'bg-primary-100 dark:bg-primary-900 text-primary-700 dark:text-primary-300 border border-primary-200 dark:border-primary-700'
+                    : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600'
+                }`}
+              >
+                {scope === 'me' ? 'My Time' : 'Whole Company'}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Filters */}
@@ -530,6 +607,15 @@ export default function Reports() {
                 <option value="billable">Billable Only</option>
                 <option value="non-billable">Non-Billable Only</option>
               </select>
+              <label className="flex items-center space-x-2 mt-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={tempFilters.approvedOnly}
+                  onChange={(e) => setTempFilters(prev => ({ ...prev, approvedOnly: e.target.checked }))}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 dark:border-gray-600 rounded"
+                />
+                <span>Approved time only</span>
+              </label>
             </div>
             
             <div>
@@ -600,7 +686,7 @@ export default function Reports() {
           <AnalyticsCard
             title="Billable Time"
             value={timeAnalytics.billableTime}
-            subtitle={`${((timeAnalytics.billableTime / timeAnalytics.totalTime) * 100).toFixed(1)}% of total`}
+            subtitle={`Rounded for billing, ${(billableShare * 100).toFixed(1)}% of tracked time`}
             icon={DollarSign}
             color="green"
             format="time"
@@ -615,14 +701,17 @@ export default function Reports() {
             format="time-precise"
           />
           
-          <AnalyticsCard
-            title="Total Earnings"
-            value={timeAnalytics.totalEarnings}
-            subtitle="At $25/hour"
-            icon={TrendingUp}
-            color="orange"
-            format="currency"
-          />
+          {timeAnalytics.totalEarnings !== null && (
+            <AnalyticsCard
+              title="Total Earnings"
+              value={timeAnalytics.totalEarnings.length > 0
+                ? timeAnalytics.totalEarnings.map(earning => formatCurrency(earning.amount, earning.currency)).join(' + ')
+                : formatCurrency(0)}
+              subtitle="Billable time at its hourly rate"
+              icon={TrendingUp}
+              color="orange"
+            />
+          )}
         </div>
       )}
 
@@ -670,6 +759,104 @@ export default function Reports() {
         </div>
       </div>
 
+      {/* Client, User and Tag Breakdown */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Time Breakdown</h3>
+          <div className="flex space-x-2">
+            {BREAKDOWN_GROUPS.filter(group => !group.companyOnly || reportScope === 'company').map(group => (
+              <button
+                key={group.value}
+                onClick={() => setBreakdownGroupBy(group.value)}
+                className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                  breakdownGroupBy === group.value
+                    ? 'bg-primary-100 dark:bg-primary-900 text-primary-700 dark:text-primary-300 border border-primary-200 dark:border-primary-700'
+                    : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600'
+                }`}
+              >
+                {group.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {breakdown.length > 0 ? (
+          <div className="space-y-3">
+            {breakdown.map(row => (
+              <div key={row.key} className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+                <div>
+                  <h4 className="font-medium text-gray-900 dark:text-gray-100">{row.label}</h4>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{row.entries} entries</p>
+                </div>
+                <div className="text-right">
+                  <p className="font-semibold text-gray-900 dark:text-gray-100">{formatTimeFromSeconds(row.totalTime)}</p>
+                  <p className="text-sm text-green-600 dark:text-green-400">{formatTimeFromSeconds(row.billableTime)} billable</p>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No tracked time in this period</p>
+        )}
+      </div>
+
+      {/* Profitability */}
+      {canViewProfitability && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Profitability</h3>
+            <div className="flex space-x-2">
+              {PROFITABILITY_GROUPS.map(group => (
+                <button
+                  key={group.value}
+                  onClick={() => setProfitabilityGroupBy(group.value)}
+                  className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                    profitabilityGroupBy === group.value
+                      ? 'bg-primary-100 dark:bg-primary-900 text-primary-700 dark:text-primary-300 border border-primary-200 dark:border-primary-700'
+                      : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {group.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {profitability.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead>
+                  <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    <th className="py-2 pr-4">{PROFITABILITY_GROUPS.find(group => group.value === profitabilityGroupBy)?.label}</th>
+                    <th className="py-2 px-4 text-right">Hours</th>
+                    <th className="py-2 px-4 text-right">Revenue</th>
+                    <th className="py-2 px-4 text-right">Cost</th>
+                    <th className="py-2 px-4 text-right">Margin</th>
+                    <th className="py-2 pl-4 text-right">Margin %</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {profitability.map(row => (
+                    <tr key={`${row.id}-${row.currency}`} className="text-gray-900 dark:text-gray-100">
+                      <td className="py-2 pr-4 font-medium">{row.name || `No ${profitabilityGroupBy}`}</td>
+                      <td className="py-2 px-4 text-right">{row.totalHours.toFixed(2)}</td>
+                      <td className="py-2 px-4 text-right">{formatCurrency(row.revenue, row.currency)}</td>
+                      <td className="py-2 px-4 text-right">{formatCurrency(row.cost, row.currency)}</td>
+                      <td className={`py-2 px-4 text-right font-medium ${row.margin < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                        {formatCurrency(row.margin, row.currency)}
+                      </td>
+                      <td className="py-2 pl-4 text-right">
+                        {row.marginPercent !== null ? `${row.marginPercent.toFixed(1)}%` : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No tracked time in this period</p>
+          )}
+        </div>
+      )}
+
       {/* Productivity Insights */}
       {timeAnalytics && (
         <div className="card">
@@ -699,7 +886,7 @@ export default function Reports() {
               </div>
               <h4 className="font-semibold text-gray-900 dark:text-gray-100">Efficiency</h4>
               <p className="text-2xl font-bold text-purple-600 dark:text-purple-400">
-                {((timeAnalytics.billableTime / timeAnalytics.totalTime) * 100).toFixed(0)}%
+                {(billableShare * 100).toFixed(0)}%
               </p>
             </div>
           </div>
@@ -20,7 +20,9 @@ import {
   Download,
   Upload,
   Trash,
-  ChevronRight
+  ChevronRight,
+  Receipt,
+  ListChecks
 } from 'lucide-react'
 import { Link } from 'react-router-dom'
 import { useMySQLAuth } from '../contexts/MySQLAuthContext'
@@ -40,6 +42,11 @@ import {
 import { auth, database, storage } from '../config/firebase'
 import { ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage'
 import NotificationSettings from '../components/settings/NotificationSettings'
+import InvoiceNumberSettings from '../components/settings/InvoiceNumberSettings'
+import TaxRateSettings from '../components/settings/TaxRateSettings'
+import TimeTrackingSettings from '../components/settings/TimeTrackingSettings'
+import IdleDetectionSettings from '../components/settings/IdleDetectionSettings'
+import TaskWorkflowSettings from '../components/settings/TaskWorkflowSettings'
 
 interface BackupData {
   users: any
@@ -62,7 +69,7 @@ interface BackupData {
 export default function Settings() {
   const { currentUser, currentCompany } = useMySQLAuth()
   const { isDarkMode, toggleDarkMode } = useTheme()
-  const [activeTab, setActiveTab] = useState<'profile' | 'general' | 'database' | 'security' | 'notifications' | 'pdf'>('profile')
+  const [activeTab, setActiveTab] = useState<'profile' | 'general' | 'database' | 'security' | 'notifications' | 'pdf' | 'invoicing' | 'time-tracking' | 'tasks'>('profile')
   const [loading, setLoading] = useState(false)
   const [backupData, setBackupData] = useState<BackupData | null>(null)
   const [message, setMessage] = useState<{ type: 'success' | 'error' | 'info', text: string } | null>(null)
@@ -657,7 +664,13 @@ export default function Settings() {
             (currentCompany?.pricingLevel !== 'solo') && { id: 'database', name: 'Database', icon: Database },
             { id: 'notifications', name: 'Notifications', icon: Bell },
             (currentUser?.role === 'super_admin' || currentUser?.role === 'root') && 
-              { id: 'pdf', name: 'PDF Settings', icon: FileText }
+              { id: 'pdf', name: 'PDF Settings', icon: FileText },
+            (currentUser?.role === 'super_admin' || currentUser?.role === 'root') && 
+              { id: 'invoicing', name: 'Invoicing', icon: Receipt },
+            (currentUser?.role === 'super_admin' || currentUser?.role === 'root') && 
+              { id: 'time-tracking', name: 'Time Tracking', icon: ClockIcon },
+            (currentUser?.role === 'admin' || currentUser?.role === 'super_admin' || currentUser?.role === 'root') &&
+              { id: 'tasks', name: 'Tasks', icon: ListChecks }
           ].filter(Boolean).map((tab: any) => (
             <button
               key={tab.id}
@@ -939,6 +952,8 @@ export default function Settings() {
                 </button>
               </div>
             </div>
+
+            <IdleDetectionSettings />
           </div>
         )}
 
@@ -1186,6 +1201,28 @@ export default function Settings() {
             )}
           </div>
         )}
+
+        {/* Invoice Numbering */}
+        {activeTab === 'invoicing' && (
+          <div className="space-y-6">
+            <InvoiceNumberSettings />
+            <TaxRateSettings />
+          </div>
+        )}
+
+        {/* Time Tracking Rules */}
+        {activeTab === 'time-tracking' && (
+          <div className="space-y-6">
+            <TimeTrackingSettings />
+          </div>
+        )}
+
+        {/* Task statuses and priorities */}
+        {activeTab === 'tasks' && (
+          <div className="space-y-6">
+            <TaskWorkflowSettings />
+          </div>
+        )}
       </div>
     </div>
   )
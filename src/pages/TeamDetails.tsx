@@ -24,6 +24,7 @@ import { timeEntryService } from '../services/timeEntryService'
 import { Team, TeamMember, TeamStats, TimeEntry } from '../types'
 import TeamMemberModal from '../components/teams/TeamMemberModal'
 import SimpleChart from '../components/charts/SimpleChart'
+import TimesheetApprovalQueue from '../components/timesheet/TimesheetApprovalQueue'
 import { format, startOfWeek, endOfWeek, startOfMonth, endOfMonth, subWeeks, subMonths } from 'date-fns'
 import { formatSecondsToHHMMSS } from '../utils'
 
@@ -251,6 +252,10 @@ export default function TeamDetails() {
     return isLeader || isUserSuperAdmin();
   };
 
+  const canApproveTimesheets = () => {
+    return isLeader || isUserSuperAdmin() || currentUser?.role === 'hr' || currentUser?.role === 'super_admin';
+  };
+
   const getMemberName = (userId: string) => {
     const member = teamMembers.find(m => m.userId === userId)
     return member ? member.userName : 'Unknown User'
@@ -592,6 +597,9 @@ export default function TeamDetails() {
         </div>
       </div>
 
+      {/* Timesheet Approvals */}
+      {canApproveTimesheets() && <TimesheetApprovalQueue teamId={team.id} />}
+
       {/* Time Entries Section */}
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
         <div className="flex items-center justify-between mb-4">
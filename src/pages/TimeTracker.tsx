@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import { 
   Clock, 
   Calendar, 
@@ -6,11 +6,15 @@ import {
   BarChart3,
   Target,
   Zap,
-  Trash2
+  Trash2,
+  AlertTriangle,
+  Timer,
+  Table
 } from 'lucide-react'
 import TimeTracker from '../components/TimeTracker'
+import WeeklyTimesheet from '../components/timesheet/WeeklyTimesheet'
 import { TimeSummary, TimeEntry } from '../types'
-import { timeEntryApiService as timeEntryService } from '../services/timeEntryApiService'
+import { timeEntryApiService as timeEntryService, TimeEntryOverlapError } from '../services/timeEntryApiService'
 import { useMySQLAuth } from '../contexts/MySQLAuthContext'
 import { formatTimeFromSeconds, formatDate } from '../utils'
 
@@ -21,6 +25,7 @@ export default function TimeTrackerPage() {
   const [recentEntries, setRecentEntries] = useState<TimeEntry[]>([])
   const [loading, setLoading] = useState(true)
   const [activeTab, setActiveTab] = useState<'today' | 'week' | 'month'>('today')
+  const [entryMode, setEntryMode] = useState<'timer' | 'timesheet'>('timer')
   const [currentPage, setCurrentPage] = useState(1)
   const [entriesPerPage] = useState(10)
 
@@ -74,6 +79,43 @@ export default function TimeTrackerPage() {
     setRecentEntries(allEntries.slice(indexOfFirstEntry, indexOfLastEntry))
   }, [allEntries, currentPage, entriesPerPage])
 
+  // Entries sharing time with another entry; running entries count up to now
+  const overlappingIds = useMemo(() => {
+    const ids = new Set<string>()
+    const sorted = [...allEntries].sort((a, b) => new Date(a.startTime).getTime() - new Date(b.startTime).getTime())
+    let latest: { id: string; end: number } | null = null
+    for (const entry of sorted) {
+      const start = new Date(entry.startTime).getTime()
+      const end = entry.endTime ? new Date(entry.endTime).getTime() : Date.now()
+      if (latest && start < latest.end) {
+        ids.add(entry.id)
+        ids.add(latest.id)
+      }
+      if (!latest || end > latest.end) {
+        latest = { id: entry.id, end }
+      }
+    }
+    return ids
+  }, [allEntries])
+
+  // Ask the server to trim the entry to the free time around the entries it overlaps
+  const trimOverlap = async (entry: TimeEntry) => {
+    try {
+      await timeEntryService.updateTimeEntry(entry.id, {
+        startTime: entry.startTime,
+        ...(entry.endTime ? { endTime: entry.endTime } : {}),
+        overlapResolution: 'trim'
+      })
+      loadTimeData()
+    } catch (error) {
+      if (error instanceof TimeEntryOverlapError) {
+        alert('Another entry falls inside this one, so it cannot be trimmed automatically. Edit or delete one of the entries instead.')
+      } else {
+        console.error('Error trimming time entry:', error)
+      }
+    }
+  }
+
   const getTimeStats = () => {
     if (!timeSummary) return { total: 0, billable: 0, entries: 0 }
     
@@ -261,8 +303,32 @@ export default function TimeTrackerPage() {
         </div>
       </div>
 
-      {/* Time Tracker Component */}
-      <TimeTracker onTimeUpdate={handleTimeUpdate} />
+      {/* Timer or week-at-a-time entry */}
+      <div className="flex space-x-1 bg-gray-100 dark:bg-gray-700 rounded-lg p-1 w-fit">
+        {([
+          { id: 'timer', label: 'Timer', icon: Timer },
+          { id: 'timesheet', label: 'Timesheet', icon: Table }
+        ] as const).map(mode => (
+          <button
+            key={mode.id}
+            onClick={() => setEntryMode(mode.id)}
+            className={`flex items-center space-x-2 px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+              entryMode === mode.id
+                ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow-sm'
+                : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100'
+            }`}
+          >
+            <mode.icon className="h-4 w-4" />
+            <span>{mode.label}</span>
+          </button>
+        ))}
+      </div>
+
+      {entryMode === 'timer' ? (
+        <TimeTracker onTimeUpdate={handleTimeUpdate} />
+      ) : (
+        <WeeklyTimesheet onSaved={loadTimeData} />
+      )}
 
       {/* Recent Entries with Pagination */}
       {allEntries.length > 0 && (
@@ -304,6 +370,21 @@ export default function TimeTrackerPage() {
                         {entry.description}
                       </span>
                     )}
+                    {overlappingIds.has(entry.id) && (
+                      <span className="inline-flex items-center text-xs bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200 px-2 py-1 rounded-full">
+                        <AlertTriangle className="h-3 w-3 mr-1" />
+                        Overlaps
+                        {!entry.isRunning && !entry.isLocked && (
+                          <button
+                            onClick={() => trimOverlap(entry)}
+                            className="ml-2 font-medium underline hover:no-underline"
+                            title="Shorten this entry so it no longer overlaps"
+                          >
+                            Trim
+                          </button>
+                        )}
+                      </span>
+                    )}
                     {entry.tags && entry.tags.length > 0 && (
                       <div className="flex flex-wrap gap-1">
                         {entry.tags.map((tag, index) => (
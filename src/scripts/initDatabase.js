@@ -1,4 +1,5 @@
 import { createRequire } from 'module';
+import { randomUUID } from 'crypto';
 const require = createRequire(import.meta.url);
 
 const pool = require('../../src/config/db');
@@ -36,6 +37,46 @@ async function initDatabase() {
       )
     `);
 
+    // Create company_invoice_settings table (holds each company's invoice number sequence)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS company_invoice_settings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        company_id VARCHAR(255) NOT NULL,
+        prefix VARCHAR(20) DEFAULT 'INV-',
+        padding INT DEFAULT 4,
+        reset_yearly BOOLEAN DEFAULT FALSE,
+        next_number INT DEFAULT 1,
+        sequence_year INT,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_company_invoice_settings (company_id)
+      )
+    `);
+
+    // Create company_time_settings table (per-company time tracking rules)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS company_time_settings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        company_id VARCHAR(255) NOT NULL,
+        overlap_policy ENUM('reject', 'warn', 'trim') DEFAULT 'warn',
+        auto_stop_policy ENUM('off', 'max_duration', 'midnight') DEFAULT 'off',
+        auto_stop_max_hours DECIMAL(5, 2) DEFAULT 10.00,
+        rounding_mode ENUM('none', 'nearest', 'up', 'down') DEFAULT 'none',
+        rounding_increment_minutes INT DEFAULT 15,
+        minimum_billable_minutes INT DEFAULT 0,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_company_time_settings (company_id)
+      )
+    `);
+
+    // Auto-stop rules for timers left running, for databases created before they existed
+    await connection.execute("ALTER TABLE company_time_settings ADD COLUMN IF NOT EXISTS auto_stop_policy ENUM('off', 'max_duration', 'midnight') DEFAULT 'off'");
+    await connection.execute('ALTER TABLE company_time_settings ADD COLUMN IF NOT EXISTS auto_stop_max_hours DECIMAL(5, 2) DEFAULT 10.00');
+
+    // Rounding of billable time, for databases created before it existed
+    await connection.execute("ALTER TABLE company_time_settings ADD COLUMN IF NOT EXISTS rounding_mode ENUM('none', 'nearest', 'up', 'down') DEFAULT 'none'");
+    await connection.execute('ALTER TABLE company_time_settings ADD COLUMN IF NOT EXISTS rounding_increment_minutes INT DEFAULT 15');
+    await connection.execute('ALTER TABLE company_time_settings ADD COLUMN IF NOT EXISTS minimum_billable_minutes INT DEFAULT 0');
+
     // Create users table
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS users (
@@ -48,7 +89,9 @@ async function initDatabase() {
         team_role ENUM('member', 'leader'),
         avatar TEXT,
         timezone VARCHAR(100) DEFAULT 'GMT+0 (Greenwich Mean Time)',
-        hourly_rate DECIMAL(10, 2) DEFAULT 25.00,
+        hourly_rate DECIMAL(10, 2) DEFAULT NULL,
+        cost_rate DECIMAL(10, 2) DEFAULT NULL,
+        idle_timeout_minutes INT DEFAULT 10,
         is_active BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -56,6 +99,24 @@ async function initDatabase() {
       )
     `);
 
+    // User rates are optional so the client rate applies when none is set. Users
+    // from when the column defaulted to 25.00 still hold that placeholder; it is
+    // cleared once, while the old default shows it was never set on purpose
+    const [[userRateColumn]] = await connection.execute(
+      `SELECT COLUMN_DEFAULT AS column_default FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'hourly_rate'`
+    );
+    if (userRateColumn && Number(userRateColumn.column_default) === 25) {
+      await connection.execute('UPDATE users SET hourly_rate = NULL WHERE hourly_rate = 25.00');
+    }
+    await connection.execute('ALTER TABLE users MODIFY COLUMN hourly_rate DECIMAL(10, 2) DEFAULT NULL');
+
+    // Internal cost of an hour of the user's time, for profitability reporting
+    await connection.execute('ALTER TABLE users ADD COLUMN IF NOT EXISTS cost_rate DECIMAL(10, 2) DEFAULT NULL');
+
+    // Minutes without input before a running timer asks about the idle time; 0 turns it off
+    await connection.execute('ALTER TABLE users ADD COLUMN IF NOT EXISTS idle_timeout_minutes INT DEFAULT 10');
+
     // Create clients table
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS clients (
@@ -73,6 +134,9 @@ async function initDatabase() {
         company VARCHAR(255),
         address TEXT,
         currency VARCHAR(10),
+        rounding_mode ENUM('none', 'nearest', 'up', 'down'),
+        rounding_increment_minutes INT,
+        minimum_billable_minutes INT,
         is_archived BOOLEAN DEFAULT FALSE,
         created_by VARCHAR(255),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -83,6 +147,11 @@ async function initDatabase() {
       )
     `);
 
+    // A client's own rounding rule; NULL rounding_mode means the company rule applies
+    await connection.execute("ALTER TABLE clients ADD COLUMN IF NOT EXISTS rounding_mode ENUM('none', 'nearest', 'up', 'down')");
+    await connection.execute('ALTER TABLE clients ADD COLUMN IF NOT EXISTS rounding_increment_minutes INT');
+    await connection.execute('ALTER TABLE clients ADD COLUMN IF NOT EXISTS minimum_billable_minutes INT');
+
     // Create projects table
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS projects (
@@ -95,6 +164,8 @@ async function initDatabase() {
         start_date DATE,
         end_date DATE,
         budget DECIMAL(12, 2),
+        budget_alert_thresholds VARCHAR(100) DEFAULT '50,80,100',
+        hourly_rate DECIMAL(10, 2) DEFAULT NULL,
         client_id VARCHAR(255),
         client_name VARCHAR(255),
         is_archived BOOLEAN DEFAULT FALSE,
@@ -108,6 +179,26 @@ async function initDatabase() {
       )
     `);
 
+    // Budget alert thresholds for projects created before budget tracking
+    await connection.execute("ALTER TABLE projects ADD COLUMN IF NOT EXISTS budget_alert_thresholds VARCHAR(100) DEFAULT '50,80,100'");
+
+    // Project billable rate, overriding user and client rates
+    await connection.execute('ALTER TABLE projects ADD COLUMN IF NOT EXISTS hourly_rate DECIMAL(10, 2) DEFAULT NULL');
+
+    // Create project_user_rates table (a user's rate on one project overrides every other rate)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS project_user_rates (
+        project_id VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        hourly_rate DECIMAL(10, 2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (project_id, user_id),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
     // Create time_entries table
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS time_entries (
@@ -124,6 +215,15 @@ async function initDatabase() {
         duration INT NOT NULL,
         is_running BOOLEAN DEFAULT FALSE,
         is_billable BOOLEAN DEFAULT FALSE,
+        tags JSON,
+        is_locked BOOLEAN DEFAULT FALSE,
+        locked_at TIMESTAMP NULL,
+        invoice_id VARCHAR(255),
+        hourly_rate DECIMAL(10, 2) DEFAULT NULL,
+        rate_source ENUM('project_user', 'project', 'user', 'client'),
+        cost_rate DECIMAL(10, 2) DEFAULT NULL,
+        timesheet_period_id VARCHAR(255),
+        approved_at TIMESTAMP NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -133,6 +233,23 @@ async function initDatabase() {
       )
     `);
 
+    // Tags are stored on the entry as a JSON array of strings
+    await connection.execute('ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS tags JSON');
+
+    // Invoice lock columns for databases created before invoicing existed
+    await connection.execute('ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS is_locked BOOLEAN DEFAULT FALSE');
+    await connection.execute('ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP NULL');
+    await connection.execute('ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS invoice_id VARCHAR(255)');
+
+    // Rate snapshot taken when the entry is logged, so later rate edits don't reprice history
+    await connection.execute('ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS hourly_rate DECIMAL(10, 2) DEFAULT NULL');
+    await connection.execute("ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS rate_source ENUM('project_user', 'project', 'user', 'client')");
+    await connection.execute('ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS cost_rate DECIMAL(10, 2) DEFAULT NULL');
+
+    // Set when the timesheet period covering the entry is approved
+    await connection.execute('ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS timesheet_period_id VARCHAR(255)');
+    await connection.execute('ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP NULL');
+
     // Create time_entry_tags table
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS time_entry_tags (
@@ -191,15 +308,8 @@ async function initDatabase() {
         notes TEXT,
         project_id VARCHAR(255) NOT NULL,
         project_name VARCHAR(255),
-        status_id VARCHAR(50),
-        status_name VARCHAR(50),
-        status_color VARCHAR(7),
-        status_order INT,
-        status_is_completed BOOLEAN,
-        priority_id VARCHAR(50),
-        priority_name VARCHAR(50),
-        priority_color VARCHAR(7),
-        priority_level INT,
+        status_id VARCHAR(255),
+        priority_id VARCHAR(255),
         assignee_id VARCHAR(255),
         assignee_name VARCHAR(255),
         assignee_email VARCHAR(255),
@@ -224,6 +334,159 @@ async function initDatabase() {
       )
     `);
 
+    // Status and priority are read from task_statuses and task_priorities by id
+    await connection.execute('ALTER TABLE tasks MODIFY COLUMN status_id VARCHAR(255)');
+    await connection.execute('ALTER TABLE tasks MODIFY COLUMN priority_id VARCHAR(255)');
+
+    // Tasks run from start_date to due_date on the timeline
+    await connection.execute('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS start_date DATE');
+
+    // Recurring tasks: the rule sits on the latest occurrence of a series, and
+    // each occurrence date exists once per series
+    await connection.execute('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence JSON');
+    await connection.execute('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_series_id VARCHAR(255)');
+    await connection.execute('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_date DATE');
+    await connection.execute('CREATE UNIQUE INDEX IF NOT EXISTS unique_task_occurrence ON tasks(recurrence_series_id, recurrence_date)');
+
+    // Create task_statuses table (a company's workflow, or a project's own when project_id is set)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS task_statuses (
+        id VARCHAR(255) PRIMARY KEY,
+        company_id VARCHAR(255),
+        project_id VARCHAR(255),
+        name VARCHAR(50) NOT NULL,
+        color VARCHAR(7) NOT NULL,
+        sort_order INT NOT NULL DEFAULT 0,
+        is_completed BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create task_priorities table (same scoping as task_statuses)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS task_priorities (
+        id VARCHAR(255) PRIMARY KEY,
+        company_id VARCHAR(255),
+        project_id VARCHAR(255),
+        name VARCHAR(50) NOT NULL,
+        color VARCHAR(7) NOT NULL,
+        level INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Older tasks carry their status and priority as name, color and order copies,
+    // under ids that are not in task_statuses or task_priorities. Those values
+    // become rows of the company's workflow and the tasks move to them
+    const [[legacyColumn]] = await connection.execute(
+      `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'tasks' AND COLUMN_NAME = 'status_name'`
+    );
+    if (legacyColumn) {
+      const legacyWorkflows = [
+        {
+          table: 'task_statuses',
+          taskColumn: 'status_id',
+          nameColumn: 'status_name',
+          values: {
+            name: 'MAX(status_name)',
+            color: "COALESCE(MAX(status_color), '#6B7280')",
+            sort_order: 'COALESCE(MAX(status_order), 0)',
+            is_completed: 'COALESCE(MAX(status_is_completed), 0)'
+          }
+        },
+        {
+          table: 'task_priorities',
+          taskColumn: 'priority_id',
+          nameColumn: 'priority_name',
+          values: {
+            name: 'MAX(priority_name)',
+            color: "COALESCE(MAX(priority_color), '#6B7280')",
+            level: 'COALESCE(MAX(priority_level), 0)'
+          }
+        }
+      ];
+
+      await connection.beginTransaction();
+      try {
+        for (const { table, taskColumn, nameColumn, values } of legacyWorkflows) {
+          const columns = Object.keys(values);
+          const [legacyValues] = await connection.execute(
+            `SELECT company_id, ${taskColumn} AS legacy_id, ${Object.entries(values).map(([column, expression]) => `${expression} AS ${column}`).join(', ')}
+             FROM tasks
+             WHERE ${taskColumn} IS NOT NULL AND ${nameColumn} IS NOT NULL
+               AND ${taskColumn} NOT IN (SELECT id FROM ${table})
+             GROUP BY company_id, ${taskColumn}`
+          );
+          for (const value of legacyValues) {
+            const id = randomUUID();
+            await connection.execute(
+              `INSERT INTO ${table} (id, company_id, project_id, ${columns.join(', ')})
+               VALUES (?, ?, NULL, ${columns.map(() => '?').join(', ')})`,
+              [id, value.company_id, ...columns.map(column => value[column])]
+            );
+            await connection.execute(
+              `UPDATE tasks SET ${taskColumn} = ?, updated_at = updated_at WHERE ${taskColumn} = ? AND company_id <=> ?`,
+              [id, value.legacy_id, value.company_id]
+            );
+          }
+        }
+        await connection.commit();
+      } catch (migrationError) {
+        await connection.rollback();
+        throw migrationError;
+      }
+    }
+
+    // The copies are dropped only once their values are in the workflow tables
+    for (const column of ['status_name', 'status_color', 'status_order', 'status_is_completed', 'priority_name', 'priority_color', 'priority_level']) {
+      await connection.execute(`ALTER TABLE tasks DROP COLUMN IF EXISTS ${column}`);
+    }
+
+    // Create project_boards table (saved board layouts for a project; columns and
+    // settings are kept as JSON in the shape the client edits them)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS project_boards (
+        id VARCHAR(255) PRIMARY KEY,
+        company_id VARCHAR(255),
+        project_id VARCHAR(255) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        type ENUM('kanban', 'list', 'calendar', 'gantt', 'timeline') DEFAULT 'kanban',
+        board_columns JSON,
+        settings JSON,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create task_dependencies table (finish-to-start: task_id can't start until
+    // depends_on_task_id is done)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS task_dependencies (
+        id VARCHAR(255) PRIMARY KEY,
+        task_id VARCHAR(255) NOT NULL,
+        depends_on_task_id VARCHAR(255) NOT NULL,
+        type ENUM('finish_to_start') DEFAULT 'finish_to_start',
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_task_dependency (task_id, depends_on_task_id),
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (depends_on_task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
     // Create task_tags table
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS task_tags (
@@ -291,6 +554,194 @@ async function initDatabase() {
       )
     `);
 
+    // Create invoices table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id VARCHAR(255) PRIMARY KEY,
+        company_id VARCHAR(255),
+        invoice_number VARCHAR(100) NOT NULL,
+        sequence_number INT,
+        sequence_year INT,
+        client_id VARCHAR(255),
+        client_name VARCHAR(255),
+        client_email VARCHAR(255),
+        status ENUM('draft', 'sent', 'partially_paid', 'paid', 'cancelled') DEFAULT 'draft',
+        issue_date DATE NOT NULL,
+        due_date DATE,
+        period_start DATE,
+        period_end DATE,
+        currency VARCHAR(10) DEFAULT 'USD',
+        hourly_rate DECIMAL(15, 3) DEFAULT 0.000,
+        total_hours DECIMAL(10, 2) DEFAULT 0.00,
+        subtotal DECIMAL(15, 3) DEFAULT 0.000,
+        discount_type ENUM('percentage', 'fixed'),
+        discount_value DECIMAL(15, 3) DEFAULT 0.000,
+        discount_amount DECIMAL(15, 3) DEFAULT 0.000,
+        tax_total DECIMAL(15, 3) DEFAULT 0.000,
+        total DECIMAL(15, 3) DEFAULT 0.000,
+        amount_paid DECIMAL(15, 3) DEFAULT 0.000,
+        notes TEXT,
+        sent_at TIMESTAMP NULL,
+        paid_at TIMESTAMP NULL,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_company_invoice_number (company_id, invoice_number)
+      )
+    `);
+
+    // Create invoice_line_items table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS invoice_line_items (
+        id VARCHAR(255) PRIMARY KEY,
+        invoice_id VARCHAR(255) NOT NULL,
+        time_entry_id VARCHAR(255),
+        project_id VARCHAR(255),
+        project_name VARCHAR(255),
+        description TEXT,
+        entry_date DATE,
+        quantity DECIMAL(10, 2) DEFAULT 0.00,
+        unit_price DECIMAL(15, 3) DEFAULT 0.000,
+        amount DECIMAL(15, 3) DEFAULT 0.000,
+        sort_order INT DEFAULT 0,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+        FOREIGN KEY (time_entry_id) REFERENCES time_entries(id) ON DELETE SET NULL,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_invoice_time_entry (time_entry_id)
+      )
+    `);
+
+    // Create tax_rates table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS tax_rates (
+        id VARCHAR(255) PRIMARY KEY,
+        company_id VARCHAR(255) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        rate DECIMAL(7, 4) NOT NULL,
+        is_archived BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create client_tax_rates table (default taxes applied to a client's invoices)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS client_tax_rates (
+        client_id VARCHAR(255) NOT NULL,
+        tax_rate_id VARCHAR(255) NOT NULL,
+        PRIMARY KEY (client_id, tax_rate_id),
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create invoice_taxes table (name and rate are copied so later edits don't change issued invoices)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS invoice_taxes (
+        id VARCHAR(255) PRIMARY KEY,
+        invoice_id VARCHAR(255) NOT NULL,
+        tax_rate_id VARCHAR(255),
+        name VARCHAR(100) NOT NULL,
+        rate DECIMAL(7, 4) NOT NULL,
+        amount DECIMAL(15, 3) DEFAULT 0.000,
+        sort_order INT DEFAULT 0,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+        FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create invoice_payments table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS invoice_payments (
+        id VARCHAR(255) PRIMARY KEY,
+        invoice_id VARCHAR(255) NOT NULL,
+        payment_date DATE NOT NULL,
+        amount DECIMAL(15, 3) NOT NULL,
+        method ENUM('bank_transfer', 'cash', 'check', 'credit_card', 'paypal', 'other') DEFAULT 'bank_transfer',
+        reference VARCHAR(255),
+        notes TEXT,
+        recorded_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+        FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create project_budget_alerts table (one row per threshold already announced)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS project_budget_alerts (
+        project_id VARCHAR(255) NOT NULL,
+        threshold INT NOT NULL,
+        percent_used DECIMAL(7, 2),
+        triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (project_id, threshold),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create timesheet_periods table (a user's week going through approval)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS timesheet_periods (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        company_id VARCHAR(255),
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        status ENUM('draft', 'submitted', 'approved', 'rejected') DEFAULT 'draft',
+        total_seconds INT DEFAULT 0,
+        submitted_at TIMESTAMP NULL,
+        reviewed_by VARCHAR(255),
+        reviewed_by_name VARCHAR(255),
+        reviewed_at TIMESTAMP NULL,
+        review_comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_user_period (user_id, period_start)
+      )
+    `);
+
+    // Create time_entry_sync_operations table (timer actions already applied, so
+    // an offline client replaying its queue never applies one twice)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS time_entry_sync_operations (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        time_entry_id VARCHAR(255) NOT NULL,
+        action ENUM('create', 'stop', 'update') NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (time_entry_id) REFERENCES time_entries(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create notifications table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        company_id VARCHAR(255),
+        type ENUM('info', 'success', 'warning', 'error', 'mention') DEFAULT 'info',
+        title VARCHAR(255) NOT NULL,
+        message TEXT,
+        action_url VARCHAR(500),
+        context_type VARCHAR(50),
+        context_id VARCHAR(255),
+        is_read BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+      )
+    `);
+
     // Create indexes for better performance
     await connection.execute('CREATE INDEX IF NOT EXISTS idx_users_company ON users(company_id)');
     await connection.execute('CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)');
@@ -308,6 +759,17 @@ async function initDatabase() {
     await connection.execute('CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(project_id)');
     await connection.execute('CREATE INDEX IF NOT EXISTS idx_tasks_assignee ON tasks(assignee_id)');
     await connection.execute('CREATE INDEX IF NOT EXISTS idx_tasks_company ON tasks(company_id)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_invoices_company ON invoices(company_id)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_invoices_client ON invoices(client_id)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice ON invoice_line_items(invoice_id)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_time_entries_invoice ON time_entries(invoice_id)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_tax_rates_company ON tax_rates(company_id)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_invoice_taxes_invoice ON invoice_taxes(invoice_id)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments(invoice_id)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_invoices_due_date ON invoices(due_date)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_project_user_rates_user ON project_user_rates(user_id)');
+    await connection.execute('CREATE INDEX IF NOT EXISTS idx_timesheet_periods_company ON timesheet_periods(company_id, status)');
 
     console.log('Database initialized successfully!');
   } catch (error) {
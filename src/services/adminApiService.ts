@@ -1,4 +1,5 @@
-import { User, TimeEntry, Project, Client, Team, CreateTimeEntryData } from '../types'
+import { User, TimeEntry, Project, Client, Team } from '../types'
+import { TimeEntryOverlapError, TimeEntryUpdates } from './timeEntryApiService'
 
 // API Configuration
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api'
@@ -38,6 +39,9 @@ const apiRequest = async <T>(
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}))
+      if (response.status === 409 && errorData.code === 'TIME_ENTRY_OVERLAP') {
+        throw new TimeEntryOverlapError(errorData)
+      }
       throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
     }
 
@@ -226,9 +230,10 @@ export const adminTimeEntriesAPI = {
   },
 
   // Update time entry (admin only)
-  async updateTimeEntry(entryId: string, updates: Partial<CreateTimeEntryData & { projectName?: string, clientName?: string }>): Promise<void> {
+  async updateTimeEntry(entryId: string, updates: TimeEntryUpdates): Promise<void> {
     const response = await apiRequest<{
       success: boolean
+      trimmed: boolean
       message: string
     }>(`/admin/time-entries/${entryId}`, {
       method: 'PUT',
@@ -1,23 +1,28 @@
 import { TimeEntry, CalendarEvent, CalendarDay, CalendarView, CalendarFilters, Project } from '../types'
 import { timeEntryApiService } from './timeEntryApiService'
+import { BREAK_TAG } from '../utils/focusSession'
 
 export const calendarService = {
   // Convert time entries to calendar events
   convertTimeEntriesToEvents(timeEntries: TimeEntry[]): CalendarEvent[] {
-    return timeEntries.map(entry => ({
-      id: entry.id,
-      title: entry.description || 'Time Entry',
-      description: entry.description,
-      startTime: entry.startTime,
-      endTime: entry.endTime || new Date(entry.startTime.getTime() + entry.duration * 1000),
-      duration: entry.duration,
-      projectId: entry.projectId,
-      projectName: entry.projectName,
-      isBillable: entry.isBillable,
-      tags: entry.tags,
-      color: this.getProjectColor(entry.projectId),
-      type: 'timeEntry' as const
-    }))
+    return timeEntries.map(entry => {
+      // Focus mode logs breaks as entries tagged "break"
+      const isBreak = !!entry.tags?.includes(BREAK_TAG)
+      return {
+        id: entry.id,
+        title: entry.description || 'Time Entry',
+        description: entry.description,
+        startTime: entry.startTime,
+        endTime: entry.endTime || new Date(entry.startTime.getTime() + entry.duration * 1000),
+        duration: entry.duration,
+        projectId: entry.projectId,
+        projectName: entry.projectName,
+        isBillable: entry.isBillable,
+        tags: entry.tags,
+        color: isBreak ? '#9CA3AF' : this.getProjectColor(entry.projectId),
+        type: isBreak ? 'break' as const : 'timeEntry' as const
+      }
+    })
   },
 
   // Get project color for calendar events
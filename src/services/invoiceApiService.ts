@@ -0,0 +1,295 @@
+import {
+  Invoice,
+  InvoiceStatus,
+  CreateInvoiceData,
+  InvoiceTotalsInput,
+  InvoiceTotals,
+  UpdateInvoiceData,
+  InvoiceNumberSettings,
+  InvoicePayment,
+  CreateInvoicePaymentData,
+  ClientBalance,
+  TimeEntry
+} from '../types'
+
+// API Configuration
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '/api'
+
+// Get auth token for authentication
+const getAuthToken = async (): Promise<string | null> => {
+  try {
+    // In a real implementation, you would get the token from your auth context
+    // For now, we'll return a placeholder - in practice, this would come from your auth system
+    return localStorage.getItem('authToken') || null
+  } catch (error) {
+    console.error('Error getting auth token:', error)
+    return null
+  }
+}
+
+// Generic API request function
+const apiRequest = async <T>(
+  endpoint: string,
+  options: RequestInit = {}
+): Promise<T> => {
+  const token = await getAuthToken()
+  
+  const url = `${API_BASE_URL}${endpoint}`
+  
+  const config: RequestInit = {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      ...options.headers,
+    },
+  }
+
+  try {
+    const response = await fetch(url, config)
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      
+      // If the error is due to an invalid or expired token, redirect to login
+      if (response.status === 401 || response.status === 403) {
+        // Clear the expired token from localStorage
+        localStorage.removeItem('authToken')
+        localStorage.removeItem('currentUser')
+        localStorage.removeItem('currentCompany')
+
+        // Notify the app so it can handle logout without forcing a full page reload
+        window.dispatchEvent(new CustomEvent('auth:expired'))
+
+        throw new Error('Session expired. Please log in again.')
+      }
+      
+      // If it's a bad request due to invalid company ID format, throw an error
+      if (response.status === 400 && errorData.error && errorData.error.includes('Invalid company ID format')) {
+        // Do not treat invalid companyId as an auth failure.
+        // This can happen during Firebase -> MySQL migration when legacy Firebase-style IDs are still present.
+        throw new Error('Invalid company ID format')
+      }
+      
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
+    }
+
+    const data = await response.json()
+    return data
+  } catch (error) {
+    console.error(`API request failed for ${endpoint}:`, error)
+    throw error
+  }
+}
+
+// Invoice API Service
+export const invoiceApiService = {
+  // Get invoices for the current company
+  // 'overdue' matches open invoices past their due date
+  async getInvoices(filters?: { status?: InvoiceStatus | 'overdue'; clientId?: string }): Promise<Invoice[]> {
+    const queryParams = new URLSearchParams()
+    if (filters?.status) queryParams.append('status', filters.status)
+    if (filters?.clientId) queryParams.append('clientId', filters.clientId)
+
+    const queryString = queryParams.toString()
+    const response = await apiRequest<{
+      success: boolean
+      data: Invoice[]
+      count: number
+    }>(`/invoices${queryString ? `?${queryString}` : ''}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get invoices')
+    }
+
+    return response.data
+  },
+
+  // Get a single invoice with its line items
+  async getInvoice(invoiceId: string): Promise<Invoice> {
+    const response = await apiRequest<{
+      success: boolean
+      data: Invoice
+    }>(`/invoices/${invoiceId}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get invoice')
+    }
+
+    return response.data
+  },
+
+  // Get billable entries for a client that have not been invoiced yet
+  async getBillableEntries(clientId: string, startDate: string, endDate: string, approvedOnly = false): Promise<TimeEntry[]> {
+    const queryParams = new URLSearchParams({ clientId, startDate, endDate })
+    if (approvedOnly) queryParams.append('approvedOnly', 'true')
+
+    const response = await apiRequest<{
+      success: boolean
+      data: TimeEntry[]
+      count: number
+    }>(`/invoices/billable-entries?${queryParams.toString()}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get billable entries')
+    }
+
+    return response.data
+  },
+
+  // Totals as the server will store them, for previewing an invoice before it is saved
+  async calculateInvoiceTotals(input: InvoiceTotalsInput): Promise<InvoiceTotals> {
+    const response = await apiRequest<{
+      success: boolean
+      data: InvoiceTotals
+    }>('/invoices/totals', {
+      method: 'POST',
+      body: JSON.stringify(input)
+    })
+
+    if (!response.success) {
+      throw new Error('Failed to calculate invoice totals')
+    }
+
+    return response.data
+  },
+
+  async createInvoice(invoiceData: CreateInvoiceData): Promise<Invoice> {
+    const response = await apiRequest<{
+      success: boolean
+      data: Invoice
+      message?: string
+    }>('/invoices', {
+      method: 'POST',
+      body: JSON.stringify(invoiceData)
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to create invoice')
+    }
+
+    return response.data
+  },
+
+  async updateInvoice(invoiceId: string, updates: UpdateInvoiceData): Promise<void> {
+    const response = await apiRequest<{
+      success: boolean
+      message?: string
+    }>(`/invoices/${invoiceId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to update invoice')
+    }
+  },
+
+  async deleteInvoice(invoiceId: string): Promise<void> {
+    const response = await apiRequest<{
+      success: boolean
+      message?: string
+    }>(`/invoices/${invoiceId}`, {
+      method: 'DELETE'
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to delete invoice')
+    }
+  },
+
+  async getPayments(invoiceId: string): Promise<InvoicePayment[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: InvoicePayment[]
+      count: number
+    }>(`/invoices/${invoiceId}/payments`)
+
+    if (!response.success) {
+      throw new Error('Failed to get payments')
+    }
+
+    return response.data
+  },
+
+  // Record a full or partial payment; returns the invoice with its new status and balance
+  async recordPayment(invoiceId: string, payment: CreateInvoicePaymentData): Promise<Invoice> {
+    const response = await apiRequest<{
+      success: boolean
+      data: Invoice
+      message?: string
+    }>(`/invoices/${invoiceId}/payments`, {
+      method: 'POST',
+      body: JSON.stringify(payment)
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to record payment')
+    }
+
+    return response.data
+  },
+
+  async deletePayment(invoiceId: string, paymentId: string): Promise<void> {
+    const response = await apiRequest<{
+      success: boolean
+      message?: string
+    }>(`/invoices/${invoiceId}/payments/${paymentId}`, {
+      method: 'DELETE'
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to delete payment')
+    }
+  },
+
+  // Outstanding balance of a client's open invoices, one entry per currency
+  async getClientBalance(clientId: string): Promise<ClientBalance[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: ClientBalance[]
+    }>(`/clients/${clientId}/balance`)
+
+    if (!response.success) {
+      throw new Error('Failed to get client balance')
+    }
+
+    return response.data
+  },
+
+  // Get the company's invoice numbering settings and a preview of the next number
+  async getInvoiceSettings(companyId?: string): Promise<InvoiceNumberSettings> {
+    const queryString = companyId ? `?companyId=${encodeURIComponent(companyId)}` : ''
+    const response = await apiRequest<{
+      success: boolean
+      data: InvoiceNumberSettings
+    }>(`/invoice-settings${queryString}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get invoice settings')
+    }
+
+    return response.data
+  },
+
+  async updateInvoiceSettings(
+    settings: Partial<Pick<InvoiceNumberSettings, 'prefix' | 'padding' | 'resetYearly'>>,
+    companyId?: string
+  ): Promise<void> {
+    const queryString = companyId ? `?companyId=${encodeURIComponent(companyId)}` : ''
+    const response = await apiRequest<{
+      success: boolean
+      message?: string
+    }>(`/invoice-settings${queryString}`, {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to update invoice settings')
+    }
+  }
+}
+
+// Export default
+export default invoiceApiService
@@ -0,0 +1,144 @@
+import { AppNotification } from '../types'
+
+// API Configuration
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '/api'
+
+// Get auth token for authentication
+const getAuthToken = async (): Promise<string | null> => {
+  try {
+    // In a real implementation, you would get the token from your auth context
+    // For now, we'll return a placeholder - in practice, this would come from your auth system
+    return localStorage.getItem('authToken') || null
+  } catch (error) {
+    console.error('Error getting auth token:', error)
+    return null
+  }
+}
+
+// Generic API request function
+const apiRequest = async <T>(
+  endpoint: string,
+  options: RequestInit = {}
+): Promise<T> => {
+  const token = await getAuthToken()
+  
+  const url = `${API_BASE_URL}${endpoint}`
+  
+  const config: RequestInit = {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      ...options.headers,
+    },
+  }
+
+  try {
+    const response = await fetch(url, config)
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      
+      // If the error is due to an invalid or expired token, redirect to login
+      if (response.status === 401 || response.status === 403) {
+        // Clear the expired token from localStorage
+        localStorage.removeItem('authToken')
+        localStorage.removeItem('currentUser')
+        localStorage.removeItem('currentCompany')
+
+        // Notify the app so it can handle logout without forcing a full page reload
+        window.dispatchEvent(new CustomEvent('auth:expired'))
+
+        throw new Error('Session expired. Please log in again.')
+      }
+      
+      // If it's a bad request due to invalid company ID format, throw an error
+      if (response.status === 400 && errorData.error && errorData.error.includes('Invalid company ID format')) {
+        // Do not treat invalid companyId as an auth failure.
+        // This can happen during Firebase -> MySQL migration when legacy Firebase-style IDs are still present.
+        throw new Error('Invalid company ID format')
+      }
+      
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
+    }
+
+    const data = await response.json()
+    return data
+  } catch (error) {
+    console.error(`API request failed for ${endpoint}:`, error)
+    throw error
+  }
+}
+
+// Notification API Service
+export const notificationApiService = {
+  // Most recent notifications for the signed-in user
+  async getNotifications(unreadOnly: boolean = false): Promise<AppNotification[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: AppNotification[]
+      count: number
+    }>(`/notifications${unreadOnly ? '?unread=true' : ''}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get notifications')
+    }
+
+    return response.data
+  },
+
+  async markAsRead(notificationId: string): Promise<void> {
+    const response = await apiRequest<{
+      success: boolean
+      message?: string
+    }>(`/notifications/${notificationId}/read`, {
+      method: 'PUT'
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to update notification')
+    }
+  },
+
+  async markAllAsRead(): Promise<void> {
+    const response = await apiRequest<{
+      success: boolean
+      message?: string
+    }>('/notifications/read-all', {
+      method: 'PUT'
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to update notifications')
+    }
+  },
+
+  async deleteNotification(notificationId: string): Promise<void> {
+    const response = await apiRequest<{
+      success: boolean
+      message?: string
+    }>(`/notifications/${notificationId}`, {
+      method: 'DELETE'
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to delete notification')
+    }
+  },
+
+  async clearNotifications(): Promise<void> {
+    const response = await apiRequest<{
+      success: boolean
+      message?: string
+    }>('/notifications', {
+      method: 'DELETE'
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to clear notifications')
+    }
+  }
+}
+
+// Export default
+export default notificationApiService
@@ -6,6 +6,7 @@ export interface TimerNotificationData {
   description: string
   startTime: Date
   isBillable: boolean
+  title?: string // Defaults to the running timer title
 }
 
 class NotificationService {
@@ -47,7 +48,7 @@ class NotificationService {
     this.closeNotification()
 
     try {
-      this.notification = new Notification('NexiFlow - Timer Running', {
+      this.notification = new Notification(data.title || 'NexiFlow - Timer Running', {
         body: `${data.projectName}: ${data.description}`,
         icon: '/favicon.ico',
         badge: '/favicon.ico',
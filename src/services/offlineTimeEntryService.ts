@@ -0,0 +1,342 @@
+import { v4 as uuidv4 } from 'uuid'
+import { CreateTimeEntryData, TimeEntry } from '../types'
+import { timeEntryApiService, TimeEntryUpdates, TimeEntrySyncConflictError, TimeEntryNotFoundError } from './timeEntryApiService'
+import {
+  QueuedTimerOperation,
+  applyQueuedOperations,
+  coalesceOperation,
+  discardQueuedOperations,
+  rebaseOperations,
+  isNetworkError
+} from '../utils/offlineTimer'
+
+const DB_NAME = 'nexiflow-offline'
+const STORE_NAME = 'timerOperations'
+
+// Announced with 'timerSyncChange' whenever the queue changes or a replay finishes
+export interface TimerSyncStatus {
+  pending: number
+  problems: string[] // Queued actions the server turned down
+}
+
+const ACTION_LABELS: Record<QueuedTimerOperation['type'], string> = {
+  create: 'Starting a timer',
+  stop: 'Stopping a timer',
+  update: 'Editing a timer',
+  delete: 'Discarding a timer'
+}
+
+let dbPromise: Promise<IDBDatabase> | null = null
+let syncing: Promise<void> | null = null
+
+// Last server state seen per user and entry. The queue is applied on top of the
+// running entry, and queued edits are checked against the entry's version
+const serverRunningEntries = new Map<string, TimeEntry | null>()
+const knownVersions = new Map<string, string>()
+
+const openQueue = (): Promise<IDBDatabase> => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+const runRequest = async <T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> => {
+  const db = await openQueue()
+  return new Promise((resolve, reject) => {
+    const request = run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+const getQueue = async (userId: string): Promise<QueuedTimerOperation[]> => {
+  if (typeof indexedDB === 'undefined') return []
+  const operations = await runRequest<QueuedTimerOperation[]>('readonly', store => store.getAll())
+  return operations.filter(op => op.userId === userId)
+}
+
+const putOperation = (operation: QueuedTimerOperation) => runRequest('readwrite', store => store.put(operation))
+
+const removeOperation = (seq: number) => runRequest('readwrite', store => store.delete(seq))
+
+const rememberVersion = (entry: { id: string; updatedAt?: Date | string } | null | undefined) => {
+  if (entry?.updatedAt) {
+    knownVersions.set(entry.id, new Date(entry.updatedAt).toISOString())
+  }
+}
+
+const announce = async (userId: string, problems: string[] = []) => {
+  const pending = (await getQueue(userId)).length
+  window.dispatchEvent(new CustomEvent<TimerSyncStatus>('timerSyncChange', { detail: { pending, problems } }))
+}
+
+// Sends the action straight away when possible. Without a connection, or while
+// earlier actions are still queued, it joins the queue and `queued` answers for
+// it from the queue as it was before
+const sendOrQueue = async <T>(
+  operation: QueuedTimerOperation,
+  send: () => Promise<T>,
+  queued: (queue: QueuedTimerOperation[]) => T
+): Promise<T> => {
+  let queue: QueuedTimerOperation[]
+  try {
+    queue = await getQueue(operation.userId)
+  } catch (error) {
+    console.error('Offline timer queue is unavailable:', error)
+    return send()
+  }
+
+  if (navigator.onLine && queue.length === 0) {
+    try {
+      return await send()
+    } catch (error) {
+      // The server may have applied it before the connection dropped; the replay
+      // reuses the operation ID, so it is never applied twice
+      if (!isNetworkError(error)) throw error
+    }
+  }
+
+  await putOperation(coalesceOperation(queue, operation))
+  await announce(operation.userId)
+  return queued(queue)
+}
+
+const sendOperation = async (operation: QueuedTimerOperation): Promise<string | null> => {
+  switch (operation.type) {
+    case 'create':
+      await timeEntryApiService.createTimeEntry(
+        { ...operation.data, id: operation.entryId, operationId: operation.id },
+        operation.userId,
+        operation.projectName,
+        operation.companyId,
+        operation.clientName
+      )
+      return null
+    case 'stop': {
+      const entry = await timeEntryApiService.stopTimeEntry(operation.entryId, {
+        endTime: operation.endTime,
+        operationId: operation.id
+      })
+      return new Date(entry.updatedAt).toISOString()
+    }
+    case 'update': {
+      const { updatedAt } = await timeEntryApiService.updateTimeEntry(operation.entryId, operation.updates, {
+        operationId: operation.id,
+        baseUpdatedAt: operation.baseUpdatedAt
+      })
+      return new Date(updatedAt).toISOString()
+    }
+    case 'delete':
+      try {
+        await timeEntryApiService.deleteTimeEntry(operation.entryId)
+      } catch (error) {
+        // Already gone, which is what the delete was for
+        if (!(error instanceof TimeEntryNotFoundError)) throw error
+      }
+      return null
+  }
+}
+
+// Replays the queue in order. Stops at the first action that can't reach the
+// server and keeps it for next time; actions the server turns down are dropped
+// and reported
+const replayQueue = async (userId: string) => {
+  const problems: string[] = []
+  let changed = false
+  let queue = await getQueue(userId)
+
+  while (queue.length > 0 && navigator.onLine) {
+    const [operation, ...rest] = queue
+    try {
+      const updatedAt = await sendOperation(operation)
+      if (updatedAt) {
+        knownVersions.set(operation.entryId, updatedAt)
+        for (const later of rebaseOperations(rest, operation.entryId, updatedAt)) {
+          await putOperation(later)
+        }
+      }
+    } catch (error: any) {
+      // A lost connection or an expired session leaves the queue for later
+      if (isNetworkError(error) || !localStorage.getItem('authToken')) break
+      if (error instanceof TimeEntrySyncConflictError) {
+        rememberVersion(error.entry)
+      }
+      problems.push(`${ACTION_LABELS[operation.type]} while offline couldn't be saved: ${error?.message || 'Unknown error'}`)
+    }
+
+    await removeOperation(operation.seq!)
+    changed = true
+    queue = await getQueue(userId)
+  }
+
+  if (changed) {
+    window.dispatchEvent(new CustomEvent('runningTimerChange'))
+  }
+  await announce(userId, problems)
+}
+
+// Timer actions that keep working offline. Same calls as timeEntryApiService,
+// except that stops and edits also name the user whose queue they go into
+export const offlineTimeEntryService = {
+  // Returns the new entry's ID, which is picked here so it holds when queued
+  async createTimeEntry(entryData: CreateTimeEntryData, userId: string, projectName?: string, companyId?: string | null, clientName?: string): Promise<string> {
+    const operation: QueuedTimerOperation = {
+      id: uuidv4(),
+      userId,
+      entryId: uuidv4(),
+      type: 'create',
+      data: { ...entryData, startTime: new Date().toISOString() },
+      projectName,
+      companyId,
+      clientName
+    }
+
+    return sendOrQueue(
+      operation,
+      () => timeEntryApiService.createTimeEntry(
+        { ...entryData, id: operation.entryId, operationId: operation.id },
+        userId,
+        projectName,
+        companyId,
+        clientName
+      ),
+      () => operation.entryId
+    )
+  },
+
+  // The server's running entry with anything still queued applied on top
+  async getRunningTimeEntry(userId: string): Promise<TimeEntry | null> {
+    let running = serverRunningEntries.get(userId) ?? null
+    if (navigator.onLine) {
+      try {
+        running = await timeEntryApiService.getRunningTimeEntry(userId)
+        serverRunningEntries.set(userId, running)
+        rememberVersion(running)
+      } catch (error) {
+        if (!isNetworkError(error)) throw error
+      }
+    }
+
+    try {
+      return applyQueuedOperations(running, await getQueue(userId))
+    } catch (error) {
+      console.error('Offline timer queue is unavailable:', error)
+      return running
+    }
+  },
+
+  async stopTimeEntry(entryId: string, userId: string): Promise<TimeEntry> {
+    const endTime = new Date()
+    const operation: QueuedTimerOperation = { id: uuidv4(), userId, entryId, type: 'stop', endTime: endTime.toISOString() }
+
+    return sendOrQueue(
+      operation,
+      async () => {
+        const entry = await timeEntryApiService.stopTimeEntry(entryId, { operationId: operation.id })
+        rememberVersion(entry)
+        if (serverRunningEntries.get(userId)?.id === entryId) {
+          serverRunningEntries.set(userId, null)
+        }
+        return entry
+      },
+      (queue) => {
+        const entry = applyQueuedOperations(serverRunningEntries.get(userId) ?? null, queue)
+        const startTime = entry?.id === entryId ? new Date(entry.startTime) : endTime
+        return {
+          ...(entry?.id === entryId ? entry : { id: entryId, userId, isBillable: false, createdAt: endTime, updatedAt: endTime }),
+          startTime,
+          endTime,
+          duration: Math.max(0, Math.floor((endTime.getTime() - startTime.getTime()) / 1000)),
+          isRunning: false
+        }
+      }
+    )
+  },
+
+  async updateTimeEntry(entryId: string, updates: TimeEntryUpdates, userId: string): Promise<void> {
+    const operation: QueuedTimerOperation = {
+      id: uuidv4(),
+      userId,
+      entryId,
+      type: 'update',
+      updates,
+      baseUpdatedAt: knownVersions.get(entryId)
+    }
+
+    await sendOrQueue(
+      operation,
+      async () => {
+        const { updatedAt } = await timeEntryApiService.updateTimeEntry(entryId, updates, { operationId: operation.id })
+        rememberVersion({ id: entryId, updatedAt })
+      },
+      () => undefined
+    )
+  },
+
+  // Drops whatever is still queued for the entry. An entry whose start never
+  // synced is gone with that; otherwise the delete is sent or queued
+  async deleteTimeEntry(entryId: string, userId: string): Promise<void> {
+    // A replay in flight may be sending this entry's start right now
+    if (syncing) await syncing
+
+    let queue: QueuedTimerOperation[]
+    try {
+      queue = await getQueue(userId)
+    } catch (error) {
+      console.error('Offline timer queue is unavailable:', error)
+      return timeEntryApiService.deleteTimeEntry(entryId)
+    }
+
+    const { dropped, neverSynced } = discardQueuedOperations(queue, entryId)
+    for (const operation of dropped) {
+      await removeOperation(operation.seq!)
+    }
+    if (serverRunningEntries.get(userId)?.id === entryId) {
+      serverRunningEntries.set(userId, null)
+    }
+    if (neverSynced) {
+      await announce(userId)
+      return
+    }
+
+    const operation: QueuedTimerOperation = { id: uuidv4(), userId, entryId, type: 'delete' }
+    await sendOrQueue(operation, () => timeEntryApiService.deleteTimeEntry(entryId), () => undefined)
+    if (dropped.length > 0) {
+      await announce(userId)
+    }
+  },
+
+  // Safe to call often: only one replay runs at a time
+  syncQueue(userId: string): Promise<void> {
+    if (!syncing) {
+      syncing = replayQueue(userId)
+        .catch(error => console.error('Error syncing offline timer changes:', error))
+        .finally(() => {
+          syncing = null
+        })
+    }
+    return syncing
+  },
+
+  async getSyncStatus(userId: string): Promise<TimerSyncStatus> {
+    try {
+      return { pending: (await getQueue(userId)).length, problems: [] }
+    } catch {
+      return { pending: 0, problems: [] }
+    }
+  }
+}
+
+// Export default
+export default offlineTimeEntryService
@@ -1,4 +1,4 @@
-import { Project, Client, CreateProjectData } from '../types'
+import { Project, Client, CreateProjectData, ProjectBudget, ProjectUserRate } from '../types'
 
 // API Configuration
 const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '/api'
@@ -139,6 +139,66 @@ export const projectApiService = {
     }
   },
 
+  // Budget burn for every active project that has a budget
+  async getProjectBudgets(): Promise<ProjectBudget[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: ProjectBudget[]
+      count: number
+    }>('/projects/budgets')
+
+    if (!response.success) {
+      throw new Error('Failed to get project budgets')
+    }
+
+    return response.data
+  },
+
+  async getProjectBudget(projectId: string): Promise<ProjectBudget> {
+    const response = await apiRequest<{
+      success: boolean
+      data: ProjectBudget
+    }>(`/projects/${projectId}/budget`)
+
+    if (!response.success) {
+      throw new Error('Failed to get project budget')
+    }
+
+    return response.data
+  },
+
+  async getProjectRates(projectId: string): Promise<ProjectUserRate[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: ProjectUserRate[]
+      count: number
+    }>(`/projects/${projectId}/rates`)
+
+    if (!response.success) {
+      throw new Error('Failed to get project rates')
+    }
+
+    return response.data
+  },
+
+  // Replaces every per-user rate on the project
+  async setProjectRates(projectId: string, rates: { userId: string; hourlyRate: number }[]): Promise<ProjectUserRate[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: ProjectUserRate[]
+      message?: string
+    }>(`/projects/${projectId}/rates`, {
+      method: 'PUT',
+      body: JSON.stringify({ rates })
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to update project rates')
+    }
+
+    return response.data
+  },
+
   async deleteProject(projectId: string): Promise<void> {
     const response = await apiRequest<{
       success: boolean
@@ -30,6 +30,9 @@ import {
   TaskComment,
   TaskAttachment
 } from '../types'
+import { taskApiService } from './taskApiService'
+import { boardApiService } from './boardApiService'
+import { realtimeService } from './realtimeService'
 
 class ProjectManagementService {
   // Default statuses and priorities
@@ -191,6 +194,9 @@ class ProjectManagementService {
 
   // Board Management
   async createBoard(boardData: CreateBoardData, createdBy: string): Promise<ProjectBoard> {
+    if (!database) {
+      return boardApiService.createBoard(boardData)
+    }
     const boardRef = ref(database, 'boards')
     const newBoardRef = push(boardRef)
     
@@ -221,6 +227,10 @@ class ProjectManagementService {
   }
 
   async getBoards(projectId?: string): Promise<ProjectBoard[]> {
+    if (!database) {
+      // MySQL keeps boards per project
+      return projectId ? boardApiService.getBoards(projectId) : []
+    }
     const boardsRef = ref(database, 'boards')
     let boardsQuery: any = boardsRef
 
@@ -245,6 +255,10 @@ class ProjectManagementService {
   }
 
   async updateBoard(boardId: string, updates: UpdateBoardData): Promise<void> {
+    if (!database) {
+      await boardApiService.updateBoard(boardId, updates)
+      return
+    }
     const boardRef = ref(database, `boards/${boardId}`)
     const updateData: any = {
       ...updates,
@@ -255,6 +269,9 @@ class ProjectManagementService {
   }
 
   async deleteBoard(boardId: string): Promise<void> {
+    if (!database) {
+      return boardApiService.deleteBoard(boardId)
+    }
     const boardRef = ref(database, `boards/${boardId}`)
     await remove(boardRef)
   }
@@ -463,6 +480,16 @@ class ProjectManagementService {
 
   // Real-time listeners
   subscribeToTasks(projectId: string, callback: (tasks: Task[]) => void): () => void {
+    if (!database) {
+      const load = () => taskApiService.getTasks(projectId)
+        .then(callback)
+        .catch(error => console.error('Error loading tasks:', error))
+      load()
+      return realtimeService.subscribe(event => {
+        if (event.type === 'task' && event.projectId === projectId) load()
+      })
+    }
+
     const tasksRef = query(ref(database, 'tasks'), orderByChild('projectId'), equalTo(projectId))
     
     const listener = onValue(tasksRef, (snapshot) => {
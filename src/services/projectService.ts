@@ -371,6 +371,9 @@ export const projectService = {
   },
 
   async updateClient(clientId: string, updates: Partial<CreateClientData>): Promise<void> {
+    if (!database) {
+      return clientApiService.updateClient(clientId, updates)
+    }
     const clientRef = ref(database, `clients/${clientId}`)
     
     // Filter out undefined values and convert dates to ISO strings for Firebase storage
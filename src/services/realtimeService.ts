@@ -0,0 +1,139 @@
+// Realtime change events from the MySQL backend (server-sent events)
+
+// API Configuration
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '/api'
+
+export type RealtimeEventType = 'time_entry' | 'task' | 'user'
+
+// Events only identify what changed; subscribers refetch through the regular API
+export interface RealtimeEvent {
+  type: RealtimeEventType
+  action: 'created' | 'updated' | 'deleted'
+  id: string
+  userId?: string
+  projectId?: string | null
+}
+
+type RealtimeListener = (event: RealtimeEvent) => void
+
+const EVENT_TYPES: RealtimeEventType[] = ['time_entry', 'task', 'user']
+
+const listeners = new Set<RealtimeListener>()
+const statusListeners = new Set<(connected: boolean) => void>()
+let eventSource: EventSource | null = null
+let connecting = false
+let reconnectTimer: ReturnType<typeof setTimeout> | null = null
+
+const RECONNECT_DELAY_MS = 5000
+
+const notifyStatus = (connected: boolean) => {
+  statusListeners.forEach(listener => listener(connected))
+}
+
+// EventSource cannot send an Authorization header, so the stream is opened with a
+// single-use ticket rather than the JWT, which would land in server logs
+const getStreamTicket = async (token: string): Promise<string | null> => {
+  const response = await fetch(`${API_BASE_URL}/realtime/tickets`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${token}` }
+  })
+  if (!response.ok) {
+    return null
+  }
+  const { data } = await response.json()
+  return data.ticket
+}
+
+const connect = async () => {
+  const token = localStorage.getItem('authToken')
+  if (!token || typeof EventSource === 'undefined') {
+    return
+  }
+
+  connecting = true
+  let ticket: string | null = null
+  try {
+    ticket = await getStreamTicket(token)
+  } catch (error) {
+    console.error('Error opening realtime stream:', error)
+  } finally {
+    connecting = false
+  }
+  // Everyone may have unsubscribed while the ticket was on its way
+  if (!ticket || listeners.size === 0 || eventSource) {
+    return
+  }
+
+  eventSource = new EventSource(`${API_BASE_URL}/realtime/events?ticket=${encodeURIComponent(ticket)}`)
+
+  EVENT_TYPES.forEach(type => {
+    eventSource!.addEventListener(type, (message) => {
+      try {
+        const event: RealtimeEvent = JSON.parse((message as MessageEvent).data)
+        listeners.forEach(listener => listener(event))
+      } catch (error) {
+        console.error('Error handling realtime event:', error)
+      }
+    })
+  })
+
+  // Tickets work once, so the browser's own retry of a dropped stream is refused
+  // and the source closes. A new ticket is fetched then, which fails once the
+  // JWT has expired
+  eventSource.onopen = () => notifyStatus(true)
+  eventSource.onerror = () => {
+    if (eventSource?.readyState === EventSource.CLOSED) {
+      eventSource = null
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null
+        if (listeners.size > 0 && !eventSource) connect()
+      }, RECONNECT_DELAY_MS)
+    }
+    notifyStatus(false)
+  }
+}
+
+const disconnect = () => {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer)
+    reconnectTimer = null
+  }
+  if (eventSource) {
+    eventSource.close()
+    eventSource = null
+    notifyStatus(false)
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('auth:expired', disconnect)
+}
+
+export const realtimeService = {
+  // Listen for change events; the connection is shared and closes with the last listener
+  subscribe(listener: RealtimeListener): () => void {
+    listeners.add(listener)
+    if (!eventSource && !connecting && !reconnectTimer) {
+      connect()
+    }
+
+    return () => {
+      listeners.delete(listener)
+      if (listeners.size === 0) {
+        disconnect()
+      }
+    }
+  },
+
+  isConnected(): boolean {
+    return eventSource !== null && eventSource.readyState === EventSource.OPEN
+  },
+
+  // Called with true when the stream opens and false when it drops
+  onStatusChange(listener: (connected: boolean) => void): () => void {
+    statusListeners.add(listener)
+    return () => {
+      statusListeners.delete(listener)
+    }
+  }
+}
@@ -8,193 +8,193 @@ import {
   MonthlyAnalytics, 
   ReportFilters,
   TimeEntry,
+  ProfitabilityGroupBy,
+  ProfitabilityRow,
+  ReportGroupBy,
+  ReportTimeRow,
   // Project
 } from '../types'
 import { timeEntryService } from './timeEntryService'
-import { projectService } from './projectService'
+import { format, addDays, parseISO } from 'date-fns'
+
+// API Configuration
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '/api'
+
+// Get auth token for authentication
+const getAuthToken = async (): Promise<string | null> => {
+  try {
+    // In a real implementation, you would get the token from your auth context
+    // For now, we'll return a placeholder - in practice, this would come from your auth system
+    return localStorage.getItem('authToken') || null
+  } catch (error) {
+    console.error('Error getting auth token:', error)
+    return null
+  }
+}
+
+// Generic API request function
+const apiRequest = async <T>(
+  endpoint: string,
+  options: RequestInit = {}
+): Promise<T> => {
+  const token = await getAuthToken()
+  
+  const url = `${API_BASE_URL}${endpoint}`
+  
+  const config: RequestInit = {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      ...options.headers,
+    },
+  }
+
+  try {
+    const response = await fetch(url, config)
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      
+      // If the error is due to an invalid or expired token, redirect to login
+      if (response.status === 401 || response.status === 403) {
+        // Clear the expired token from localStorage
+        localStorage.removeItem('authToken')
+        localStorage.removeItem('currentUser')
+        localStorage.removeItem('currentCompany')
+
+        // Notify the app so it can handle logout without forcing a full page reload
+        window.dispatchEvent(new CustomEvent('auth:expired'))
+
+        throw new Error('Session expired. Please log in again.')
+      }
+      
+      // If it's a bad request due to invalid company ID format, do not treat as auth-expired
+      if (response.status === 400 && errorData.error && errorData.error.includes('Invalid company ID format')) {
+        throw new Error('Invalid company ID format')
+      }
+      
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
+    }
+
+    const data = await response.json()
+    return data
+  } catch (error) {
+    console.error(`API request failed for ${endpoint}:`, error)
+    throw error
+  }
+}
+
+// ReportFilters as query parameters for the /reports endpoints
+const toReportQuery = (filters: ReportFilters, extra: Record<string, string> = {}): string => {
+  const params = new URLSearchParams({
+    startDate: format(filters.startDate, 'yyyy-MM-dd'),
+    endDate: format(filters.endDate, 'yyyy-MM-dd'),
+    ...extra
+  })
+  if (filters.projectIds?.length) params.set('projectIds', filters.projectIds.join(','))
+  if (filters.clientIds?.length) params.set('clientIds', filters.clientIds.join(','))
+  if (filters.billableOnly) params.set('billableOnly', 'true')
+  if (filters.nonBillableOnly) params.set('nonBillableOnly', 'true')
+  if (filters.approvedOnly) params.set('approvedOnly', 'true')
+  if (filters.userId) params.set('userId', filters.userId)
+  return params.toString()
+}
 
 export const reportsService = {
   // Get time analytics for a date range
   async getTimeAnalytics(filters: ReportFilters): Promise<TimeAnalytics> {
-    const entries = await this.getFilteredTimeEntries(filters)
-    // const projects = await projectService.getProjects()
-    
-    const totalTime = entries.reduce((sum, entry) => sum + entry.duration, 0)
-    const billableTime = entries.filter(entry => entry.isBillable).reduce((sum, entry) => sum + entry.duration, 0)
-    const nonBillableTime = totalTime - billableTime
-    const totalEntries = entries.length
-    const averageSessionLength = totalEntries > 0 ? totalTime / totalEntries : 0
-    
-    // Calculate most productive day
-    const dayStats: { [key: string]: number } = {}
-    entries.forEach(entry => {
-      const day = new Date(entry.startTime).toLocaleDateString('en-US', { weekday: 'long' })
-      dayStats[day] = (dayStats[day] || 0) + entry.duration
-    })
-    const mostProductiveDay = Object.keys(dayStats).reduce((a, b) => 
-      dayStats[a] > dayStats[b] ? a : b, 'Monday'
-    )
-    
-    // Calculate most productive hour
-    const hourStats: { [key: number]: number } = {}
-    entries.forEach(entry => {
-      const hour = new Date(entry.startTime).getHours()
-      hourStats[hour] = (hourStats[hour] || 0) + entry.duration
-    })
-    const mostProductiveHour = Object.keys(hourStats).reduce((a, b) => 
-      hourStats[parseInt(a)] > hourStats[parseInt(b)] ? a : b, '9'
-    )
-    
-    // Calculate earnings (assuming $25/hour default rate)
-    const totalEarnings = (billableTime / 3600) * 25
-    
-    return {
-      totalTime,
-      billableTime,
-      nonBillableTime,
-      totalEntries,
-      averageSessionLength,
-      mostProductiveDay,
-      mostProductiveHour: parseInt(mostProductiveHour),
-      totalEarnings
+    const response = await apiRequest<{
+      success: boolean
+      data: TimeAnalytics
+    }>(`/reports/summary?${toReportQuery(filters)}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get time analytics')
+    }
+
+    return response.data
+  },
+
+  // Time grouped by day, week, month, project, client, user or tag.
+  // Admins can leave userId unset to report across the whole company
+  async getTimeReport(filters: ReportFilters, groupBy: ReportGroupBy): Promise<ReportTimeRow[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: ReportTimeRow[]
+      count: number
+    }>(`/reports/time?${toReportQuery(filters, { groupBy })}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get time report')
     }
+
+    return response.data
   },
 
   // Get project analytics
   async getProjectAnalytics(filters: ReportFilters): Promise<ProjectAnalytics[]> {
-    const entries = await this.getFilteredTimeEntries(filters)
-    const projects = await projectService.getProjects()
-    
-    const projectStats: { [key: string]: { 
-      totalTime: number, 
-      billableTime: number, 
-      entries: number,
-      projectName: string,
-      color: string
-    } } = {}
-    
-    entries.forEach(entry => {
-      const projectId = entry.projectId || 'no-project'
-      const project = projects.find(p => p.id === projectId)
-      
-      if (!projectStats[projectId]) {
-        projectStats[projectId] = {
-          totalTime: 0,
-          billableTime: 0,
-          entries: 0,
-          projectName: project?.name || 'No Project',
-          color: project?.color || '#6B7280'
-        }
-      }
-      
-      projectStats[projectId].totalTime += entry.duration
-      projectStats[projectId].entries += 1
-      if (entry.isBillable) {
-        projectStats[projectId].billableTime += entry.duration
-      }
-    })
-    
-    const totalTime = Object.values(projectStats).reduce((sum, stat) => sum + stat.totalTime, 0)
-    
-    return Object.entries(projectStats).map(([projectId, stats]) => ({
-      projectId,
-      projectName: stats.projectName,
-      totalTime: stats.totalTime,
-      billableTime: stats.billableTime,
-      entries: stats.entries,
-      percentage: totalTime > 0 ? (stats.totalTime / totalTime) * 100 : 0,
-      color: stats.color
-    })).sort((a, b) => b.totalTime - a.totalTime)
+    const rows = await this.getTimeReport(filters, 'project')
+    const totalTime = rows.reduce((sum, row) => sum + row.totalTime, 0)
+
+    return rows.map(row => ({
+      projectId: row.key,
+      projectName: row.label,
+      totalTime: row.totalTime,
+      billableTime: row.billableTime,
+      entries: row.entries,
+      percentage: totalTime > 0 ? (row.totalTime / totalTime) * 100 : 0,
+      color: row.color || '#6B7280'
+    }))
   },
 
   // Get daily analytics for a date range
   async getDailyAnalytics(filters: ReportFilters): Promise<DailyAnalytics[]> {
-    const entries = await this.getFilteredTimeEntries(filters)
-    const dailyStats: { [key: string]: DailyAnalytics } = {}
-    
-    entries.forEach(entry => {
-      const date = new Date(entry.startTime).toISOString().split('T')[0]
-      
-      if (!dailyStats[date]) {
-        dailyStats[date] = {
-          date,
-          totalTime: 0,
-          billableTime: 0,
-          entries: 0,
-          projects: {}
-        }
-      }
-      
-      dailyStats[date].totalTime += entry.duration
-      dailyStats[date].entries += 1
-      
-      if (entry.isBillable) {
-        dailyStats[date].billableTime += entry.duration
-      }
-      
-      const projectId = entry.projectId || 'no-project'
-      dailyStats[date].projects[projectId] = (dailyStats[date].projects[projectId] || 0) + entry.duration
-    })
-    
-    return Object.values(dailyStats).sort((a, b) => a.date.localeCompare(b.date))
+    const rows = await this.getTimeReport(filters, 'day')
+
+    return rows.map(row => ({
+      date: row.key,
+      totalTime: row.totalTime,
+      billableTime: row.billableTime,
+      entries: row.entries,
+      projects: row.projects || {}
+    }))
   },
 
-  // Get weekly analytics
+  // Get weekly analytics; weeks start on Sunday
   async getWeeklyAnalytics(filters: ReportFilters): Promise<WeeklyAnalytics[]> {
-    const dailyAnalytics = await this.getDailyAnalytics(filters)
-    const weeklyStats: { [key: string]: WeeklyAnalytics } = {}
-    
-    dailyAnalytics.forEach(daily => {
-      const date = new Date(daily.date)
-      const weekStart = new Date(date)
-      weekStart.setDate(date.getDate() - date.getDay())
-      const weekKey = weekStart.toISOString().split('T')[0]
-      
-      if (!weeklyStats[weekKey]) {
-        weeklyStats[weekKey] = {
-          week: weekKey,
-          totalTime: 0,
-          billableTime: 0,
-          entries: 0,
-          dailyBreakdown: []
-        }
+    const [weeks, dailyAnalytics] = await Promise.all([
+      this.getTimeReport(filters, 'week'),
+      this.getDailyAnalytics(filters)
+    ])
+
+    return weeks.map(week => {
+      const weekEnd = format(addDays(parseISO(week.key), 7), 'yyyy-MM-dd')
+      return {
+        week: week.key,
+        totalTime: week.totalTime,
+        billableTime: week.billableTime,
+        entries: week.entries,
+        dailyBreakdown: dailyAnalytics.filter(daily => daily.date >= week.key && daily.date < weekEnd)
       }
-      
-      weeklyStats[weekKey].totalTime += daily.totalTime
-      weeklyStats[weekKey].billableTime += daily.billableTime
-      weeklyStats[weekKey].entries += daily.entries
-      weeklyStats[weekKey].dailyBreakdown.push(daily)
     })
-    
-    return Object.values(weeklyStats).sort((a, b) => a.week.localeCompare(b.week))
   },
 
   // Get monthly analytics
   async getMonthlyAnalytics(filters: ReportFilters): Promise<MonthlyAnalytics[]> {
-    const weeklyAnalytics = await this.getWeeklyAnalytics(filters)
-    const monthlyStats: { [key: string]: MonthlyAnalytics } = {}
-    
-    weeklyAnalytics.forEach(weekly => {
-      const date = new Date(weekly.week)
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
-      
-      if (!monthlyStats[monthKey]) {
-        monthlyStats[monthKey] = {
-          month: monthKey,
-          totalTime: 0,
-          billableTime: 0,
-          entries: 0,
-          weeklyBreakdown: []
-        }
-      }
-      
-      monthlyStats[monthKey].totalTime += weekly.totalTime
-      monthlyStats[monthKey].billableTime += weekly.billableTime
-      monthlyStats[monthKey].entries += weekly.entries
-      monthlyStats[monthKey].weeklyBreakdown.push(weekly)
-    })
-    
-    return Object.values(monthlyStats).sort((a, b) => a.month.localeCompare(b.month))
+    const [months, weeklyAnalytics] = await Promise.all([
+      this.getTimeReport(filters, 'month'),
+      this.getWeeklyAnalytics(filters)
+    ])
+
+    return months.map(month => ({
+      month: month.key,
+      totalTime: month.totalTime,
+      billableTime: month.billableTime,
+      entries: month.entries,
+      // A week belongs to the month it starts in, as before
+      weeklyBreakdown: weeklyAnalytics.filter(weekly => weekly.week.startsWith(month.key))
+    }))
   },
 
   // Get filtered time entries based on filters
@@ -248,6 +248,22 @@ export const reportsService = {
     })
   },
 
+  // Revenue, cost and margin per project, client or team across the company.
+  // Leave userId unset to include everyone's time
+  async getProfitabilityReport(filters: ReportFilters, groupBy: ProfitabilityGroupBy): Promise<ProfitabilityRow[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: ProfitabilityRow[]
+      count: number
+    }>(`/reports/profitability?${toReportQuery(filters, { groupBy })}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get profitability report')
+    }
+
+    return response.data
+  },
+
   // Generate chart data for different chart types
   generateProjectChartData(projectAnalytics: ProjectAnalytics[]): any {
     // Filter out invalid data and ensure we have valid values
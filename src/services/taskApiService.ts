@@ -1,4 +1,4 @@
-import { Task, CreateTaskData, UpdateTaskData, TaskStatus, TaskPriority } from '../types'
+import { Task, CreateTaskData, UpdateTaskData, TaskStatus, TaskPriority, TaskStatusInput, TaskPriorityInput, TaskDependency } from '../types'
 
 // API Configuration
 const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '/api'
@@ -137,8 +137,9 @@ export const taskApiService = {
     }
   },
 
-  // Delete a task
-  async deleteTask(taskId: string): Promise<void> {
+  // Delete a task. Its subtasks are deleted with it on 'cascade', otherwise
+  // they are kept as standalone tasks
+  async deleteTask(taskId: string, subtasks: 'cascade' | 'reparent' = 'reparent'): Promise<void> {
     // Validate taskId
     if (!taskId) {
       throw new Error('Task ID is required');
@@ -147,7 +148,7 @@ export const taskApiService = {
     const response = await apiRequest<{
       success: boolean
       message: string
-    }>(`/tasks/${taskId}`, {
+    }>(`/tasks/${taskId}?subtasks=${subtasks}`, {
       method: 'DELETE',
     })
     
@@ -156,12 +157,58 @@ export const taskApiService = {
     }
   },
 
-  // Get task statuses
-  async getTaskStatuses(): Promise<TaskStatus[]> {
+  // Get dependencies between the company's tasks, optionally for one project
+  async getTaskDependencies(projectId?: string): Promise<TaskDependency[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TaskDependency[]
+      count: number
+    }>(`/task-dependencies${projectId ? `?projectId=${encodeURIComponent(projectId)}` : ''}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get task dependencies')
+    }
+
+    return response.data
+  },
+
+  // Rejected with 409 when it would close a cycle
+  async createTaskDependency(taskId: string, dependsOnTaskId: string): Promise<TaskDependency> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TaskDependency
+      message: string
+    }>('/task-dependencies', {
+      method: 'POST',
+      body: JSON.stringify({ taskId, dependsOnTaskId }),
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to create task dependency')
+    }
+
+    return response.data
+  },
+
+  async deleteTaskDependency(dependencyId: string): Promise<void> {
+    const response = await apiRequest<{
+      success: boolean
+      message: string
+    }>(`/task-dependencies/${dependencyId}`, {
+      method: 'DELETE',
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to delete task dependency')
+    }
+  },
+
+  // Get task statuses: the project's workflow when it has its own, else the company's
+  async getTaskStatuses(projectId?: string): Promise<TaskStatus[]> {
     const response = await apiRequest<{
       success: boolean
       data: TaskStatus[]
-    }>('/task-statuses')
+    }>(`/task-statuses${projectId ? `?projectId=${encodeURIComponent(projectId)}` : ''}`)
     
     if (!response.success) {
       throw new Error('Failed to get task statuses')
@@ -170,17 +217,130 @@ export const taskApiService = {
     return response.data
   },
 
-  // Get task priorities
-  async getTaskPriorities(): Promise<TaskPriority[]> {
+  // Changes to statuses and priorities return the whole list, since a project or
+  // company changing an inherited list for the first time gets copies with new ids
+  async createTaskStatus(status: TaskStatusInput): Promise<TaskStatus[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TaskStatus[]
+      message: string
+    }>('/task-statuses', {
+      method: 'POST',
+      body: JSON.stringify(status),
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to create task status')
+    }
+
+    return response.data
+  },
+
+  async updateTaskStatus(statusId: string, updates: TaskStatusInput): Promise<TaskStatus[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TaskStatus[]
+      message: string
+    }>(`/task-statuses/${statusId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to update task status')
+    }
+
+    return response.data
+  },
+
+  // Tasks using the status move to replacementId
+  async deleteTaskStatus(statusId: string, projectId?: string | null, replacementId?: string): Promise<TaskStatus[]> {
+    const queryParams = new URLSearchParams()
+    if (projectId) queryParams.append('projectId', projectId)
+    if (replacementId) queryParams.append('replacementId', replacementId)
+    const queryString = queryParams.toString()
+
+    const response = await apiRequest<{
+      success: boolean
+      data: TaskStatus[]
+      message: string
+    }>(`/task-statuses/${statusId}${queryString ? `?${queryString}` : ''}`, {
+      method: 'DELETE',
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to delete task status')
+    }
+
+    return response.data
+  },
+
+  // Get task priorities, resolved like the statuses
+  async getTaskPriorities(projectId?: string): Promise<TaskPriority[]> {
     const response = await apiRequest<{
       success: boolean
       data: TaskPriority[]
-    }>('/task-priorities')
+    }>(`/task-priorities${projectId ? `?projectId=${encodeURIComponent(projectId)}` : ''}`)
     
     if (!response.success) {
       throw new Error('Failed to get task priorities')
     }
     
+    return response.data
+  },
+
+  async createTaskPriority(priority: TaskPriorityInput): Promise<TaskPriority[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TaskPriority[]
+      message: string
+    }>('/task-priorities', {
+      method: 'POST',
+      body: JSON.stringify(priority),
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to create task priority')
+    }
+
+    return response.data
+  },
+
+  async updateTaskPriority(priorityId: string, updates: TaskPriorityInput): Promise<TaskPriority[]> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TaskPriority[]
+      message: string
+    }>(`/task-priorities/${priorityId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to update task priority')
+    }
+
+    return response.data
+  },
+
+  async deleteTaskPriority(priorityId: string, projectId?: string | null, replacementId?: string): Promise<TaskPriority[]> {
+    const queryParams = new URLSearchParams()
+    if (projectId) queryParams.append('projectId', projectId)
+    if (replacementId) queryParams.append('replacementId', replacementId)
+    const queryString = queryParams.toString()
+
+    const response = await apiRequest<{
+      success: boolean
+      data: TaskPriority[]
+      message: string
+    }>(`/task-priorities/${priorityId}${queryString ? `?${queryString}` : ''}`, {
+      method: 'DELETE',
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to delete task priority')
+    }
+
     return response.data
   }
 }
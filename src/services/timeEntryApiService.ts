@@ -1,8 +1,75 @@
-import { TimeEntry, CreateTimeEntryData, TimeSummary } from '../types'
+import {
+  TimeEntry,
+  CreateTimeEntryData,
+  TimeSummary,
+  OverlapResolution,
+  TimeEntryOverlapConflict,
+  TimeTrackingSettings,
+  IdleTimeResolution
+} from '../types'
 
 // API Configuration
 const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '/api'
 
+// Thrown when a save overlaps the user's other entries, carrying the server's
+// conflict details so the UI can offer a trim or an override
+export class TimeEntryOverlapError extends Error {
+  conflict: TimeEntryOverlapConflict
+
+  constructor(conflict: TimeEntryOverlapConflict) {
+    super(conflict.error)
+    this.name = 'TimeEntryOverlapError'
+    this.conflict = conflict
+  }
+}
+
+// Thrown when a queued change no longer fits an entry that was changed on
+// another device. Carries the entry as it is now
+export class TimeEntrySyncConflictError extends Error {
+  entry: TimeEntry
+
+  constructor(message: string, entry: TimeEntry) {
+    super(message)
+    this.name = 'TimeEntrySyncConflictError'
+    this.entry = entry
+  }
+}
+
+// Thrown when the entry isn't on the server, for instance because it was
+// deleted on another device
+export class TimeEntryNotFoundError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'TimeEntryNotFoundError'
+  }
+}
+
+// Extra fields sent when the offline queue replays a start: the entry ID picked
+// on the device and the times the user actually started and stopped
+export type CreateTimeEntryRequest = CreateTimeEntryData & {
+  id?: string
+  operationId?: string
+  startTime?: Date | string
+  endTime?: Date | string
+  duration?: number
+}
+
+// Each action carries an operation ID so a retry is only applied once. Edits can
+// name the version they were based on to be turned down if it has changed since
+export interface TimeEntrySyncOptions {
+  operationId?: string
+  baseUpdatedAt?: Date | string
+}
+
+export type TimeEntryUpdates = Partial<CreateTimeEntryData & {
+  projectName?: string
+  clientName?: string
+  startTime: Date | string
+  endTime: Date | string
+  duration: number
+  overlapResolution: OverlapResolution
+}>
+
 // Get auth token for authentication
 const getAuthToken = async (): Promise<string | null> => {
   try {
@@ -63,6 +130,18 @@ const apiRequest = async <T>(
 
         throw new Error('Invalid user data. Please log in again.')
       }
+
+      if (response.status === 409 && errorData.code === 'TIME_ENTRY_OVERLAP') {
+        throw new TimeEntryOverlapError(errorData)
+      }
+
+      if (response.status === 409 && errorData.code === 'TIME_ENTRY_SYNC_CONFLICT') {
+        throw new TimeEntrySyncConflictError(errorData.error, errorData.entry)
+      }
+
+      if (response.status === 404) {
+        throw new TimeEntryNotFoundError(errorData.error || 'Time entry not found')
+      }
       
       throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
     }
@@ -78,7 +157,7 @@ const apiRequest = async <T>(
 // Time Entry API Service
 export const timeEntryApiService = {
   // Create a new time entry
-  async createTimeEntry(entryData: CreateTimeEntryData, userId: string, projectName?: string, companyId?: string | null, clientName?: string): Promise<string> {
+  async createTimeEntry(entryData: CreateTimeEntryRequest, userId: string, projectName?: string, companyId?: string | null, clientName?: string): Promise<string> {
     const queryParams = new URLSearchParams();
     queryParams.append('userId', userId);
     if (projectName) queryParams.append('projectName', projectName);
@@ -160,8 +239,8 @@ export const timeEntryApiService = {
     return response.data
   },
 
-  // Stop a running time entry
-  async stopTimeEntry(entryId: string): Promise<TimeEntry> {
+  // Stop a running time entry. endTime is for stops that were queued offline
+  async stopTimeEntry(entryId: string, options: TimeEntrySyncOptions & { endTime?: Date | string } = {}): Promise<TimeEntry> {
     // Validate entryId
     if (!entryId) {
       throw new Error('Entry ID is required');
@@ -173,6 +252,7 @@ export const timeEntryApiService = {
       data: TimeEntry
     }>(`/time-entries/${entryId}/stop`, {
       method: 'POST',
+      body: JSON.stringify(options),
     })
     
     if (!response.success) {
@@ -182,8 +262,35 @@ export const timeEntryApiService = {
     return response.data
   },
   
+  // Cut idle time out of a running entry or move it to another project. Returns the
+  // entry that is now running, which has a new ID when the original was split
+  async resolveIdleTime(entryId: string, resolution: IdleTimeResolution): Promise<TimeEntry> {
+    if (!entryId) {
+      throw new Error('Entry ID is required');
+    }
+
+    const response = await apiRequest<{
+      success: boolean
+      message: string
+      data: TimeEntry
+    }>(`/time-entries/${entryId}/idle`, {
+      method: 'POST',
+      body: JSON.stringify({
+        ...resolution,
+        idleStart: resolution.idleStart.toISOString(),
+        idleEnd: resolution.idleEnd.toISOString()
+      }),
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to resolve idle time')
+    }
+
+    return response.data
+  },
+
   // Update a time entry
-  async updateTimeEntry(entryId: string, updates: Partial<CreateTimeEntryData & { projectName?: string, clientName?: string }>): Promise<void> {
+  async updateTimeEntry(entryId: string, updates: TimeEntryUpdates, options: TimeEntrySyncOptions = {}): Promise<{ updatedAt: Date }> {
     // Validate entryId
     if (!entryId) {
       throw new Error('Entry ID is required');
@@ -191,15 +298,19 @@ export const timeEntryApiService = {
     
     const response = await apiRequest<{
       success: boolean
+      trimmed: boolean
+      data: { updatedAt: Date }
       message: string
     }>(`/time-entries/${entryId}`, {
       method: 'PUT',
-      body: JSON.stringify(updates),
+      body: JSON.stringify({ ...updates, ...options }),
     })
     
     if (!response.success) {
       throw new Error(response.message || 'Failed to update time entry')
     }
+
+    return response.data
   },
 
   // Delete a time entry
@@ -221,6 +332,26 @@ export const timeEntryApiService = {
     }
   },
 
+  // Unlock an invoiced time entry (super_admin only)
+  async unlockTimeEntry(entryId: string, reason?: string): Promise<void> {
+    // Validate entryId
+    if (!entryId) {
+      throw new Error('Entry ID is required');
+    }
+    
+    const response = await apiRequest<{
+      success: boolean
+      message: string
+    }>(`/time-entries/${entryId}/unlock`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    })
+    
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to unlock time entry')
+    }
+  },
+
   // Get time summary for dashboard
   async getTimeSummary(userId: string): Promise<TimeSummary> {
     const now = new Date();
@@ -248,6 +379,35 @@ export const timeEntryApiService = {
       thisWeek: calculateStats(weekEntries),
       thisMonth: calculateStats(monthEntries)
     };
+  },
+
+  // Company time tracking rules, such as how overlapping entries are handled
+  async getTimeSettings(): Promise<TimeTrackingSettings> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TimeTrackingSettings
+    }>('/time-settings')
+
+    if (!response.success) {
+      throw new Error('Failed to get time settings')
+    }
+
+    return response.data
+  },
+
+  // Update company time tracking rules (super_admin only)
+  async updateTimeSettings(settings: Partial<TimeTrackingSettings>): Promise<void> {
+    const response = await apiRequest<{
+      success: boolean
+      message: string
+    }>('/time-settings', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to update time settings')
+    }
   }
 }
 
@@ -2,6 +2,7 @@ import { ref, set, get, push, remove, update, query, orderByChild, equalTo, onVa
 import { database } from '../config/firebase'
 import { TimeEntry, CreateTimeEntryData, TimeSummary } from '../types'
 import { timeEntryApiService } from './timeEntryApiService'
+import { realtimeService } from './realtimeService'
 
 export const timeEntryService = {
   // Create a new time entry
@@ -376,9 +377,14 @@ const realtimeListeners = {
   // Subscribe to time entries for a specific user
   subscribeToTimeEntries(userId: string, callback: (entries: TimeEntry[]) => void): () => void {
     if (!database) {
-      console.warn('[timeEntryService] Firebase is disabled; skipping subscribeToTimeEntries.')
-      callback([])
-      return () => {}
+      // MySQL mode: load once, then reload whenever one of the user's entries changes
+      const load = () => timeEntryApiService.getTimeEntries(userId)
+        .then(callback)
+        .catch(error => console.error('Error loading time entries:', error))
+      load()
+      return realtimeService.subscribe(event => {
+        if (event.type === 'time_entry' && event.userId === userId) load()
+      })
     }
     const entriesRef = ref(database, 'timeEntries')
     const q = query(entriesRef, orderByChild('userId'), equalTo(userId))
@@ -412,9 +418,21 @@ const realtimeListeners = {
     limit?: number
   ): () => void {
     if (!database) {
-      console.warn('[timeEntryService] Firebase is disabled; skipping subscribeToAllTimeEntries.')
-      callback([])
-      return () => {}
+      // The API scopes admin time entries to the caller's company
+      const load = async () => {
+        try {
+          const { adminTimeEntriesAPI } = await import('./adminApiService')
+          const entries = (await adminTimeEntriesAPI.getAllTimeEntries())
+            .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+          callback(limit ? entries.slice(0, limit) : entries)
+        } catch (error) {
+          console.error('Error loading time entries:', error)
+        }
+      }
+      load()
+      return realtimeService.subscribe(event => {
+        if (event.type === 'time_entry') load()
+      })
     }
     // Start with base reference
     let entriesQuery: FirebaseQuery | ReturnType<typeof ref> = ref(database, 'timeEntries')
@@ -454,9 +472,13 @@ const realtimeListeners = {
   // Subscribe to running time entry for real-time timer updates
   subscribeToRunningTimeEntry(userId: string, callback: (entry: TimeEntry | null) => void): () => void {
     if (!database) {
-      console.warn('[timeEntryService] Firebase is disabled; skipping subscribeToRunningTimeEntry.')
-      callback(null)
-      return () => {}
+      const load = () => timeEntryApiService.getRunningTimeEntry(userId)
+        .then(callback)
+        .catch(error => console.error('Error loading running time entry:', error))
+      load()
+      return realtimeService.subscribe(event => {
+        if (event.type === 'time_entry' && event.userId === userId) load()
+      })
     }
     const entriesRef = ref(database, 'timeEntries')
     const q = query(entriesRef, orderByChild('userId'), equalTo(userId))
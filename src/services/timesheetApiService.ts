@@ -0,0 +1,180 @@
+import { TimesheetWeek, TimesheetCellUpdate, TimesheetPeriod, TimesheetStatus } from '../types'
+
+// API Configuration
+const API_BASE_URL = (import.meta as any).env?.VITE_API_BASE_URL || '/api'
+
+// Get auth token for authentication
+const getAuthToken = async (): Promise<string | null> => {
+  try {
+    // In a real implementation, you would get the token from your auth context
+    // For now, we'll return a placeholder - in practice, this would come from your auth system
+    return localStorage.getItem('authToken') || null
+  } catch (error) {
+    console.error('Error getting auth token:', error)
+    return null
+  }
+}
+
+// Generic API request function
+const apiRequest = async <T>(
+  endpoint: string,
+  options: RequestInit = {}
+): Promise<T> => {
+  const token = await getAuthToken()
+  
+  const url = `${API_BASE_URL}${endpoint}`
+  
+  const config: RequestInit = {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      ...options.headers,
+    },
+  }
+
+  try {
+    const response = await fetch(url, config)
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      
+      // If the error is due to an invalid or expired token, redirect to login
+      if (response.status === 401 || response.status === 403) {
+        // Clear the expired token from localStorage
+        localStorage.removeItem('authToken')
+        localStorage.removeItem('currentUser')
+        localStorage.removeItem('currentCompany')
+
+        // Notify the app so it can handle logout without forcing a full page reload
+        window.dispatchEvent(new CustomEvent('auth:expired'))
+
+        throw new Error('Session expired. Please log in again.')
+      }
+      
+      // If it's a bad request due to invalid company ID format, throw an error
+      if (response.status === 400 && errorData.error && errorData.error.includes('Invalid company ID format')) {
+        // Do not treat invalid companyId as an auth failure.
+        // This can happen during Firebase -> MySQL migration when legacy Firebase-style IDs are still present.
+        throw new Error('Invalid company ID format')
+      }
+      
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
+    }
+
+    const data = await response.json()
+    return data
+  } catch (error) {
+    console.error(`API request failed for ${endpoint}:`, error)
+    throw error
+  }
+}
+
+// Timesheet API Service
+export const timesheetApiService = {
+  // The user's week starting on weekStart (YYYY-MM-DD), in their own timezone
+  async getWeek(weekStart: string): Promise<TimesheetWeek> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TimesheetWeek
+    }>(`/timesheets/week?weekStart=${encodeURIComponent(weekStart)}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get timesheet')
+    }
+
+    return response.data
+  },
+
+  // Set cell totals in one batch; entries are created, resized or deleted to match
+  async saveWeek(weekStart: string, cells: TimesheetCellUpdate[]): Promise<TimesheetWeek> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TimesheetWeek
+      message?: string
+    }>('/timesheets/week', {
+      method: 'PUT',
+      body: JSON.stringify({ weekStart, cells })
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to save timesheet')
+    }
+
+    return response.data
+  },
+
+  // Send the week for approval; it can't be edited until it is rejected
+  async submitWeek(weekStart: string): Promise<TimesheetPeriod> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TimesheetPeriod
+      message?: string
+    }>('/timesheets/periods/submit', {
+      method: 'POST',
+      body: JSON.stringify({ weekStart })
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to submit timesheet')
+    }
+
+    return response.data
+  },
+
+  // Periods the user can see: their own, their team members' and, for admins
+  // and HR, the whole company's
+  async getPeriods(filters?: { status?: TimesheetStatus; teamId?: string; userId?: string }): Promise<TimesheetPeriod[]> {
+    const params = new URLSearchParams()
+    if (filters?.status) params.append('status', filters.status)
+    if (filters?.teamId) params.append('teamId', filters.teamId)
+    if (filters?.userId) params.append('userId', filters.userId)
+    const query = params.toString()
+
+    const response = await apiRequest<{
+      success: boolean
+      data: TimesheetPeriod[]
+    }>(`/timesheets/periods${query ? `?${query}` : ''}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get timesheets')
+    }
+
+    return response.data
+  },
+
+  // A period with the time entries it covers
+  async getPeriod(id: string): Promise<TimesheetPeriod> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TimesheetPeriod
+    }>(`/timesheets/periods/${id}`)
+
+    if (!response.success) {
+      throw new Error('Failed to get timesheet')
+    }
+
+    return response.data
+  },
+
+  // Approve a submitted week, or reject it with a comment for the user
+  async reviewPeriod(id: string, action: 'approve' | 'reject', comment?: string): Promise<TimesheetPeriod> {
+    const response = await apiRequest<{
+      success: boolean
+      data: TimesheetPeriod
+      message?: string
+    }>(`/timesheets/periods/${id}/review`, {
+      method: 'POST',
+      body: JSON.stringify({ action, comment })
+    })
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to review timesheet')
+    }
+
+    return response.data
+  }
+}
+
+// Export default
+export default timesheetApiService
@@ -145,7 +145,7 @@ export const userApiService = {
   // Update user profile
   async updateUserProfile(
     userId: string,
-    updates: Partial<Pick<User, 'name' | 'timezone' | 'avatar' | 'hourlyRate'>>
+    updates: Partial<Pick<User, 'name' | 'timezone' | 'avatar' | 'hourlyRate' | 'costRate' | 'idleTimeoutMinutes'>>
   ): Promise<void> {
     const response = await apiRequest<{
       success: boolean
@@ -3,6 +3,7 @@ import { ref, get, update, set, query, orderByChild, equalTo, onValue, push, rem
 import { database, auth, functions } from '../config/firebase'
 import { User, UserRole } from '../types'
 import { httpsCallable } from 'firebase/functions'
+import { realtimeService } from './realtimeService'
 
 export const userService = {
   // Get all users (for admin/team leader use) - with multi-tenant filtering
@@ -388,6 +389,24 @@ Object.assign(userService, {
     companyId?: string | null,
     limit?: number
   ): () => void {
+    if (!database) {
+      const load = async () => {
+        try {
+          const { userApiService } = await import('./userApiService')
+          const users = (await userApiService.getUsersForCompany(companyId ?? null))
+            .filter((user: User) => user.isActive)
+            .sort((a: User, b: User) => a.name.localeCompare(b.name))
+          callback(limit ? users.slice(0, limit) : users)
+        } catch (error) {
+          console.error('Error loading users:', error)
+        }
+      }
+      load()
+      return realtimeService.subscribe(event => {
+        if (event.type === 'user') load()
+      })
+    }
+
     // Start with base reference
     let usersQuery: any = ref(database, 'users')
     
@@ -0,0 +1,21 @@
+import { Task } from '../types'
+
+// A plain open task for unit tests; overrides set whatever the test is about
+export const makeTask = (id: string, overrides: Partial<Task> = {}): Task => ({
+  id,
+  title: `Task ${id}`,
+  projectId: 'project-1',
+  projectName: 'Website',
+  status: 'status_0',
+  priority: 'priority_0',
+  tags: [],
+  isCompleted: false,
+  createdBy: 'user-1',
+  createdByName: 'Ada',
+  createdAt: new Date('2024-03-01T09:00:00'),
+  updatedAt: new Date('2024-03-01T09:00:00'),
+  attachments: [],
+  comments: [],
+  timeEntries: [],
+  ...overrides
+})
@@ -13,6 +13,8 @@ export interface User {
   avatar?: string | null
   timezone: string
   hourlyRate?: number
+  costRate?: number | null // Internal cost per hour; only sent to roles that can view rates
+  idleTimeoutMinutes?: number // Minutes without input before a running timer asks about idle time; 0 is off
   isActive: boolean
   createdAt: Date
   updatedAt: Date
@@ -80,6 +82,8 @@ export interface Project {
   startDate?: Date
   endDate?: Date
   budget?: number
+  budgetAlertThresholds?: number[] // percentages of the budget that notify project admins
+  hourlyRate?: number | null // Overrides user and client rates when set
   clientId?: string
   clientName?: string
   isArchived: boolean
@@ -88,6 +92,31 @@ export interface Project {
   updatedAt: Date
 }
 
+// Budget consumption computed server-side from stopped time entries
+export interface ProjectBudget {
+  projectId: string
+  projectName: string
+  budget: number | null
+  spent: number
+  remaining: number | null
+  percentUsed: number | null
+  trackedHours: number
+  currency: string
+  thresholds: number[]
+}
+
+// Where a time entry's billable rate came from, most specific first
+export type RateSource = 'project_user' | 'project' | 'user' | 'client'
+
+// A user's rate on one project, overriding every other rate
+export interface ProjectUserRate {
+  projectId: string
+  userId: string
+  userName?: string | null
+  hourlyRate: number
+  updatedAt?: Date
+}
+
 export type ClientType = 'full-time' | 'part-time' | 'custom' | 'gig'
 
 export interface Client {
@@ -105,6 +134,9 @@ export interface Client {
   company?: string
   address?: string
   currency?: string // Add currency field
+  roundingMode?: RoundingMode | null // null uses the company's rounding rule
+  roundingIncrementMinutes?: number | null
+  minimumBillableMinutes?: number | null
   isArchived: boolean
   createdBy: string
   createdAt: Date
@@ -125,6 +157,9 @@ export interface CreateClientData {
   company?: string
   address?: string
   currency?: string // Add currency field
+  roundingMode?: RoundingMode | null
+  roundingIncrementMinutes?: number | null
+  minimumBillableMinutes?: number | null
 }
 
 export interface CreateProjectData {
@@ -133,6 +168,9 @@ export interface CreateProjectData {
   color: string
   status: 'active' | 'on-hold' | 'completed' | 'cancelled'
   priority: 'low' | 'medium' | 'high' | 'urgent'
+  budget?: number
+  budgetAlertThresholds?: number[]
+  hourlyRate?: number | null
   clientId?: string
 }
 
@@ -149,8 +187,15 @@ export interface TimeEntry {
   startTime: Date
   endTime?: Date
   duration: number // in seconds
+  billableDuration?: number // Seconds billed after rounding; only on billable-entry lists
   isRunning: boolean
   isBillable: boolean
+  isLocked?: boolean // Set once the entry has been invoiced
+  invoiceId?: string | null
+  approvedAt?: Date | null // Set while the entry's timesheet is approved
+  hourlyRate?: number | null // Rate snapshot taken when the entry was logged
+  rateSource?: RateSource | null
+  taskId?: string | null // Task the timer was started from, on running entries
   tags?: string[]
   createdAt: Date
   updatedAt: Date
@@ -162,6 +207,121 @@ export interface CreateTimeEntryData {
   isBillable?: boolean
   tags?: string[]
   clientId?: string // Add clientId field
+  taskId?: string | null // Links the entry to a task; the project defaults to the task's
+}
+
+// How a company handles time entries that overlap the user's other entries
+export type OverlapPolicy = 'reject' | 'warn' | 'trim'
+
+// Sent with a save to confirm an overlap ('allow', warn policy only) or trim around it
+export type OverlapResolution = 'allow' | 'trim'
+
+export interface TimeEntryOverlap {
+  id: string
+  description?: string | null
+  projectName?: string | null
+  startTime: Date
+  endTime?: Date | null
+  isRunning: boolean
+}
+
+// Body of the 409 returned when a save overlaps other entries; suggestion is the
+// trimmed range, or null when a conflict falls inside the entry
+export interface TimeEntryOverlapConflict {
+  error: string
+  code: 'TIME_ENTRY_OVERLAP'
+  policy: OverlapPolicy
+  conflicts: TimeEntryOverlap[]
+  suggestion: { startTime: Date; endTime: Date | null } | null
+}
+
+// When timers left running are stopped by the server: never, after a maximum
+// number of hours, or at midnight in the user's timezone
+export type AutoStopPolicy = 'off' | 'max_duration' | 'midnight'
+
+// How billable time is rounded, per entry: not at all, to the nearest
+// increment, or always up or down
+export type RoundingMode = 'none' | 'nearest' | 'up' | 'down'
+
+export interface RoundingRule {
+  mode: RoundingMode
+  incrementMinutes: number
+  minimumMinutes: number // Shortest time billed for an entry
+}
+
+export interface TimeTrackingSettings {
+  overlapPolicy: OverlapPolicy
+  autoStopPolicy: AutoStopPolicy
+  autoStopMaxHours: number
+  roundingMode: RoundingMode
+  roundingIncrementMinutes: number
+  minimumBillableMinutes: number
+}
+
+// What to do with time a running timer counted while the user was away
+export type IdleTimeAction = 'discard' | 'reassign'
+
+export interface IdleTimeResolution {
+  idleStart: Date
+  idleEnd: Date
+  action: IdleTimeAction
+  projectId?: string // Required when reassigning
+}
+
+// Weekly timesheet grid; dates are YYYY-MM-DD days in the user's timezone
+export interface TimesheetCell {
+  seconds: number
+  entries: number
+  isLocked: boolean
+  isRunning: boolean
+}
+
+export interface TimesheetRow {
+  projectId: string | null
+  projectName: string | null
+  taskId: string | null
+  taskTitle: string | null
+  cells: Record<string, TimesheetCell>
+}
+
+// Approval state of a user's week; submitted and approved weeks can't be edited
+export type TimesheetStatus = 'draft' | 'submitted' | 'approved' | 'rejected'
+
+export interface TimesheetPeriod {
+  id: string
+  userId: string
+  userName: string | null
+  userEmail: string | null
+  companyId: string | null
+  periodStart: string
+  periodEnd: string
+  status: TimesheetStatus
+  totalSeconds: number
+  submittedAt: Date | null
+  reviewedBy: string | null
+  reviewedByName: string | null
+  reviewedAt: Date | null
+  reviewComment: string | null
+  createdAt: Date
+  updatedAt: Date
+  entries?: TimeEntry[] // Only when fetching a single period
+}
+
+export interface TimesheetWeek {
+  weekStart: string
+  days: string[]
+  timezone: string | null
+  period: TimesheetPeriod | null
+  rows: TimesheetRow[]
+  dailyTotals: Record<string, number>
+  totalSeconds: number
+}
+
+export interface TimesheetCellUpdate {
+  date: string
+  projectId: string | null
+  taskId?: string | null
+  hours: number
 }
 
 export interface TimerState {
@@ -196,6 +356,154 @@ export interface TimeSummary {
   }
 }
 
+// Invoicing Types
+export type InvoiceStatus = 'draft' | 'sent' | 'partially_paid' | 'paid' | 'cancelled'
+export type InvoiceDiscountType = 'percentage' | 'fixed'
+export type PaymentMethod = 'bank_transfer' | 'cash' | 'check' | 'credit_card' | 'paypal' | 'other'
+
+export interface TaxRate {
+  id: string
+  companyId: string
+  name: string
+  rate: number // percentage, e.g. 20 for 20%
+  isArchived: boolean
+  createdAt: string
+  updatedAt: string
+}
+
+// Tax applied to an invoice; name and rate are copied from the tax rate at invoicing time
+export interface InvoiceTax {
+  id: string
+  taxRateId?: string | null
+  name: string
+  rate: number
+  amount: number
+}
+
+export interface InvoiceLineItem {
+  id: string
+  invoiceId: string
+  timeEntryId?: string | null
+  projectId?: string | null
+  projectName?: string | null
+  description: string
+  entryDate?: string | null
+  quantity: number // hours
+  unitPrice: number
+  amount: number
+  sortOrder: number
+}
+
+export interface InvoicePayment {
+  id: string
+  invoiceId: string
+  paymentDate: string
+  amount: number
+  method: PaymentMethod
+  reference?: string | null
+  notes?: string | null
+  recordedBy?: string | null
+  recordedByName?: string | null
+  createdAt: string
+}
+
+export interface Invoice {
+  id: string
+  companyId?: string | null
+  invoiceNumber: string
+  clientId?: string | null
+  clientName?: string | null
+  clientEmail?: string | null
+  status: InvoiceStatus
+  issueDate: string
+  dueDate?: string | null
+  periodStart?: string | null
+  periodEnd?: string | null
+  currency: string
+  hourlyRate: number
+  totalHours: number
+  subtotal: number
+  discountType?: InvoiceDiscountType | null
+  discountValue: number
+  discountAmount: number
+  taxTotal: number
+  total: number
+  amountPaid: number
+  balanceDue: number
+  isOverdue: boolean // open invoice past its due date
+  notes?: string | null
+  projectNames: string[]
+  lineItems?: InvoiceLineItem[]
+  taxes?: InvoiceTax[]
+  payments?: InvoicePayment[]
+  sentAt?: string | null
+  paidAt?: string | null
+  createdBy?: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreateInvoiceData {
+  clientId: string
+  issueDate?: string
+  dueDate?: string
+  periodStart?: string
+  periodEnd?: string
+  timeEntryIds: string[]
+  notes?: string
+  status?: 'draft' | 'sent'
+  taxRateIds?: string[] // defaults to the client's tax rates when omitted
+  discountType?: InvoiceDiscountType | null
+  discountValue?: number
+}
+
+export interface InvoiceTotalsInput {
+  lineAmounts: number[]
+  discountType?: InvoiceDiscountType | null
+  discountValue?: number
+  taxRates: { id: string; name: string; rate: number }[]
+  currency?: string
+}
+
+export interface InvoiceTotals {
+  subtotal: number
+  discountAmount: number
+  taxes: { taxRateId: string; name: string; rate: number; amount: number }[]
+  taxTotal: number
+  total: number
+}
+
+export interface UpdateInvoiceData {
+  issueDate?: string
+  dueDate?: string | null
+  notes?: string | null
+  status?: 'draft' | 'sent' | 'cancelled' // paid states follow recorded payments
+}
+
+export interface CreateInvoicePaymentData {
+  paymentDate?: string
+  amount: number
+  method?: PaymentMethod
+  reference?: string
+  notes?: string
+}
+
+export interface ClientBalance {
+  currency: string
+  outstanding: number
+  overdue: number
+  openInvoices: number
+  overdueInvoices: number
+}
+
+export interface InvoiceNumberSettings {
+  prefix: string
+  padding: number
+  resetYearly: boolean
+  nextNumber: number
+  nextInvoiceNumber: string
+}
+
 // Reports and Analytics Types
 export interface TimeAnalytics {
   totalTime: number
@@ -205,7 +513,8 @@ export interface TimeAnalytics {
   averageSessionLength: number
   mostProductiveDay: string
   mostProductiveHour: number
-  totalEarnings: number
+  // One amount per currency; null for users who cannot see billing rates
+  totalEarnings: { currency: string; amount: number }[] | null
 }
 
 export interface ProjectAnalytics {
@@ -242,6 +551,35 @@ export interface MonthlyAnalytics {
   weeklyBreakdown: WeeklyAnalytics[]
 }
 
+export type ReportGroupBy = 'day' | 'week' | 'month' | 'project' | 'client' | 'user' | 'tag'
+
+// One group of a server-side time report; projects is only set when grouping by day
+export interface ReportTimeRow {
+  key: string
+  label: string
+  color?: string
+  totalTime: number
+  billableTime: number
+  entries: number
+  projects?: { [projectId: string]: number }
+}
+
+export type ProfitabilityGroupBy = 'project' | 'client' | 'team'
+
+// One project, client or team in one currency; marginPercent is null without revenue
+export interface ProfitabilityRow {
+  groupBy: ProfitabilityGroupBy
+  id: string | null
+  name: string | null
+  currency: string
+  totalHours: number
+  billableHours: number
+  revenue: number
+  cost: number
+  margin: number
+  marginPercent: number | null
+}
+
 export interface ReportFilters {
   startDate: Date
   endDate: Date
@@ -249,6 +587,7 @@ export interface ReportFilters {
   clientIds?: string[] // Add clientIds filter
   billableOnly?: boolean
   nonBillableOnly?: boolean
+  approvedOnly?: boolean // Only time from approved timesheets
   userId?: string
 }
 
@@ -276,6 +615,7 @@ export interface Task {
   assigneeId?: string
   assigneeName?: string
   assigneeEmail?: string
+  startDate?: Date // With dueDate, places the task on the timeline
   dueDate?: Date
   estimatedHours?: number
   actualHours?: number
@@ -288,18 +628,24 @@ export interface Task {
   updatedAt: Date
   parentTaskId?: string
   subtasks?: Task[]
+  recurrence?: TaskRecurrence | null // Only on the latest occurrence of a series
+  recurrenceSeriesId?: string
+  recurrenceDate?: Date // The day this occurrence stands for
   attachments: TaskAttachment[]
   comments: TaskComment[]
   timeEntries: string[] // Array of time entry IDs
   teamId?: string // Add teamId field
 }
 
+// Statuses and priorities come from the company's workflow, or from the project's
+// own when it has one (projectId is set on those)
 export interface TaskStatus {
   id: string
   name: string
   color: string
   order: number
   isCompleted: boolean
+  projectId?: string | null
 }
 
 export interface TaskPriority {
@@ -307,8 +653,13 @@ export interface TaskPriority {
   name: string
   color: string
   level: number
+  projectId?: string | null
 }
 
+// Leave projectId out to change the company's workflow
+export type TaskStatusInput = Partial<Omit<TaskStatus, 'id'>>
+export type TaskPriorityInput = Partial<Omit<TaskPriority, 'id'>>
+
 export interface TaskAttachment {
   id: string
   name: string
@@ -349,6 +700,20 @@ export interface MentionSuggestion {
   role: string
 }
 
+// Notification stored by the API (budget alerts and other server-side events)
+export interface AppNotification {
+  id: string
+  userId: string
+  type: 'info' | 'success' | 'warning' | 'error' | 'mention'
+  title: string
+  message?: string | null
+  actionUrl?: string | null
+  contextType?: string | null
+  contextId?: string | null
+  isRead: boolean
+  createdAt: string
+}
+
 export interface MentionNotification {
   id: string
   type: 'mention'
@@ -410,11 +775,13 @@ export interface CreateTaskData {
   status: string
   priority: string
   assigneeId?: string
+  startDate?: Date
   dueDate?: Date
   estimatedHours?: number
   tags: string[]
   parentTaskId?: string
   teamId?: string
+  recurrence?: TaskRecurrence | null
 }
 
 export interface UpdateTaskData {
@@ -424,7 +791,8 @@ export interface UpdateTaskData {
   status?: string
   priority?: string
   assigneeId?: string
-  dueDate?: Date
+  startDate?: Date | null // null clears the date
+  dueDate?: Date | null
   estimatedHours?: number
   actualHours?: number
   tags?: string[]
@@ -432,6 +800,27 @@ export interface UpdateTaskData {
   parentTaskId?: string
   comments?: TaskComment[]
   teamId?: string // Add teamId field
+  recurrence?: TaskRecurrence | null // null stops the series
+}
+
+// RRULE-style repeat rule. Calendar rules create an occurrence on each matching
+// day; after_completion creates the next one interval days after a completion
+export type RecurrenceFrequency = 'daily' | 'weekly' | 'monthly' | 'after_completion'
+
+export interface TaskRecurrence {
+  frequency: RecurrenceFrequency
+  interval: number // Every N days, weeks or months, or N days after completion
+  weekdays?: number[] // weekly: 0 = Sunday ... 6 = Saturday
+  monthDay?: number // monthly: 1-31, the last day in shorter months
+}
+
+// Finish-to-start: taskId shouldn't start before dependsOnTaskId is due
+export interface TaskDependency {
+  id: string
+  taskId: string
+  dependsOnTaskId: string
+  type: 'finish_to_start'
+  createdAt: Date
 }
 
 export interface CreateBoardData {
@@ -0,0 +1,54 @@
+import { getBillableSeconds, resolveRoundingRule, describeRoundingRule, NO_ROUNDING } from './billingRounding'
+
+describe('billingRounding', () => {
+  describe('getBillableSeconds', () => {
+    it('should round to the nearest increment', () => {
+      const rule = { mode: 'nearest' as const, incrementMinutes: 6, minimumMinutes: 0 }
+      expect(getBillableSeconds(8 * 60, rule)).toBe(6 * 60)
+      expect(getBillableSeconds(9 * 60, rule)).toBe(12 * 60)
+      expect(getBillableSeconds(2 * 60, rule)).toBe(0)
+    })
+
+    it('should round up and down', () => {
+      expect(getBillableSeconds(61, { mode: 'up', incrementMinutes: 15, minimumMinutes: 0 })).toBe(15 * 60)
+      expect(getBillableSeconds(29 * 60, { mode: 'down', incrementMinutes: 15, minimumMinutes: 0 })).toBe(15 * 60)
+      expect(getBillableSeconds(30 * 60, { mode: 'up', incrementMinutes: 15, minimumMinutes: 0 })).toBe(30 * 60)
+    })
+
+    it('should apply the minimum after rounding', () => {
+      const rule = { mode: 'down' as const, incrementMinutes: 15, minimumMinutes: 30 }
+      expect(getBillableSeconds(5 * 60, rule)).toBe(30 * 60)
+      expect(getBillableSeconds(50 * 60, rule)).toBe(45 * 60)
+    })
+
+    it('should bill the exact duration without rounding', () => {
+      expect(getBillableSeconds(1234, NO_ROUNDING)).toBe(1234)
+    })
+
+    it('should never bill empty entries', () => {
+      expect(getBillableSeconds(0, { mode: 'up', incrementMinutes: 15, minimumMinutes: 30 })).toBe(0)
+    })
+  })
+
+  describe('resolveRoundingRule', () => {
+    const settings = { roundingMode: 'up' as const, roundingIncrementMinutes: 15, minimumBillableMinutes: 0 }
+
+    it('should use the company rule for clients without their own', () => {
+      expect(resolveRoundingRule(settings, { roundingMode: null })).toEqual({ mode: 'up', incrementMinutes: 15, minimumMinutes: 0 })
+    })
+
+    it('should let a client rule replace the company rule', () => {
+      expect(resolveRoundingRule(settings, { roundingMode: 'nearest', roundingIncrementMinutes: 6, minimumBillableMinutes: null }))
+        .toEqual({ mode: 'nearest', incrementMinutes: 6, minimumMinutes: 0 })
+    })
+
+    it('should not round before settings have loaded', () => {
+      expect(resolveRoundingRule(null)).toBe(NO_ROUNDING)
+    })
+  })
+
+  it('should describe a rule', () => {
+    expect(describeRoundingRule({ mode: 'up', incrementMinutes: 15, minimumMinutes: 30 })).toBe('Always up to 15 min, at least 30 min')
+    expect(describeRoundingRule(NO_ROUNDING)).toBe('No rounding')
+  })
+})
@@ -0,0 +1,61 @@
+import { Client, RoundingMode, RoundingRule, TimeTrackingSettings } from '../types'
+
+// Billable time for figures the browser works out itself. Only billing rounds;
+// durations stay exact for payroll. api/billingRounding.test.ts runs these and
+// the server's functions through the same cases
+
+export const ROUNDING_MODE_LABELS: Record<RoundingMode, string> = {
+  none: 'No rounding',
+  nearest: 'Nearest',
+  up: 'Always up',
+  down: 'Always down'
+}
+
+export const NO_ROUNDING: RoundingRule = { mode: 'none', incrementMinutes: 15, minimumMinutes: 0 }
+
+// A client with its own rounding mode replaces the company rule as a whole
+export const resolveRoundingRule = (
+  settings: Pick<TimeTrackingSettings, 'roundingMode' | 'roundingIncrementMinutes' | 'minimumBillableMinutes'> | null | undefined,
+  client?: Pick<Client, 'roundingMode' | 'roundingIncrementMinutes' | 'minimumBillableMinutes'> | null
+): RoundingRule => {
+  if (client?.roundingMode) {
+    return {
+      mode: client.roundingMode,
+      incrementMinutes: Number(client.roundingIncrementMinutes) || 15,
+      minimumMinutes: Number(client.minimumBillableMinutes || 0)
+    }
+  }
+  if (!settings) {
+    return NO_ROUNDING
+  }
+  return {
+    mode: settings.roundingMode,
+    incrementMinutes: settings.roundingIncrementMinutes,
+    minimumMinutes: settings.minimumBillableMinutes
+  }
+}
+
+// Seconds billed for one entry: rounded to the increment, then raised to the minimum
+export const getBillableSeconds = (duration: number, rule: RoundingRule): number => {
+  const seconds = Number(duration) || 0
+  if (seconds <= 0) {
+    return 0
+  }
+
+  const increment = rule.incrementMinutes * 60
+  const round = rule.mode === 'nearest' ? Math.round : rule.mode === 'up' ? Math.ceil : rule.mode === 'down' ? Math.floor : null
+  const rounded = round && increment > 0 ? round(seconds / increment) * increment : seconds
+  return Math.max(rounded, rule.minimumMinutes * 60)
+}
+
+// "Always up to 15 min, at least 30 min", for settings screens
+export const describeRoundingRule = (rule: RoundingRule): string => {
+  const parts: string[] = []
+  if (rule.mode !== 'none') {
+    parts.push(`${ROUNDING_MODE_LABELS[rule.mode]} to ${rule.incrementMinutes} min`)
+  }
+  if (rule.minimumMinutes > 0) {
+    parts.push(`at least ${rule.minimumMinutes} min`)
+  }
+  return parts.length > 0 ? parts.join(', ') : ROUNDING_MODE_LABELS.none
+}
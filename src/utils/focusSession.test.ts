@@ -0,0 +1,49 @@
+import {
+  DEFAULT_FOCUS_SETTINGS,
+  normalizeFocusSettings,
+  getPhaseSeconds,
+  getNextFocusPhase
+} from './focusSession'
+
+describe('focusSession', () => {
+  describe('normalizeFocusSettings', () => {
+    it('should fall back to the defaults', () => {
+      expect(normalizeFocusSettings(null)).toEqual(DEFAULT_FOCUS_SETTINGS)
+      expect(normalizeFocusSettings({ workMinutes: 50 })).toEqual({ ...DEFAULT_FOCUS_SETTINGS, workMinutes: 50 })
+    })
+
+    it('should replace invalid values', () => {
+      expect(normalizeFocusSettings({
+        workMinutes: 0,
+        shortBreakMinutes: 2.5,
+        longBreakMinutes: 500,
+        sessionsBeforeLongBreak: 3
+      })).toEqual({ ...DEFAULT_FOCUS_SETTINGS, sessionsBeforeLongBreak: 3 })
+    })
+  })
+
+  describe('getPhaseSeconds', () => {
+    it('should use the length configured for each phase', () => {
+      expect(getPhaseSeconds('work', DEFAULT_FOCUS_SETTINGS)).toBe(25 * 60)
+      expect(getPhaseSeconds('short_break', DEFAULT_FOCUS_SETTINGS)).toBe(5 * 60)
+      expect(getPhaseSeconds('long_break', DEFAULT_FOCUS_SETTINGS)).toBe(15 * 60)
+    })
+  })
+
+  describe('getNextFocusPhase', () => {
+    it('should take a long break after every few sessions', () => {
+      const phases = [1, 2, 3, 4, 5, 8].map(completed => getNextFocusPhase('work', completed, DEFAULT_FOCUS_SETTINGS))
+      expect(phases).toEqual(['short_break', 'short_break', 'short_break', 'long_break', 'short_break', 'long_break'])
+    })
+
+    it('should go back to work after any break', () => {
+      expect(getNextFocusPhase('short_break', 1, DEFAULT_FOCUS_SETTINGS)).toBe('work')
+      expect(getNextFocusPhase('long_break', 4, DEFAULT_FOCUS_SETTINGS)).toBe('work')
+    })
+
+    it('should make every break long when the interval is one', () => {
+      const settings = { ...DEFAULT_FOCUS_SETTINGS, sessionsBeforeLongBreak: 1 }
+      expect(getNextFocusPhase('work', 1, settings)).toBe('long_break')
+    })
+  })
+})
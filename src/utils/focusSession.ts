@@ -0,0 +1,85 @@
+// Focus (pomodoro) mode for the timer: work sessions alternate with breaks, and
+// every few sessions the break is a long one
+
+export type FocusPhase = 'work' | 'short_break' | 'long_break'
+
+export interface FocusSettings {
+  workMinutes: number
+  shortBreakMinutes: number
+  longBreakMinutes: number
+  sessionsBeforeLongBreak: number
+}
+
+// Break entries carry this tag so reports and the calendar can tell them apart
+export const BREAK_TAG = 'break'
+
+export const DEFAULT_FOCUS_SETTINGS: FocusSettings = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  sessionsBeforeLongBreak: 4
+}
+
+const LIMITS: Record<keyof FocusSettings, [number, number]> = {
+  workMinutes: [1, 180],
+  shortBreakMinutes: [1, 60],
+  longBreakMinutes: [1, 120],
+  sessionsBeforeLongBreak: [1, 12]
+}
+
+export const FOCUS_PHASE_LABELS: Record<FocusPhase, string> = {
+  work: 'Focus',
+  short_break: 'Short break',
+  long_break: 'Long break'
+}
+
+// Settings with anything missing, fractional or out of range replaced by the default
+export const normalizeFocusSettings = (settings: Partial<FocusSettings> | null | undefined): FocusSettings => {
+  const normalized = { ...DEFAULT_FOCUS_SETTINGS }
+  for (const key of Object.keys(LIMITS) as (keyof FocusSettings)[]) {
+    const value = settings?.[key]
+    const [min, max] = LIMITS[key]
+    if (typeof value === 'number' && Number.isInteger(value) && value >= min && value <= max) {
+      normalized[key] = value
+    }
+  }
+  return normalized
+}
+
+export const getPhaseSeconds = (phase: FocusPhase, settings: FocusSettings): number => {
+  switch (phase) {
+    case 'work':
+      return settings.workMinutes * 60
+    case 'short_break':
+      return settings.shortBreakMinutes * 60
+    case 'long_break':
+      return settings.longBreakMinutes * 60
+  }
+}
+
+// The phase after the current one. completedSessions counts work sessions
+// finished so far, including the one that just ended
+export const getNextFocusPhase = (phase: FocusPhase, completedSessions: number, settings: FocusSettings): FocusPhase => {
+  if (phase !== 'work') {
+    return 'work'
+  }
+  return completedSessions > 0 && completedSessions % settings.sessionsBeforeLongBreak === 0
+    ? 'long_break'
+    : 'short_break'
+}
+
+const storageKey = (userId: string) => `focusSettings_${userId}`
+
+export const loadFocusSettings = (userId: string): FocusSettings => {
+  try {
+    const saved = localStorage.getItem(storageKey(userId))
+    return normalizeFocusSettings(saved ? JSON.parse(saved) : null)
+  } catch (error) {
+    console.error('Failed to parse focus settings:', error)
+    return { ...DEFAULT_FOCUS_SETTINGS }
+  }
+}
+
+export const saveFocusSettings = (userId: string, settings: FocusSettings): void => {
+  localStorage.setItem(storageKey(userId), JSON.stringify(settings))
+}
@@ -0,0 +1,107 @@
+import { applyQueuedOperations, coalesceOperation, discardQueuedOperations, rebaseOperations, QueuedTimerOperation } from './offlineTimer'
+import { TimeEntry } from '../types'
+
+describe('offlineTimer', () => {
+  const create: QueuedTimerOperation = {
+    seq: 1,
+    id: 'op-1',
+    userId: 'user-1',
+    entryId: 'entry-1',
+    type: 'create',
+    data: { description: 'Design review', isBillable: true, tags: [], startTime: '2024-03-04T09:00:00.000Z' },
+    projectName: 'Website'
+  }
+
+  const running: TimeEntry = {
+    id: 'entry-0',
+    userId: 'user-1',
+    description: 'Standup',
+    startTime: new Date('2024-03-04T08:30:00.000Z'),
+    duration: 0,
+    isRunning: true,
+    isBillable: false,
+    createdAt: new Date('2024-03-04T08:30:00.000Z'),
+    updatedAt: new Date('2024-03-04T08:30:00.000Z')
+  }
+
+  describe('coalesceOperation', () => {
+    it('should fold a stop into a queued start', () => {
+      const stop: QueuedTimerOperation = { id: 'op-2', userId: 'user-1', entryId: 'entry-1', type: 'stop', endTime: '2024-03-04T09:45:00.000Z' }
+      const result = coalesceOperation([create], stop)
+      expect(result.seq).toBe(1)
+      expect(result.type === 'create' && result.data).toMatchObject({ endTime: '2024-03-04T09:45:00.000Z', duration: 45 * 60 })
+    })
+
+    it('should fold edits into a queued start without clearing fields', () => {
+      const update: QueuedTimerOperation = {
+        id: 'op-2',
+        userId: 'user-1',
+        entryId: 'entry-1',
+        type: 'update',
+        updates: { description: 'Design review v2', projectId: undefined, projectName: 'Intranet' }
+      }
+      const result = coalesceOperation([create], update)
+      expect(result.type === 'create' && result.data.description).toBe('Design review v2')
+      expect(result.type === 'create' && result.data.isBillable).toBe(true)
+      expect(result.type === 'create' && result.projectName).toBe('Intranet')
+    })
+
+    it('should queue changes to synced entries separately', () => {
+      const stop: QueuedTimerOperation = { id: 'op-2', userId: 'user-1', entryId: 'entry-0', type: 'stop', endTime: '2024-03-04T09:00:00.000Z' }
+      expect(coalesceOperation([create], stop)).toBe(stop)
+    })
+  })
+
+  describe('applyQueuedOperations', () => {
+    it('should show a timer started offline as running', () => {
+      const stop: QueuedTimerOperation = { id: 'op-0', userId: 'user-1', entryId: 'entry-0', type: 'stop', endTime: '2024-03-04T09:00:00.000Z' }
+      const entry = applyQueuedOperations(running, [stop, create])
+      expect(entry).toMatchObject({ id: 'entry-1', isRunning: true, description: 'Design review', projectName: 'Website' })
+      expect(entry?.startTime).toEqual(new Date('2024-03-04T09:00:00.000Z'))
+    })
+
+    it('should apply queued edits to the running entry', () => {
+      const update: QueuedTimerOperation = {
+        id: 'op-2',
+        userId: 'user-1',
+        entryId: 'entry-0',
+        type: 'update',
+        updates: { description: 'Planning', tags: ['meeting'] }
+      }
+      expect(applyQueuedOperations(running, [update])).toMatchObject({ id: 'entry-0', description: 'Planning', tags: ['meeting'] })
+    })
+
+    it('should leave a timer started and stopped offline out', () => {
+      const finished = coalesceOperation([create], { id: 'op-2', userId: 'user-1', entryId: 'entry-1', type: 'stop', endTime: '2024-03-04T09:30:00.000Z' })
+      expect(applyQueuedOperations(null, [finished])).toBeNull()
+    })
+
+    it('should leave a discarded timer out', () => {
+      const discard: QueuedTimerOperation = { id: 'op-2', userId: 'user-1', entryId: 'entry-0', type: 'delete' }
+      expect(applyQueuedOperations(running, [discard])).toBeNull()
+    })
+  })
+
+  describe('discardQueuedOperations', () => {
+    const update: QueuedTimerOperation = { seq: 2, id: 'op-2', userId: 'user-1', entryId: 'entry-1', type: 'update', updates: { description: 'A' } }
+    const other: QueuedTimerOperation = { seq: 3, id: 'op-3', userId: 'user-1', entryId: 'entry-0', type: 'stop', endTime: '2024-03-04T09:00:00.000Z' }
+
+    it('should drop an entry that never reached the server along with its changes', () => {
+      expect(discardQueuedOperations([create, update, other], 'entry-1')).toEqual({ dropped: [create, update], neverSynced: true })
+    })
+
+    it('should still need a delete for an entry that already synced', () => {
+      expect(discardQueuedOperations([update, other], 'entry-0')).toEqual({ dropped: [other], neverSynced: false })
+    })
+  })
+
+  it('should rebase later edits of the same entry', () => {
+    const queue: QueuedTimerOperation[] = [
+      { id: 'op-2', userId: 'user-1', entryId: 'entry-0', type: 'update', updates: { description: 'A' }, baseUpdatedAt: '2024-03-04T08:30:00.000Z' },
+      { id: 'op-3', userId: 'user-1', entryId: 'entry-2', type: 'update', updates: { description: 'B' } }
+    ]
+    expect(rebaseOperations(queue, 'entry-0', '2024-03-04T09:00:00.000Z')).toEqual([
+      { ...queue[0], baseUpdatedAt: '2024-03-04T09:00:00.000Z' }
+    ])
+  })
+})
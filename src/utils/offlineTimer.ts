@@ -0,0 +1,134 @@
+import type { CreateTimeEntryData, TimeEntry } from '../types'
+import type { TimeEntryUpdates } from '../services/timeEntryApiService'
+
+// Timer actions taken without a connection wait in IndexedDB and are replayed in
+// order once it is back. Entries started offline get their ID on the device
+
+export type QueuedTimeEntryData = CreateTimeEntryData & {
+  startTime: string
+  endTime?: string
+  duration?: number
+}
+
+interface QueuedOperationBase {
+  seq?: number // IndexedDB key; replay follows it
+  id: string // Sent as the operation ID so a replay is only applied once
+  userId: string
+  entryId: string
+}
+
+export type QueuedTimerOperation = QueuedOperationBase & (
+  | { type: 'create'; data: QueuedTimeEntryData; projectName?: string; companyId?: string | null; clientName?: string }
+  | { type: 'stop'; endTime: string }
+  | { type: 'update'; updates: TimeEntryUpdates; baseUpdatedAt?: string }
+  | { type: 'delete' }
+)
+
+type QueuedCreate = Extract<QueuedTimerOperation, { type: 'create' }>
+
+const toIso = (value: Date | string) => new Date(value).toISOString()
+
+const secondsBetween = (start: Date | string, end: Date | string) =>
+  Math.max(0, Math.floor((new Date(end).getTime() - new Date(start).getTime()) / 1000))
+
+// fetch rejects with a TypeError when the request never reached the server
+export const isNetworkError = (error: unknown): boolean =>
+  error instanceof TypeError || (typeof navigator !== 'undefined' && !navigator.onLine)
+
+const foldIntoCreate = (create: QueuedCreate, operation: QueuedTimerOperation): QueuedCreate => {
+  if (operation.type === 'stop') {
+    return {
+      ...create,
+      data: { ...create.data, endTime: operation.endTime, duration: secondsBetween(create.data.startTime, operation.endTime) }
+    }
+  }
+  if (operation.type !== 'update') {
+    return create
+  }
+
+  const { projectName, clientName, startTime, endTime, duration, overlapResolution, ...fields } = operation.updates
+  const data: QueuedTimeEntryData = { ...create.data }
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      (data as unknown as Record<string, unknown>)[key] = value
+    }
+  }
+  if (startTime) data.startTime = toIso(startTime)
+  if (endTime) data.endTime = toIso(endTime)
+  if (data.endTime) data.duration = duration ?? secondsBetween(data.startTime, data.endTime)
+
+  return {
+    ...create,
+    data,
+    projectName: projectName ?? create.projectName,
+    clientName: clientName ?? create.clientName
+  }
+}
+
+// Changes to an entry whose start is still queued are folded into it, so the
+// server only ever sees one insert. Returns the operation to store
+export const coalesceOperation = (queue: QueuedTimerOperation[], operation: QueuedTimerOperation): QueuedTimerOperation => {
+  const create = queue.find((op): op is QueuedCreate => op.type === 'create' && op.entryId === operation.entryId)
+  return create && operation.type !== 'create' ? foldIntoCreate(create, operation) : operation
+}
+
+// Discarding an entry makes every action queued for it moot. The server only
+// needs to hear about the discard when the entry's start has already synced
+export const discardQueuedOperations = (queue: QueuedTimerOperation[], entryId: string) => ({
+  dropped: queue.filter(op => op.entryId === entryId),
+  neverSynced: queue.some(op => op.type === 'create' && op.entryId === entryId)
+})
+
+// Once an operation has synced, later edits to the same entry build on the
+// version the server just returned instead of the one seen before going offline
+export const rebaseOperations = (queue: QueuedTimerOperation[], entryId: string, updatedAt: string): QueuedTimerOperation[] =>
+  queue
+    .filter(op => op.type === 'update' && op.entryId === entryId)
+    .map(op => ({ ...op, baseUpdatedAt: updatedAt }))
+
+const toRunningEntry = (op: QueuedCreate): TimeEntry => {
+  const startTime = new Date(op.data.startTime)
+  return {
+    id: op.entryId,
+    userId: op.userId,
+    companyId: op.companyId || undefined,
+    projectId: op.data.projectId,
+    projectName: op.projectName,
+    clientId: op.data.clientId,
+    clientName: op.clientName,
+    description: op.data.description,
+    startTime,
+    duration: 0,
+    isRunning: true,
+    isBillable: !!op.data.isBillable,
+    taskId: op.data.taskId ?? null,
+    tags: op.data.tags || [],
+    createdAt: startTime,
+    updatedAt: startTime
+  }
+}
+
+// The running entry as it will be once the queue has synced, so the timer keeps
+// showing the right thing while offline
+export const applyQueuedOperations = (running: TimeEntry | null, queue: QueuedTimerOperation[]): TimeEntry | null =>
+  queue.reduce<TimeEntry | null>((entry, op) => {
+    if (op.type === 'create') {
+      return op.data.endTime ? entry : toRunningEntry(op)
+    }
+    if (entry?.id !== op.entryId) {
+      return entry
+    }
+    if (op.type !== 'update' || op.updates.endTime) {
+      return null
+    }
+
+    const { startTime, overlapResolution, duration, ...fields } = op.updates
+    const updated: TimeEntry = { ...entry }
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        (updated as unknown as Record<string, unknown>)[key] = value
+      }
+    }
+    if (startTime) updated.startTime = new Date(startTime)
+    return updated
+  }, running)
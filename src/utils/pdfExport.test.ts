@@ -1,4 +1,4 @@
-import { generateClientReportPDF, generateIndividualClientPDF } from './pdfExport';
+import { generateClientReportPDF, generateIndividualClientPDF, generateInvoicePDF } from './pdfExport';
 
 // Mock the dependencies
 jest.mock('jspdf');
@@ -142,4 +142,79 @@ describe('pdfExport', () => {
       expect(mockPdf.save).toHaveBeenCalledWith(expect.stringContaining('test-client-report-this-week-'));
     });
   });
-});
\ No newline at end of file
+
+  describe('generateInvoicePDF', () => {
+    it('should render grouped line items, tax lines and the total without chart capture', async () => {
+      // Mock the jsPDF methods
+      const mockPdf = {
+        internal: {
+          pageSize: {
+            getWidth: jest.fn().mockReturnValue(210),
+            getHeight: jest.fn().mockReturnValue(297)
+          },
+          getNumberOfPages: jest.fn().mockReturnValue(2)
+        },
+        setFillColor: jest.fn(),
+        rect: jest.fn(),
+        setFontSize: jest.fn(),
+        setTextColor: jest.fn(),
+        setFont: jest.fn(),
+        text: jest.fn(),
+        splitTextToSize: jest.fn().mockImplementation((text: string) => [text]),
+        setDrawColor: jest.fn(),
+        line: jest.fn(),
+        addPage: jest.fn(),
+        setPage: jest.fn(),
+        addImage: jest.fn(),
+        save: jest.fn()
+      };
+
+      const mockJsPDF = jest.requireMock('jspdf');
+      mockJsPDF.default.mockImplementation(() => mockPdf);
+
+      await generateInvoicePDF({
+        invoiceNumber: 'INV-0001',
+        issueDate: '2023-01-01',
+        dueDate: '2023-01-31',
+        currency: 'EUR',
+        lineItems: [
+          { description: 'Design review', projectName: 'Website', entryDate: '2023-01-02', quantity: 2, unitPrice: 50, amount: 100 },
+          { description: 'API work', projectName: 'Backend', entryDate: '2023-01-03', quantity: 1, unitPrice: 50, amount: 50 },
+          { description: 'Layout fixes', projectName: 'Website', entryDate: '2023-01-04', quantity: 1, unitPrice: 50, amount: 50 }
+        ],
+        subtotal: 200,
+        taxLines: [{ name: 'VAT', rate: 20, amount: 40 }],
+        total: 240,
+        billFrom: { name: 'Test Company' },
+        billTo: { name: 'Test Client', email: 'client@example.com' },
+        pdfSettings: {
+          companyName: 'Test Company',
+          logoUrl: '',
+          primaryColor: '#FF0000',
+          secondaryColor: '#00FF00',
+          showPoweredBy: true,
+          customFooterText: ''
+        }
+      });
+
+      const textCalls = mockPdf.text.mock.calls.map(call => call[0]);
+
+      expect(mockPdf.setFillColor).toHaveBeenCalledWith(255, 0, 0);
+      expect(textCalls).toContain('BILL FROM');
+      expect(textCalls).toContain('BILL TO');
+      expect(textCalls).toContain('client@example.com');
+      // One row per project group, in first-seen order
+      expect(textCalls.filter(text => text === 'Website')).toHaveLength(1);
+      expect(textCalls.indexOf('Website')).toBeLessThan(textCalls.indexOf('Backend'));
+      expect(textCalls).toContain('VAT (20%)');
+      expect(textCalls).toContain('Total (EUR)');
+      expect(textCalls.some(text => typeof text === 'string' && text.startsWith('EUR') && text.includes('240.00'))).toBe(true);
+      expect(textCalls).toContain('Payment Terms');
+      expect(jest.requireMock('html2canvas')).not.toHaveBeenCalled();
+      // Footers go on every page once the page count is known
+      expect(mockPdf.setPage.mock.calls).toEqual([[1], [2]]);
+      expect(textCalls.filter(text => text === 'Generated by NexiFlow Powered by Nexistry Digital Solutions')).toHaveLength(2);
+      expect(mockPdf.save).toHaveBeenCalledWith('invoice-INV-0001.pdf');
+    });
+  });
+});
@@ -385,6 +385,10 @@ export const generateClientReportPDF = async (
       const description = entry.description || 'No description'
       const projectName = entry.projectName || 'No project'
       const duration = entry.formattedDuration || '00:00:00'
+      // Time billed after rounding, shown under the tracked time when they differ
+      const billedDuration = entry.isBillable && entry.formattedBillableDuration !== duration
+        ? entry.formattedBillableDuration
+        : null
       const date = entry.startTime ? format(new Date(entry.startTime), 'MMM dd') : 'N/A'
       const billableStatus = entry.isBillable ? 'Yes' : 'No'
 
@@ -447,6 +451,13 @@ export const generateClientReportPDF = async (
         currentX += 35 + 5; // Updated spacing (35) + 5pt padding
         // Align text to top of cell to match description and project columns
         pdf.text(duration, currentX, currentY + 3); // Added offset for better alignment
+        if (billedDuration) {
+          pdf.setFontSize(7)
+          pdf.setTextColor('#6B7280')
+          pdf.text(`${billedDuration} billed`, currentX, currentY + 3 + lineHeight)
+          pdf.setFontSize(8)
+          pdf.setTextColor('#1F2937')
+        }
       }
       if (includeTimeEntryDate) {
         currentX += 40 + 5; // 40pt width + 5pt padding
@@ -911,6 +922,10 @@ export const generateIndividualClientPDF = async (
       const description = entry.description || 'No description'
       const projectName = entry.projectName || 'No project'
       const duration = entry.formattedDuration || '00:00:00'
+      // Time billed after rounding, shown under the tracked time when they differ
+      const billedDuration = entry.isBillable && entry.formattedBillableDuration !== duration
+        ? entry.formattedBillableDuration
+        : null
       const date = entry.startTime ? format(new Date(entry.startTime), 'MMM dd') : 'N/A'
       const billableStatus = entry.isBillable ? 'Yes' : 'No'
 
@@ -975,6 +990,13 @@ export const generateIndividualClientPDF = async (
         currentX += 35 + 5; // Updated spacing (35) + 5pt padding
         // Align text to top of cell to match description and project columns
         pdf.text(duration, currentX, currentY + 3); // Added offset for better alignment
+        if (billedDuration) {
+          pdf.setFontSize(7)
+          pdf.setTextColor('#6B7280')
+          pdf.text(`${billedDuration} billed`, currentX, currentY + 3 + lineHeight)
+          pdf.setFontSize(8)
+          pdf.setTextColor('#1F2937')
+        }
       }
       if (includeTimeEntryDate) {
         currentX += 40 + 5; // 40pt width + 5pt padding
@@ -999,6 +1021,300 @@ export const generateIndividualClientPDF = async (
   pdf.save(fileName)
 }
 
+interface InvoicePartyDetails {
+  name: string
+  email?: string
+  phone?: string
+  address?: string
+}
+
+interface InvoicePDFLineItem {
+  description: string
+  projectName?: string | null
+  taskName?: string | null
+  entryDate?: string | null
+  quantity: number // hours
+  unitPrice: number
+  amount: number
+}
+
+interface InvoicePDFTaxLine {
+  name: string
+  rate?: number // percentage, shown next to the name when provided
+  amount: number
+}
+
+interface InvoicePDFData {
+  invoiceNumber: string
+  issueDate: string
+  dueDate?: string | null
+  periodStart?: string | null
+  periodEnd?: string | null
+  currency?: string
+  lineItems: InvoicePDFLineItem[]
+  subtotal: number
+  discount?: { label: string; amount: number } | null
+  taxLines?: InvoicePDFTaxLine[]
+  total: number
+  notes?: string | null
+  paymentTerms?: string
+  billFrom: InvoicePartyDetails
+  billTo: InvoicePartyDetails
+  groupBy?: 'project' | 'task'
+  pdfSettings?: PDFSettings | null
+}
+
+// Standard PDF fonts have no glyphs for symbols such as ₱, so amounts use the ISO code
+const formatInvoiceAmount = (amount: number, currency: string = 'USD'): string => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    currencyDisplay: 'code'
+  }).format(amount)
+}
+
+const formatInvoiceDate = (date: string | null | undefined): string => {
+  return date ? format(new Date(date), 'MMM dd, yyyy') : ''
+}
+
+export const generateInvoicePDF = async (data: InvoicePDFData): Promise<void> => {
+  // Create new PDF document
+  const pdf = new jsPDF('p', 'mm', 'a4')
+  const pageWidth = pdf.internal.pageSize.getWidth()
+  const pageHeight = pdf.internal.pageSize.getHeight()
+  const margin = 20
+  const contentWidth = pageWidth - (margin * 2)
+  const currency = data.currency || 'USD'
+
+  // Get PDF settings or use defaults
+  const settings = data.pdfSettings || {
+    companyName: '',
+    logoUrl: '',
+    primaryColor: '#3B82F6',
+    secondaryColor: '#10B981',
+    showPoweredBy: true,
+    customFooterText: ''
+  }
+
+  const companyName = settings.companyName || data.billFrom.name || 'NexiFlow'
+  const primaryRgb = [
+    parseInt(settings.primaryColor.slice(1, 3), 16),
+    parseInt(settings.primaryColor.slice(3, 5), 16),
+    parseInt(settings.primaryColor.slice(5, 7), 16)
+  ]
+
+  await addHeaderToPage(pdf, settings, pageWidth, margin, companyName, `Invoice ${data.invoiceNumber}`)
+
+  let currentY = 52
+
+  // Starts a new page when the next block would run into the footer. Footers are
+  // drawn once every page exists, so each knows the page count
+  const ensureSpace = async (height: number) => {
+    if (currentY + height <= pageHeight - 40) return
+    pdf.addPage()
+    await addHeaderToPage(pdf, settings, pageWidth, margin, companyName, `Invoice ${data.invoiceNumber}`)
+    currentY = 52
+  }
+
+  // Invoice details
+  const details: [string, string][] = [
+    ['Invoice Number', data.invoiceNumber],
+    ['Issue Date', formatInvoiceDate(data.issueDate)]
+  ]
+  if (data.dueDate) {
+    details.push(['Due Date', formatInvoiceDate(data.dueDate)])
+  }
+  if (data.periodStart && data.periodEnd) {
+    details.push(['Service Period', `${formatInvoiceDate(data.periodStart)} - ${formatInvoiceDate(data.periodEnd)}`])
+  }
+
+  pdf.setFontSize(10)
+  details.forEach(([label, value]) => {
+    pdf.setTextColor('#6B7280')
+    pdf.text(label, margin, currentY)
+    pdf.setTextColor('#1F2937')
+    pdf.text(value, margin + 35, currentY)
+    currentY += 6
+  })
+  currentY += 6
+
+  // Bill from / bill to blocks
+  const columnWidth = contentWidth / 2
+  const renderParty = (title: string, party: InvoicePartyDetails, x: number, startY: number): number => {
+    let y = startY
+    pdf.setFontSize(9)
+    pdf.setTextColor(primaryRgb[0], primaryRgb[1], primaryRgb[2])
+    pdf.setFont(undefined, 'bold')
+    pdf.text(title.toUpperCase(), x, y)
+    y += 6
+
+    pdf.setFontSize(11)
+    pdf.setTextColor('#1F2937')
+    pdf.text(party.name, x, y, { maxWidth: columnWidth - 5 })
+    pdf.setFont(undefined, 'normal')
+    y += 6
+
+    pdf.setFontSize(9)
+    pdf.setTextColor('#4B5563')
+    const lines = [party.address, party.email, party.phone].filter(Boolean) as string[]
+    lines.forEach(line => {
+      pdf.text(line, x, y, { maxWidth: columnWidth - 5 })
+      y += 5
+    })
+    return y
+  }
+
+  const fromEndY = renderParty('Bill From', data.billFrom, margin, currentY)
+  const toEndY = renderParty('Bill To', data.billTo, margin + columnWidth, currentY)
+  currentY = Math.max(fromEndY, toEndY) + 8
+
+  // Line items table
+  const columns = {
+    description: margin + 2,
+    date: margin + 95,
+    hours: margin + 125,
+    rate: margin + 150,
+    amount: pageWidth - margin - 2
+  }
+
+  const renderTableHeader = () => {
+    pdf.setFillColor(primaryRgb[0], primaryRgb[1], primaryRgb[2])
+    pdf.rect(margin, currentY - 5, contentWidth, 8, 'F')
+    pdf.setFontSize(9)
+    pdf.setTextColor('#FFFFFF')
+    pdf.setFont(undefined, 'bold')
+    pdf.text('Description', columns.description, currentY)
+    pdf.text('Date', columns.date, currentY)
+    pdf.text('Hours', columns.hours, currentY, { align: 'right' })
+    pdf.text('Rate', columns.rate, currentY, { align: 'right' })
+    pdf.text('Amount', columns.amount, currentY, { align: 'right' })
+    pdf.setFont(undefined, 'normal')
+    currentY += 8
+  }
+
+  // Group line items by project or task, keeping the original order within each group
+  const groupBy = data.groupBy || 'project'
+  const groups: { name: string; items: InvoicePDFLineItem[] }[] = []
+  data.lineItems.forEach(item => {
+    const groupName = (groupBy === 'task' ? item.taskName : item.projectName) ||
+      (groupBy === 'task' ? 'No Task' : 'No Project')
+    let group = groups.find(g => g.name === groupName)
+    if (!group) {
+      group = { name: groupName, items: [] }
+      groups.push(group)
+    }
+    group.items.push(item)
+  })
+
+  renderTableHeader()
+
+  for (const group of groups) {
+    await ensureSpace(16)
+    const groupHours = group.items.reduce((sum, item) => sum + item.quantity, 0)
+    const groupAmount = group.items.reduce((sum, item) => sum + item.amount, 0)
+
+    pdf.setFillColor(243, 244, 246) // Light gray background
+    pdf.rect(margin, currentY - 5, contentWidth, 7, 'F')
+    pdf.setFontSize(10)
+    pdf.setTextColor('#1F2937')
+    pdf.setFont(undefined, 'bold')
+    pdf.text(group.name, columns.description, currentY)
+    pdf.text(groupHours.toFixed(2), columns.hours, currentY, { align: 'right' })
+    pdf.text(formatInvoiceAmount(groupAmount, currency), columns.amount, currentY, { align: 'right' })
+    pdf.setFont(undefined, 'normal')
+    currentY += 7
+
+    for (const item of group.items) {
+      await ensureSpace(7)
+      pdf.setFontSize(9)
+      pdf.setTextColor('#374151')
+      const description = item.description.length > 55 ? `${item.description.slice(0, 52)}...` : item.description
+      pdf.text(description, columns.description + 3, currentY)
+      pdf.text(item.entryDate ? format(new Date(item.entryDate), 'MMM dd') : '', columns.date, currentY)
+      pdf.text(item.quantity.toFixed(2), columns.hours, currentY, { align: 'right' })
+      pdf.text(formatInvoiceAmount(item.unitPrice, currency), columns.rate, currentY, { align: 'right' })
+      pdf.text(formatInvoiceAmount(item.amount, currency), columns.amount, currentY, { align: 'right' })
+      currentY += 6
+    }
+    currentY += 2
+  }
+
+  // Totals
+  const taxLines = data.taxLines || []
+  await ensureSpace(26 + taxLines.length * 6)
+  pdf.setDrawColor(200, 200, 200)
+  pdf.line(margin + contentWidth / 2, currentY, pageWidth - margin, currentY)
+  currentY += 7
+
+  const labelX = margin + contentWidth / 2
+  pdf.setFontSize(10)
+  pdf.setTextColor('#4B5563')
+  pdf.text('Subtotal', labelX, currentY)
+  pdf.text(formatInvoiceAmount(data.subtotal, currency), columns.amount, currentY, { align: 'right' })
+  currentY += 6
+
+  if (data.discount && data.discount.amount > 0) {
+    pdf.text(data.discount.label, labelX, currentY)
+    pdf.text(`-${formatInvoiceAmount(data.discount.amount, currency)}`, columns.amount, currentY, { align: 'right' })
+    currentY += 6
+  }
+
+  taxLines.forEach(tax => {
+    const label = tax.rate !== undefined ? `${tax.name} (${tax.rate}%)` : tax.name
+    pdf.text(label, labelX, currentY)
+    pdf.text(formatInvoiceAmount(tax.amount, currency), columns.amount, currentY, { align: 'right' })
+    currentY += 6
+  })
+
+  pdf.setFillColor(primaryRgb[0], primaryRgb[1], primaryRgb[2])
+  pdf.rect(labelX - 2, currentY - 5, contentWidth / 2 + 2, 9, 'F')
+  pdf.setFontSize(12)
+  pdf.setTextColor('#FFFFFF')
+  pdf.setFont(undefined, 'bold')
+  pdf.text(`Total (${currency})`, labelX, currentY + 1)
+  pdf.text(formatInvoiceAmount(data.total, currency), columns.amount, currentY + 1, { align: 'right' })
+  pdf.setFont(undefined, 'normal')
+  currentY += 16
+
+  // Payment terms, defaulting to the number of days between issue and due date
+  const paymentTerms = data.paymentTerms || (data.dueDate
+    ? `Payment is due within ${Math.max(0, Math.round((new Date(data.dueDate).getTime() - new Date(data.issueDate).getTime()) / 86400000))} days, by ${formatInvoiceDate(data.dueDate)}.`
+    : 'Payment is due upon receipt.')
+
+  const textSections: [string, string][] = [['Payment Terms', paymentTerms]]
+  if (data.notes) {
+    textSections.push(['Notes', data.notes])
+  }
+
+  for (const [title, body] of textSections) {
+    await ensureSpace(20)
+    pdf.setFontSize(11)
+    pdf.setTextColor('#1F2937')
+    pdf.setFont(undefined, 'bold')
+    pdf.text(title, margin, currentY)
+    pdf.setFont(undefined, 'normal')
+    currentY += 6
+    pdf.setFontSize(9)
+    pdf.setTextColor('#4B5563')
+    const lines: string[] = pdf.splitTextToSize(body, contentWidth)
+    for (const line of lines) {
+      await ensureSpace(5)
+      pdf.text(line, margin, currentY)
+      currentY += 5
+    }
+    currentY += 6
+  }
+
+  const totalPages = pdf.internal.getNumberOfPages()
+  for (let page = 1; page <= totalPages; page++) {
+    pdf.setPage(page)
+    addFooterToPage(pdf, settings, pageWidth, margin, companyName, page, totalPages)
+  }
+
+  // Save the PDF
+  pdf.save(`invoice-${data.invoiceNumber}.pdf`)
+}
+
 // Helper function to convert image URL to base64
 const getImageData = (url: string): Promise<string | null> => {
   return new Promise((resolve) => {
@@ -1035,7 +1351,7 @@ const getImageData = (url: string): Promise<string | null> => {
 };
 
 // Helper function to add header to any page
-const addHeaderToPage = async (pdf: jsPDF, settings: PDFSettings, pageWidth: number, margin: number, companyName: string) => {
+const addHeaderToPage = async (pdf: jsPDF, settings: PDFSettings, pageWidth: number, margin: number, companyName: string, title: string = 'Client Time Report') => {
   // Header with company branding
   pdf.setFillColor(parseInt(settings.primaryColor.slice(1, 3), 16), 
                    parseInt(settings.primaryColor.slice(3, 5), 16), 
@@ -1064,7 +1380,7 @@ const addHeaderToPage = async (pdf: jsPDF, settings: PDFSettings, pageWidth: num
         pdf.setFont(undefined, 'normal')
         
         pdf.setFontSize(12)
-        pdf.text('Client Time Report', margin, 35)
+        pdf.text(title, margin, 35)
       } else {
         // Fallback to text-only header if logo couldn't be loaded
         pdf.setFontSize(24)
@@ -1074,7 +1390,7 @@ const addHeaderToPage = async (pdf: jsPDF, settings: PDFSettings, pageWidth: num
         pdf.setFont(undefined, 'normal')
         
         pdf.setFontSize(14)
-        pdf.text('Client Time Report', margin, 35)
+        pdf.text(title, margin, 35)
       }
     } catch (error) {
       console.error('Error adding logo:', error)
@@ -1086,7 +1402,7 @@ const addHeaderToPage = async (pdf: jsPDF, settings: PDFSettings, pageWidth: num
       pdf.setFont(undefined, 'normal')
       
       pdf.setFontSize(14)
-      pdf.text('Client Time Report', margin, 35)
+      pdf.text(title, margin, 35)
     }
   } else {
     // Text-only header
@@ -1097,7 +1413,7 @@ const addHeaderToPage = async (pdf: jsPDF, settings: PDFSettings, pageWidth: num
     pdf.setFont(undefined, 'normal')
     
     pdf.setFontSize(14)
-    pdf.text('Client Time Report', margin, 35)
+    pdf.text(title, margin, 35)
   }
 }
 
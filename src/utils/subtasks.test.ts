@@ -0,0 +1,56 @@
+import { getChecklistStatus, getSubtaskRollup, getTopLevelTasks } from './subtasks'
+import { TaskStatus } from '../types'
+import { makeTask } from '../test/fixtures'
+
+describe('subtasks', () => {
+  describe('getSubtaskRollup', () => {
+    it('should count done subtasks and add their hours to the parent', () => {
+      const parent = makeTask('parent', {
+        estimatedHours: 2,
+        actualHours: 1,
+        subtasks: [
+          makeTask('a', { isCompleted: true, estimatedHours: '3' as any, actualHours: '2.5' as any }),
+          makeTask('b', { estimatedHours: 1 }),
+          makeTask('c')
+        ]
+      })
+      expect(getSubtaskRollup(parent)).toEqual({
+        total: 3,
+        completed: 1,
+        percent: 33,
+        estimatedHours: 6,
+        actualHours: 3.5
+      })
+    })
+
+    it('should leave the estimate out when nothing was estimated', () => {
+      expect(getSubtaskRollup(makeTask('parent'))).toEqual({
+        total: 0,
+        completed: 0,
+        percent: null,
+        estimatedHours: undefined,
+        actualHours: 0
+      })
+    })
+  })
+
+  it('should hide subtasks whose parent is in the list', () => {
+    const tasks = [
+      makeTask('parent'),
+      makeTask('child', { parentTaskId: 'parent' }),
+      makeTask('orphan', { parentTaskId: 'filtered-out' })
+    ]
+    expect(getTopLevelTasks(tasks).map(task => task.id)).toEqual(['parent', 'orphan'])
+  })
+
+  it('should tick subtasks off to the first done status and reopen them to the first open one', () => {
+    const statuses: TaskStatus[] = [
+      { id: 'done', name: 'Done', color: '#10B981', order: 3, isCompleted: true },
+      { id: 'review', name: 'Review', color: '#F59E0B', order: 1, isCompleted: false },
+      { id: 'todo', name: 'To Do', color: '#6B7280', order: 0, isCompleted: false }
+    ]
+    expect(getChecklistStatus(statuses, true)?.id).toBe('done')
+    expect(getChecklistStatus(statuses, false)?.id).toBe('todo')
+    expect(getChecklistStatus([], true)).toBeUndefined()
+  })
+})
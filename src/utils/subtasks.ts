@@ -0,0 +1,41 @@
+import { Task, TaskStatus } from '../types'
+
+// Subtask rollups for a parent task. Subtasks are one level deep, so a parent's
+// subtasks never have subtasks of their own
+
+export interface SubtaskRollup {
+  total: number
+  completed: number
+  percent: number | null // Share of subtasks done; null without subtasks
+  estimatedHours?: number // The parent's own plus its subtasks'
+  actualHours: number
+}
+
+// MySQL returns DECIMAL columns as strings
+const toHours = (value: unknown): number => Number(value) || 0
+
+export const getSubtaskRollup = (task: Pick<Task, 'estimatedHours' | 'actualHours' | 'subtasks'>): SubtaskRollup => {
+  const subtasks = task.subtasks || []
+  const completed = subtasks.filter(subtask => subtask.isCompleted).length
+  const estimated = [task, ...subtasks].reduce((sum, t) => sum + toHours(t.estimatedHours), 0)
+  return {
+    total: subtasks.length,
+    completed,
+    percent: subtasks.length > 0 ? Math.round((completed / subtasks.length) * 100) : null,
+    estimatedHours: estimated > 0 ? estimated : undefined,
+    actualHours: [task, ...subtasks].reduce((sum, t) => sum + toHours(t.actualHours), 0)
+  }
+}
+
+// Subtasks show on their parent's card. Ones whose parent is filtered out keep
+// a card of their own
+export const getTopLevelTasks = (tasks: Task[]): Task[] => {
+  const ids = new Set(tasks.map(task => task.id))
+  return tasks.filter(task => !task.parentTaskId || !ids.has(task.parentTaskId))
+}
+
+// The status a subtask moves to when it is ticked off or reopened from a checklist
+export const getChecklistStatus = (statuses: TaskStatus[], completed: boolean): TaskStatus | undefined =>
+  [...statuses]
+    .sort((a, b) => a.order - b.order)
+    .find(status => !!status.isCompleted === completed)
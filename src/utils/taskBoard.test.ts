@@ -0,0 +1,120 @@
+import { getBoardColumns, getSwimlanes, toBoardColumns, wouldExceedTaskLimit, isOverTaskLimit } from './taskBoard'
+import { ProjectBoard, TaskPriority, TaskStatus } from '../types'
+import { makeTask } from '../test/fixtures'
+
+describe('taskBoard', () => {
+  const statuses: TaskStatus[] = [
+    { id: 'todo', name: 'To Do', color: '#6B7280', order: 0, isCompleted: false },
+    { id: 'doing', name: 'Doing', color: '#3B82F6', order: 1, isCompleted: false },
+    { id: 'done', name: 'Done', color: '#10B981', order: 2, isCompleted: true }
+  ]
+
+  const priorities: TaskPriority[] = [
+    { id: 'low', name: 'Low', color: '#6B7280', level: 1 },
+    { id: 'high', name: 'High', color: '#EF4444', level: 3 }
+  ]
+
+  const board: ProjectBoard = {
+    id: 'board-1',
+    name: 'Sprint',
+    projectId: 'project-1',
+    type: 'kanban',
+    columns: [
+      { id: 'col-done', name: 'Done', color: '#10B981', order: 0, taskStatusId: 'done', isCollapsed: true },
+      { id: 'col-old', name: 'Removed', color: '#000000', order: 1, taskStatusId: 'deleted-status', isCollapsed: false },
+      { id: 'col-todo', name: 'Backlog', color: '#6B7280', order: 2, taskStatusId: 'todo', taskLimit: 3, isCollapsed: false }
+    ],
+    settings: {
+      showCompletedTasks: true,
+      showAssignee: true,
+      showDueDate: true,
+      showPriority: true,
+      showTags: true,
+      showTimeTracking: true,
+      allowDragDrop: true
+    },
+    createdBy: 'user-1',
+    createdAt: new Date('2024-03-01T09:00:00'),
+    updatedAt: new Date('2024-03-01T09:00:00')
+  }
+
+  describe('getBoardColumns', () => {
+    it('should follow the workflow when there is no board', () => {
+      expect(getBoardColumns(statuses).map(view => view.status.id)).toEqual(['todo', 'doing', 'done'])
+    })
+
+    it('should use the board order and limits, adding new statuses and dropping deleted ones', () => {
+      const views = getBoardColumns(statuses, board)
+      expect(views.map(view => view.status.id)).toEqual(['done', 'todo', 'doing'])
+      expect(views[0]).toMatchObject({ columnId: 'col-done', isCollapsed: true, taskLimit: null })
+      expect(views[1]).toMatchObject({ taskLimit: 3 })
+      expect(views[1].status.name).toBe('To Do')
+    })
+
+    it('should save columns with current names and fresh order', () => {
+      const columns = toBoardColumns(getBoardColumns(statuses, board))
+      expect(columns[1]).toMatchObject({ id: 'col-todo', name: 'To Do', order: 1, taskStatusId: 'todo', taskLimit: 3 })
+      expect(columns[2]).toMatchObject({ id: '', taskStatusId: 'doing', taskLimit: undefined })
+    })
+  })
+
+  it('should flag drops that go past a column limit', () => {
+    expect(wouldExceedTaskLimit(2, 3)).toBe(false)
+    expect(wouldExceedTaskLimit(3, 3)).toBe(true)
+    expect(wouldExceedTaskLimit(10, null)).toBe(false)
+    expect(isOverTaskLimit(3, 3)).toBe(false)
+    expect(isOverTaskLimit(4, 3)).toBe(true)
+  })
+
+  describe('getSwimlanes', () => {
+    it('should keep everything in one lane when not grouping', () => {
+      const tasks = [makeTask('1'), makeTask('2')]
+      expect(getSwimlanes(tasks, 'none')).toEqual([{ id: 'all', label: '', tasks }])
+    })
+
+    it('should group by assignee with unassigned tasks last', () => {
+      const lanes = getSwimlanes([
+        makeTask('1'),
+        makeTask('2', { assigneeId: 'u2', assigneeName: 'Zoe' }),
+        makeTask('3', { assigneeId: 'u1', assigneeName: 'Ben' })
+      ], 'assignee')
+      expect(lanes.map(lane => lane.label)).toEqual(['Ben', 'Zoe', 'Unassigned'])
+    })
+
+    it('should group by priority, highest first', () => {
+      const lanes = getSwimlanes([
+        makeTask('1', { priority: 'low' }),
+        makeTask('2', { priority: priorities[1] })
+      ], 'priority', priorities)
+      expect(lanes.map(lane => lane.label)).toEqual(['High', 'Low'])
+    })
+
+    it('should group by due date relative to today', () => {
+      const today = new Date('2024-03-10T15:00:00')
+      const lanes = getSwimlanes([
+        makeTask('1', { dueDate: new Date('2024-03-09T12:00:00') }),
+        makeTask('2', { dueDate: new Date('2024-03-10T08:00:00') }),
+        makeTask('3', { dueDate: new Date('2024-03-20T08:00:00') }),
+        makeTask('4')
+      ], 'dueDate', [], today)
+      expect(lanes.map(lane => [lane.id, lane.tasks.map(task => task.id)])).toEqual([
+        ['overdue', ['1']],
+        ['today', ['2']],
+        ['later', ['3']],
+        ['none', ['4']]
+      ])
+    })
+
+    it('should show a task under each of its tags', () => {
+      const lanes = getSwimlanes([
+        makeTask('1', { tags: ['ui', 'bug'] }),
+        makeTask('2')
+      ], 'tags')
+      expect(lanes.map(lane => [lane.label, lane.tasks.map(task => task.id)])).toEqual([
+        ['bug', ['1']],
+        ['ui', ['1']],
+        ['No tags', ['2']]
+      ])
+    })
+  })
+})
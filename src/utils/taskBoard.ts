@@ -0,0 +1,172 @@
+import { BoardColumn, BoardSettings, ProjectBoard, Task, TaskPriority, TaskStatus } from '../types'
+
+// Layout of a saved task board: its status columns with their WIP limits, and
+// the swimlanes tasks are split into
+
+export const DEFAULT_BOARD_SETTINGS: BoardSettings = {
+  showCompletedTasks: true,
+  showAssignee: true,
+  showDueDate: true,
+  showPriority: true,
+  showTags: true,
+  showTimeTracking: true,
+  allowDragDrop: true,
+  groupBy: 'none'
+}
+
+export type SwimlaneGroup = NonNullable<BoardSettings['groupBy']>
+
+export const SWIMLANE_LABELS: Record<SwimlaneGroup, string> = {
+  none: 'No swimlanes',
+  assignee: 'Assignee',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  tags: 'Tags'
+}
+
+export interface BoardColumnView {
+  status: TaskStatus
+  columnId?: string
+  taskLimit: number | null
+  isCollapsed: boolean
+}
+
+export interface Swimlane {
+  id: string
+  label: string
+  tasks: Task[]
+}
+
+// Columns in the board's order. Statuses added to the workflow after the board
+// was saved follow at the end; columns whose status was deleted are dropped
+export const getBoardColumns = (statuses: TaskStatus[], board?: ProjectBoard | null): BoardColumnView[] => {
+  const saved = [...(board?.columns || [])].sort((a, b) => a.order - b.order)
+  const views: BoardColumnView[] = []
+  for (const column of saved) {
+    const status = statuses.find(s => s.id === column.taskStatusId)
+    if (status) {
+      views.push({ status, columnId: column.id, taskLimit: column.taskLimit || null, isCollapsed: column.isCollapsed })
+    }
+  }
+  for (const status of statuses) {
+    if (!views.some(view => view.status.id === status.id)) {
+      views.push({ status, taskLimit: null, isCollapsed: false })
+    }
+  }
+  return views
+}
+
+// What a board saves for its columns. Names and colors are copies; the board
+// always shows the status's current ones
+export const toBoardColumns = (views: BoardColumnView[]): BoardColumn[] =>
+  views.map((view, index) => ({
+    id: view.columnId || '',
+    name: view.status.name,
+    color: view.status.color,
+    order: index,
+    taskStatusId: view.status.id,
+    taskLimit: view.taskLimit || undefined,
+    isCollapsed: view.isCollapsed
+  }))
+
+export const isOverTaskLimit = (count: number, taskLimit: number | null): boolean =>
+  taskLimit !== null && count > taskLimit
+
+// Whether one more task would take the column past its limit
+export const wouldExceedTaskLimit = (count: number, taskLimit: number | null): boolean =>
+  isOverTaskLimit(count + 1, taskLimit)
+
+const startOfDay = (date: Date) => new Date(date.getFullYear(), date.getMonth(), date.getDate())
+
+const DUE_DATE_LANES = [
+  { id: 'overdue', label: 'Overdue' },
+  { id: 'today', label: 'Due today' },
+  { id: 'week', label: 'Due in the next 7 days' },
+  { id: 'later', label: 'Due later' },
+  { id: 'none', label: 'No due date' }
+]
+
+const getDueDateLane = (task: Task, today: Date): string => {
+  if (!task.dueDate) return 'none'
+  const days = Math.round((startOfDay(new Date(task.dueDate)).getTime() - startOfDay(today).getTime()) / 86400000)
+  if (days < 0) return 'overdue'
+  if (days === 0) return 'today'
+  return days <= 7 ? 'week' : 'later'
+}
+
+const resolvePriority = (task: Task, priorities: TaskPriority[]): TaskPriority | null => {
+  if (!task.priority) return null
+  if (typeof task.priority !== 'string') return task.priority
+  return priorities.find(p => p.id === task.priority) || null
+}
+
+// Lanes keep the order they are first seen in, with the catch-all lane last
+const collectLanes = (tasks: Task[], keysFor: (task: Task) => { id: string; label: string }[], emptyLane: Swimlane) => {
+  const lanes = new Map<string, Swimlane>()
+  for (const task of tasks) {
+    const keys = keysFor(task)
+    if (keys.length === 0) {
+      emptyLane.tasks.push(task)
+    }
+    for (const key of keys) {
+      const lane = lanes.get(key.id) || { ...key, tasks: [] }
+      lane.tasks.push(task)
+      lanes.set(key.id, lane)
+    }
+  }
+  return { lanes: Array.from(lanes.values()), emptyLane }
+}
+
+const withEmptyLane = ({ lanes, emptyLane }: { lanes: Swimlane[]; emptyLane: Swimlane }) =>
+  emptyLane.tasks.length > 0 ? [...lanes, emptyLane] : lanes
+
+// Splits tasks into swimlanes. A task with several tags shows in each tag's lane;
+// lanes without tasks are left out
+export const getSwimlanes = (
+  tasks: Task[],
+  groupBy: SwimlaneGroup | undefined,
+  priorities: TaskPriority[] = [],
+  today: Date = new Date()
+): Swimlane[] => {
+  switch (groupBy) {
+    case 'assignee': {
+      const result = collectLanes(
+        tasks,
+        task => (task.assigneeId ? [{ id: task.assigneeId, label: task.assigneeName || 'Unknown user' }] : []),
+        { id: 'unassigned', label: 'Unassigned', tasks: [] }
+      )
+      result.lanes.sort((a, b) => a.label.localeCompare(b.label))
+      return withEmptyLane(result)
+    }
+    case 'priority': {
+      const levels = new Map<string, number>()
+      const result = collectLanes(
+        tasks,
+        task => {
+          const priority = resolvePriority(task, priorities)
+          if (!priority) return []
+          levels.set(priority.id, priority.level)
+          return [{ id: priority.id, label: priority.name }]
+        },
+        { id: 'none', label: 'No priority', tasks: [] }
+      )
+      result.lanes.sort((a, b) => (levels.get(b.id) ?? 0) - (levels.get(a.id) ?? 0))
+      return withEmptyLane(result)
+    }
+    case 'dueDate':
+      return DUE_DATE_LANES
+        .map(lane => ({ ...lane, tasks: tasks.filter(task => getDueDateLane(task, today) === lane.id) }))
+        .filter(lane => lane.tasks.length > 0)
+    case 'tags': {
+      const result = collectLanes(
+        tasks,
+        task => [...new Set(task.tags || [])].map(tag => ({ id: `tag:${tag}`, label: tag })),
+        { id: 'none', label: 'No tags', tasks: [] }
+      )
+      result.lanes.sort((a, b) => a.label.localeCompare(b.label))
+      return withEmptyLane(result)
+    }
+    default:
+      return [{ id: 'all', label: '', tasks }]
+  }
+}
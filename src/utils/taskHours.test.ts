@@ -0,0 +1,28 @@
+import { getTaskHours, formatTaskHours } from './taskHours'
+
+describe('taskHours', () => {
+  describe('getTaskHours', () => {
+    it('should read decimal strings from the database', () => {
+      expect(getTaskHours('4.00', '1.50')).toEqual({ estimated: 4, actual: 1.5, percent: 38, isOverEstimate: false })
+    })
+
+    it('should flag tasks that went over their estimate', () => {
+      expect(getTaskHours(2, 2.25)).toEqual({ estimated: 2, actual: 2.25, percent: 113, isOverEstimate: true })
+      expect(getTaskHours(2, 2).isOverEstimate).toBe(false)
+    })
+
+    it('should treat a missing or zero estimate as no estimate', () => {
+      expect(getTaskHours(null, '3.00')).toEqual({ estimated: null, actual: 3, percent: null, isOverEstimate: false })
+      expect(getTaskHours(0, 1).estimated).toBeNull()
+      expect(getTaskHours(undefined, undefined).actual).toBe(0)
+    })
+  })
+
+  describe('formatTaskHours', () => {
+    it('should drop trailing zeros', () => {
+      expect(formatTaskHours(2)).toBe('2h')
+      expect(formatTaskHours(1.5)).toBe('1.5h')
+      expect(formatTaskHours(1.333)).toBe('1.33h')
+    })
+  })
+})
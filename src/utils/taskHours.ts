@@ -0,0 +1,30 @@
+// Estimated vs. logged hours on a task. MySQL returns DECIMAL columns as strings,
+// so both values are coerced here rather than at every call site
+
+export interface TaskHours {
+  estimated: number | null
+  actual: number
+  percent: number | null // Share of the estimate used, uncapped
+  isOverEstimate: boolean
+}
+
+const toHours = (value: unknown): number | null => {
+  const hours = Number(value)
+  return value === null || value === undefined || value === '' || !Number.isFinite(hours) ? null : hours
+}
+
+export const getTaskHours = (estimatedHours: unknown, actualHours: unknown): TaskHours => {
+  const estimate = toHours(estimatedHours)
+  const estimated = estimate && estimate > 0 ? estimate : null
+  const actual = toHours(actualHours) ?? 0
+  return {
+    estimated,
+    actual,
+    percent: estimated ? Math.round((actual / estimated) * 100) : null,
+    isOverEstimate: estimated !== null && actual > estimated
+  }
+}
+
+// 1.5 -> "1.5h", 2 -> "2h"
+export const formatTaskHours = (hours: number): string =>
+  `${Math.round(hours * 100) / 100}h`
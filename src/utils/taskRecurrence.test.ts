@@ -0,0 +1,46 @@
+import { describeRecurrence, getNextOccurrenceDate } from './taskRecurrence'
+
+describe('taskRecurrence', () => {
+  describe('getNextOccurrenceDate', () => {
+    it('should repeat every N days', () => {
+      expect(getNextOccurrenceDate({ frequency: 'daily', interval: 1 }, '2024-02-28')).toBe('2024-02-29')
+      expect(getNextOccurrenceDate({ frequency: 'daily', interval: 3 }, '2024-12-30')).toBe('2025-01-02')
+    })
+
+    it('should move to the next listed weekday', () => {
+      // 2024-03-04 is a Monday
+      const rule = { frequency: 'weekly' as const, interval: 1, weekdays: [1, 3] }
+      expect(getNextOccurrenceDate(rule, '2024-03-04')).toBe('2024-03-06')
+      expect(getNextOccurrenceDate(rule, '2024-03-06')).toBe('2024-03-11')
+    })
+
+    it('should skip the weeks in between', () => {
+      const rule = { frequency: 'weekly' as const, interval: 2, weekdays: [1, 5] }
+      expect(getNextOccurrenceDate(rule, '2024-03-04')).toBe('2024-03-08')
+      expect(getNextOccurrenceDate(rule, '2024-03-08')).toBe('2024-03-18')
+    })
+
+    it('should keep the weekday of the date when none are listed', () => {
+      expect(getNextOccurrenceDate({ frequency: 'weekly', interval: 1 }, '2024-03-07')).toBe('2024-03-14')
+    })
+
+    it('should use the month day, or the last day of shorter months', () => {
+      const rule = { frequency: 'monthly' as const, interval: 1, monthDay: 31 }
+      expect(getNextOccurrenceDate(rule, '2024-01-31')).toBe('2024-02-29')
+      expect(getNextOccurrenceDate(rule, '2024-02-29')).toBe('2024-03-31')
+      expect(getNextOccurrenceDate({ frequency: 'monthly', interval: 1, monthDay: 15 }, '2024-03-03')).toBe('2024-03-15')
+      expect(getNextOccurrenceDate({ frequency: 'monthly', interval: 3, monthDay: 1 }, '2024-11-01')).toBe('2025-02-01')
+    })
+
+    it('should count days from the completion', () => {
+      expect(getNextOccurrenceDate({ frequency: 'after_completion', interval: 7 }, '2024-03-05')).toBe('2024-03-12')
+    })
+  })
+
+  it('should describe rules in words', () => {
+    expect(describeRecurrence({ frequency: 'daily', interval: 1 })).toBe('Every day')
+    expect(describeRecurrence({ frequency: 'weekly', interval: 2, weekdays: [5, 1] })).toBe('Every 2 weeks on Mon, Fri')
+    expect(describeRecurrence({ frequency: 'monthly', interval: 1, monthDay: 15 })).toBe('Every month on day 15')
+    expect(describeRecurrence({ frequency: 'after_completion', interval: 1 })).toBe('1 day after completion')
+  })
+})
@@ -0,0 +1,79 @@
+import { RecurrenceFrequency, TaskRecurrence } from '../types'
+
+// Previews a series in the task form. The generator in api/taskRecurrence.js
+// must land on the same days, which its tests check against this file. Dates
+// are YYYY-MM-DD days, worked out in UTC so they never shift
+
+export const RECURRENCE_FREQUENCY_LABELS: Record<RecurrenceFrequency, string> = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  after_completion: 'After completion'
+}
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const parseDay = (date: string) => new Date(`${date}T00:00:00Z`)
+const formatDay = (date: Date) => date.toISOString().slice(0, 10)
+const addDays = (date: string, days: number) => formatDay(new Date(parseDay(date).getTime() + days * DAY_MS))
+// Weeks run Monday to Sunday; 1970-01-01 was a Thursday
+const getWeekNumber = (date: string) => Math.floor((parseDay(date).getTime() / DAY_MS + 3) / 7)
+
+// The first occurrence after date. For after_completion, date is the day the
+// previous occurrence was completed
+export const getNextOccurrenceDate = (rule: TaskRecurrence, date: string): string | null => {
+  const interval = rule.interval || 1
+  const current = parseDay(date)
+
+  if (rule.frequency === 'daily' || rule.frequency === 'after_completion') {
+    return addDays(date, interval)
+  }
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays?.length ? rule.weekdays : [current.getUTCDay()]
+    for (let days = 1; days <= 7 * interval + 7; days++) {
+      const candidate = addDays(date, days)
+      const weeksApart = getWeekNumber(candidate) - getWeekNumber(date)
+      if (weekdays.includes(parseDay(candidate).getUTCDay()) && weeksApart % interval === 0) {
+        return candidate
+      }
+    }
+    return null
+  }
+
+  if (rule.frequency === 'monthly') {
+    const monthDay = rule.monthDay || current.getUTCDate()
+    for (let months = 0; months <= interval; months += interval) {
+      const year = current.getUTCFullYear()
+      const month = current.getUTCMonth() + months
+      const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+      const candidate = formatDay(new Date(Date.UTC(year, month, Math.min(monthDay, lastDay))))
+      if (candidate > date) {
+        return candidate
+      }
+    }
+  }
+
+  return null
+}
+
+export const describeRecurrence = (rule: TaskRecurrence): string => {
+  const interval = rule.interval || 1
+  switch (rule.frequency) {
+    case 'daily':
+      return interval === 1 ? 'Every day' : `Every ${interval} days`
+    case 'weekly': {
+      const days = [...(rule.weekdays || [])].sort((a, b) => a - b).map(day => WEEKDAY_LABELS[day]).join(', ')
+      const every = interval === 1 ? 'Every week' : `Every ${interval} weeks`
+      return days ? `${every} on ${days}` : every
+    }
+    case 'monthly': {
+      const every = interval === 1 ? 'Every month' : `Every ${interval} months`
+      return rule.monthDay ? `${every} on day ${rule.monthDay}` : every
+    }
+    case 'after_completion':
+      return `${interval} day${interval === 1 ? '' : 's'} after completion`
+  }
+}
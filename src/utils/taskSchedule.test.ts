@@ -0,0 +1,91 @@
+import { findDependencyViolations, getTaskSpan, getTimelineRange, shiftTaskSpan, toTaskApiDate } from './taskSchedule'
+import { Task, TaskDependency } from '../types'
+import { makeTask } from '../test/fixtures'
+
+describe('taskSchedule', () => {
+  const scheduledTask = (id: string, startDate?: string, dueDate?: string): Task => makeTask(id, {
+    startDate: startDate ? new Date(startDate) : undefined,
+    dueDate: dueDate ? new Date(dueDate) : undefined
+  })
+
+  const dependency: TaskDependency = {
+    id: 'dep-1',
+    taskId: 'build',
+    dependsOnTaskId: 'design',
+    type: 'finish_to_start',
+    createdAt: new Date('2024-03-01T09:00:00')
+  }
+
+  describe('getTaskSpan', () => {
+    it('should run from the start date to the due date', () => {
+      expect(getTaskSpan(scheduledTask('1', '2024-03-04T10:00:00', '2024-03-08T00:00:00'))).toEqual({
+        start: new Date('2024-03-04T00:00:00'),
+        end: new Date('2024-03-08T00:00:00')
+      })
+    })
+
+    it('should make a one-day bar from either date alone', () => {
+      expect(getTaskSpan(scheduledTask('1', undefined, '2024-03-08T00:00:00'))).toEqual({
+        start: new Date('2024-03-08T00:00:00'),
+        end: new Date('2024-03-08T00:00:00')
+      })
+      expect(getTaskSpan(scheduledTask('1'))).toBeNull()
+    })
+  })
+
+  describe('shiftTaskSpan', () => {
+    const span = { start: new Date('2024-03-04T00:00:00'), end: new Date('2024-03-08T00:00:00') }
+
+    it('should move both ends', () => {
+      expect(shiftTaskSpan(span, 3, 'move')).toEqual({ start: new Date('2024-03-07T00:00:00'), end: new Date('2024-03-11T00:00:00') })
+    })
+
+    it('should not let one end pass the other', () => {
+      expect(shiftTaskSpan(span, 10, 'start').start).toEqual(span.end)
+      expect(shiftTaskSpan(span, -10, 'end').end).toEqual(span.start)
+    })
+  })
+
+  it('should send the local day at UTC midnight', () => {
+    expect(toTaskApiDate(new Date(2024, 2, 8, 23, 30)).toISOString()).toBe('2024-03-08T00:00:00.000Z')
+  })
+
+  describe('findDependencyViolations', () => {
+    const design = scheduledTask('design', '2024-03-04T00:00:00', '2024-03-08T00:00:00')
+
+    it('should accept a task starting the day after its dependency is due', () => {
+      const build = scheduledTask('build', '2024-03-09T00:00:00', '2024-03-15T00:00:00')
+      expect(findDependencyViolations([design, build], [dependency])).toEqual([])
+    })
+
+    it('should flag a task starting before its dependency is due', () => {
+      const build = scheduledTask('build', '2024-03-08T00:00:00', '2024-03-15T00:00:00')
+      expect(findDependencyViolations([design, build], [dependency])).toEqual([{ dependency, task: build, dependsOn: design }])
+    })
+
+    it('should check a proposed move before it is saved', () => {
+      const build = scheduledTask('build', '2024-03-09T00:00:00', '2024-03-15T00:00:00')
+      const moved = { design: { start: new Date('2024-03-06T00:00:00'), end: new Date('2024-03-10T00:00:00') } }
+      expect(findDependencyViolations([design, build], [dependency], moved)).toHaveLength(1)
+    })
+
+    it('should skip tasks without dates', () => {
+      expect(findDependencyViolations([design, scheduledTask('build')], [dependency])).toEqual([])
+    })
+  })
+
+  describe('getTimelineRange', () => {
+    it('should cover every task and today with some room', () => {
+      const range = getTimelineRange(
+        [{ start: new Date('2024-03-04T00:00:00'), end: new Date('2024-03-20T00:00:00') }],
+        new Date('2024-03-10T12:00:00')
+      )
+      expect(range.start).toEqual(new Date('2024-03-01T00:00:00'))
+      expect(range.days).toBe(27)
+    })
+
+    it('should show the weeks around today when nothing is scheduled', () => {
+      expect(getTimelineRange([], new Date('2024-03-10T12:00:00'))).toEqual({ start: new Date('2024-03-03T00:00:00'), days: 35 })
+    })
+  })
+})
@@ -0,0 +1,66 @@
+import { addDays, differenceInCalendarDays, min, max, startOfDay } from 'date-fns'
+import { Task, TaskDependency } from '../types'
+
+// Day-level scheduling for the task timeline. A task runs from its start date to
+// its due date; with only one of them it is a one-day bar
+
+export interface TaskSpan {
+  start: Date
+  end: Date
+}
+
+export interface DependencyViolation {
+  dependency: TaskDependency
+  task: Task // Starts too early
+  dependsOn: Task
+}
+
+export const getTaskSpan = (task: Pick<Task, 'startDate' | 'dueDate'>): TaskSpan | null => {
+  const start = task.startDate || task.dueDate
+  const end = task.dueDate || task.startDate
+  if (!start || !end) return null
+  return { start: startOfDay(new Date(start)), end: startOfDay(new Date(end)) }
+}
+
+// Moves a span, or one of its ends, by whole days. An end can't pass the other
+export const shiftTaskSpan = (span: TaskSpan, days: number, edge: 'move' | 'start' | 'end'): TaskSpan => {
+  if (edge === 'start') return { start: min([addDays(span.start, days), span.end]), end: span.end }
+  if (edge === 'end') return { start: span.start, end: max([addDays(span.end, days), span.start]) }
+  return { start: addDays(span.start, days), end: addDays(span.end, days) }
+}
+
+// The API stores dates by their UTC day, so send the local day at UTC midnight
+export const toTaskApiDate = (date: Date): Date =>
+  new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+
+// Finish-to-start: a task may start the day after the task it depends on is due.
+// spans overrides task dates, to check a move before saving it
+export const findDependencyViolations = (
+  tasks: Task[],
+  dependencies: TaskDependency[],
+  spans: Record<string, TaskSpan> = {}
+): DependencyViolation[] => {
+  const byId = new Map(tasks.map(task => [task.id, task]))
+  const spanOf = (task: Task) => spans[task.id] || getTaskSpan(task)
+
+  return dependencies.flatMap(dependency => {
+    const task = byId.get(dependency.taskId)
+    const dependsOn = byId.get(dependency.dependsOnTaskId)
+    if (!task || !dependsOn) return []
+    const taskSpan = spanOf(task)
+    const dependsOnSpan = spanOf(dependsOn)
+    if (!taskSpan || !dependsOnSpan) return []
+    return differenceInCalendarDays(taskSpan.start, dependsOnSpan.end) < 1 ? [{ dependency, task, dependsOn }] : []
+  })
+}
+
+// Days shown on the timeline: every scheduled task with some room around it, or
+// the weeks around today when nothing is scheduled
+export const getTimelineRange = (spans: TaskSpan[], today: Date = new Date()): { start: Date; days: number } => {
+  if (spans.length === 0) {
+    return { start: addDays(startOfDay(today), -7), days: 35 }
+  }
+  const start = addDays(min([...spans.map(span => span.start), startOfDay(today)]), -3)
+  const end = addDays(max([...spans.map(span => span.end), startOfDay(today)]), 7)
+  return { start, days: differenceInCalendarDays(end, start) + 1 }
+}
@@ -0,0 +1,51 @@
+import { parseHoursInput, formatHoursInput, getWeekStart, shiftWeek } from './timesheet'
+
+describe('timesheet', () => {
+  describe('parseHoursInput', () => {
+    it('should read decimal hours with either separator', () => {
+      expect(parseHoursInput('1.5')).toBe(1.5)
+      expect(parseHoursInput('1,25')).toBe(1.25)
+      expect(parseHoursInput(' 8 ')).toBe(8)
+    })
+
+    it('should read hours and minutes', () => {
+      expect(parseHoursInput('1:30')).toBe(1.5)
+      expect(parseHoursInput('0:45')).toBe(0.75)
+    })
+
+    it('should treat an empty cell as zero', () => {
+      expect(parseHoursInput('')).toBe(0)
+    })
+
+    it('should reject text and more than a day', () => {
+      expect(parseHoursInput('abc')).toBeNull()
+      expect(parseHoursInput('1:75')).toBeNull()
+      expect(parseHoursInput('-2')).toBeNull()
+      expect(parseHoursInput('25')).toBeNull()
+    })
+  })
+
+  describe('formatHoursInput', () => {
+    it('should format seconds as h:mm', () => {
+      expect(formatHoursInput(5400)).toBe('1:30')
+      expect(formatHoursInput(8 * 3600 + 5 * 60)).toBe('8:05')
+    })
+
+    it('should leave empty cells blank', () => {
+      expect(formatHoursInput(0)).toBe('')
+    })
+  })
+
+  describe('weeks', () => {
+    it('should start weeks on Monday', () => {
+      expect(getWeekStart(new Date(2024, 2, 6))).toBe('2024-03-04')
+      expect(getWeekStart(new Date(2024, 2, 10))).toBe('2024-03-04')
+      expect(getWeekStart(new Date(2024, 2, 4))).toBe('2024-03-04')
+    })
+
+    it('should move between weeks across month ends', () => {
+      expect(shiftWeek('2024-02-26', 1)).toBe('2024-03-04')
+      expect(shiftWeek('2024-01-01', -1)).toBe('2023-12-25')
+    })
+  })
+})
@@ -0,0 +1,48 @@
+// Hours typed into a timesheet cell: decimal hours ("1.5" or "1,5"), hours and
+// minutes ("1:30") or an empty cell for zero. Returns null for anything else,
+// including more than a day
+export const parseHoursInput = (input: string): number | null => {
+  const value = input.trim()
+  if (value === '') {
+    return 0
+  }
+
+  let hours: number
+  const clock = /^(\d{1,2}):([0-5]\d)$/.exec(value)
+  if (clock) {
+    hours = Number(clock[1]) + Number(clock[2]) / 60
+  } else if (/^\d+([.,]\d+)?$/.test(value)) {
+    hours = Number(value.replace(',', '.'))
+  } else {
+    return null
+  }
+
+  return hours <= 24 ? hours : null
+}
+
+// Seconds as h:mm for a cell, blank for nothing logged
+export const formatHoursInput = (seconds: number): string => {
+  if (!seconds || seconds <= 0) {
+    return ''
+  }
+  const totalMinutes = Math.round(seconds / 60)
+  return `${Math.floor(totalMinutes / 60)}:${(totalMinutes % 60).toString().padStart(2, '0')}`
+}
+
+// Monday of the week containing date, as YYYY-MM-DD in local time
+export const getWeekStart = (date: Date): string => {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7))
+  return toDateKey(monday)
+}
+
+export const toDateKey = (date: Date): string => {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0')
+  const day = date.getDate().toString().padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+export const shiftWeek = (weekStart: string, weeks: number): string => {
+  const [year, month, day] = weekStart.split('-').map(Number)
+  return toDateKey(new Date(year, month - 1, day + weeks * 7))
+}